@@ -0,0 +1,343 @@
+// Analytics - the numbers behind the calibration, liquidity and tail-risk views, computed
+// from market records with no DOM. The modules draw them; the proxy serves them as JSON
+// under /api/analytics/* for notebooks and other services.
+import * as stats from '../stats/index.js';
+import { isScorable } from './marketSchema.js';
+import { bookLambda } from './orderBook.js';
+import { runFullEvaluation } from '../evaluation/index.js';
+
+// Price bands of the tail-risk view
+export const TAIL_BANDS = {
+    longshots: p => p < 0.1,
+    midrange: p => p >= 0.3 && p <= 0.7,
+    favorites: p => p > 0.9
+};
+
+/**
+ * The UI filters (state.filters): platform and category ('all' for any) and
+ * a creation date range; a missing bound is open
+ * @param {Object[]} markets
+ * @param {{ platform?: string, category?: string, start?: Date|null, end?: Date|null }} filters
+ */
+export function filterMarkets(markets, { platform = 'all', category = 'all', start = null, end = null } = {}) {
+    return markets.filter(m => {
+        if (platform !== 'all' && m.platform !== platform) return false;
+        if (category !== 'all' && m.category !== category) return false;
+        const created = new Date(m.createdAt);
+        return (!start || created >= start) && (!end || created <= end);
+    });
+}
+
+/**
+ * Resolved binary markets that can be scored against their final price.
+ * Partial resolutions score at their payout; void and disputed ones are left out.
+ */
+export function binaryForecasts(markets) {
+    return markets.filter(m => isScorable(m) && isBinary(m) && Number.isFinite(m.finalProbability));
+}
+
+/**
+ * Resolved markets that score at a partial payout, and those left out of scoring
+ */
+export function countResolutions(markets) {
+    const count = status => markets.filter(m => m.resolution?.status === status).length;
+    return {
+        partial: count('partial'),
+        void: count('void'),
+        disputed: count('disputed')
+    };
+}
+
+/**
+ * Brier, log and spherical scores and ECE; null without forecasts
+ */
+export function binaryScores(predictions, outcomes) {
+    if (predictions.length === 0) {
+        return { brierScore: null, logScore: null, sphericalScore: null, ece: null };
+    }
+    return {
+        brierScore: stats.brierScore(predictions, outcomes),
+        logScore: stats.logScore(predictions, outcomes),
+        sphericalScore: stats.sphericalScore(predictions, outcomes),
+        ece: stats.expectedCalibrationError(predictions, outcomes)
+    };
+}
+
+/**
+ * Reliability diagram: forecasts binned by predicted probability, with the observed
+ * frequency of each bin and its bootstrap confidence interval
+ * @returns {Object[]} [{ binIndex, lower, upper, avgPrediction, observedFrequency, count, ciLower, ciUpper }], empty bins left out
+ */
+export function calibrationBins(predictions, outcomes, numBins = 10) {
+    const bins = Array.from({ length: numBins }, () => ({ predictions: [], outcomes: [] }));
+    predictions.forEach((pred, i) => {
+        if (pred === undefined || pred === null || i >= outcomes.length) return;
+        const binIdx = Math.min(Math.floor(pred * numBins), numBins - 1);
+        bins[binIdx].predictions.push(pred);
+        bins[binIdx].outcomes.push(outcomes[i]);
+    });
+
+    return bins.map((bin, i) => {
+        if (bin.predictions.length === 0) return null;
+        const ci = stats.bootstrapCI(bin.outcomes, stats.mean, 1000);
+        return {
+            binIndex: i,
+            lower: i / numBins,
+            upper: (i + 1) / numBins,
+            avgPrediction: stats.mean(bin.predictions),
+            observedFrequency: stats.mean(bin.outcomes),
+            count: bin.predictions.length,
+            ciLower: ci.lower,
+            ciUpper: ci.upper
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Realized frequency against implied probability in `binSize` bands;
+ * bias > 0 means the band won more often than it was priced
+ * @returns {Object[]} [{ lower, upper, impliedProb, realizedFreq, count, bias }], empty bands left out
+ */
+export function tailBiasBins(markets, binSize = 0.05) {
+    const numBins = Math.round(1 / binSize);
+    const bins = Array.from({ length: numBins }, () => []);
+    markets.forEach(m => {
+        bins[Math.min(Math.floor(m.finalProbability / binSize), numBins - 1)].push(m);
+    });
+
+    return bins.map((inBin, i) => {
+        if (inBin.length === 0) return null;
+        const impliedProb = (i + 0.5) * binSize;
+        const realizedFreq = stats.mean(inBin.map(m => m.outcome));
+        return { lower: i * binSize, upper: (i + 1) * binSize, impliedProb, realizedFreq, count: inBin.length, bias: realizedFreq - impliedProb };
+    }).filter(Boolean);
+}
+
+/**
+ * Win rate against average price of longshots, the midrange and favorites (TAIL_BANDS)
+ */
+export function tailGroups(markets) {
+    const groups = {};
+    Object.entries(TAIL_BANDS).forEach(([name, contains]) => {
+        const inBand = markets.filter(m => contains(m.finalProbability));
+        groups[name] = {
+            count: inBand.length,
+            avgProbability: inBand.length > 0 ? stats.mean(inBand.map(m => m.finalProbability)) : 0,
+            winRate: inBand.length > 0 ? stats.mean(inBand.map(m => m.outcome)) : 0
+        };
+    });
+    return groups;
+}
+
+/**
+ * Kyle's lambda from the order book when one is loaded (executable depth),
+ * else regressed from the price history
+ */
+export function marketLambda(market) {
+    const fromBook = bookLambda(market);
+    if (fromBook !== null) return fromBook;
+
+    const prices = market.priceHistory?.map(p => p.price) || [0.5];
+    const volumes = market.priceHistory?.map(p => p.volume) || [1000];
+    return stats.kyleLambda(prices, volumes);
+}
+
+/**
+ * Volume, liquidity and price impact per category and platform
+ * @returns {Object[]} [{ category, platform, volume, liquidity, kyleLambda, count }]
+ */
+export function liquidityCells(markets) {
+    const cells = new Map();
+    markets.forEach(m => {
+        const key = `${m.category}|${m.platform}`;
+        if (!cells.has(key)) cells.set(key, { category: m.category, platform: m.platform, markets: [] });
+        cells.get(key).markets.push(m);
+    });
+
+    return [...cells.values()].map(({ category, platform, markets: inCell }) => ({
+        category,
+        platform,
+        volume: stats.sum(inCell.map(m => m.volume || 0)),
+        liquidity: stats.mean(inCell.map(m => m.liquidity || 0.5)),
+        kyleLambda: stats.mean(inCell.map(marketLambda)),
+        count: inCell.length
+    }));
+}
+
+// ===== Reports (the /api/analytics/* payloads) =====
+
+/**
+ * Binary scores, reliability diagram and per-category scores of resolved markets;
+ * categorical markets are scored as probability vectors
+ */
+export function calibrationReport(markets, { bins = 10 } = {}) {
+    const resolved = markets.filter(m => m.resolved);
+    const forecasts = binaryForecasts(markets);
+    const predictions = forecasts.map(m => m.finalProbability);
+    const outcomes = forecasts.map(m => m.outcome);
+
+    const categorical = markets.filter(m => isScorable(m) && m.outcomeType === 'categorical');
+    const vectors = categorical.map(m => m.outcomePrices);
+    const indices = categorical.map(m => m.resolvedOutcome);
+
+    return {
+        count: forecasts.length,
+        scores: binaryScores(predictions, outcomes),
+        bins: calibrationBins(predictions, outcomes, bins),
+        categories: groupBy(forecasts, m => m.category).map(([category, inCategory]) => ({
+            category,
+            count: inCategory.length,
+            ...binaryScores(inCategory.map(m => m.finalProbability), inCategory.map(m => m.outcome))
+        })),
+        categorical: categorical.length > 0 ? {
+            count: categorical.length,
+            brierScore: stats.multiclassBrierScore(vectors, indices),
+            logScore: stats.multiclassLogScore(vectors, indices)
+        } : null,
+        resolutions: countResolutions(resolved)
+    };
+}
+
+/**
+ * Murphy decomposition (reliability - resolution + uncertainty) overall,
+ * per platform and per category
+ */
+export function brierDecompositionReport(markets) {
+    const forecasts = binaryForecasts(markets);
+    const decompose = inGroup => ({
+        count: inGroup.length,
+        ...stats.brierDecomposition(inGroup.map(m => m.finalProbability), inGroup.map(m => m.outcome))
+    });
+
+    return {
+        overall: forecasts.length > 0 ? decompose(forecasts) : null,
+        platforms: groupBy(forecasts, m => m.platform).map(([platform, inGroup]) => ({ platform, ...decompose(inGroup) })),
+        categories: groupBy(forecasts, m => m.category).map(([category, inGroup]) => ({ category, ...decompose(inGroup) }))
+    };
+}
+
+/**
+ * Volume concentration, liquidity and price impact of every market, open or resolved
+ */
+export function liquidityReport(markets) {
+    const volumes = markets.map(m => m.volume || 0).sort((a, b) => b - a);
+    const totalVolume = stats.sum(volumes);
+    const top10Volume = stats.sum(volumes.slice(0, Math.floor(markets.length * 0.1)));
+
+    return {
+        count: markets.length,
+        totalVolume,
+        avgVolume: markets.length > 0 ? stats.mean(volumes) : null,
+        medianVolume: markets.length > 0 ? stats.median(volumes) : null,
+        gini: markets.length > 0 ? stats.giniCoefficient(volumes) : null,
+        top10Share: totalVolume > 0 ? top10Volume / totalVolume : 0,
+        avgLiquidity: markets.length > 0 ? stats.mean(markets.map(m => m.liquidity || 0.5)) : null,
+        liquidMarkets: markets.filter(m => (m.liquidity || 0) > 0.7).length,
+        cells: liquidityCells(markets),
+        categories: groupBy(markets, m => m.category).map(([category, inCategory]) => ({
+            category,
+            count: inCategory.length,
+            avgKyleLambda: stats.mean(inCategory.map(marketLambda))
+        }))
+    };
+}
+
+/**
+ * Favorite-longshot bias of resolved binary markets
+ */
+export function tailBiasReport(markets, { binSize = 0.05 } = {}) {
+    const forecasts = binaryForecasts(markets);
+    const probabilities = forecasts.map(m => m.finalProbability).sort((a, b) => a - b);
+    const inTails = forecasts.filter(m => m.finalProbability < 0.2 || m.finalProbability > 0.8);
+    const inMidrange = forecasts.filter(m => m.finalProbability >= 0.3 && m.finalProbability <= 0.7);
+    const brier = group => group.length > 0
+        ? stats.brierScore(group.map(m => m.finalProbability), group.map(m => m.outcome))
+        : null;
+
+    return {
+        count: forecasts.length,
+        bins: tailBiasBins(forecasts, binSize),
+        groups: tailGroups(forecasts),
+        tailBrier: brier(inTails),
+        midBrier: brier(inMidrange),
+        beta: forecasts.length > 0 ? stats.fitBeta(probabilities) : null,
+        gini: forecasts.length > 0 ? stats.giniCoefficient(probabilities) : null,
+        quantiles: forecasts.length > 0
+            ? { q10: stats.quantile(probabilities, 0.1), q90: stats.quantile(probabilities, 0.9) }
+            : null,
+        resolutions: countResolutions(markets.filter(m => m.resolved && isBinary(m)))
+    };
+}
+
+/**
+ * Resolved binary markets as evaluation records (evaluation/datasetBuilder.js).
+ * The pipeline scores YES / NO only, so partial resolutions are left out.
+ */
+export function evaluationRecords(markets) {
+    return binaryForecasts(markets)
+        .filter(m => m.outcome === 0 || m.outcome === 1)
+        .map(m => ({
+            id: m.id,
+            probability: m.finalProbability,
+            resolved: true,
+            outcome: m.outcome === 1,
+            platform: m.platform,
+            category: m.category,
+            created: m.createdAt,
+            volume: m.volume,
+            liquidity: m.liquidity
+        }));
+}
+
+/**
+ * The evaluation pipeline (evaluation/index.js) run on resolved binary markets:
+ * seeded train / validation / test splits, k-fold cross-validation and backtests.
+ * @param {Object} scenarios - evaluationScenario, datasetScenario and backtestScenario
+ *   (see createEvaluator, createDatasetBuilder and createBacktestEngine); unknown ones run the default
+ * @returns {Promise<Object>} { success, error?, records, report, summary, kfold, backtest, accuracyByConfidence, executionLog }
+ */
+export async function evaluationReport(markets, scenarios = {}) {
+    const records = evaluationRecords(markets);
+
+    const result = await runFullEvaluation(records, scenarios);
+    if (!result.success) {
+        return { success: false, error: result.error, records: records.length, executionLog: result.executionLog };
+    }
+
+    const { report, kfoldResult, backtestResult, accuracyByConfidence } = result.artifacts.pipeline;
+    return {
+        success: true,
+        records: records.length,
+        report,
+        summary: result.artifacts.exportFormats.summary(),
+        kfold: kfoldResult,
+        // Each window's event list repeats the input records; its eventCount stays
+        backtest: backtestResult.success
+            ? { ...backtestResult, results: backtestResult.results.map(({ events, ...window }) => window) }
+            : backtestResult,
+        accuracyByConfidence,
+        executionLog: result.executionLog
+    };
+}
+
+// ===== Utility Functions =====
+
+/**
+ * Records stored before schema v5 have no outcomeType
+ */
+function isBinary(market) {
+    return (market.outcomeType || 'binary') === 'binary';
+}
+
+/**
+ * [key, markets] pairs, largest group first
+ */
+function groupBy(markets, keyOf) {
+    const groups = new Map();
+    markets.forEach(m => {
+        const key = keyOf(m);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(m);
+    });
+    return [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+}
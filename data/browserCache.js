@@ -0,0 +1,89 @@
+// Browser Dataset Cache
+// Keeps the last loaded dataset in IndexedDB so a page load can render it
+// immediately and revalidate in the background. Datasets are stamped with the
+// market schema version; one written under another version is deleted unread.
+
+import { MARKET_SCHEMA_VERSION } from './marketSchema.js';
+
+const DB_NAME = 'prediction-markets-atlas';
+const DB_VERSION = 1; // bump when the store layout changes; upgrades drop old stores
+const STORE = 'datasets';
+const DATASET_KEY = 'latest';
+
+/**
+ * The cached dataset, or null when there is none (or IndexedDB is unavailable)
+ * @returns {Promise<{ markets, quarantine, savedAt, schemaVersion } | null>}
+ */
+export async function loadDataset() {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    try {
+        const dataset = await request(db.transaction(STORE, 'readonly').objectStore(STORE).get(DATASET_KEY));
+        if (!dataset) return null;
+
+        if (dataset.schemaVersion !== MARKET_SCHEMA_VERSION) {
+            console.log(`[Cache] Discarding dataset from schema v${dataset.schemaVersion} (current: v${MARKET_SCHEMA_VERSION})`);
+            await request(db.transaction(STORE, 'readwrite').objectStore(STORE).delete(DATASET_KEY));
+            return null;
+        }
+
+        return { ...dataset, savedAt: new Date(dataset.savedAt) };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Replace the cached dataset. Order books are left out: they are stale within seconds.
+ */
+export async function saveDataset({ markets, quarantine = [] }) {
+    const db = await openDatabase();
+    if (!db) return false;
+
+    try {
+        const dataset = {
+            schemaVersion: MARKET_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            markets: markets.map(({ orderBook, ...market }) => market),
+            quarantine
+        };
+        await request(db.transaction(STORE, 'readwrite').objectStore(STORE).put(dataset, DATASET_KEY));
+        console.log(`[Cache] Saved ${markets.length} markets`);
+        return true;
+    } finally {
+        db.close();
+    }
+}
+
+// ===== Utility Functions =====
+
+/**
+ * Open the database; resolves to null where IndexedDB is missing or blocked
+ * (private windows, tests), so callers fall back to a plain network load
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const open = indexedDB.open(DB_NAME, DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            [...db.objectStoreNames].forEach(name => db.deleteObjectStore(name));
+            db.createObjectStore(STORE);
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => {
+            console.warn('[Cache] IndexedDB unavailable:', open.error?.message);
+            resolve(null);
+        };
+        open.onblocked = () => resolve(null);
+    });
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
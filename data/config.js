@@ -0,0 +1,21 @@
+// Client Configuration
+// Endpoints, timeouts, retries and refresh intervals for the browser data layer.
+// Vite injects the `client` section of config/app.json, with environment
+// overrides applied, as __APP_CONFIG__ (see vite.config.js and server/config.js).
+// Outside a Vite build - the proxy imports the shared modules too - the defaults apply.
+
+export const CLIENT_DEFAULTS = {
+    proxyUrl: 'http://localhost:3001',
+    timeouts: {
+        markets: 60000, // market lists: must exceed the proxy's walk budget (upstream.walkBudgetMs)
+        request: 15000  // every other proxy request
+    },
+    retries: 2,                  // extra attempts when a platform's market list fails
+    refreshIntervalMs: 60000,    // merge refresh while the market stream is unavailable
+    fullRefreshMs: 5 * 60 * 1000, // merge refresh while the stream is up
+    bookTtlMs: 30000,            // order books are refetched after this
+    platforms: {}                // { [platformId]: false } disables an adapter
+};
+
+/* global __APP_CONFIG__ */
+export const CLIENT_CONFIG = typeof __APP_CONFIG__ === 'undefined' ? CLIENT_DEFAULTS : __APP_CONFIG__;
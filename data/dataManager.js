@@ -1,8 +1,21 @@
 // Data Manager - Coordinates data fetching and caching (LIVE REAL DATA ONLY)
 import { state } from '../state.js';
-import * as polymarketAPI from './polymarketAPI.js';
-import * as kalshiAPI from './kalshiAPI.js';
-import * as metaculusAPI from './metaculusAPI.js';
+import { listAdapters, getAdapter, hasCapability } from './platforms.js';
+import { CLIENT_CONFIG } from './config.js';
+import { attachStoredHistory, fetchStoredMarkets } from './snapshotAPI.js';
+import * as matchAPI from './matchAPI.js';
+import { findMatches } from './eventMatcher.js';
+import { enrichTrades, summarizeAccounts, scoreForecasters } from './tradeTape.js';
+import { DEPTH_BANDS } from './orderBook.js';
+import { locationGrid, toLocation, cdfAt } from './distribution.js';
+import { isScorable, MARKET_SCHEMA_VERSION } from './marketSchema.js';
+import { buildQualityReport } from './dataQuality.js';
+import { binaryForecasts, countResolutions } from './analytics.js';
+import { connectStream } from './streamAPI.js';
+import { configureTaxonomy } from './taxonomy.js';
+import { fetchTaxonomyConfig } from './taxonomyAPI.js';
+import { fetchUpstreamHealth } from './healthAPI.js';
+import * as browserCache from './browserCache.js';
 
 class DataCache {
     constructor(ttl = 300000) { // 5 min default TTL
@@ -22,13 +35,28 @@ class DataCache {
         return entry.data;
     }
     
-    set(key, data) {
+    set(key, data, meta = {}) {
         this.cache.set(key, {
             data,
+            meta,
             timestamp: Date.now()
         });
     }
     
+    /**
+     * Drop the entries whose meta matches; returns how many were dropped
+     */
+    invalidate(predicate) {
+        let dropped = 0;
+        this.cache.forEach((entry, key) => {
+            if (predicate(entry.meta)) {
+                this.cache.delete(key);
+                dropped++;
+            }
+        });
+        return dropped;
+    }
+    
     clear() {
         this.cache.clear();
     }
@@ -36,12 +64,64 @@ class DataCache {
 
 const cache = new DataCache();
 
+// Change events published when a refresh or a pushed delta alters the loaded markets:
+//   { type, marketId, platform, category, market, from?, to?, outcome? }
+//   added    - a market that was not loaded before
+//   price    - last price, outcome prices, forecast distribution or top of book moved (from/to: currentProbability)
+//   resolved - an open market resolved (resolution, outcome; resolvedOutcome / resolvedValue for categorical / continuous markets)
+//   delisted - a platform that answered no longer lists the market
+export const CHANGE_TYPES = ['added', 'price', 'resolved', 'delisted'];
+const changeListeners = new Set();
+
+// Change types each module's payload depends on; unlisted modules are dropped on any change
+const MODULE_DEPENDENCIES = {
+    'calibration': ['added', 'resolved', 'delisted'],
+    'continuous': ['added', 'resolved', 'delisted'],
+    'crowd-wisdom': ['added', 'resolved', 'delisted'],
+    'leaderboard': ['added', 'resolved', 'delisted'],
+    'tail-risk': ['added', 'resolved', 'delisted'],
+    'sentiment': ['added', 'price', 'delisted'],
+    'temporal': ['added', 'price', 'delisted'],
+    'quarantine': []  // dropped when a refresh replaces the quarantine instead
+};
+
+// Full merge refreshes catch resolutions and delistings the stream does not poll for
+const FULL_REFRESH_MS = CLIENT_CONFIG.fullRefreshMs;
+
+// Per-market fetches go through the platform adapter (data/platforms.js);
+// ids are passed without the platform prefix
+const MAX_HISTORY_FETCHES = 20;
+const historyRequests = new Map(); // marketId_resolution -> in-flight or non-empty settled promise
+
+const MIN_TAPE_TRADES = 20;
+const MAX_TAPE_CANDIDATES = 5;
+const MAX_LEADERBOARD_MARKETS = 25;
+const tradeRequests = new Map(); // marketId -> in-flight or non-empty settled promise
+
+// Books go stale fast, so they are refetched after BOOK_TTL
+const BOOK_TTL = CLIENT_CONFIG.bookTtlMs;
+const BOOK_FIELDS = ['bestBid', 'bestAsk', 'mid', 'spread', 'depth'];
+const MAX_BOOK_FETCHES = 30;
+const bookRequests = new Map(); // marketId -> { fetchedAt, promise }
+
+// Markets last added from the snapshot store, kept when a later store fetch fails
+let archivedIds = new Set();
+
+// Categorical outcome prices may drift this far from summing to one before it is a violation
+const SUM_TOLERANCE = 0.02;
+
 /**
  * Initialize data layer
  */
 export async function initializeData() {
     console.log('📡 Initializing data layer (LIVE DATA ONLY)...');
     
+    // Render the last session's dataset right away; live data merges in when it arrives
+    if (state.useLiveData && await restoreCachedDataset()) {
+        revalidateCachedDataset();
+        return;
+    }
+    
     try {
         if (state.useLiveData) {
             await loadLiveData();
@@ -53,97 +133,391 @@ export async function initializeData() {
         console.error('❌ CRITICAL: Failed to load live data:', error);
         console.error('Stack:', error.stack);
         state.markets = [];
-        state.apiStatus.polymarket = 'offline';
-        state.apiStatus.kalshi = 'offline';
-        state.apiStatus.metaculus = 'offline';
+        listAdapters().forEach(({ id }) => {
+            state.apiStatus[id] = 'offline';
+        });
     }
     
     state.lastUpdate = new Date();
     updateMarketsLoaded();
 }
 
+/**
+ * Put the dataset saved by the last session into state, marked stale
+ * @returns {Promise<boolean>} whether there was one
+ */
+async function restoreCachedDataset() {
+    let dataset = null;
+    try {
+        dataset = await browserCache.loadDataset();
+    } catch (err) {
+        console.warn('[DM] ⚠️ Cached dataset unreadable:', err.message);
+    }
+    if (!dataset) return false;
+    
+    // Markets of platforms disabled since the dataset was saved would never be refreshed
+    const platforms = new Set(listAdapters().map(({ id }) => id));
+    dataset.markets = dataset.markets.filter(market => platforms.has(market.platform));
+    dataset.quarantine = dataset.quarantine.filter(record => platforms.has(record.platform));
+    if (dataset.markets.length === 0) return false;
+    
+    console.log(`[DM] 💾 Rendering ${dataset.markets.length} cached markets saved ${dataset.savedAt.toLocaleString()}`);
+    state.markets = dataset.markets;
+    state.quarantine = dataset.quarantine;
+    state.forecasters = [];
+    state.cacheStatus = { stale: true, savedAt: dataset.savedAt, revalidating: true };
+    state.lastUpdate = dataset.savedAt;
+    updateMatches();
+    updateMarketsLoaded();
+    return true;
+}
+
+/**
+ * Fetch live data behind a restored dataset and merge it in; the change
+ * events re-render whatever the cached data put on screen
+ */
+async function revalidateCachedDataset() {
+    try {
+        await loadSettings();
+        updateMatches();
+        await refreshData();
+    } catch (err) {
+        console.warn('[DM] ⚠️ Revalidation failed; keeping cached data:', err.message);
+    } finally {
+        state.cacheStatus = { ...state.cacheStatus, revalidating: false };
+    }
+}
+
+/**
+ * Taxonomy and match overrides from the proxy; both are optional
+ */
+async function loadSettings() {
+    // Category overrides must be in place before the adapters classify anything
+    try {
+        configureTaxonomy(await fetchTaxonomyConfig());
+    } catch (err) {
+        console.warn('[DM] ⚠️ Taxonomy overrides unavailable:', err.message);
+    }
+    
+    // Manual decisions saved by the proxy; matching still runs without them
+    try {
+        state.matchOverrides = await matchAPI.fetchOverrides();
+    } catch (err) {
+        console.warn('[DM] ⚠️ Match overrides unavailable:', err.message);
+    }
+}
+
+/**
+ * Save the loaded markets for the next page load and mark them fresh
+ */
+function persistDataset() {
+    state.cacheStatus = { stale: false, savedAt: new Date(), revalidating: false };
+    browserCache.saveDataset({ markets: state.markets, quarantine: state.quarantine })
+        .catch(err => console.warn('[DM] ⚠️ Could not cache dataset:', err.message));
+}
+
 /**
  * Load live data from APIs with retries
  */
 async function loadLiveData() {
     console.log('🌐 Fetching from live APIs...');
     
-    // Try each API with retry logic
-    const apiAttempts = [];
+    await loadSettings();
     
-    // Polymarket
-    apiAttempts.push(
-        retryFetch(() => polymarketAPI.fetchMarkets(), 'Polymarket')
-            .then(data => {
-                console.log(`[DM] ✅ Polymarket returned ${data.length} markets`);
-                state.apiStatus.polymarket = 'online';
-                return data;
-            })
-            .catch(err => {
-                console.error('[DM] ❌ Polymarket failed:', err.message);
-                state.apiStatus.polymarket = 'offline';
-                return [];
-            })
-    );
+    const { markets: allMarkets, quarantine } = await fetchAllMarkets();
+    state.quarantine = Object.values(quarantine).flat();
     
-    // Kalshi
-    apiAttempts.push(
-        retryFetch(() => kalshiAPI.fetchMarkets(), 'Kalshi')
-            .then(data => {
-                console.log(`[DM] ✅ Kalshi returned ${data.length} markets`);
-                state.apiStatus.kalshi = 'online';
-                return data;
-            })
-            .catch(err => {
-                console.error('[DM] ❌ Kalshi failed:', err.message);
-                state.apiStatus.kalshi = 'offline';
-                return [];
-            })
-    );
+    if (allMarkets.length === 0) {
+        console.error('[DM] 🚨 NO DATA AVAILABLE FROM ANY API');
+        console.error('[DM] API Status:', state.apiStatus);
+        throw new Error('All APIs failed - no data available');
+    }
+    
+    // Price history accumulated by the proxy's snapshot store
+    try {
+        await attachStoredHistory(allMarkets);
+    } catch (err) {
+        console.warn('[DM] ⚠️ Stored history unavailable:', err.message);
+    }
+    
+    console.log(`[DM] 📊 Total markets loaded: ${allMarkets.length}`);
+    state.markets = allMarkets;
+    state.forecasters = [];
+    updateMatches();
+    persistDataset();
+}
+
+/**
+ * Fetch every enabled platform
+ * @returns {Promise<{ markets: Object[], platforms: Set<string>, quarantine: Object }>}
+ *   platforms that answered, and the records each rejected during validation
+ */
+async function fetchAllMarkets() {
+    // Records each adapter rejected during validation, by platform
+    const quarantine = {};
     
-    // Metaculus
-    apiAttempts.push(
-        retryFetch(() => metaculusAPI.fetchMarkets(), 'Metaculus')
-            .then(data => {
-                console.log(`[DM] ✅ Metaculus returned ${data.length} markets`);
-                state.apiStatus.metaculus = 'online';
-                return data;
+    // Try each enabled platform with retry logic
+    const apiAttempts = listAdapters().map(adapter =>
+        retryFetch(() => adapter.fetchMarkets(), adapter.label)
+            .then(({ markets, quarantined }) => {
+                console.log(`[DM] ✅ ${adapter.label} returned ${markets.length} markets (${quarantined.length} quarantined)`);
+                state.apiStatus[adapter.id] = 'online';
+                delete state.apiErrors[adapter.id];
+                quarantine[adapter.id] = quarantined;
+                return markets;
             })
             .catch(err => {
-                console.error('[DM] ❌ Metaculus failed:', err.message);
-                state.apiStatus.metaculus = 'offline';
+                console.error(`[DM] ❌ ${adapter.label} failed:`, err.message);
+                state.apiStatus[adapter.id] = 'offline';
+                state.apiErrors[adapter.id] = err.message;
                 return [];
             })
     );
     
     const results = await Promise.allSettled(apiAttempts);
-    const allMarkets = results
+    await updateUpstreamHealth();
+    const liveMarkets = results
         .filter(r => r.status === 'fulfilled')
         .map(r => r.value)
         .flat();
     
+    // Resolved markets the live listings no longer reach, from the snapshot store
+    // (see scripts/backfill.js); listing them here keeps a refresh from delisting them
+    const allMarkets = [...liveMarkets, ...await fetchArchivedMarkets(liveMarkets)];
+    
     console.log('[DM] All results settled, total markets collected:', allMarkets.length);
     
-    if (allMarkets.length === 0) {
-        console.error('[DM] 🚨 NO DATA AVAILABLE FROM ANY API');
-        console.error('[DM] API Status:', state.apiStatus);
-        throw new Error('All APIs failed - no data available');
+    return { markets: allMarkets, platforms: new Set(Object.keys(quarantine)), quarantine };
+}
+
+/**
+ * Stored resolved markets of enabled platforms that are not in the live set.
+ * Records written under an older schema are left out rather than mixed in.
+ * When the store cannot be reached the previously added ones are returned
+ * again, so a refresh does not delist them.
+ */
+async function fetchArchivedMarkets(liveMarkets) {
+    const live = new Set(liveMarkets.map(m => m.id));
+    
+    let stored;
+    try {
+        stored = await fetchStoredMarkets({ resolved: true });
+    } catch (err) {
+        console.warn('[DM] ⚠️ Stored resolved markets unavailable, keeping the loaded ones:', err.message);
+        return state.markets.filter(m => archivedIds.has(m.id) && !live.has(m.id));
     }
     
-    console.log(`[DM] 📊 Total markets loaded: ${allMarkets.length}`);
-    state.markets = allMarkets;
-    state.forecasters = [];
+    const platforms = new Set(listAdapters().map(({ id }) => id));
+    const archived = stored
+        .filter(m => platforms.has(m.platform) && !live.has(m.id) && m.schemaVersion === MARKET_SCHEMA_VERSION)
+        .map(m => ({ ...m, priceHistory: [] }));
+    archivedIds = new Set(archived.map(m => m.id));
+    
+    if (archived.length > 0) {
+        console.log(`[DM] 🗄️ Added ${archived.length} stored resolved markets`);
+    }
+    return archived;
+}
+
+/**
+ * Ask the proxy how each upstream is doing, for the status bar.
+ * null means the proxy itself could not be reached.
+ */
+async function updateUpstreamHealth() {
+    try {
+        state.upstreamHealth = await fetchUpstreamHealth();
+    } catch (err) {
+        console.warn('[DM] ⚠️ Upstream health unavailable:', err.message);
+        state.upstreamHealth = null;
+    }
+}
+
+/**
+ * Fetch every platform again and merge the result into the loaded markets,
+ * publishing what changed instead of replacing state.markets
+ * @returns {Promise<Object[]>} the change events
+ */
+export async function refreshData() {
+    const { markets, platforms, quarantine } = await fetchAllMarkets();
+    if (markets.length === 0) {
+        console.warn('[DM] ⚠️ Refresh returned no markets; keeping the loaded ones');
+        return [];
+    }
+    
+    const changes = mergeMarkets(markets, platforms);
+    
+    const added = changes.filter(c => c.type === 'added').map(c => c.market);
+    if (added.length > 0) {
+        try {
+            await attachStoredHistory(added);
+        } catch (err) {
+            console.warn('[DM] ⚠️ Stored history unavailable:', err.message);
+        }
+    }
+    
+    // Platforms that failed keep their previous quarantine
+    state.quarantine = [
+        ...(state.quarantine || []).filter(record => !platforms.has(record.platform)),
+        ...Object.values(quarantine).flat()
+    ];
+    cache.invalidate(meta => meta.moduleId === 'quarantine');
+    
+    publishChanges(changes, new Date());
+    persistDataset();
+    return changes;
+}
+
+/**
+ * Merge freshly fetched markets into state.markets by id. Loaded markets are
+ * updated in place so enrichment (priceHistory, orderBook) survives; markets
+ * missing from a platform that answered are delisted, while the markets of a
+ * platform that failed are kept.
+ * @param {Set<string>} platforms - platforms that answered
+ * @returns {Object[]} change events
+ */
+function mergeMarkets(fresh, platforms) {
+    const at = new Date().toISOString();
+    const incoming = new Map(fresh.map(m => [m.id, m]));
+    const kept = [];
+    const changes = [];
+    
+    state.markets.forEach(market => {
+        const next = incoming.get(market.id);
+        if (!next) {
+            if (platforms.has(market.platform)) {
+                changes.push(marketChange('delisted', market));
+            } else {
+                kept.push(market);
+            }
+            return;
+        }
+        
+        incoming.delete(market.id);
+        changes.push(...updateMarket(market, next, at));
+        kept.push(market);
+    });
+    
+    incoming.forEach(market => {
+        kept.push(market);
+        changes.push(marketChange('added', market));
+    });
+    
+    state.markets = kept;
+    return changes;
+}
+
+/**
+ * Copy new field values onto a loaded market.
+ * Price moves extend priceHistory so charts move with the data.
+ * @returns {Object[]} change events
+ */
+function updateMarket(market, next, at) {
+    // A listing without quotes must not wipe the quotes of a loaded order book
+    if (market.orderBook) {
+        next = Object.fromEntries(Object.entries(next)
+            .filter(([field, value]) => !(BOOK_FIELDS.includes(field) && value === null)));
+    }
+    
+    const changes = [];
+    const priceMoved = ['currentProbability', 'bestBid', 'bestAsk']
+        .some(field => field in next && next[field] !== market[field])
+        || ['outcomePrices', 'distribution']
+            .some(field => field in next && JSON.stringify(next[field]) !== JSON.stringify(market[field]));
+    
+    if (priceMoved) {
+        changes.push(marketChange('price', market, { from: market.currentProbability, to: next.currentProbability }));
+    }
+    if (next.resolved && !market.resolved) {
+        changes.push(marketChange('resolved', market, {
+            resolution: next.resolution ?? null,
+            outcome: next.outcome,
+            resolvedOutcome: next.resolvedOutcome ?? null,
+            resolvedValue: next.resolvedValue ?? null
+        }));
+    }
+    
+    const { priceHistory, ...fields } = next;
+    const hadHistory = Array.isArray(market.priceHistory) && market.priceHistory.length > 0;
+    Object.assign(market, fields);
+    
+    if (Array.isArray(priceHistory) && priceHistory.length > (market.priceHistory?.length || 0)) {
+        market.priceHistory = priceHistory;
+    } else if (hadHistory && 'currentProbability' in fields && changes.some(c => c.type === 'price')) {
+        market.priceHistory.push({ timestamp: at, price: market.currentProbability, volume: next.volume ?? 0 });
+    }
+    return changes;
+}
+
+function marketChange(type, market, details = {}) {
+    return { type, marketId: market.id, platform: market.platform, category: market.category, market, ...details };
+}
+
+/**
+ * Rematch, invalidate the module payloads the changes touch and notify listeners
+ */
+function publishChanges(changes, at) {
+    state.lastUpdate = at;
+    if (changes.length === 0) return;
+    
+    if (changes.some(c => c.type === 'added' || c.type === 'delisted')) updateMatches();
+    
+    const types = new Set(changes.map(c => c.type));
+    const dropped = cache.invalidate(({ moduleId }) => {
+        const dependsOn = MODULE_DEPENDENCIES[moduleId] || CHANGE_TYPES;
+        return dependsOn.some(type => types.has(type));
+    });
+    
+    const counts = CHANGE_TYPES.map(type => `${changes.filter(c => c.type === type).length} ${type}`).join(', ');
+    console.log(`[DM] 🔄 ${counts}; dropped ${dropped} cached module payloads`);
+    
+    updateMarketsLoaded();
+    changeListeners.forEach(listener => {
+        try {
+            listener(changes);
+        } catch (err) {
+            console.error('[DM] Market change listener failed:', err);
+        }
+    });
+}
+
+/**
+ * Subscribe to market change events (see CHANGE_TYPES)
+ * @param {Function} listener - called with the change events of each refresh or delta
+ * @returns {Function} unsubscribe
+ */
+export function onMarketChanges(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+/**
+ * Recompute cross-platform event matches for the loaded markets
+ */
+function updateMatches() {
+    // Cross-platform pairs compare YES prices
+    state.matches = findMatches(state.markets.filter(isBinary), { overrides: state.matchOverrides });
+    console.log(`[DM] 🔗 Matched ${state.matches.length} cross-platform market pairs`);
+}
+
+/**
+ * Confirm or reject a match, save it through the proxy and rematch
+ */
+export async function setMatchDecision(idA, idB, decision) {
+    const { key } = await matchAPI.saveOverride(idA, idB, decision);
+    state.matchOverrides = { ...state.matchOverrides, [key]: decision };
+    updateMatches();
+    cache.invalidate(meta => meta.moduleId === 'arbitrage');
 }
 
 /**
  * Retry a fetch operation with exponential backoff
  */
-async function retryFetch(fetchFn, apiName, maxAttempts = 3) {
+async function retryFetch(fetchFn, apiName, maxAttempts = CLIENT_CONFIG.retries + 1) {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
             console.log(`  [${apiName}] Attempt ${attempt}/${maxAttempts}...`);
             const result = await fetchFn();
-            console.log(`  [${apiName}] ✅ Attempt ${attempt} succeeded with ${result.length} items`);
+            console.log(`  [${apiName}] ✅ Attempt ${attempt} succeeded with ${result.markets.length} items`);
             return result;
         } catch (error) {
             console.warn(`  [${apiName}] Attempt ${attempt} failed:`, error.message);
@@ -157,6 +531,130 @@ async function retryFetch(fetchFn, apiName, maxAttempts = 3) {
     throw new Error(`${apiName} failed after ${maxAttempts} attempts`);
 }
 
+/**
+ * Fetch and attach real price history to one market (on demand).
+ * Each market is requested from the proxy at most once per resolution;
+ * an empty result (adapters resolve failed fetches to []) is requested again next time.
+ */
+export async function loadPriceHistory(market, resolution = '1h') {
+    if (!canLoad(market, 'history')) {
+        return market.priceHistory || [];
+    }
+    
+    const requestKey = `${market.id}_${resolution}`;
+    if (!historyRequests.has(requestKey)) {
+        const request = getAdapter(market.platform).fetchHistory(platformId(market), resolution);
+        historyRequests.set(requestKey, request);
+        request.then(
+            history => { if (history.length === 0) historyRequests.delete(requestKey); },
+            () => historyRequests.delete(requestKey)
+        );
+    }
+    
+    const history = await historyRequests.get(requestKey);
+    if (history.length > (market.priceHistory?.length || 0)) {
+        market.priceHistory = history;
+    }
+    return market.priceHistory;
+}
+
+/**
+ * Fetch the real trade tape of one market (on demand, once per market until a fetch returns trades)
+ */
+export async function loadTrades(market) {
+    if (!canLoad(market, 'trades')) {
+        return [];
+    }
+    
+    if (!tradeRequests.has(market.id)) {
+        const request = getAdapter(market.platform).fetchTrades(platformId(market));
+        tradeRequests.set(market.id, request);
+        // Adapters turn a failed fetch into []: let the next load try again
+        request.then(
+            trades => { if (trades.length === 0) tradeRequests.delete(market.id); },
+            () => tradeRequests.delete(market.id)
+        );
+    }
+    
+    return tradeRequests.get(market.id);
+}
+
+/**
+ * The highest-volume exchange market with a usable trade tape
+ * @returns {Promise<{ market: Object, fills: Object[], trades: Object[] } | null>}
+ */
+async function selectTapeMarket() {
+    const candidates = state.markets
+        .filter(m => canLoad(m, 'trades'))
+        .sort((a, b) => (b.volume || 0) - (a.volume || 0))
+        .slice(0, MAX_TAPE_CANDIDATES);
+    
+    for (const market of candidates) {
+        const fills = await loadTrades(market);
+        const trades = enrichTrades(fills);
+        if (trades.length >= MIN_TAPE_TRADES) {
+            return { market, fills, trades };
+        }
+    }
+    
+    console.warn('[DM] ⚠️ No market with a usable trade tape');
+    return null;
+}
+
+/**
+ * Fetch a market's order book and copy its quote fields onto the market
+ * (bestBid, bestAsk, mid, spread, depth; the full book goes on `orderBook`)
+ */
+export async function loadOrderBook(market) {
+    if (!canLoad(market, 'orderBook')) {
+        return null;
+    }
+    
+    const cached = bookRequests.get(market.id);
+    if (!cached || Date.now() - cached.fetchedAt > BOOK_TTL) {
+        const promise = getAdapter(market.platform).fetchOrderBook(platformId(market));
+        bookRequests.set(market.id, { fetchedAt: Date.now(), promise });
+    }
+    
+    const data = await bookRequests.get(market.id).promise;
+    if (data) {
+        const { book, bestBid, bestAsk, mid, spread, depth } = data;
+        Object.assign(market, { bestBid, bestAsk, mid, spread, depth, orderBook: book });
+    }
+    return data;
+}
+
+/**
+ * Load books for the highest-volume open exchange markets among `markets`
+ */
+async function ensureOrderBooks(markets, limit = MAX_BOOK_FETCHES) {
+    const candidates = markets
+        .filter(m => canLoad(m, 'orderBook') && !m.resolved)
+        .sort((a, b) => (b.volume || 0) - (a.volume || 0))
+        .slice(0, limit);
+    
+    if (candidates.length === 0) return;
+    
+    console.log(`[DM] Loading order books for ${candidates.length} markets...`);
+    await Promise.allSettled(candidates.map(m => loadOrderBook(m)));
+}
+
+/**
+ * Attach price history to the highest-volume markets that lack a usable one
+ */
+async function ensurePriceHistories(markets, minPoints, limit = MAX_HISTORY_FETCHES) {
+    const candidates = markets
+        .filter(m => canLoad(m, 'history') && !historyRequests.has(`${m.id}_1h`))
+        .filter(m => !m.priceHistory || m.priceHistory.length <= minPoints)
+        .sort((a, b) => (b.volume || 0) - (a.volume || 0))
+        .slice(0, limit);
+    
+    if (candidates.length === 0) return;
+    
+    console.log(`[DM] Loading price history for ${candidates.length} markets...`);
+    await Promise.allSettled(candidates.map(m => loadPriceHistory(m)));
+}
+
 /**
  * Get data for specific module
  */
@@ -179,6 +677,9 @@ export async function getModuleData(moduleId) {
         case 'calibration':
             data = await getCalibrationData();
             break;
+        case 'continuous':
+            data = await getContinuousData();
+            break;
         case 'crowd-wisdom':
             data = await getCrowdWisdomData();
             break;
@@ -206,11 +707,17 @@ export async function getModuleData(moduleId) {
         case 'temporal':
             data = await getTemporalData();
             break;
+        case 'quarantine':
+            data = await getQuarantineData();
+            break;
+        case 'data-quality':
+            data = await getDataQualityData();
+            break;
         default:
             data = {};
     }
     
-    cache.set(cacheKey, data);
+    cache.set(cacheKey, data, { moduleId });
     return data;
 }
 
@@ -229,14 +736,52 @@ async function getAllData() {
     };
 }
 
+/**
+ * Binary markets feed the calibration curve and the binary scores; categorical
+ * markets are scored as probability vectors (`forecasts`). Their outcomes are
+ * not added to the curve one-vs-rest: Kalshi lists each outcome of an event as
+ * a binary market already.
+ * Partial resolutions score at their payout; void and disputed markets are
+ * left out and only counted (`resolutions`).
+ */
 async function getCalibrationData() {
     const resolvedMarkets = state.markets.filter(m => m.resolved);
+    const scorable = resolvedMarkets.filter(isScorable);
+    const binaryMarkets = binaryForecasts(scorable);
+    
+    return {
+        markets: binaryMarkets,
+        predictions: binaryMarkets.map(m => m.finalProbability),
+        outcomes: binaryMarkets.map(m => m.outcome),
+        forecasts: scorable.filter(m => m.outcomeType === 'categorical').map(m => ({
+            market: m,
+            probabilities: m.outcomePrices,
+            resolvedIndex: m.resolvedOutcome
+        })),
+        resolutions: countResolutions(resolvedMarkets),
+        categories: [...new Set(scorable.map(m => m.category))]
+    };
+}
+
+/**
+ * Resolved continuous questions with their forecast CDF on the internal [0, 1]
+ * scale (data/distribution.js), so questions with different units score alike
+ */
+async function getContinuousData() {
+    const continuous = state.markets.filter(m => m.outcomeType === 'continuous');
+    const resolvedMarkets = continuous.filter(isScorable);
     
     return {
         markets: resolvedMarkets,
-        predictions: resolvedMarkets.map(m => m.finalProbability),
-        outcomes: resolvedMarkets.map(m => m.outcome),
-        categories: [...new Set(resolvedMarkets.map(m => m.category))]
+        forecasts: resolvedMarkets.map(m => ({
+            market: m,
+            grid: locationGrid(m.distribution),
+            cdf: m.distribution.cdf,
+            observed: toLocation(m.distribution, m.resolvedValue),
+            pit: cdfAt(m.distribution, m.resolvedValue)
+        })),
+        openCount: continuous.filter(m => !m.resolved).length,
+        resolutions: countResolutions(continuous.filter(m => m.resolved))
     };
 }
 
@@ -245,7 +790,7 @@ async function getCrowdWisdomData() {
         return { events: [] };
     }
 
-    const resolvedMarkets = state.markets.filter(m => m.resolved).slice(0, 20);
+    const resolvedMarkets = state.markets.filter(m => isScorable(m) && isBinary(m)).slice(0, 20);
     
     // Generate expert forecasts (synthetic)
     const eventsWithForecasts = resolvedMarkets.map(market => ({
@@ -266,9 +811,21 @@ async function getCrowdWisdomData() {
 
 async function getPriceDiscoveryData() {
     if (state.useLiveData && state.strictRealData) {
-        return { market: null, trades: [] };
+        const tape = await selectTapeMarket();
+        if (!tape) {
+            return { market: null, trades: [] };
+        }
+        
+        await loadPriceHistory(tape.market);
+        return {
+            market: tape.market,
+            trades: tape.trades,
+            priceHistory: tape.market.priceHistory
+        };
     }
 
+    await ensurePriceHistories(state.markets, 100);
+    
     const markets = state.markets.filter(m => m.priceHistory && m.priceHistory.length > 100);
     const selectedMarket = markets[Math.floor(Math.random () * markets.length)];
     
@@ -287,7 +844,7 @@ async function getPriceDiscoveryData() {
 
 async function getArbitrageData() {
     if (state.useLiveData && state.strictRealData) {
-        return { markets: [], opportunities: [] };
+        return await getMatchedArbitrageData();
     }
 
     const correlatedMarkets = syntheticData.generateCorrelatedMarkets(state.markets.slice(0, 50));
@@ -299,6 +856,66 @@ async function getArbitrageData() {
     };
 }
 
+/**
+ * Price gaps between markets on different platforms matched to the same event.
+ * Buying YES at one market's ask and selling it at the other's bid (buying NO)
+ * locks in the gap before fees. Markets without a book fall back to last trade.
+ */
+async function getMatchedArbitrageData() {
+    // Only venues with an order book can be traded against
+    const tradable = state.matches
+        .filter(({ a, b }) => [a, b].every(m => canLoad(m, 'orderBook') && !m.resolved));
+    
+    await ensureOrderBooks(tradable.flatMap(({ a, b }) => [a, b]));
+    
+    const ask = m => m.bestAsk ?? m.currentProbability;
+    const bid = m => m.bestBid ?? m.currentProbability;
+    
+    const opportunities = tradable.map(match => {
+        const [cheap, dear] = bid(match.b) - ask(match.a) >= bid(match.a) - ask(match.b)
+            ? [match.a, match.b]
+            : [match.b, match.a];
+        return {
+            key: match.key,
+            marketA: cheap,
+            marketB: dear,
+            priceA: ask(cheap),
+            priceB: bid(dear),
+            executable: cheap.bestAsk !== null && dear.bestBid !== null,
+            profitPotential: bid(dear) - ask(cheap),
+            matchScore: match.score,
+            matchSource: match.source,
+            description: `YES on ${cheap.platform}, NO on ${dear.platform}: ${cheap.title}`
+        };
+    }).filter(opp => opp.profitPotential > 0);
+    
+    const markets = [...new Map(state.matches.flatMap(({ a, b }) => [[a.id, a], [b.id, b]])).values()];
+    
+    return { markets, matches: state.matches, opportunities, sumViolations: findSumViolations(state.markets) };
+}
+
+/**
+ * Open categorical markets whose outcome prices do not sum to one.
+ * Above one, selling every outcome (buying every NO) pays the overround;
+ * below one, buying every outcome costs less than the one it pays out.
+ * Prices are last trades, so a violation is a lead, not an executable trade.
+ */
+function findSumViolations(markets) {
+    return markets
+        .filter(m => m.outcomeType === 'categorical' && !m.resolved)
+        .map(market => {
+            const total = market.outcomePrices.reduce((sum, p) => sum + p, 0);
+            return {
+                market,
+                total,
+                overround: total - 1,
+                direction: total > 1 ? 'sell-all' : 'buy-all'
+            };
+        })
+        .filter(v => Math.abs(v.overround) > SUM_TOLERANCE)
+        .sort((a, b) => Math.abs(b.overround) - Math.abs(a.overround));
+}
+
 async function getSentimentData() {
     if (state.useLiveData && state.strictRealData) {
         return { timeseries: [] };
@@ -321,7 +938,10 @@ async function getSentimentData() {
 }
 
 async function getLiquidityData() {
+    await ensureOrderBooks(state.markets);
+    
     return {
+        depthBands: DEPTH_BANDS,
         markets: state.markets,
         categories: [...new Set(state.markets.map(m => m.category))]
     };
@@ -329,8 +949,17 @@ async function getLiquidityData() {
 
 async function getLeaderboardData() {
     if (state.useLiveData && state.strictRealData) {
+        // Forecasters are the accounts trading resolved markets whose tapes name them
+        const scored = state.markets
+            .filter(m => isScorable(m) && canLoad(m, 'trades'))
+            .sort((a, b) => (b.traders || 0) - (a.traders || 0) || (b.volume || 0) - (a.volume || 0))
+            .slice(0, MAX_LEADERBOARD_MARKETS);
+        
+        console.log(`[DM] Loading trade tapes of ${scored.length} resolved markets for the leaderboard...`);
+        const tapes = await Promise.all(scored.map(async market => ({ market, fills: await loadTrades(market) })));
+        
         return {
-            forecasters: [],
+            forecasters: scoreForecasters(tapes),
             markets: state.markets.filter(m => m.resolved)
         };
     }
@@ -343,7 +972,17 @@ async function getLeaderboardData() {
 
 async function getWhalesData() {
     if (state.useLiveData && state.strictRealData) {
-        return { trades: null, whales: [], market: null };
+        const tape = await selectTapeMarket();
+        if (!tape) {
+            return { trades: null, whales: [], market: null };
+        }
+        
+        // Kalshi fills are anonymous, so only Polymarket tapes yield whales
+        return {
+            trades: tape.trades,
+            whales: summarizeAccounts(tape.fills, tape.market),
+            market: tape.market
+        };
     }
 
     const market = state.markets.find(m => m.priceHistory && m.priceHistory.length > 100);
@@ -359,21 +998,72 @@ async function getWhalesData() {
 }
 
 async function getTailRiskData() {
-    const resolvedMarkets = state.markets.filter(m => m.resolved);
+    const binaryMarkets = state.markets.filter(m => m.resolved && isBinary(m));
+    const resolvedMarkets = binaryForecasts(binaryMarkets);
     
     return {
         markets: resolvedMarkets,
         predictions: resolvedMarkets.map(m => m.finalProbability),
-        outcomes: resolvedMarkets.map(m => m.outcome)
+        outcomes: resolvedMarkets.map(m => m.outcome),
+        resolutions: countResolutions(binaryMarkets)
     };
 }
 
 async function getTemporalData() {
+    await ensurePriceHistories(state.markets, 50);
+    
     const markets = state.markets.filter(m => m.priceHistory && m.priceHistory.length > 50);
 
     return { markets: markets.length > 0 ? markets : null };
 }
 
+async function getQuarantineData() {
+    const platform = state.filters.platform;
+    const inPlatform = item => platform === 'all' || item.platform === platform;
+    
+    return {
+        records: (state.quarantine || []).filter(inPlatform),
+        acceptedCount: state.markets.filter(inPlatform).length
+    };
+}
+
+/**
+ * Missing, defaulted, stale and duplicate fields per platform (data/dataQuality.js),
+ * with the markets each finding points at
+ */
+async function getDataQualityData() {
+    const platform = state.filters.platform;
+    const inPlatform = item => platform === 'all' || item.platform === platform;
+    const markets = state.markets.filter(inPlatform);
+    
+    return {
+        report: buildQualityReport(markets, { quarantine: (state.quarantine || []).filter(inPlatform) }),
+        markets: new Map(markets.map(m => [m.id, m]))
+    };
+}
+
+/**
+ * Markets with a single YES price; records stored before schema v5 have no outcomeType
+ */
+function isBinary(market) {
+    return (market.outcomeType || 'binary') === 'binary';
+}
+
+/**
+ * Whether a market's history, trades or book can be loaded: the per-market
+ * routes serve a single YES contract, which a categorical market does not have
+ */
+function canLoad(market, capability) {
+    return hasCapability(market.platform, capability) && isBinary(market);
+}
+
+/**
+ * A market's id on its own platform (the id without the platform prefix)
+ */
+function platformId(market) {
+    return market.id.slice(market.platform.length + 1);
+}
+
 function updateMarketsLoaded() {
     const element = document.getElementById('markets-loaded');
     if (element) {
@@ -381,11 +1071,60 @@ function updateMarketsLoaded() {
     }
 }
 
-// Refresh data periodically
-export function startDataRefresh(intervalMs = 60000) {
-    setInterval(async () => {
-        if (state.useLiveData) {
-            await initializeData();
+/**
+ * Apply one pushed delta to state.markets in place, publishing the same
+ * change events as a full refresh
+ * @returns {Object[]} the change events
+ */
+export function applyMarketDelta(delta) {
+    const byId = new Map(state.markets.map(m => [m.id, m]));
+    const changes = [];
+    
+    delta.added.forEach(market => {
+        const known = byId.get(market.id);
+        if (known) {
+            changes.push(...updateMarket(known, market, delta.at));
+            return;
         }
-    }, intervalMs);
+        const added = { ...market, priceHistory: market.priceHistory || [] };
+        state.markets.push(added);
+        byId.set(added.id, added);
+        changes.push(marketChange('added', added));
+    });
+    
+    delta.updated.forEach(({ id, changes: fields }) => {
+        const market = byId.get(id);
+        if (!market) return;
+        changes.push(...updateMarket(market, fields, delta.at));
+    });
+    
+    publishChanges(changes, new Date(delta.at));
+    return changes;
+}
+
+/**
+ * Keep state current: apply pushed deltas as they arrive and merge a full
+ * refresh every few minutes, or every `intervalMs` while the proxy stream is
+ * unavailable. Subscribe with onMarketChanges() to hear about the changes.
+ */
+export function startDataRefresh(intervalMs = CLIENT_CONFIG.refreshIntervalMs) {
+    let timer = setInterval(runRefresh, FULL_REFRESH_MS);
+    
+    connectStream({
+        onDelta: delta => applyMarketDelta(delta),
+        onClosed: err => {
+            console.warn(`[DM] ⚠️ Market stream unavailable (${err.message}); refreshing every ${intervalMs / 1000}s`);
+            clearInterval(timer);
+            timer = setInterval(runRefresh, intervalMs);
+        }
+    });
+}
+
+async function runRefresh() {
+    if (!state.useLiveData) return;
+    try {
+        await refreshData();
+    } catch (err) {
+        console.warn('[DM] ⚠️ Refresh failed:', err.message);
+    }
 }
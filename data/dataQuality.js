@@ -0,0 +1,196 @@
+// Data Quality Report - how much of each platform's data is missing, defaulted or suspect
+// Built from validated market records, so a strange calibration curve can be traced
+// to the markets or to our data. Shared by the browser data layer and the proxy.
+//
+//   { total, platforms: [{ platform, total, quarantined, counts: { [check]: n } }],
+//     checks, findings: [{ id, check, kind, label, platform, marketIds, share }], creationDates }
+
+// An open market whose last recorded price is older than this is stale
+export const STALE_PRICE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Duplicate titles match after lower-casing and collapsing whitespace and punctuation
+const TITLE_NOISE = /[^a-z0-9]+/g;
+
+/**
+ * Per-market checks, counted for every platform:
+ *   default - the transform filled the field with a fallback (or a placeholder value)
+ *   missing - the upstream did not report the field
+ *   stale   - the price stopped moving while the market is open
+ */
+export const QUALITY_CHECKS = [
+    {
+        id: 'currentProbability',
+        kind: 'default',
+        label: 'Price fell back to 50%',
+        test: m => isDefaulted(m, 'currentProbability')
+    },
+    {
+        id: 'createdAt',
+        kind: 'default',
+        label: 'createdAt fell back to the load time',
+        test: m => isDefaulted(m, 'createdAt')
+    },
+    {
+        id: 'liquidity',
+        kind: 'default',
+        label: 'liquidity is a placeholder',
+        test: m => isDefaulted(m, 'liquidity')
+    },
+    {
+        id: 'traders',
+        kind: 'default',
+        label: 'traders is 0',
+        test: m => m.traders === 0
+    },
+    {
+        id: 'priceHistory',
+        kind: 'default',
+        label: 'priceHistory is empty',
+        // Only binary markets have a YES price history
+        test: m => isBinary(m) && (!Array.isArray(m.priceHistory) || m.priceHistory.length === 0)
+    },
+    {
+        id: 'closesAt',
+        kind: 'missing',
+        label: 'No close time',
+        test: m => !m.closesAt
+    },
+    {
+        id: 'volume',
+        kind: 'missing',
+        label: 'No volume',
+        test: m => !m.volume
+    },
+    {
+        id: 'category',
+        kind: 'missing',
+        label: 'Unclassified (category "other")',
+        test: m => m.category === 'other'
+    },
+    {
+        id: 'pastClose',
+        kind: 'stale',
+        label: 'Open past its close time',
+        test: (m, now) => !m.resolved && Boolean(m.closesAt) && new Date(m.closesAt).getTime() < now
+    },
+    {
+        id: 'stalePrice',
+        kind: 'stale',
+        label: 'Last price is over a week old',
+        // Judged on the loaded history: a market without one is counted under priceHistory
+        test: (m, now) => !m.resolved && lastPriceAt(m) !== null && now - lastPriceAt(m) > STALE_PRICE_MS
+    }
+];
+
+/**
+ * Build the report
+ * @param {Object[]} markets - validated markets
+ * @param {Object} options
+ * @param {Object[]} options.quarantine - quarantined records ({ platform }), counted per platform
+ * @param {number} options.now
+ */
+export function buildQualityReport(markets, { quarantine = [], now = Date.now() } = {}) {
+    const platforms = [...new Set([...markets, ...quarantine].map(m => m.platform))].sort();
+    const findings = [];
+
+    const rows = platforms.map(platform => {
+        const inPlatform = markets.filter(m => m.platform === platform);
+        const counts = {};
+
+        QUALITY_CHECKS.forEach(check => {
+            const marketIds = inPlatform.filter(m => check.test(m, now)).map(m => m.id);
+            counts[check.id] = marketIds.length;
+            if (marketIds.length > 0) {
+                findings.push({
+                    id: `${check.id}:${platform}`,
+                    check: check.id,
+                    kind: check.kind,
+                    label: check.label,
+                    platform,
+                    marketIds,
+                    share: marketIds.length / inPlatform.length
+                });
+            }
+        });
+
+        const duplicates = duplicateTitles(inPlatform);
+        counts.duplicates = duplicates.reduce((sum, ids) => sum + ids.length, 0);
+        duplicates.forEach(marketIds => {
+            const title = markets.find(m => m.id === marketIds[0]).title;
+            findings.push({
+                id: `duplicate:${platform}:${marketIds[0]}`,
+                check: 'duplicates',
+                kind: 'duplicate',
+                label: `"${title}" listed ${marketIds.length} times`,
+                platform,
+                marketIds,
+                share: marketIds.length / inPlatform.length
+            });
+        });
+
+        return {
+            platform,
+            total: inPlatform.length,
+            quarantined: quarantine.filter(r => r.platform === platform).length,
+            counts
+        };
+    });
+
+    return {
+        total: markets.length,
+        platforms: rows,
+        checks: QUALITY_CHECKS.map(({ id, kind, label }) => ({ id, kind, label })),
+        findings: findings.sort((a, b) => b.marketIds.length - a.marketIds.length),
+        creationDates: creationHistogram(markets)
+    };
+}
+
+// ===== Utility Functions =====
+
+function isDefaulted(market, field) {
+    return Array.isArray(market.defaulted) && market.defaulted.includes(field);
+}
+
+/**
+ * Records stored before schema v5 have no outcomeType
+ */
+function isBinary(market) {
+    return (market.outcomeType || 'binary') === 'binary';
+}
+
+function lastPriceAt(market) {
+    const history = market.priceHistory || [];
+    if (history.length === 0) return null;
+    return new Date(history[history.length - 1].timestamp).getTime();
+}
+
+/**
+ * Groups of market ids whose titles match, largest first
+ */
+function duplicateTitles(markets) {
+    const groups = new Map();
+    markets.forEach(m => {
+        const key = String(m.title).toLowerCase().replace(TITLE_NOISE, ' ').trim();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(m.id);
+    });
+    return [...groups.values()]
+        .filter(ids => ids.length > 1)
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Markets created per month, per platform: [{ month: 'YYYY-MM', counts: { [platform]: n }, total, marketIds }]
+ */
+function creationHistogram(markets) {
+    const months = new Map();
+    markets.forEach(m => {
+        const month = new Date(m.createdAt).toISOString().slice(0, 7);
+        if (!months.has(month)) months.set(month, { month, counts: {}, total: 0, marketIds: [] });
+        const bin = months.get(month);
+        bin.counts[m.platform] = (bin.counts[m.platform] || 0) + 1;
+        bin.total++;
+        bin.marketIds.push(m.id);
+    });
+    return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+}
@@ -0,0 +1,80 @@
+// Continuous Forecast Distributions
+// Numeric and date questions forecast a CDF over a range instead of a price.
+// The CDF is sampled at evenly spaced points of an internal [0, 1] scale (the
+// "location"), which maps onto the question's range linearly or, when the
+// range has a zero point, logarithmically - the scaling Metaculus uses.
+// Date values are unix seconds. Shared by the browser data layer and the proxy.
+//
+//   { kind, lower, upper, zeroPoint, openLower, openUpper, cdf }
+//   cdf[0]   - P(value <= lower), above 0 only when the lower bound is open
+//   cdf[n-1] - P(value <= upper), below 1 only when the upper bound is open
+
+export const DISTRIBUTION_KINDS = ['numeric', 'date'];
+
+/**
+ * Locations of the CDF points: n evenly spaced points on [0, 1]
+ */
+export function locationGrid(distribution) {
+    const n = distribution.cdf.length;
+    return distribution.cdf.map((_, i) => i / (n - 1));
+}
+
+/**
+ * Position of a value on the internal scale, clamped to [0, 1]
+ */
+export function toLocation(distribution, value) {
+    const { lower, upper } = distribution;
+    const ratio = derivRatio(distribution);
+    const location = ratio === 1
+        ? (value - lower) / (upper - lower)
+        : Math.log(1 + (value - lower) * (ratio - 1) / (upper - lower)) / Math.log(ratio);
+    return Number.isFinite(location) ? Math.min(1, Math.max(0, location)) : (value < lower ? 0 : 1);
+}
+
+/**
+ * Value at a position of the internal scale
+ */
+export function fromLocation(distribution, location) {
+    const { lower, upper } = distribution;
+    const ratio = derivRatio(distribution);
+    return ratio === 1
+        ? lower + (upper - lower) * location
+        : lower + (upper - lower) * (Math.pow(ratio, location) - 1) / (ratio - 1);
+}
+
+/**
+ * P(value <= x), interpolated between CDF points
+ */
+export function cdfAt(distribution, value) {
+    const { cdf } = distribution;
+    const position = toLocation(distribution, value) * (cdf.length - 1);
+    const i = Math.min(cdf.length - 2, Math.floor(position));
+    return cdf[i] + (cdf[i + 1] - cdf[i]) * (position - i);
+}
+
+/**
+ * The value below which the forecast puts probability q (null when q falls outside the range)
+ */
+export function quantileOf(distribution, q) {
+    const { cdf } = distribution;
+    if (q < cdf[0] || q > cdf[cdf.length - 1]) return null;
+
+    const i = cdf.findIndex(p => p >= q);
+    if (i <= 0) return fromLocation(distribution, 0);
+
+    const step = cdf[i] - cdf[i - 1];
+    const position = i - 1 + (step > 0 ? (q - cdf[i - 1]) / step : 0);
+    return fromLocation(distribution, position / (cdf.length - 1));
+}
+
+// ===== Utility Functions =====
+
+/**
+ * Growth of the scale across the range: 1 for a linear range,
+ * (upper - zeroPoint) / (lower - zeroPoint) for a logarithmic one
+ */
+function derivRatio({ lower, upper, zeroPoint }) {
+    if (zeroPoint === null || zeroPoint === undefined) return 1;
+    const ratio = (upper - zeroPoint) / (lower - zeroPoint);
+    return Number.isFinite(ratio) && ratio > 0 ? ratio : 1;
+}
@@ -0,0 +1,263 @@
+// Event Matcher - cross-platform entity resolution
+// Decides whether a Kalshi ticker, a Polymarket condition and a Metaculus
+// question describe the same event. Pure functions; shared by the browser
+// data layer and the proxy.
+
+export const MATCH_THRESHOLD = 0.6;
+
+// Relative weight of each signal; signals that cannot be computed for a pair
+// (no close date, uncategorized, no numbers in either title) are left out and
+// the remaining weights renormalized
+const WEIGHTS = {
+    title: 0.55,
+    date: 0.2,
+    category: 0.1,
+    numbers: 0.15
+};
+
+// Below this title similarity a pair is never matched, whatever the other signals say
+const MIN_TITLE_SIMILARITY = 0.35;
+const DATE_HORIZON_DAYS = 30;
+// Words shared by this many markets ("price", "win") are too common to block on
+const MAX_BLOCK_SIZE = 500;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'will', 'be', 'is', 'are', 'was', 'of', 'in', 'on', 'at', 'to', 'by', 'for',
+    'before', 'after', 'than', 'or', 'and', 'with', 'from', 'this', 'that', 'does', 'do', 'it',
+    'its', 'as', 'any', 'more', 'less', 'least', 'most', 'end', 'yes', 'no', 'market', 'question'
+]);
+
+export const MATCH_DECISIONS = ['confirmed', 'rejected'];
+
+/**
+ * Stable key for an unordered pair of market ids
+ */
+export function pairKey(idA, idB) {
+    return [idA, idB].sort().join('|');
+}
+
+/**
+ * Informative words of a title (numbers are handled by extractNumbers)
+ */
+export function tokenize(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/'s\b/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token) && !/^\d/.test(token));
+}
+
+/**
+ * Numeric thresholds and years mentioned in a question,
+ * e.g. "Will BTC close above $100k in 2025?" -> { thresholds: [100000], years: [2025] }
+ */
+export function extractNumbers(title) {
+    const thresholds = [];
+    const years = [];
+    const pattern = /(\$)?(\d[\d,]*(?:\.\d+)?)\s*(k|m|bn|b|%|bps|pct|percent)?\b/gi;
+
+    let match;
+    while ((match = pattern.exec(title || '')) !== null) {
+        const [, dollar, digits, suffix] = match;
+        let value = parseFloat(digits.replace(/,/g, ''));
+        if (!Number.isFinite(value)) continue;
+
+        const unit = (suffix || '').toLowerCase();
+        if (!dollar && !unit && Number.isInteger(value) && value >= 1900 && value <= 2100) {
+            years.push(value);
+            continue;
+        }
+
+        if (unit === 'k') value *= 1e3;
+        if (unit === 'm') value *= 1e6;
+        if (unit === 'b' || unit === 'bn') value *= 1e9;
+        thresholds.push(value);
+    }
+
+    return { thresholds, years };
+}
+
+/**
+ * Score how likely two markets describe the same event
+ * @returns {{ score: number, components: Object }}
+ */
+export function scorePair(a, b, tokensA = tokenize(a.title), tokensB = tokenize(b.title)) {
+    const components = {
+        title: diceSimilarity(tokensA, tokensB),
+        date: dateSimilarity(a.closesAt || a.resolvedAt, b.closesAt || b.resolvedAt),
+        category: categorySimilarity(a.category, b.category),
+        numbers: numberSimilarity(extractNumbers(a.title), extractNumbers(b.title))
+    };
+
+    // Weak wording overlap, or thresholds/years that contradict each other, rule a pair out
+    if (components.title < MIN_TITLE_SIMILARITY || components.numbers === 0) {
+        return { score: 0, components };
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [signal, weight] of Object.entries(WEIGHTS)) {
+        if (components[signal] === null) continue;
+        weighted += weight * components[signal];
+        totalWeight += weight;
+    }
+
+    return { score: totalWeight > 0 ? weighted / totalWeight : 0, components };
+}
+
+/**
+ * Find cross-platform matches among a set of markets.
+ * Each market is matched to at most one market per other platform.
+ *
+ * @param {Object[]} markets
+ * @param {Object} options
+ * @param {number} options.threshold - minimum score for an automatic match
+ * @param {Object} options.overrides - { [pairKey]: 'confirmed' | 'rejected' }
+ * @returns {Object[]} [{ key, a, b, score, components, source: 'auto' | 'manual' }]
+ */
+export function findMatches(markets, { threshold = MATCH_THRESHOLD, overrides = {} } = {}) {
+    const tokens = markets.map(m => tokenize(m.title));
+    const byId = new Map(markets.map(m => [m.id, m]));
+
+    // Blocking: only score pairs that share at least one informative word
+    const index = new Map();
+    tokens.forEach((words, i) => {
+        new Set(words).forEach(token => {
+            if (!index.has(token)) index.set(token, []);
+            index.get(token).push(i);
+        });
+    });
+
+    const candidates = [];
+    const seen = new Set();
+    markets.forEach((m, i) => {
+        new Set(tokens[i]).forEach(token => {
+            const block = index.get(token);
+            if (block.length > MAX_BLOCK_SIZE) return;
+            block.forEach(j => {
+                if (j <= i || markets[j].platform === m.platform) return;
+                const key = pairKey(m.id, markets[j].id);
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                if (overrides[key]) return; // decided manually, handled below
+                const { score, components } = scorePair(m, markets[j], tokens[i], tokens[j]);
+                if (score >= threshold) {
+                    candidates.push({ key, a: m, b: markets[j], score, components, source: 'auto' });
+                }
+            });
+        });
+    });
+
+    // Manual confirmations always win, whatever their score
+    Object.entries(overrides).forEach(([key, decision]) => {
+        if (decision !== 'confirmed') return;
+        const [idA, idB] = key.split('|');
+        const a = byId.get(idA);
+        const b = byId.get(idB);
+        if (!a || !b) return;
+        const { components } = scorePair(a, b);
+        candidates.push({ key, a, b, score: 1, components, source: 'manual' });
+    });
+
+    // Greedy one-to-one assignment per platform pair, best scores first
+    candidates.sort((x, y) => (y.source === 'manual') - (x.source === 'manual') || y.score - x.score);
+    const taken = new Set();
+    return candidates.filter(candidate => {
+        const slotA = `${candidate.a.id}>${candidate.b.platform}`;
+        const slotB = `${candidate.b.id}>${candidate.a.platform}`;
+        if (taken.has(slotA) || taken.has(slotB)) return false;
+        taken.add(slotA);
+        taken.add(slotB);
+        return true;
+    });
+}
+
+/**
+ * Merge pairwise matches into events: connected groups of markets
+ * @returns {Object[][]} arrays of markets describing the same event
+ */
+export function groupMatches(matches) {
+    const parent = new Map();
+    const markets = new Map();
+
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    matches.forEach(({ a, b }) => {
+        [a, b].forEach(m => {
+            if (!parent.has(m.id)) parent.set(m.id, m.id);
+            markets.set(m.id, m);
+        });
+        parent.set(find(a.id), find(b.id));
+    });
+
+    const groups = new Map();
+    for (const id of parent.keys()) {
+        const root = find(id);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(markets.get(id));
+    }
+
+    return [...groups.values()];
+}
+
+// ===== Utility Functions =====
+
+function diceSimilarity(tokensA, tokensB) {
+    const setA = new Set(tokensA);
+    const setB = new Set(tokensB);
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    setA.forEach(token => {
+        if (setB.has(token)) shared++;
+    });
+    return (2 * shared) / (setA.size + setB.size);
+}
+
+function dateSimilarity(dateA, dateB) {
+    if (!dateA || !dateB) return null;
+    const days = Math.abs(new Date(dateA) - new Date(dateB)) / (24 * 60 * 60 * 1000);
+    if (!Number.isFinite(days)) return null;
+    return Math.max(0, 1 - days / DATE_HORIZON_DAYS);
+}
+
+function categorySimilarity(categoryA, categoryB) {
+    if (!categoryA || !categoryB || categoryA === 'other' || categoryB === 'other') return null;
+    return categoryA === categoryB ? 1 : 0;
+}
+
+/**
+ * Different thresholds ("above $100k" vs "above $120k") or different years
+ * mean different events, even when the wording is identical
+ */
+function numberSimilarity(numbersA, numbersB) {
+    const scores = [];
+
+    if (numbersA.years.length > 0 && numbersB.years.length > 0) {
+        scores.push(overlap(numbersA.years, numbersB.years, 0));
+    }
+    if (numbersA.thresholds.length > 0 && numbersB.thresholds.length > 0) {
+        scores.push(overlap(numbersA.thresholds, numbersB.thresholds));
+    } else if (numbersA.thresholds.length + numbersB.thresholds.length > 0) {
+        scores.push(0.5); // only one side states a threshold
+    }
+
+    return scores.length > 0 ? Math.min(...scores) : null;
+}
+
+/**
+ * Share of values with a counterpart within `tolerance` (relative)
+ */
+function overlap(valuesA, valuesB, tolerance = 0.01) {
+    const close = (x, y) => Math.abs(x - y) <= tolerance * Math.max(Math.abs(x), Math.abs(y), 1);
+    const shared = valuesA.filter(x => valuesB.some(y => close(x, y))).length;
+    return shared / Math.max(valuesA.length, valuesB.length);
+}
@@ -0,0 +1,35 @@
+// Upstream Health Client
+// Reads per-platform upstream status the proxy tracks (server/metrics.js)
+
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.request;
+
+/**
+ * Fetch upstream health by platform:
+ * { [platform]: { status: 'ok' | 'degraded' | 'down' | 'unknown', reason, lastSuccessAt, lastError, sources, routes } }
+ */
+export async function fetchUpstreamHealth() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(routeUrl('/health/upstreams'), {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        return result.upstreams || {};
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
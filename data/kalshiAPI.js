@@ -2,7 +2,23 @@
 // Public API endpoints for fetching market data
 // Now proxied through backend server (server.js)
 
-const FETCH_TIMEOUT = 15000; // 15 second timeout
+import { validateMarkets, outcomeFields, resolutionFields, defaultedFields } from './marketSchema.js';
+import { quoteFields } from './orderBook.js';
+import { classify } from './taxonomy.js';
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.markets; // the proxy walks several upstream pages
+
+const ROUTES = {
+    markets: '/api/kalshi',
+    history: '/api/kalshi/:id/candles',
+    trades: '/api/kalshi/:id/trades',
+    book: '/api/kalshi/:id/orderbook'
+};
+
+// Statuses of markets that no longer trade (the proxy merges open, closed and settled)
+const KALSHI_CLOSED_STATUSES = ['closed', 'determined', 'disputed', 'amended', 'settled', 'finalized'];
 
 /**
  * Fetch markets from Kalshi (via backend proxy)
@@ -14,7 +30,7 @@ export async function fetchMarkets() {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
         
-        const response = await fetch('http://localhost:3001/api/kalshi', {
+        const response = await fetch(routeUrl(ROUTES.markets), {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -45,22 +61,13 @@ export async function fetchMarkets() {
             throw new Error('No markets in Kalshi response');
         }
         
-        // Transform to our format with error handling
-        const transformed = [];
-        for (let i = 0; i < markets.length; i++) {
-            try {
-                const market = transformKalshiData(markets[i]);
-                transformed.push(market);
-            } catch (err) {
-                if (i < 5) console.warn(`[KL] Failed to transform market ${i}:`, err.message);
-            }
-        }
+        const normalized = normalizeResponse(data);
         
-        console.log(`[KL] ✅ Successfully transformed ${transformed.length}/${markets.length} markets`);
-        if (transformed.length === 0) {
+        console.log(`[KL] ✅ Successfully transformed ${normalized.markets.length}/${markets.length} markets`);
+        if (normalized.markets.length === 0) {
             throw new Error('Failed to transform any Kalshi markets');
         }
-        return transformed;
+        return normalized;
     } catch (error) {
         console.error('[KL] ❌ Kalshi API error:', error.message);
         console.error('[KL] Stack:', error.stack);
@@ -68,6 +75,37 @@ export async function fetchMarkets() {
     }
 }
 
+/**
+ * Transform a raw Kalshi markets response into internal market records.
+ * The proxy runs this too, before writing snapshots to disk.
+ * Mutually exclusive `events` become categorical markets next to their binary markets.
+ * @returns {{ markets: Object[], quarantined: Object[] }}
+ */
+export function normalizeResponse(data) {
+    const markets = (data && data.markets) || [];
+    const events = (data && data.events) || [];
+    const transformed = [];
+    const rejected = [];
+    
+    for (let i = 0; i < markets.length; i++) {
+        try {
+            transformed.push(transformKalshiData(markets[i]));
+        } catch (error) {
+            rejected.push({ record: markets[i], error });
+        }
+    }
+    
+    for (let i = 0; i < events.length; i++) {
+        try {
+            transformed.push(transformKalshiEvent(events[i]));
+        } catch (error) {
+            rejected.push({ record: events[i], error });
+        }
+    }
+    
+    return validateMarkets('kalshi', transformed, rejected);
+}
+
 /**
  * Transform Kalshi data to our internal format
  */
@@ -81,21 +119,259 @@ function transformKalshiData(market) {
     }
     
     const title = market.title || market.subtitle || 'Unknown Market';
+    // A closed market without a result is still awaiting settlement
+    const resolution = KALSHI_CLOSED_STATUSES.includes(market.status) ? kalshiResolution(market) : resolutionFields();
+    const resolved = resolution.resolution !== null;
+    const id = `kalshi_${market.ticker}`;
+    // `category` is the series category when the listing carries one
+    const { category, subcategory } = classify({ id, platform: 'kalshi', title, native: [market.category] });
     
     return {
-        id: `kalshi_${market.ticker}`,
+        id,
         title: title,
-        category: market.category || 'other',
+        category,
+        subcategory,
         platform: 'kalshi',
         createdAt: market.open_time || new Date().toISOString(),
-        resolvedAt: market.close_time && market.status === 'closed' ? market.close_time : null,
-        resolved: market.status === 'closed',
-        outcome: market.result ? (market.result === 'yes' ? 1 : 0) : null,
+        resolvedAt: market.close_time && resolved ? market.close_time : null,
+        closesAt: market.close_time || null,
+        resolved,
+        ...resolution,
         currentProbability: market.last_price ? parseFloat(market.last_price) / 100 : 0.5,
-        finalProbability: market.status === 'closed' && market.last_price ? parseFloat(market.last_price) / 100 : null,
+        finalProbability: resolved && market.last_price ? parseFloat(market.last_price) / 100 : null,
         volume: market.volume ? parseFloat(market.volume) : 0,
         liquidity: market.open_interest ? parseFloat(market.open_interest) : 0,
         traders: 0,
-        priceHistory: []
+        ...kalshiQuote(market),
+        ...outcomeFields(),
+        priceHistory: [],
+        defaulted: defaultedFields({ createdAt: !market.open_time, currentProbability: !market.last_price })
     };
 }
+
+/**
+ * Resolution of a closed market from its `result`. Scalar markets settle at
+ * `settlement_value` cents per YES contract, which decides over the result.
+ * Any other result without a settlement value (e.g. `all_no`) is no usable
+ * outcome yet, so the market stays unresolved rather than being rejected.
+ */
+function kalshiResolution(market) {
+    if (market.status === 'disputed') {
+        return resolutionFields('disputed', 'kalshi.status', { raw: market.status });
+    }
+    if (!market.result) {
+        return resolutionFields();
+    }
+    if (market.result === 'void') {
+        return resolutionFields('void', 'kalshi.result', { raw: market.result });
+    }
+    
+    const settlement = market.settlement_value === undefined || market.settlement_value === null
+        ? NaN
+        : Number(market.settlement_value);
+    if (Number.isFinite(settlement) && settlement >= 0 && settlement <= 100) {
+        const payout = settlement / 100;
+        const status = payout === 1 ? 'yes' : (payout === 0 ? 'no' : 'partial');
+        return resolutionFields(status, 'kalshi.settlement_value', { raw: market.settlement_value, payout });
+    }
+    
+    if (market.result === 'yes' || market.result === 'no') {
+        return resolutionFields(market.result, 'kalshi.result', { raw: market.result });
+    }
+    return resolutionFields();
+}
+
+/**
+ * Transform a mutually exclusive Kalshi event into a categorical market:
+ * one outcome per nested market, priced at its last YES price.
+ * The event settles when its markets have closed and one of them resolved YES.
+ */
+function transformKalshiEvent(event) {
+    if (!event || typeof event !== 'object') {
+        throw new Error('Invalid event object');
+    }
+    
+    if (!event.event_ticker) {
+        throw new Error('Event missing event_ticker');
+    }
+    
+    const markets = event.markets || [];
+    const labels = markets.map(m => m.yes_sub_title || m.subtitle || m.title || m.ticker);
+    const prices = markets.map(m => (m.last_price ? parseFloat(m.last_price) / 100 : 0));
+    const closed = markets.every(m => KALSHI_CLOSED_STATUSES.includes(m.status));
+    const winner = markets.findIndex(m => m.result === 'yes');
+    const resolution = closed ? kalshiEventResolution(markets, winner) : resolutionFields();
+    
+    const title = event.title || event.sub_title || 'Unknown Event';
+    const id = `kalshi_event_${event.event_ticker}`;
+    const { category, subcategory } = classify({ id, platform: 'kalshi', title, native: [event.category] });
+    const closeTimes = markets.map(m => m.close_time).filter(Boolean).sort();
+    const resolved = resolution.resolution !== null;
+    
+    return {
+        id,
+        title,
+        category,
+        subcategory,
+        platform: 'kalshi',
+        createdAt: markets.map(m => m.open_time).filter(Boolean).sort()[0] || new Date().toISOString(),
+        resolvedAt: resolved ? closeTimes[closeTimes.length - 1] || null : null,
+        closesAt: closeTimes[closeTimes.length - 1] || null,
+        resolved,
+        ...resolution,
+        volume: markets.reduce((sum, m) => sum + (parseFloat(m.volume) || 0), 0),
+        liquidity: markets.reduce((sum, m) => sum + (parseFloat(m.open_interest) || 0), 0),
+        traders: 0,
+        ...quoteFields(null, null), // Each outcome has its own book
+        ...outcomeFields(labels, prices, resolution.resolution?.status === 'final' ? winner : null),
+        priceHistory: [],
+        defaulted: defaultedFields({ createdAt: !markets.some(m => m.open_time) })
+    };
+}
+
+/**
+ * Resolution of a closed event from its markets' results: the market that
+ * resolved YES wins; every market void voids the event
+ */
+function kalshiEventResolution(markets, winner) {
+    const disputed = markets.find(m => m.status === 'disputed');
+    if (disputed) {
+        return resolutionFields('disputed', 'kalshi.status', { raw: disputed.ticker });
+    }
+    if (winner !== -1) {
+        return resolutionFields('final', 'kalshi.result', { raw: markets[winner].ticker });
+    }
+    if (markets.every(m => m.result === 'void')) {
+        return resolutionFields('void', 'kalshi.result', { raw: 'void' });
+    }
+    if (markets.some(m => m.result)) {
+        throw new Error('Settled event has no winning market');
+    }
+    return resolutionFields(); // awaiting settlement
+}
+
+/**
+ * Top of book from the market listing, in cents: a 0 bid or 100 ask means that side is empty
+ */
+function kalshiQuote(market) {
+    const bid = Number(market.yes_bid);
+    const ask = Number(market.yes_ask);
+    return quoteFields(
+        bid > 0 && bid < 100 ? bid / 100 : null,
+        ask > 0 && ask < 100 ? ask / 100 : null
+    );
+}
+
+/**
+ * Fetch candlestick price history for a market (via backend proxy)
+ * @param {string} ticker - Kalshi market ticker (market id without the platform prefix)
+ * @param {string} resolution - '1m', '1h' or '1d'
+ */
+export async function fetchPriceHistory(ticker, resolution = '1h') {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.history, ticker, { resolution }),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+        
+        return result.data.history;
+    } catch (error) {
+        console.warn('[KL] Error fetching candles:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Fetch the public trade tape for a market (via backend proxy)
+ * @param {string} ticker - Kalshi market ticker (market id without the platform prefix)
+ * @returns {Promise<Object[]>} [{ timestamp, price, size, side }], oldest first
+ */
+export async function fetchTrades(ticker) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.trades, ticker),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+        
+        return result.data.trades;
+    } catch (error) {
+        console.warn('[KL] Error fetching trades:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Fetch the current order book for a market (via backend proxy)
+ * @param {string} ticker - Kalshi market ticker (market id without the platform prefix)
+ * @returns {Promise<Object|null>} { book, bestBid, bestAsk, mid, spread, depth }, null on failure
+ */
+export async function fetchOrderBook(ticker) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.book, ticker),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+        
+        return result.data;
+    } catch (error) {
+        console.warn('[KL] Error fetching order book:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Platform adapter (see data/platforms.js)
+ */
+export const adapter = {
+    id: 'kalshi',
+    label: 'Kalshi',
+    capabilities: { history: true, trades: true, orderBook: true, stream: true },
+    routes: ROUTES,
+    fetchMarkets,
+    fetchHistory: fetchPriceHistory,
+    fetchTrades,
+    fetchOrderBook,
+    transform: normalizeResponse
+};
@@ -0,0 +1,250 @@
+// Manifold Markets API Integration
+// Public API for fetching binary markets and their bets
+// Proxied through backend server (server.js)
+// Manifold trades play money (mana), so volume and liquidity are in mana, not dollars.
+
+import { validateMarkets, outcomeFields, resolutionFields, defaultedFields } from './marketSchema.js';
+import { quoteFields } from './orderBook.js';
+import { classify } from './taxonomy.js';
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.markets; // the proxy walks several upstream pages
+
+// Markets are priced by an AMM: no order book
+const ROUTES = {
+    markets: '/api/manifold',
+    history: '/api/manifold/:id/history',
+    trades: '/api/manifold/:id/trades'
+};
+
+/**
+ * Fetch binary markets from Manifold (via backend proxy)
+ */
+export async function fetchMarkets() {
+    try {
+        console.log('[MF] Manifold: Fetching from backend proxy...');
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        const response = await fetch(routeUrl(ROUTES.markets), {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+
+        const data = result.data;
+        const markets = data.markets || [];
+        console.log(`[MF] Got ${markets.length} markets`);
+
+        if (!Array.isArray(markets) || markets.length === 0) {
+            throw new Error('No markets in Manifold response');
+        }
+
+        const normalized = normalizeResponse(data);
+
+        console.log(`[MF] ✅ Successfully transformed ${normalized.markets.length}/${markets.length} markets`);
+        if (normalized.markets.length === 0) {
+            throw new Error('Failed to transform any Manifold markets');
+        }
+        return normalized;
+    } catch (error) {
+        console.error('[MF] ❌ Manifold API error:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Transform a raw Manifold markets response into internal market records.
+ * The proxy runs this too, before writing snapshots to disk.
+ * @returns {{ markets: Object[], quarantined: Object[] }}
+ */
+export function normalizeResponse(data) {
+    const markets = (data && data.markets) || [];
+    const transformed = [];
+    const rejected = [];
+
+    for (let i = 0; i < markets.length; i++) {
+        try {
+            transformed.push(transformManifoldData(markets[i]));
+        } catch (error) {
+            rejected.push({ record: markets[i], error });
+        }
+    }
+
+    return validateMarkets('manifold', transformed, rejected);
+}
+
+/**
+ * Transform a Manifold market to our internal format
+ */
+function transformManifoldData(market) {
+    if (!market || typeof market !== 'object') {
+        throw new Error('Invalid market object');
+    }
+
+    if (!market.id) {
+        throw new Error('Market missing id');
+    }
+
+    if (market.outcomeType !== 'BINARY') {
+        throw new Error(`Unsupported outcome type: ${market.outcomeType}`);
+    }
+
+    const title = market.question || 'Unknown Market';
+    const id = `manifold_${market.id}`;
+    const resolved = market.isResolved === true;
+    const { category, subcategory } = classify({ id, platform: 'manifold', title, native: market.groupSlugs || [] });
+
+    return {
+        id,
+        title,
+        category,
+        subcategory,
+        platform: 'manifold',
+        createdAt: toIsoTime(market.createdTime) || new Date().toISOString(),
+        resolvedAt: resolved ? toIsoTime(market.resolutionTime) : null,
+        closesAt: toIsoTime(market.closeTime),
+        resolved,
+        ...(resolved ? manifoldResolution(market) : resolutionFields()),
+        currentProbability: Number.isFinite(market.probability) ? market.probability : 0.5,
+        // The pool stays where trading left it, so this is the last traded probability
+        finalProbability: resolved && Number.isFinite(market.probability) ? market.probability : null,
+        volume: Number(market.volume) || 0,
+        liquidity: Number(market.totalLiquidity) || 0,
+        traders: Number(market.uniqueBettorCount) || 0,
+        ...quoteFields(null, null),
+        ...outcomeFields(), // Multiple-choice contracts are not fetched (contractType=BINARY)
+        priceHistory: [],
+        defaulted: defaultedFields({
+            createdAt: !toIsoTime(market.createdTime),
+            currentProbability: !Number.isFinite(market.probability)
+        })
+    };
+}
+
+/**
+ * YES and NO, MKT (resolved to `resolutionProbability`, paid out as a partial YES)
+ * and CANCEL (N/A, bets refunded)
+ */
+function manifoldResolution(market) {
+    const raw = market.resolution;
+    if (raw === 'YES' || raw === 'NO') {
+        return resolutionFields(raw.toLowerCase(), 'manifold.resolution', { raw });
+    }
+    if (raw === 'CANCEL') {
+        return resolutionFields('void', 'manifold.resolution', { raw });
+    }
+    if (raw === 'MKT') {
+        const payout = Number(market.resolutionProbability);
+        if (!Number.isFinite(payout) || payout < 0 || payout > 1) {
+            throw new Error(`MKT resolution without a probability: ${market.resolutionProbability}`);
+        }
+        const status = payout === 1 ? 'yes' : (payout === 0 ? 'no' : 'partial');
+        return resolutionFields(status, 'manifold.resolutionProbability', { raw, payout });
+    }
+    throw new Error(`Unknown resolution ${raw}`);
+}
+
+/**
+ * Manifold times are epoch milliseconds; "never closes" is stored as a far-future sentinel
+ */
+function toIsoTime(ms) {
+    const date = new Date(Number(ms));
+    return Number.isFinite(ms) && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Fetch the probability history of a market, built from its bets (via backend proxy)
+ * @param {string} marketId - Manifold market id (market id without the platform prefix)
+ * @param {string} resolution - '1m', '1h' or '1d'
+ */
+export async function fetchPriceHistory(marketId, resolution = '1h') {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        const response = await fetch(
+            routeUrl(ROUTES.history, marketId, { resolution }),
+            { signal: controller.signal }
+        );
+
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+
+        return result.data.history;
+    } catch (error) {
+        console.warn('[MF] Error fetching price history:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Fetch the bets of a market as trades (via backend proxy)
+ * @param {string} marketId - Manifold market id (market id without the platform prefix)
+ * @returns {Promise<Object[]>} [{ timestamp, price, size, side, account }], oldest first
+ */
+export async function fetchTrades(marketId) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        const response = await fetch(
+            routeUrl(ROUTES.trades, marketId),
+            { signal: controller.signal }
+        );
+
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+
+        return result.data.trades;
+    } catch (error) {
+        console.warn('[MF] Error fetching trades:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Platform adapter (see data/platforms.js)
+ */
+export const adapter = {
+    id: 'manifold',
+    label: 'Manifold',
+    capabilities: { history: true, trades: true, orderBook: false, stream: true },
+    routes: ROUTES,
+    fetchMarkets,
+    fetchHistory: fetchPriceHistory,
+    fetchTrades,
+    fetchOrderBook: null,
+    transform: normalizeResponse
+};
@@ -0,0 +1,350 @@
+// Market Schema - the internal market shape every platform adapter produces
+// Shared by the browser data layer and the proxy server. Bump the version
+// whenever a field is added, removed or changes meaning.
+import { DISTRIBUTION_KINDS } from './distribution.js';
+
+export const MARKET_SCHEMA_VERSION = 8; // v2: closesAt, v3: bestBid/bestAsk/mid/spread/depth, v4: taxonomy subcategory, v5: categorical outcomes, v6: continuous distributions, v7: resolution record, v8: defaulted fields
+
+// Binary markets resolve YES/NO through `outcome` and price YES as `currentProbability`.
+// Categorical markets resolve to one of N `outcomes`: `outcomePrices` holds one price per
+// outcome, `resolvedOutcome` the index that won, and `currentProbability` is the favourite's price.
+// Continuous questions (numeric, date) forecast a `distribution` (data/distribution.js) and
+// resolve to `resolvedValue`; they have no price, so `currentProbability` is null.
+// Every type leaves the fields of the other types null.
+export const OUTCOME_TYPES = ['binary', 'categorical', 'continuous'];
+
+// The field holding each type's resolution
+const RESOLUTION_FIELDS = { binary: 'outcome', categorical: 'resolvedOutcome', continuous: 'resolvedValue' };
+
+// How a resolved market resolved: `resolution` is { status, source, raw }, where `source`
+// names the upstream field it was read from and `raw` holds that field's value.
+//   yes / no  - binary, outcome 1 / 0
+//   partial   - binary, paid a fraction of a YES: outcome in (0, 1) (Manifold MKT, scalar settlements)
+//   final     - categorical or continuous, resolvedOutcome / resolvedValue
+//   void      - cancelled, annulled or N/A: nothing to score
+//   disputed  - the resolution is challenged: nothing to score until it settles
+// Only the scorable statuses carry an outcome; scoring code must skip the rest (isScorable).
+export const RESOLUTION_STATUSES = ['yes', 'no', 'partial', 'final', 'void', 'disputed'];
+export const SCORABLE_STATUSES = ['yes', 'no', 'partial', 'final'];
+
+const STATUSES_BY_TYPE = {
+    binary: ['yes', 'no', 'partial', 'void', 'disputed'],
+    categorical: ['final', 'void', 'disputed'],
+    continuous: ['final', 'void', 'disputed']
+};
+
+// The binary outcome each status requires
+const BINARY_OUTCOMES = {
+    yes: v => v === 1,
+    no: v => v === 0,
+    partial: v => v > 0 && v < 1
+};
+
+// Fields each type must leave null
+const FOREIGN_FIELDS = {
+    binary: ['outcomes', 'outcomePrices', 'resolvedOutcome', 'distribution', 'resolvedValue'],
+    categorical: ['outcome', 'finalProbability', 'distribution', 'resolvedValue'],
+    continuous: ['outcome', 'currentProbability', 'finalProbability', 'outcomes', 'outcomePrices', 'resolvedOutcome']
+};
+
+// Filled by the adapter registry (data/platforms.js)
+export const PLATFORMS = [];
+
+// Allow for small clock differences between us and the upstream
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Field definitions: type checks that make a record unusable when they fail
+ */
+const FIELDS = {
+    id: v => typeof v === 'string' && v.length > 0,
+    title: v => typeof v === 'string' && v.length > 0,
+    category: v => typeof v === 'string' && v.length > 0,
+    subcategory: v => v === null || (typeof v === 'string' && v.length > 0),
+    platform: v => PLATFORMS.includes(v),
+    createdAt: v => isValidDate(v),
+    resolvedAt: v => v === null || isValidDate(v),
+    closesAt: v => v === null || isValidDate(v),
+    resolved: v => typeof v === 'boolean',
+    outcomeType: v => OUTCOME_TYPES.includes(v),
+    resolution: v => v === null || (typeof v === 'object' && RESOLUTION_STATUSES.includes(v.status)
+        && typeof v.source === 'string' && v.source.length > 0),
+    outcome: v => v === null || isProbability(v),
+    outcomes: v => v === null || (Array.isArray(v) && v.length >= 2 && v.every(label => typeof label === 'string' && label.length > 0)),
+    outcomePrices: v => v === null || (Array.isArray(v) && v.every(isProbability)),
+    resolvedOutcome: v => v === null || (Number.isInteger(v) && v >= 0),
+    distribution: v => v === null || isDistribution(v),
+    resolvedValue: v => v === null || (typeof v === 'number' && Number.isFinite(v)),
+    currentProbability: v => v === null || isProbability(v),
+    finalProbability: v => v === null || isProbability(v),
+    volume: v => isNonNegative(v),
+    liquidity: v => isNonNegative(v),
+    traders: v => isNonNegative(v),
+    bestBid: v => v === null || isProbability(v),
+    bestAsk: v => v === null || isProbability(v),
+    mid: v => v === null || isProbability(v),
+    spread: v => v === null || isProbability(v),
+    depth: v => v === null || (typeof v === 'object' && Object.values(v).every(isNonNegative)),
+    priceHistory: v => Array.isArray(v),
+    // Fields the transform filled with a fallback because the upstream left them out
+    defaulted: v => Array.isArray(v) && v.every(field => Object.hasOwn(FIELDS, field))
+};
+
+/**
+ * Consistency rules across fields: records that pass the type checks but
+ * describe something that cannot be true
+ */
+const RULES = [
+    {
+        reason: 'Resolved market has no resolution',
+        test: m => !m.resolved || m.resolution !== null
+    },
+    {
+        reason: 'Unresolved market has a resolution',
+        test: m => m.resolved || m.resolution === null
+    },
+    {
+        reason: 'Resolution status does not fit the outcome type',
+        test: m => m.resolution === null || STATUSES_BY_TYPE[m.outcomeType].includes(m.resolution.status)
+    },
+    {
+        reason: 'Resolved market has no outcome',
+        test: m => !hasOutcome(m) || m[RESOLUTION_FIELDS[m.outcomeType]] !== null
+    },
+    {
+        reason: 'Market has an outcome without a scorable resolution',
+        test: m => hasOutcome(m) || Object.values(RESOLUTION_FIELDS).every(field => m[field] === null)
+    },
+    {
+        reason: 'Outcome does not match the resolution status',
+        test: m => m.outcomeType !== 'binary' || !hasOutcome(m) || BINARY_OUTCOMES[m.resolution.status](m.outcome)
+    },
+    {
+        reason: 'Market carries fields of another outcome type',
+        test: m => FOREIGN_FIELDS[m.outcomeType].every(field => m[field] === null)
+    },
+    {
+        reason: 'Market has no price',
+        test: m => m.outcomeType === 'continuous' || m.currentProbability !== null
+    },
+    {
+        reason: 'Categorical market needs one price per outcome',
+        test: m => m.outcomeType !== 'categorical'
+            || (m.outcomes !== null && m.outcomePrices !== null && m.outcomePrices.length === m.outcomes.length)
+    },
+    {
+        reason: 'Continuous market has no distribution',
+        test: m => m.outcomeType !== 'continuous' || m.distribution !== null
+    },
+    {
+        reason: 'resolvedOutcome is not one of the outcomes',
+        test: m => m.resolvedOutcome === null || (m.outcomes !== null && m.resolvedOutcome < m.outcomes.length)
+    },
+    {
+        reason: 'createdAt is in the future',
+        test: (m, now) => new Date(m.createdAt).getTime() <= now + CLOCK_SKEW_MS
+    },
+    {
+        // A defaulted createdAt is the load time (the Polymarket CLOB has no creation date),
+        // which says nothing about when the market opened
+        reason: 'resolvedAt is before createdAt',
+        test: m => !m.resolvedAt || m.defaulted.includes('createdAt') || new Date(m.resolvedAt) >= new Date(m.createdAt)
+    },
+    {
+        reason: 'Best bid is above best ask',
+        test: m => m.bestBid === null || m.bestAsk === null || m.bestBid <= m.bestAsk
+    },
+    {
+        reason: 'priceHistory contains a probability outside [0, 1]',
+        test: m => m.priceHistory.every(p => isProbability(p.price))
+    }
+];
+
+/**
+ * Accept markets from another platform; called for each registered adapter
+ */
+export function registerPlatform(platform) {
+    if (!PLATFORMS.includes(platform)) PLATFORMS.push(platform);
+}
+
+/**
+ * Whether a market resolved to something it can be scored against
+ * (not open, void or disputed)
+ */
+export function isScorable(market) {
+    return market.resolved === true && SCORABLE_STATUSES.includes(market.resolution?.status);
+}
+
+/**
+ * The `defaulted` field of a record: the fields whose fallback condition holds
+ *   defaultedFields({ createdAt: !raw.open_time, currentProbability: !raw.last_price })
+ */
+export function defaultedFields(fallbacks) {
+    return Object.keys(fallbacks).filter(field => fallbacks[field]);
+}
+
+/**
+ * Resolution fields for a transform to spread into its record:
+ *   resolutionFields()                                         - not resolved
+ *   resolutionFields('yes' | 'no' | 'void' | ..., source, { raw })
+ *   resolutionFields('partial', source, { raw, payout })       - payout: fraction of a YES paid
+ * Sets the binary `outcome`; categorical and continuous transforms spread their
+ * outcome fields after this, which null it again.
+ */
+export function resolutionFields(status = null, source = null, { raw = null, payout = null } = {}) {
+    if (status === null) {
+        return { resolution: null, outcome: null };
+    }
+
+    const outcomes = { yes: 1, no: 0, partial: payout };
+    return { resolution: { status, source, raw }, outcome: outcomes[status] ?? null };
+}
+
+/**
+ * Outcome fields for a transform to spread into its record:
+ *   outcomeFields()                                   - binary market
+ *   outcomeFields(labels, prices, resolvedIndex)      - categorical market
+ * The categorical form also sets the binary fields it replaces.
+ */
+export function outcomeFields(labels = null, prices = null, resolvedIndex = null) {
+    const continuous = { distribution: null, resolvedValue: null };
+    if (labels === null) {
+        return { outcomeType: 'binary', outcomes: null, outcomePrices: null, resolvedOutcome: null, ...continuous };
+    }
+
+    return {
+        outcomeType: 'categorical',
+        outcomes: labels,
+        outcomePrices: prices,
+        resolvedOutcome: resolvedIndex,
+        outcome: null,
+        currentProbability: prices.length > 0 ? Math.max(...prices) : 0,
+        finalProbability: null,
+        ...continuous
+    };
+}
+
+/**
+ * Outcome fields of a continuous question; sets the binary and categorical fields it replaces
+ * @param {Object} distribution - see data/distribution.js
+ * @param {number|null} resolvedValue - in the question's units (dates: unix seconds)
+ */
+export function distributionFields(distribution, resolvedValue = null) {
+    return {
+        outcomeType: 'continuous',
+        distribution,
+        resolvedValue,
+        outcome: null,
+        currentProbability: null,
+        finalProbability: null,
+        outcomes: null,
+        outcomePrices: null,
+        resolvedOutcome: null
+    };
+}
+
+/**
+ * Validate one market against the schema
+ * @returns {{ valid: boolean, reasons: string[] }}
+ */
+export function validateMarket(market, now = Date.now()) {
+    if (!market || typeof market !== 'object') {
+        return { valid: false, reasons: ['Not an object'] };
+    }
+
+    const reasons = [];
+    for (const [field, check] of Object.entries(FIELDS)) {
+        if (!check(market[field])) {
+            reasons.push(`Invalid ${field}: ${JSON.stringify(market[field])}`);
+        }
+    }
+
+    // Consistency rules assume well-typed fields
+    if (reasons.length === 0) {
+        RULES.forEach(rule => {
+            if (!rule.test(market, now)) reasons.push(rule.reason);
+        });
+    }
+
+    return { valid: reasons.length === 0, reasons };
+}
+
+/**
+ * Pass one adapter's output through the validator.
+ * Valid markets are stamped with the schema version; everything else goes
+ * to quarantine along with any records the adapter failed to transform.
+ *
+ * @param {string} platform
+ * @param {Object[]} markets - transformed markets
+ * @param {Object[]} rejected - [{ record, error }] from failed transforms
+ * @returns {{ markets: Object[], quarantined: Object[] }}
+ */
+export function validateMarkets(platform, markets, rejected = []) {
+    const now = Date.now();
+    const quarantinedAt = new Date(now).toISOString();
+    const valid = [];
+    const quarantined = [];
+
+    markets.forEach(market => {
+        const { valid: ok, reasons } = validateMarket(market, now);
+        if (ok) {
+            valid.push({ ...market, schemaVersion: MARKET_SCHEMA_VERSION });
+        } else {
+            quarantined.push({
+                id: market?.id || null,
+                title: market?.title || null,
+                platform,
+                reasons,
+                record: market,
+                quarantinedAt
+            });
+        }
+    });
+
+    rejected.forEach(({ record, error }) => {
+        quarantined.push({
+            id: null,
+            title: record?.title || record?.question || record?.ticker || null,
+            platform,
+            reasons: [`Transform failed: ${error.message}`],
+            record,
+            quarantinedAt
+        });
+    });
+
+    if (quarantined.length > 0) {
+        console.warn(`[Schema] ${platform}: quarantined ${quarantined.length}/${markets.length + rejected.length} records`);
+    }
+
+    return { markets: valid, quarantined };
+}
+
+// ===== Utility Functions =====
+
+function isValidDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+function isProbability(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function hasOutcome(market) {
+    return market.resolution !== null && SCORABLE_STATUSES.includes(market.resolution.status);
+}
+
+function isDistribution(value) {
+    if (typeof value !== 'object' || !DISTRIBUTION_KINDS.includes(value.kind)) return false;
+    if (!Number.isFinite(value.lower) || !Number.isFinite(value.upper) || value.lower >= value.upper) return false;
+    if (value.zeroPoint !== null && !Number.isFinite(value.zeroPoint)) return false;
+    if (typeof value.openLower !== 'boolean' || typeof value.openUpper !== 'boolean') return false;
+
+    // A CDF never decreases; allow for rounding in the upstream's values
+    const { cdf } = value;
+    return Array.isArray(cdf) && cdf.length >= 2 && cdf.every(isProbability)
+        && cdf.every((p, i) => i === 0 || p >= cdf[i - 1] - 1e-9);
+}
@@ -0,0 +1,56 @@
+// Match Overrides Client
+// Reads and saves manual match decisions kept by the proxy (server/matchOverrides.js)
+
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.request;
+const OVERRIDES_URL = routeUrl('/api/matches/overrides');
+
+/**
+ * Fetch every manual decision: { [pairKey]: 'confirmed' | 'rejected' }
+ */
+export async function fetchOverrides() {
+    return request('GET');
+}
+
+/**
+ * Confirm or reject that two markets describe the same event
+ */
+export async function saveOverride(idA, idB, decision) {
+    return request('PUT', { a: idA, b: idB, decision });
+}
+
+/**
+ * Drop a manual decision; the pair goes back to automatic scoring
+ */
+export async function clearOverride(idA, idB) {
+    return request('DELETE', { a: idA, b: idB });
+}
+
+// ===== Utility Functions =====
+
+async function request(method, body = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(OVERRIDES_URL, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return result.data || {};
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
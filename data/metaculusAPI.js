@@ -2,8 +2,28 @@
 // Public API for fetching questions and community predictions
 // Now proxied through backend server (server.js)
 
-const METACULUS_API = 'https://www.metaculus.com/api2';
-const FETCH_TIMEOUT = 15000; // 15 second timeout
+import { validateMarkets, outcomeFields, distributionFields, resolutionFields, defaultedFields } from './marketSchema.js';
+import { quoteFields } from './orderBook.js';
+import { classify } from './taxonomy.js';
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.request;
+
+// Metaculus question types forecast as a CDF, and the distribution kind they become
+const CONTINUOUS_TYPES = { numeric: 'numeric', date: 'date' };
+
+// api2 reports numeric and date questions as `continuous`, with the kind in `possibilities.format`
+const API2_CONTINUOUS_FORMATS = { num: 'numeric', date: 'date' };
+
+// Resolutions that void a question: the posts API names them, api2 used -1 (ambiguous) and -2 (annulled)
+const VOID_RESOLUTIONS = ['annulled', 'ambiguous', -1, -2];
+
+// Forecasts only: no trades and no order book
+const ROUTES = {
+    markets: '/api/metaculus',
+    history: '/api/metaculus/:id/history'
+};
 
 /**
  * Fetch questions from Metaculus (via backend proxy)
@@ -15,7 +35,7 @@ export async function fetchMarkets() {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
         
-        const response = await fetch('http://localhost:3001/api/metaculus', {
+        const response = await fetch(routeUrl(ROUTES.markets), {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -37,44 +57,25 @@ export async function fetchMarkets() {
         
         const data = result.data;
         
-        // Handle different response formats
-        let results = data.results || data.questions || [];
-        if (!Array.isArray(results) && data && typeof data === 'object') {
-            results = data.data || [];
-        }
+        const results = extractQuestions(data);
         
         console.log(`Metaculus: Got ${results.length} total questions`);
         
-        const binaryQuestions = (Array.isArray(results) ? results : [])
-            .filter(q => {
-                // More flexible binary question detection
-                if (q.possibilities && q.possibilities.type === 'binary') return true;
-                if (q.resolution !== null && (q.resolution === 0 || q.resolution === 1)) return true;
-                return false;
-            });
+        const questions = filterSupportedQuestions(results);
         
-        console.log(`Metaculus: Filtered to ${binaryQuestions.length} binary questions`);
+        console.log(`Metaculus: Filtered to ${questions.length} binary, multiple-choice, numeric and date questions`);
         
-        if (binaryQuestions.length === 0) {
-            throw new Error('No binary questions found in Metaculus response');
+        if (questions.length === 0) {
+            throw new Error('No supported questions found in Metaculus response');
         }
         
-        // Transform to our format with error handling
-        const transformed = [];
-        for (let i = 0; i < binaryQuestions.length; i++) {
-            try {
-                const market = transformMetaculusData(binaryQuestions[i]);
-                transformed.push(market);
-            } catch (err) {
-                console.warn(`Metaculus: Failed to transform question ${i}:`, err.message);
-            }
-        }
+        const normalized = transformQuestions(questions);
         
-        console.log(`Metaculus: Successfully transformed ${transformed.length}/${binaryQuestions.length} questions`);
-        if (transformed.length === 0) {
+        console.log(`Metaculus: Successfully transformed ${normalized.markets.length}/${questions.length} questions`);
+        if (normalized.markets.length === 0) {
             throw new Error('Failed to transform any Metaculus questions');
         }
-        return transformed;
+        return normalized;
         
     } catch (error) {
         console.error('Metaculus API error:', error.message);
@@ -82,6 +83,63 @@ export async function fetchMarkets() {
     }
 }
 
+/**
+ * Pull the question list out of the different Metaculus response formats
+ */
+function extractQuestions(data) {
+    let results = (data && (data.results || data.questions)) || [];
+    if (!Array.isArray(results) && data && typeof data === 'object') {
+        results = data.data || [];
+    }
+    return Array.isArray(results) ? results : [];
+}
+
+/**
+ * Keep binary, multiple-choice, numeric and date questions
+ */
+function filterSupportedQuestions(results) {
+    return results.filter(q => {
+        if (questionType(q) === 'multiple_choice' || Object.hasOwn(CONTINUOUS_TYPES, questionType(q))) return true;
+        // More flexible binary question detection
+        if (q.possibilities && q.possibilities.type === 'binary') return true;
+        if (q.resolution !== null && (q.resolution === 0 || q.resolution === 1)) return true;
+        return false;
+    });
+}
+
+/**
+ * Question type across api2 (`possibilities.type`) and the posts API (`question.type`);
+ * api2's continuous questions become numeric or date by their format
+ */
+function questionType(q) {
+    const type = (q.question || q).type || q.possibilities?.type || null;
+    return type === 'continuous' ? API2_CONTINUOUS_FORMATS[q.possibilities?.format] ?? null : type;
+}
+
+/**
+ * Transform questions and validate the result; failures go to quarantine
+ */
+function transformQuestions(questions) {
+    const transformed = [];
+    const rejected = [];
+    for (let i = 0; i < questions.length; i++) {
+        try {
+            transformed.push(transformMetaculusData(questions[i]));
+        } catch (error) {
+            rejected.push({ record: questions[i], error });
+        }
+    }
+    return validateMarkets('metaculus', transformed, rejected);
+}
+
+/**
+ * Transform a raw Metaculus questions response into internal market records
+ * @returns {{ markets: Object[], quarantined: Object[] }}
+ */
+export function normalizeResponse(data) {
+    return transformQuestions(filterSupportedQuestions(extractQuestions(data)));
+}
+
 /**
  * Transform Metaculus data to our internal format
  */
@@ -102,47 +160,309 @@ function transformMetaculusData(question) {
         ? (question.community_prediction.full?.q2 || 0.5)
         : 0.5;
     
+    const id = `metaculus_${question.id}`;
+    const type = questionType(question);
+    const binary = type !== 'multiple_choice' && !Object.hasOwn(CONTINUOUS_TYPES, type);
+    const resolution = rawResolution(question);
+    const { category, subcategory } = classify({
+        id,
+        platform: 'metaculus',
+        title: question.title,
+        native: metaculusCategories(question)
+    });
+    
     return {
-        id: `metaculus_${question.id}`,
+        id,
         title: question.title,
-        category: categorizeQuestion(question.title),
+        category,
+        subcategory,
         platform: 'metaculus',
         createdAt: question.created_time || new Date().toISOString(),
-        resolvedAt: question.resolve_time || null,
-        resolved: question.resolution !== null && question.resolution !== undefined,
-        outcome: question.resolution === 1 ? 1 : (question.resolution === 0 ? 0 : null),
+        resolvedAt: (question.question || question).actual_resolve_time || question.resolve_time || null,
+        closesAt: question.scheduled_resolve_time || question.resolve_time || question.close_time || null,
+        resolved: resolution !== null,
+        ...(binary ? binaryResolution(resolution) : {}),
         currentProbability: communityPrediction,
-        finalProbability: (question.resolution !== null && question.resolution !== undefined) ? communityPrediction : null,
+        finalProbability: resolution !== null ? communityPrediction : null,
         volume: question.number_of_predictions || 0,
         liquidity: 0.8,
         traders: question.number_of_predictors || 0,
-        priceHistory: []
+        ...quoteFields(null, null), // Forecasts, not orders: no book
+        ...(binary ? outcomeFields() : (type === 'multiple_choice' ? multipleChoiceFields(question, resolution) : continuousFields(question, resolution))),
+        // Histories are YES prices; only binary questions have one
+        priceHistory: binary ? normalizeCommunityHistory(question) : [],
+        // Forecasts have no liquidity: every question gets the same placeholder
+        defaulted: defaultedFields({
+            createdAt: !question.created_time,
+            currentProbability: binary && !question.community_prediction?.full?.q2,
+            liquidity: true
+        })
     };
 }
 
 /**
- * Categorize question based on title
+ * The question's resolution as Metaculus reports it (the posts API nests it in `question`), null while open
+ */
+function rawResolution(question) {
+    return (question.question || question).resolution ?? question.resolution ?? null;
+}
+
+/**
+ * Resolution of a binary question: 1 / 0 from api2, 'yes' / 'no' from the posts API
  */
-function categorizeQuestion(title) {
-    if (!title) return 'other';
+function binaryResolution(raw) {
+    if (raw === null) return resolutionFields();
+    if (VOID_RESOLUTIONS.includes(raw)) return resolutionFields('void', 'metaculus.resolution', { raw });
+    if (raw === 1 || raw === 'yes') return resolutionFields('yes', 'metaculus.resolution', { raw });
+    if (raw === 0 || raw === 'no') return resolutionFields('no', 'metaculus.resolution', { raw });
+    throw new Error(`Resolution ${raw} has no binary outcome`);
+}
+
+/**
+ * Categorical fields of a multiple-choice question: the community forecast per
+ * option, and the option the question resolved to
+ */
+function multipleChoiceFields(question, resolution) {
+    const q = question.question || question;
+    const options = Array.isArray(q.options) ? q.options.map(String) : [];
+    const forecast = q.aggregations?.recency_weighted?.latest?.forecast_values;
+    if (options.length < 2 || !Array.isArray(forecast) || forecast.length !== options.length) {
+        throw new Error('Multiple-choice question without a forecast per option');
+    }
     
-    const lower = title.toLowerCase();
+    const prices = forecast.map(Number);
+    if (resolution === null || VOID_RESOLUTIONS.includes(resolution)) {
+        return { ...voidOrOpen(resolution), ...outcomeFields(options, prices, null) };
+    }
     
-    if (lower.includes('election') || lower.includes('president') || lower.includes('political')) {
-        return 'politics';
+    const resolvedIndex = options.indexOf(String(resolution));
+    if (resolvedIndex === -1) {
+        throw new Error(`Resolution ${resolution} is not one of the options`);
     }
-    if (lower.includes('bitcoin') || lower.includes('crypto') || lower.includes('blockchain')) {
-        return 'crypto';
+    return {
+        ...resolutionFields('final', 'metaculus.resolution', { raw: resolution }),
+        ...outcomeFields(options, prices, resolvedIndex)
+    };
+}
+
+/**
+ * Continuous fields of a numeric or date question: the community CDF over the
+ * question's range and the value it resolved to. Resolutions outside a range
+ * with open bounds are placed on the bound they crossed.
+ */
+function continuousFields(question, resolution) {
+    const q = question.question || question;
+    const cdf = q.aggregations?.recency_weighted?.latest?.forecast_values
+        ?? api2Cdf(question.community_prediction?.full);
+    if (!Array.isArray(cdf) || cdf.length < 2) {
+        throw new Error('Continuous question without a community CDF');
+    }
+    
+    const distribution = {
+        kind: CONTINUOUS_TYPES[questionType(question)],
+        ...continuousRange(question),
+        cdf: cdf.map(Number)
+    };
+    
+    if (resolution === null || VOID_RESOLUTIONS.includes(resolution)) {
+        return { ...voidOrOpen(resolution), ...distributionFields(distribution, null) };
+    }
+    
+    const resolvedValue = continuousResolution(distribution, resolution);
+    if (Number.isNaN(resolvedValue)) {
+        throw new Error(`Resolution ${resolution} is not a ${distribution.kind} value`);
+    }
+    return {
+        ...resolutionFields('final', 'metaculus.resolution', { raw: resolution }),
+        ...distributionFields(distribution, resolvedValue)
+    };
+}
+
+/**
+ * Range and open bounds of a continuous question: the posts API's `scaling` and
+ * `open_*_bound`, or api2's `possibilities.scale` and `low` / `high` ('tail' when open)
+ */
+function continuousRange(question) {
+    const q = question.question || question;
+    if (q.scaling) {
+        return {
+            lower: Number(q.scaling.range_min),
+            upper: Number(q.scaling.range_max),
+            zeroPoint: q.scaling.zero_point ?? null,
+            openLower: Boolean(q.open_lower_bound),
+            openUpper: Boolean(q.open_upper_bound)
+        };
     }
-    if (lower.includes('gdp') || lower.includes('economy') || lower.includes('market')) {
-        return 'economics';
+    
+    const possibilities = question.possibilities || {};
+    const scale = possibilities.scale || {};
+    const lower = scaleValue(scale.min);
+    const upper = scaleValue(scale.max);
+    // A log scale grows by deriv_ratio across the range: (upper - zero) / (lower - zero)
+    const ratio = Number(scale.deriv_ratio);
+    return {
+        lower,
+        upper,
+        zeroPoint: Number.isFinite(ratio) && ratio > 0 && ratio !== 1 ? (ratio * lower - upper) / (ratio - 1) : null,
+        openLower: possibilities.low === 'tail',
+        openUpper: possibilities.high === 'tail'
+    };
+}
+
+/**
+ * api2 serves the community forecast as a density `y` over evenly spaced locations,
+ * with the mass below and above the range in `low` and `high`; integrate it into a CDF
+ */
+function api2Cdf(full) {
+    if (!full || !Array.isArray(full.y) || full.y.length < 2) return null;
+    
+    const density = full.y.map(Number);
+    const cumulative = [0];
+    for (let i = 1; i < density.length; i++) {
+        cumulative.push(cumulative[i - 1] + (density[i - 1] + density[i]) / 2);
     }
-    if (lower.includes('science') || lower.includes('research') || lower.includes('discovery')) {
-        return 'science';
+    const total = cumulative[cumulative.length - 1];
+    if (!(total > 0)) return null;
+    
+    const low = Number(full.low) || 0;
+    const high = Number(full.high) || 0;
+    return cumulative.map(c => low + (1 - low - high) * c / total);
+}
+
+/**
+ * A range bound in the question's units: numbers as they are, date strings as unix seconds
+ */
+function scaleValue(value) {
+    return typeof value === 'string' && isNaN(Number(value)) ? Date.parse(value) / 1000 : Number(value);
+}
+
+function voidOrOpen(resolution) {
+    return resolution === null ? resolutionFields() : resolutionFields('void', 'metaculus.resolution', { raw: resolution });
+}
+
+/**
+ * A continuous resolution as a number: a value, an ISO date (unix seconds) or an out-of-range bound
+ */
+function continuousResolution(distribution, resolution) {
+    if (resolution === 'below_lower_bound') return distribution.lower;
+    if (resolution === 'above_upper_bound') return distribution.upper;
+    if (distribution.kind === 'date' && isNaN(Number(resolution))) {
+        return Date.parse(resolution) / 1000;
     }
-    if (lower.includes('sports') || lower.includes('championship')) {
-        return 'sports';
+    return Number(resolution);
+}
+
+/**
+ * Category names Metaculus attaches to a question: api2 `categories`
+ * (ids or objects) and the posts API's `projects.category`
+ */
+function metaculusCategories(question) {
+    const entries = [
+        ...(Array.isArray(question.categories) ? question.categories : []),
+        ...(Array.isArray(question.projects?.category) ? question.projects.category : [])
+    ];
+    return entries
+        .map(entry => (typeof entry === 'string' ? entry : entry && (entry.name || entry.short_name)))
+        .filter(Boolean);
+}
+
+/**
+ * Normalize a question's community-prediction history into priceHistory points:
+ * [{ timestamp, price, volume, forecasters }]
+ *
+ * Handles the three shapes Metaculus has served:
+ * - api2:        community_prediction.history = [{ t, x1: { q2 }, np, nu }]
+ * - api2 legacy: prediction_timeseries = [{ t, community_prediction, num_predictions }]
+ * - api posts:   question.aggregations.recency_weighted.history = [{ start_time, centers, forecaster_count }]
+ */
+export function normalizeCommunityHistory(question) {
+    if (!question || typeof question !== 'object') return [];
+    
+    let points = [];
+    
+    const aggregations = (question.question || question).aggregations;
+    const recencyWeighted = aggregations && aggregations.recency_weighted;
+    
+    if (Array.isArray(question.community_prediction?.history)) {
+        points = question.community_prediction.history.map(entry => ({
+            time: entry.t,
+            price: entry.x1 ? entry.x1.q2 : entry.q2,
+            volume: entry.np,
+            forecasters: entry.nu
+        }));
+    } else if (Array.isArray(question.prediction_timeseries)) {
+        points = question.prediction_timeseries.map(entry => ({
+            time: entry.t,
+            price: typeof entry.community_prediction === 'object'
+                ? entry.community_prediction?.q2
+                : entry.community_prediction,
+            volume: entry.num_predictions,
+            forecasters: entry.num_predictors ?? entry.num_predictions
+        }));
+    } else if (recencyWeighted && Array.isArray(recencyWeighted.history)) {
+        points = recencyWeighted.history.map(entry => ({
+            time: entry.start_time,
+            price: Array.isArray(entry.centers) ? entry.centers[0] : entry.centers,
+            volume: entry.forecaster_count,
+            forecasters: entry.forecaster_count
+        }));
     }
     
-    return 'other';
+    return points
+        .filter(p => p.time !== undefined && typeof p.price === 'number' && p.price >= 0 && p.price <= 1)
+        .map(p => ({
+            // Metaculus timestamps are unix seconds (sometimes ISO strings in newer payloads)
+            timestamp: new Date(typeof p.time === 'number' ? p.time * 1000 : p.time).toISOString(),
+            price: p.price,
+            volume: p.volume || 0,
+            forecasters: p.forecasters || 0
+        }))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
 }
+
+/**
+ * Fetch the community-prediction history of one question (via backend proxy)
+ * @param {string} questionId - Metaculus question id (market id without the platform prefix)
+ */
+export async function fetchPriceHistory(questionId) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.history, questionId),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+        
+        return result.data.history;
+    } catch (error) {
+        console.warn('Metaculus: Error fetching community history:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Platform adapter (see data/platforms.js)
+ */
+export const adapter = {
+    id: 'metaculus',
+    label: 'Metaculus',
+    capabilities: { history: true, trades: false, orderBook: false, stream: false },
+    routes: ROUTES,
+    fetchMarkets,
+    fetchHistory: fetchPriceHistory,
+    fetchTrades: null,
+    fetchOrderBook: null,
+    transform: normalizeResponse
+};
@@ -0,0 +1,87 @@
+// Order Book - normalized depth and the quote fields derived from it
+// Shared by the browser data layer and the proxy server. A book is
+//   { bids: [{ price, size }], asks: [{ price, size }], timestamp }
+// with YES prices in [0, 1], sizes in contracts, bids best (highest) first
+// and asks best (lowest) first.
+
+// Depth is reported within these distances of the mid, in cents
+export const DEPTH_BANDS = [1, 5, 10];
+
+/**
+ * Clean and sort raw price levels into a book
+ */
+export function normalizeBook({ bids = [], asks = [], timestamp = new Date().toISOString() }) {
+    const clean = levels => levels
+        .map(level => ({ price: Number(level.price), size: Number(level.size) }))
+        .filter(level => level.price >= 0 && level.price <= 1 && level.size > 0);
+
+    return {
+        bids: clean(bids).sort((a, b) => b.price - a.price),
+        asks: clean(asks).sort((a, b) => a.price - b.price),
+        timestamp
+    };
+}
+
+/**
+ * Quote fields for a market from its top of book; depth needs the full book
+ */
+export function quoteFields(bestBid, bestAsk) {
+    const bid = Number.isFinite(bestBid) ? bestBid : null;
+    const ask = Number.isFinite(bestAsk) ? bestAsk : null;
+    const twoSided = bid !== null && ask !== null;
+
+    return {
+        bestBid: bid,
+        bestAsk: ask,
+        mid: twoSided ? (bid + ask) / 2 : null,
+        spread: twoSided ? Math.max(0, ask - bid) : null,
+        depth: null
+    };
+}
+
+/**
+ * Best bid/ask, mid, spread and depth within 1/5/10 cents of the mid
+ * @returns {{ bestBid, bestAsk, mid, spread, depth: { [cents]: contracts } | null }}
+ */
+export function describeBook(book) {
+    const fields = quoteFields(book.bids[0]?.price, book.asks[0]?.price);
+    const reference = fields.mid ?? fields.bestBid ?? fields.bestAsk;
+    if (reference === null) return fields;
+
+    const levels = [...book.bids, ...book.asks];
+    fields.depth = Object.fromEntries(DEPTH_BANDS.map(cents => [
+        cents,
+        levels
+            .filter(level => Math.abs(level.price - reference) <= cents / 100 + 1e-9)
+            .reduce((sum, level) => sum + level.size, 0)
+    ]));
+    return fields;
+}
+
+/**
+ * Average price to fill `size` contracts against the book
+ * @param {'buy'|'sell'} side - buy YES (takes asks) or sell YES (hits bids)
+ * @returns {number|null} null when the book is too thin to fill the order
+ */
+export function executablePrice(book, side, size) {
+    const levels = side === 'buy' ? book.asks : book.bids;
+    let remaining = size;
+    let cost = 0;
+
+    for (const level of levels) {
+        const filled = Math.min(remaining, level.size);
+        cost += filled * level.price;
+        remaining -= filled;
+        if (remaining <= 0) return cost / size;
+    }
+    return null;
+}
+
+/**
+ * Kyle's lambda read off the book: price move per contract needed to
+ * push the price `cents` away from the mid
+ */
+export function bookLambda(market, cents = 5) {
+    const depth = market.depth && market.depth[cents];
+    return depth > 0 ? (cents / 100) / depth : null;
+}
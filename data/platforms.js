@@ -0,0 +1,88 @@
+// Platform Adapter Registry
+// Every venue the app reads from is one adapter:
+//   {
+//     id, label,
+//     capabilities: { history, trades, orderBook, stream },
+//     routes: { markets, history?, trades?, book? },   // proxy paths, see data/proxy.js
+//     fetchMarkets, fetchHistory, fetchTrades, fetchOrderBook,
+//     transform                                         // raw proxy response -> { markets, quarantined }
+//   }
+// The data manager, the status bar, the platform selector and the proxy routes
+// are all built from this list, so a new venue is one adapter module plus one
+// registerAdapter() call (and its upstream fetchers in server/platforms.js).
+// Adapters disabled in the configuration stay registered (stored markets of
+// theirs remain valid) but are left out of listAdapters().
+
+import { registerPlatform } from './marketSchema.js';
+import { CLIENT_CONFIG } from './config.js';
+import { adapter as polymarket } from './polymarketAPI.js';
+import { adapter as kalshi } from './kalshiAPI.js';
+import { adapter as metaculus } from './metaculusAPI.js';
+import { adapter as manifold } from './manifoldAPI.js';
+
+const REQUIRED_FIELDS = ['id', 'label', 'routes', 'fetchMarkets', 'transform'];
+
+// Each capability needs its fetcher and its proxy route
+const CAPABILITY_REQUIREMENTS = {
+    history: ['fetchHistory', 'history'],
+    trades: ['fetchTrades', 'trades'],
+    orderBook: ['fetchOrderBook', 'book'],
+    stream: [null, 'markets']
+};
+
+const adapters = new Map();
+let enabled = { ...CLIENT_CONFIG.platforms }; // platformId -> false when disabled
+
+/**
+ * Add a platform adapter; its id becomes a valid market `platform`
+ */
+export function registerAdapter(adapter) {
+    const missing = REQUIRED_FIELDS.filter(field => !adapter?.[field]);
+    if (missing.length > 0) {
+        throw new Error(`Adapter ${adapter?.id || '(no id)'} is missing ${missing.join(', ')}`);
+    }
+    if (adapters.has(adapter.id)) {
+        throw new Error(`Adapter ${adapter.id} is already registered`);
+    }
+
+    const capabilities = { history: false, trades: false, orderBook: false, stream: false, ...adapter.capabilities };
+    Object.entries(CAPABILITY_REQUIREMENTS).forEach(([capability, [fetcher, route]]) => {
+        if (!capabilities[capability]) return;
+        if ((fetcher && typeof adapter[fetcher] !== 'function') || !adapter.routes[route]) {
+            throw new Error(`Adapter ${adapter.id} declares ${capability} without ${fetcher ? `${fetcher} and ` : ''}routes.${route}`);
+        }
+    });
+
+    adapters.set(adapter.id, { ...adapter, capabilities });
+    registerPlatform(adapter.id);
+}
+
+export function getAdapter(id) {
+    return adapters.get(id) || null;
+}
+
+/**
+ * Enabled adapters, in registration order
+ */
+export function listAdapters() {
+    return [...adapters.values()].filter(adapter => enabled[adapter.id] !== false);
+}
+
+/**
+ * Install the `platforms` section of the configuration: { [platformId]: false } disables one
+ */
+export function configurePlatforms(platforms = {}) {
+    Object.keys(platforms).forEach(id => {
+        if (!adapters.has(id)) console.warn(`[Platforms] Ignoring unknown platform "${id}" in config`);
+    });
+    enabled = { ...platforms };
+}
+
+/**
+ * Whether a platform's adapter supports a capability ('history', 'trades', 'orderBook', 'stream')
+ */
+export function hasCapability(platform, capability) {
+    return Boolean(adapters.get(platform)?.capabilities[capability]);
+}
+
+[polymarket, kalshi, metaculus, manifold].forEach(registerAdapter);
@@ -2,7 +2,20 @@
 // Public API endpoints for fetching market data
 // Now proxied through backend server (server.js)
 
-const FETCH_TIMEOUT = 15000; // 15 second timeout
+import { validateMarkets, outcomeFields, resolutionFields, defaultedFields } from './marketSchema.js';
+import { quoteFields } from './orderBook.js';
+import { classify } from './taxonomy.js';
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.markets; // the proxy walks several upstream pages
+
+const ROUTES = {
+    markets: '/api/polymarket',
+    history: '/api/polymarket/:id/history',
+    trades: '/api/polymarket/:id/trades',
+    book: '/api/polymarket/:id/book'
+};
 
 /**
  * Fetch markets from Polymarket (via backend proxy)
@@ -14,7 +27,7 @@ export async function fetchMarkets() {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
         
-        const response = await fetch('http://localhost:3001/api/polymarket', {
+        const response = await fetch(routeUrl(ROUTES.markets), {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -47,22 +60,13 @@ export async function fetchMarkets() {
             throw new Error('No markets in Polymarket response');
         }
         
-        // Transform to our format with error handling
-        const transformed = [];
-        for (let i = 0; i < markets.length; i++) {
-            try {
-                const market = transformPolymarketData(markets[i]);
-                transformed.push(market);
-            } catch (err) {
-                if (i < 5) console.warn(`[PM] Failed to transform market ${i}:`, err.message);
-            }
-        }
+        const normalized = normalizeResponse(data);
         
-        console.log(`[PM] ✅ Successfully transformed ${transformed.length}/${markets.length} markets`);
-        if (transformed.length === 0) {
+        console.log(`[PM] ✅ Successfully transformed ${normalized.markets.length}/${markets.length} markets`);
+        if (normalized.markets.length === 0) {
             throw new Error('Failed to transform any Polymarket markets');
         }
-        return transformed;
+        return normalized;
     } catch (error) {
         console.error('[PM] ❌ Polymarket API error:', error.message);
         console.error('[PM] Stack:', error.stack);
@@ -70,6 +74,27 @@ export async function fetchMarkets() {
     }
 }
 
+/**
+ * Transform a raw Polymarket markets response into internal market records.
+ * Shared by the browser client and the proxy's snapshot store.
+ * @returns {{ markets: Object[], quarantined: Object[] }}
+ */
+export function normalizeResponse(data) {
+    const markets = Array.isArray(data) ? data : ((data && (data.markets || data.data)) || []);
+    const transformed = [];
+    const rejected = [];
+    
+    for (let i = 0; i < markets.length; i++) {
+        try {
+            transformed.push(transformPolymarketData(markets[i]));
+        } catch (error) {
+            rejected.push({ record: markets[i], error });
+        }
+    }
+    
+    return validateMarkets('polymarket', transformed, rejected);
+}
+
 /**
  * Transform Polymarket data to our internal format
  */
@@ -83,72 +108,213 @@ function transformPolymarketData(market) {
     }
     
     const question = market.question || market.description || 'Unknown Market';
+    const id = `polymarket_${market.condition_id}`;
+    const { category, subcategory } = classify({ id, platform: 'polymarket', title: question, native: market.tags || [] });
+    const outcomes = polymarketOutcomes(market);
+    const yesPrice = polymarketYesPrice(market);
+    // Categorical markets carry their own resolution in the outcome fields
+    const settlement = { ...polymarketResolution(market), ...outcomes };
+    // A closed market still awaiting its winner is not resolved yet
+    const resolved = settlement.resolution !== null;
     
     return {
-        id: `polymarket_${market.condition_id}`,
+        id,
         title: question,
-        category: categorizeMarket(question),
+        category,
+        subcategory,
         platform: 'polymarket',
         createdAt: market.created_at || market.open_time || new Date().toISOString(),
-        resolvedAt: market.closed && market.end_date_iso ? market.end_date_iso : null,
-        resolved: market.closed === true,
-        outcome: market.outcome ? (market.outcome === 'Yes' ? 1 : 0) : null,
-        currentProbability: market.last_price ? parseFloat(market.last_price) : 0.5,
-        finalProbability: market.closed && market.last_price ? parseFloat(market.last_price) : null,
+        resolvedAt: resolved && market.end_date_iso ? market.end_date_iso : null,
+        closesAt: market.end_date_iso || null,
+        resolved,
+        currentProbability: yesPrice ?? 0.5,
+        finalProbability: market.closed && yesPrice !== null ? yesPrice : null,
         volume: market.volume ? parseFloat(market.volume) : 0,
         liquidity: market.liquidity ? parseFloat(market.liquidity) : 0,
         traders: market.participants || 0,
-        priceHistory: []
+        // The CLOB market listing carries no quotes; the book route fills these in
+        ...quoteFields(null, null),
+        ...settlement,
+        priceHistory: [],
+        defaulted: defaultedFields({
+            createdAt: !market.created_at && !market.open_time,
+            currentProbability: yesPrice === null && outcomes.outcomeType === 'binary'
+        })
     };
 }
 
 /**
- * Categorize market based on title
+ * Markets whose tokens are not YES / NO (e.g. one token per team) are categorical:
+ * one outcome per token, priced at the token price
  */
-function categorizeMarket(title) {
-    if (!title) return 'other';
-    
-    const lower = title.toLowerCase();
+function polymarketOutcomes(market) {
+    const tokens = Array.isArray(market.tokens) ? market.tokens : [];
+    const labels = tokens.map(t => String(t.outcome || ''));
+    const isBinary = tokens.length < 2
+        || (tokens.length === 2 && labels.map(l => l.toLowerCase()).sort().join() === 'no,yes');
+    if (isBinary) {
+        return outcomeFields();
+    }
     
-    if (lower.includes('election') || lower.includes('president') || lower.includes('senate')) {
-        return 'politics';
+    const winner = tokens.findIndex(t => t.winner);
+    const settled = market.closed === true && winner !== -1;
+    return {
+        ...(settled ? resolutionFields('final', 'polymarket.tokens.winner', { raw: labels[winner] }) : resolutionFields()),
+        ...outcomeFields(labels, tokens.map(t => parseFloat(t.price) || 0), settled ? winner : null)
+    };
+}
+
+/**
+ * YES price of a binary market: the legacy `last_price`, else the price of the
+ * CLOB's YES token (the CLOB listing has no last_price); null without either
+ */
+function polymarketYesPrice(market) {
+    if (market.last_price) {
+        return parseFloat(market.last_price);
     }
-    if (lower.includes('bitcoin') || lower.includes('ethereum') || lower.includes('crypto')) {
-        return 'crypto';
+    const tokens = Array.isArray(market.tokens) ? market.tokens : [];
+    const yes = tokens.find(t => String(t.outcome || '').toLowerCase() === 'yes');
+    const price = yes ? parseFloat(yes.price) : NaN;
+    return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Resolution of a closed binary market: the legacy `outcome` field, else the
+ * CLOB's winning token. A 50-50 resolution pays half to each side and marks
+ * no winner; a closed market without either is awaiting resolution.
+ * (Categorical markets override this in polymarketOutcomes.)
+ */
+function polymarketResolution(market) {
+    if (market.closed !== true) {
+        return resolutionFields();
     }
-    if (lower.includes('gdp') || lower.includes('inflation') || lower.includes('fed') || lower.includes('economy')) {
-        return 'economics';
+    const legacy = String(market.outcome || '').toLowerCase();
+    if (legacy === 'yes' || legacy === 'no') {
+        return resolutionFields(legacy, 'polymarket.outcome', { raw: market.outcome });
     }
-    if (lower.includes('nba') || lower.includes('nfl') || lower.includes('sports')) {
-        return 'sports';
+    
+    const tokens = Array.isArray(market.tokens) ? market.tokens : [];
+    const winner = tokens.find(t => t.winner);
+    if (winner) {
+        const status = String(winner.outcome).toLowerCase() === 'yes' ? 'yes' : 'no';
+        return resolutionFields(status, 'polymarket.tokens.winner', { raw: winner.outcome });
     }
-    if (lower.includes('science') || lower.includes('discovery') || lower.includes('research')) {
-        return 'science';
+    if (tokens.length === 2 && tokens.every(t => Number(t.price) === 0.5)) {
+        return resolutionFields('partial', 'polymarket.tokens.price', { raw: '50-50', payout: 0.5 });
     }
-    
-    return 'other';
+    return resolutionFields();
 }
 
 /**
- * Fetch price history for a specific market
+ * Fetch price history for a specific market (via backend proxy)
+ * @param {string} conditionId - Polymarket condition id (market id without the platform prefix)
+ * @param {string} resolution - '1m', '1h' or '1d'
  */
-export async function fetchPriceHistory(marketId) {
+export async function fetchPriceHistory(conditionId, resolution = '1h') {
     try {
-        const response = await fetch(`${GAMMA_API}/prices/${marketId}`);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.history, conditionId, { resolution }),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
         
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}`);
         }
         
-        const data = await response.json();
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
         
-        return data.map(point => ({
-            timestamp: point.timestamp,
-            price: parseFloat(point.price),
-            volume: parseFloat(point.volume) || 0
-        }));
+        return result.data.history;
     } catch (error) {
         console.warn('Error fetching price history:', error);
         return [];
     }
 }
+
+/**
+ * Fetch the public trade tape for a market (via backend proxy)
+ * @param {string} conditionId - Polymarket condition id (market id without the platform prefix)
+ * @returns {Promise<Object[]>} [{ timestamp, price, size, side, account }], oldest first
+ */
+export async function fetchTrades(conditionId) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.trades, conditionId),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+        
+        return result.data.trades;
+    } catch (error) {
+        console.warn('[PM] Error fetching trades:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Fetch the current order book for a market (via backend proxy)
+ * @param {string} conditionId - Polymarket condition id (market id without the platform prefix)
+ * @returns {Promise<Object|null>} { book, bestBid, bestAsk, mid, spread, depth }, null on failure
+ */
+export async function fetchOrderBook(conditionId) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+        
+        const response = await fetch(
+            routeUrl(ROUTES.book, conditionId),
+            { signal: controller.signal }
+        );
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+        
+        return result.data;
+    } catch (error) {
+        console.warn('[PM] Error fetching order book:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Platform adapter (see data/platforms.js)
+ */
+export const adapter = {
+    id: 'polymarket',
+    label: 'Polymarket',
+    capabilities: { history: true, trades: true, orderBook: true, stream: true },
+    routes: ROUTES,
+    fetchMarkets,
+    fetchHistory: fetchPriceHistory,
+    fetchTrades,
+    fetchOrderBook,
+    transform: normalizeResponse
+};
@@ -0,0 +1,19 @@
+// Proxy Routes
+// Adapters declare their proxy routes as Express-style paths ('/api/kalshi/:id/candles');
+// the browser turns them into URLs here and the proxy mounts the same paths.
+
+import { CLIENT_CONFIG } from './config.js';
+
+export const PROXY_URL = CLIENT_CONFIG.proxyUrl;
+
+/**
+ * Absolute URL for a proxy route
+ * @param {string} route - e.g. '/api/kalshi/:id/trades'
+ * @param {string} [id] - substituted for :id
+ * @param {Object} [params] - query parameters
+ */
+export function routeUrl(route, id = null, params = {}) {
+    const path = id === null ? route : route.replace(':id', encodeURIComponent(id));
+    const query = new URLSearchParams(params).toString();
+    return `${PROXY_URL}${path}${query ? `?${query}` : ''}`;
+}
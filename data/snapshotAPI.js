@@ -0,0 +1,104 @@
+// Snapshot Store Client
+// Reads market history the proxy has accumulated on disk (server/snapshotStore.js)
+
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.request;
+
+/**
+ * Fetch stored price histories for one platform, keyed by market id
+ */
+export async function fetchStoredHistories(platform) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(routeUrl('/api/snapshots/history', null, { platform }), {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+
+        return result.data || {};
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Fetch the latest stored snapshot of every market, optionally resolved ones only
+ * @returns {Promise<Object[]>} markets without priceHistory
+ */
+export async function fetchStoredMarkets({ platform = null, resolved = false } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    const params = {};
+    if (platform) params.platform = platform;
+    if (resolved) params.resolved = 'true';
+
+    try {
+        const response = await fetch(routeUrl('/api/snapshots', null, params), {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+
+        return result.data.markets || [];
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Fill empty priceHistory arrays from the snapshot store.
+ * Markets that already carry a history are left untouched.
+ */
+export async function attachStoredHistory(markets) {
+    const platforms = [...new Set(markets.map(m => m.platform))];
+
+    const results = await Promise.allSettled(platforms.map(p => fetchStoredHistories(p)));
+    const histories = {};
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            Object.assign(histories, result.value);
+        } else {
+            console.warn(`[Store] No stored history for ${platforms[i]}:`, result.reason.message);
+        }
+    });
+
+    let attached = 0;
+    markets.forEach(market => {
+        const stored = histories[market.id];
+        if (stored && stored.length > 0 && (!market.priceHistory || market.priceHistory.length === 0)) {
+            market.priceHistory = stored;
+            attached++;
+        }
+    });
+
+    console.log(`[Store] Attached stored history to ${attached}/${markets.length} markets`);
+    return attached;
+}
@@ -0,0 +1,45 @@
+// Market Stream Client
+// Receives incremental market updates the proxy pushes over Server-Sent Events (server/stream.js)
+
+import { routeUrl } from './proxy.js';
+
+const STREAM_URL = routeUrl('/api/stream');
+
+/**
+ * Subscribe to market deltas
+ * @param {Object} handlers
+ * @param {Function} handlers.onDelta - called with { seq, at, added, updated }
+ * @param {Function} handlers.onClosed - called once if the stream cannot be (re)established
+ * @returns {Function} unsubscribe
+ */
+export function connectStream({ onDelta, onClosed = () => {} }) {
+    if (typeof EventSource === 'undefined') {
+        onClosed(new Error('EventSource not supported'));
+        return () => {};
+    }
+
+    const source = new EventSource(STREAM_URL);
+    let lastSeq = 0;
+
+    source.addEventListener('hello', event => {
+        const { source: name, intervalMs } = JSON.parse(event.data);
+        console.log(`[Stream] Connected (${name} source, every ${intervalMs}ms)`);
+    });
+
+    source.addEventListener('delta', event => {
+        const delta = JSON.parse(event.data);
+        // The proxy restarts its sequence when it restarts; only drop true repeats
+        if (delta.seq === lastSeq) return;
+        lastSeq = delta.seq;
+        onDelta(delta);
+    });
+
+    // EventSource reconnects by itself; CLOSED means it gave up
+    source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+            onClosed(new Error('Stream closed'));
+        }
+    };
+
+    return () => source.close();
+}
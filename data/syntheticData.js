@@ -1,6 +1,8 @@
 // Synthetic Data Generator
 // Generates realistic prediction market data for all modules
 
+import { resolutionFields } from './marketSchema.js';
+
 /**
  * Generate resolved prediction markets with calibrated probabilities
  */
@@ -54,13 +56,14 @@ export function generateResolvedMarkets(count = 500) {
             createdAt: creationDate.toISOString(),
             resolvedAt: resolutionDate.toISOString(),
             resolved: true,
-            outcome,
+            ...resolutionFields(outcome === 1 ? 'yes' : 'no', 'synthetic'),
             finalProbability,
             volume,
             liquidity,
             traders,
             // Price history for temporal analysis
-            priceHistory: generatePriceHistory(finalProbability, creationDate, resolutionDate)
+            priceHistory: generatePriceHistory(finalProbability, creationDate, resolutionDate),
+            defaulted: []
         });
     }
     
@@ -101,12 +104,13 @@ export function generateOpenMarkets(count = 200) {
             resolvedAt: null,
             resolutionDate: resolutionDate.toISOString(),
             resolved: false,
-            outcome: null,
+            ...resolutionFields(),
             currentProbability,
             volume,
             liquidity,
             traders,
-            priceHistory: generatePriceHistory(currentProbability, creationDate, new Date())
+            priceHistory: generatePriceHistory(currentProbability, creationDate, new Date()),
+            defaulted: []
         });
     }
     
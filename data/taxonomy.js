@@ -0,0 +1,289 @@
+// Category Taxonomy - one set of category labels for every platform
+// Shared by the browser data layer and the proxy server. Markets carry a
+// top-level `category` and, where one applies, a `subcategory`:
+//   'economics' / 'economics/fed'
+// Classification order: per-market override, platform-native category,
+// title keywords (whole words only), then 'other'.
+
+export const TAXONOMY = [
+    {
+        id: 'politics',
+        label: 'Politics',
+        keywords: ['political', 'politics', 'congress', 'parliament', 'governor', 'senate', 'house of representatives'],
+        children: [
+            { id: 'elections', label: 'Elections', keywords: ['election', 'elections', 'primary', 'nominee', 'nomination', 'electoral', 'ballot', 'president', 'presidential', 'mayor'] },
+            { id: 'policy', label: 'Policy & Law', keywords: ['supreme court', 'bill', 'law', 'executive order', 'tariff', 'tariffs', 'veto', 'impeach', 'impeachment'] },
+            { id: 'geopolitics', label: 'Geopolitics', keywords: ['war', 'ceasefire', 'nato', 'invasion', 'sanctions', 'ukraine', 'russia', 'china', 'israel', 'iran', 'taiwan'] }
+        ]
+    },
+    {
+        id: 'economics',
+        label: 'Economics',
+        keywords: ['economy', 'economic', 'recession'],
+        children: [
+            { id: 'fed', label: 'Central Banks', keywords: ['fed', 'federal reserve', 'fomc', 'interest rate', 'interest rates', 'rate cut', 'rate hike', 'ecb'] },
+            { id: 'macro', label: 'Macro Data', keywords: ['gdp', 'inflation', 'cpi', 'unemployment', 'jobs report', 'payrolls'] },
+            { id: 'markets', label: 'Financial Markets', keywords: ['s&p', 'nasdaq', 'dow', 'stock', 'stocks', 'ipo', 'oil price', 'gold price'] }
+        ]
+    },
+    {
+        id: 'crypto',
+        label: 'Crypto',
+        keywords: ['crypto', 'cryptocurrency', 'blockchain', 'bitcoin', 'btc', 'ethereum', 'eth', 'solana', 'stablecoin', 'etf approval'],
+        children: []
+    },
+    {
+        id: 'science',
+        label: 'Science & Tech',
+        keywords: ['science', 'scientific', 'research', 'discovery'],
+        children: [
+            { id: 'ai', label: 'AI', keywords: ['ai', 'artificial intelligence', 'openai', 'gpt', 'llm', 'agi'] },
+            { id: 'space', label: 'Space', keywords: ['spacex', 'nasa', 'moon', 'mars', 'starship', 'launch', 'orbit'] },
+            { id: 'health', label: 'Health', keywords: ['pandemic', 'vaccine', 'covid', 'disease', 'outbreak', 'fda', 'h5n1'] },
+            { id: 'climate', label: 'Climate & Weather', keywords: ['climate', 'temperature', 'hurricane', 'emissions', 'warming'] }
+        ]
+    },
+    {
+        id: 'sports',
+        label: 'Sports',
+        keywords: ['sports', 'championship', 'world cup', 'olympics', 'super bowl', 'playoffs', 'finals'],
+        children: [
+            { id: 'nba', label: 'NBA', keywords: ['nba'] },
+            { id: 'nfl', label: 'NFL', keywords: ['nfl'] },
+            { id: 'soccer', label: 'Soccer', keywords: ['premier league', 'champions league', 'la liga', 'fifa', 'uefa'] }
+        ]
+    },
+    {
+        id: 'culture',
+        label: 'Culture',
+        keywords: ['oscar', 'oscars', 'grammy', 'grammys', 'box office', 'album', 'movie', 'celebrity'],
+        children: []
+    },
+    {
+        id: 'other',
+        label: 'Other',
+        keywords: [],
+        children: []
+    }
+];
+
+// Platform-native categories (compared case-insensitively) -> taxonomy path
+const NATIVE_CATEGORIES = {
+    kalshi: {
+        'politics': 'politics',
+        'elections': 'politics/elections',
+        'world': 'politics/geopolitics',
+        'economics': 'economics/macro',
+        'financials': 'economics/markets',
+        'companies': 'economics/markets',
+        'crypto': 'crypto',
+        'science and technology': 'science',
+        'climate and weather': 'science/climate',
+        'health': 'science/health',
+        'sports': 'sports',
+        'entertainment': 'culture'
+    },
+    polymarket: {
+        'politics': 'politics',
+        'elections': 'politics/elections',
+        'us-election': 'politics/elections',
+        'geopolitics': 'politics/geopolitics',
+        'economy': 'economics',
+        'fed': 'economics/fed',
+        'business': 'economics/markets',
+        'crypto': 'crypto',
+        'science': 'science',
+        'ai': 'science/ai',
+        'tech': 'science',
+        'sports': 'sports',
+        'nba': 'sports/nba',
+        'nfl': 'sports/nfl',
+        'soccer': 'sports/soccer',
+        'pop culture': 'culture',
+        'pop-culture': 'culture'
+    },
+    metaculus: {
+        'politics': 'politics',
+        'elections': 'politics/elections',
+        'geopolitics': 'politics/geopolitics',
+        'law': 'politics/policy',
+        'economy & business': 'economics',
+        'cryptocurrencies': 'crypto',
+        'artificial intelligence': 'science/ai',
+        'computing and math': 'science',
+        'natural sciences': 'science',
+        'space': 'science/space',
+        'health & pandemics': 'science/health',
+        'environment & climate': 'science/climate',
+        'sports & entertainment': 'sports'
+    },
+    manifold: {
+        'politics-default': 'politics',
+        'us-politics': 'politics',
+        'elections': 'politics/elections',
+        'us-elections': 'politics/elections',
+        'geopolitics': 'politics/geopolitics',
+        'world-default': 'politics/geopolitics',
+        'economics-default': 'economics',
+        'finance': 'economics/markets',
+        'stocks': 'economics/markets',
+        'crypto-speculation': 'crypto',
+        'crypto': 'crypto',
+        'technology-default': 'science',
+        'science-default': 'science',
+        'ai': 'science/ai',
+        'space': 'science/space',
+        'health': 'science/health',
+        'climate': 'science/climate',
+        'sports-default': 'sports',
+        'nba': 'sports/nba',
+        'nfl': 'sports/nfl',
+        'soccer': 'sports/soccer',
+        'entertainment': 'culture',
+        'culture-default': 'culture'
+    }
+};
+
+// User overrides (config/taxonomy.json), installed with configureTaxonomy()
+const overrides = {
+    markets: {},   // marketId -> path
+    native: {},    // platform -> { native category -> path }
+    keywords: {}   // path -> extra keywords
+};
+
+let keywordRules = buildKeywordRules();
+
+/**
+ * Install user overrides:
+ * { markets: { [marketId]: path }, native: { [platform]: { [name]: path } }, keywords: { [path]: string[] } }
+ * Paths that are not in the taxonomy are ignored with a warning.
+ */
+export function configureTaxonomy(config = {}) {
+    const valid = (path, where) => {
+        if (resolvePath(path)) return true;
+        console.warn(`[Taxonomy] Ignoring unknown category "${path}" in ${where}`);
+        return false;
+    };
+
+    overrides.markets = Object.fromEntries(
+        Object.entries(config.markets || {}).filter(([id, path]) => valid(path, `markets.${id}`))
+    );
+    overrides.native = Object.fromEntries(
+        Object.entries(config.native || {}).map(([platform, names]) => [
+            platform,
+            Object.fromEntries(Object.entries(names)
+                .filter(([name, path]) => valid(path, `native.${platform}`))
+                .map(([name, path]) => [name.toLowerCase(), path]))
+        ])
+    );
+    overrides.keywords = Object.fromEntries(
+        Object.entries(config.keywords || {}).filter(([path]) => valid(path, 'keywords'))
+    );
+
+    keywordRules = buildKeywordRules();
+}
+
+/**
+ * Classify one market
+ * @param {Object} input
+ * @param {string} input.id - market id, for per-market overrides
+ * @param {string} input.platform
+ * @param {string} input.title
+ * @param {string[]} input.native - the platform's own categories or tags
+ * @returns {{ category: string, subcategory: string|null }}
+ */
+export function classify({ id = null, platform = null, title = '', native = [] }) {
+    const path = (id && overrides.markets[id])
+        || nativePath(platform, native)
+        || keywordPath(title)
+        || 'other';
+
+    return resolvePath(path);
+}
+
+/**
+ * Display label for a category or subcategory path
+ */
+export function categoryLabel(path) {
+    const resolved = path && resolvePath(path);
+    if (!resolved) return path || 'Other';
+
+    const parent = TAXONOMY.find(c => c.id === resolved.category);
+    if (!resolved.subcategory) return parent.label;
+
+    const child = parent.children.find(c => `${parent.id}/${c.id}` === resolved.subcategory);
+    return child.label;
+}
+
+/**
+ * Top-level categories, in display order, for filters and legends
+ */
+export function topLevelCategories() {
+    return TAXONOMY.map(({ id, label }) => ({ id, label }));
+}
+
+// ===== Utility Functions =====
+
+function resolvePath(path) {
+    const [categoryId, childId] = String(path).split('/');
+    const category = TAXONOMY.find(c => c.id === categoryId);
+    if (!category) return null;
+    if (!childId) return { category: category.id, subcategory: null };
+
+    const child = category.children.find(c => c.id === childId);
+    return child ? { category: category.id, subcategory: `${category.id}/${child.id}` } : null;
+}
+
+function nativePath(platform, native) {
+    const names = (Array.isArray(native) ? native : [native])
+        .filter(Boolean)
+        .map(name => String(name).toLowerCase().trim());
+    const mapping = { ...(NATIVE_CATEGORIES[platform] || {}), ...(overrides.native[platform] || {}) };
+
+    for (const name of names) {
+        if (mapping[name]) return mapping[name];
+    }
+    return null;
+}
+
+/**
+ * The rule with the most matching keywords wins; subcategories beat their
+ * parent on ties so the more specific label is kept
+ */
+function keywordPath(title) {
+    const text = ` ${String(title || '').toLowerCase()} `;
+    let best = null;
+
+    keywordRules.forEach(rule => {
+        const hits = rule.patterns.filter(pattern => pattern.test(text)).length;
+        if (hits === 0) return;
+        if (!best || hits > best.hits || (hits === best.hits && rule.depth > best.depth)) {
+            best = { path: rule.path, hits, depth: rule.depth };
+        }
+    });
+
+    return best ? best.path : null;
+}
+
+function buildKeywordRules() {
+    const rules = [];
+    const add = (path, keywords, depth) => rules.push({
+        path,
+        depth,
+        patterns: [...keywords, ...(overrides.keywords[path] || [])].map(wordPattern)
+    });
+
+    TAXONOMY.forEach(category => {
+        add(category.id, category.keywords, 0);
+        category.children.forEach(child => add(`${category.id}/${child.id}`, child.keywords, 1));
+    });
+    return rules;
+}
+
+/**
+ * Whole-word (or whole-phrase) match: "fed" must not match "federal"
+ */
+function wordPattern(keyword) {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`);
+}
@@ -0,0 +1,38 @@
+// Taxonomy Overrides Client
+// Reads the user-editable category overrides the proxy serves (config/taxonomy.json)
+
+import { routeUrl } from './proxy.js';
+import { CLIENT_CONFIG } from './config.js';
+
+const FETCH_TIMEOUT = CLIENT_CONFIG.timeouts.request;
+
+/**
+ * Fetch { markets, native, keywords } overrides for configureTaxonomy()
+ */
+export async function fetchTaxonomyConfig() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(routeUrl('/api/taxonomy'), {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Proxy request failed');
+        }
+
+        return result.data || {};
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
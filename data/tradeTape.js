@@ -0,0 +1,103 @@
+// Trade Tape - derived fields for real fills
+// Turns the proxy's { timestamp, price, size, side, account? } fills into the
+// trade, whale and forecaster records the whales, price-discovery and
+// leaderboard modules draw.
+import * as stats from '../stats/index.js';
+
+// Fewer scored markets than this says more about luck than skill
+const MIN_FORECASTER_MARKETS = 3;
+
+/**
+ * Add the fields the modules expect to each fill, oldest first.
+ * Price impact is the move from the previous fill's price, so the first
+ * fill (nothing to compare with) is dropped.
+ */
+export function enrichTrades(trades) {
+    const sorted = [...trades].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const enriched = [];
+
+    for (let i = 1; i < sorted.length; i++) {
+        const trade = sorted[i];
+        const priceBefore = sorted[i - 1].price;
+        enriched.push({
+            ...trade,
+            direction: trade.side === 'buy' ? 'YES' : 'NO',
+            isBuy: trade.side === 'buy',
+            priceBefore,
+            priceAfter: trade.price,
+            priceImpact: Math.abs(trade.price - priceBefore)
+        });
+    }
+
+    return enriched;
+}
+
+/**
+ * Per-account totals for fills that disclose an account.
+ * PnL is marked to the outcome for resolved markets, else to the current price;
+ * a fill "wins" when it is in the money at that mark.
+ */
+export function summarizeAccounts(trades, market) {
+    const mark = market.resolved && market.outcome !== null ? market.outcome : market.currentProbability;
+    const byAccount = new Map();
+
+    trades.forEach(trade => {
+        if (!trade.account) return;
+        if (!byAccount.has(trade.account)) byAccount.set(trade.account, []);
+        byAccount.get(trade.account).push(trade);
+    });
+
+    return [...byAccount.entries()].map(([address, fills]) => {
+        const pnls = fills.map(t => (t.side === 'buy' ? mark - t.price : t.price - mark) * t.size);
+        const totalVolume = fills.reduce((sum, t) => sum + t.size * (t.side === 'buy' ? t.price : 1 - t.price), 0);
+
+        return {
+            address,
+            totalVolume,
+            tradeCount: fills.length,
+            avgTradeSize: totalVolume / fills.length,
+            winRate: pnls.filter(pnl => pnl > 0).length / fills.length,
+            pnl: pnls.reduce((sum, pnl) => sum + pnl, 0)
+        };
+    });
+}
+
+/**
+ * Score the accounts trading resolved markets as forecasters.
+ * An account's forecast on a market is the YES price of its last fill there:
+ * it traded until it no longer wanted to at that price.
+ * @param {Object[]} tapes - [{ market, fills }] for resolved markets
+ * @returns {Object[]} [{ id, name, platform, predictions, brierScore, logScore, sphericalScore, calibration }]
+ */
+export function scoreForecasters(tapes, minMarkets = MIN_FORECASTER_MARKETS) {
+    const byAccount = new Map(); // account -> { platform, forecasts: Map(marketId -> { price, outcome }) }
+
+    tapes.forEach(({ market, fills }) => {
+        [...fills]
+            .filter(fill => fill.account)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(fill => {
+                if (!byAccount.has(fill.account)) {
+                    byAccount.set(fill.account, { platform: market.platform, forecasts: new Map() });
+                }
+                byAccount.get(fill.account).forecasts.set(market.id, { price: fill.price, outcome: market.outcome });
+            });
+    });
+
+    return [...byAccount.entries()]
+        .filter(([, { forecasts }]) => forecasts.size >= minMarkets)
+        .map(([account, { platform, forecasts }]) => {
+            const predictions = [...forecasts.values()].map(f => f.price);
+            const outcomes = [...forecasts.values()].map(f => f.outcome);
+            return {
+                id: account,
+                name: account.length > 12 ? `${account.slice(0, 6)}…${account.slice(-4)}` : account,
+                platform,
+                predictions: predictions.length,
+                brierScore: stats.brierScore(predictions, outcomes),
+                logScore: stats.logScore(predictions, outcomes),
+                sphericalScore: stats.sphericalScore(predictions, outcomes),
+                calibration: stats.expectedCalibrationError(predictions, outcomes)
+            };
+        });
+}
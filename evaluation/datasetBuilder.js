@@ -360,7 +360,7 @@ export class DatasetBuilder {
             eventId: record.eventId || record.id || `event_${Math.random()}`,
             probability: Math.max(0, Math.min(1, parseFloat(record.probability) || 0.5)),
             resolved: Boolean(record.resolved || record.outcome !== undefined),
-            outcome: Boolean(record.outcome || record.resolved === true),
+            outcome: Boolean(record.outcome),
             platform: record.platform || 'unknown',
             category: record.category || 'general',
             created: record.created || new Date().toISOString(),
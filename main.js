@@ -1,8 +1,10 @@
 // Main Application
 import { state } from './state.js';
-import { initializeData } from './data/dataManager.js';
+import { initializeData, startDataRefresh, onMarketChanges } from './data/dataManager.js';
 import { updateStatusBar } from './utils/ui.js';
 import { EvaluationOrchestrator } from './evaluation/index.js';
+import { topLevelCategories } from './data/taxonomy.js';
+import { listAdapters } from './data/platforms.js';
 
 // Lazy module registry
 const moduleLoaders = {
@@ -17,10 +19,14 @@ const moduleLoaders = {
     'leaderboard': () => import('./modules/leaderboard/index.js').then(m => m.default),
     'whales': () => import('./modules/whales/index.js').then(m => m.default),
     'tail-risk': () => import('./modules/tail-risk/index.js').then(m => m.default),
-    'temporal': () => import('./modules/temporal/index.js').then(m => m.default)
+    'temporal': () => import('./modules/temporal/index.js').then(m => m.default),
+    'continuous': () => import('./modules/continuous/index.js').then(m => m.default),
+    'data-quality': () => import('./modules/data-quality/index.js').then(m => m.default),
+    'quarantine': () => import('./modules/quarantine/index.js').then(m => m.default)
 };
 
 let currentModule = null;
+let currentModuleId = null;
 const moduleClassCache = new Map();
 const navTelemetry = {
     prefetchRequests: 0,
@@ -34,6 +40,10 @@ const navTelemetry = {
 // Global evaluation framework instance
 let evaluationOrchestrator = null;
 
+// Streamed updates re-render the open module at most this often
+const STREAM_RERENDER_MS = 10000;
+const streamRerender = { timer: null, lastAt: 0 };
+
 function logNavigationTelemetry() {
     const avgLoadMs = navTelemetry.moduleLoads > 0 ? navTelemetry.totalLoadMs / navTelemetry.moduleLoads : 0;
     const prefetchSuccessRate = navTelemetry.prefetchRequests > 0 ? (navTelemetry.prefetchCompleted / navTelemetry.prefetchRequests) * 100 : 0;
@@ -95,6 +105,9 @@ async function init() {
         setupGlobalControls();
         setupKeyboardNavigation();
         
+        // Changes can arrive as soon as data loads (cache revalidation), so listen first
+        onMarketChanges(handleMarketsChanged);
+        
         // Initialize data layer
         await initializeData();
         
@@ -126,6 +139,9 @@ async function init() {
         // Start status bar updates
         setInterval(updateStatusBar, 1000);
         
+        // Merge pushed and refreshed market updates as they arrive
+        startDataRefresh();
+        
         console.log('✅ Application ready');
     } catch (error) {
         console.error('❌ Failed to initialize app:', error);
@@ -208,6 +224,7 @@ async function loadModule(moduleId) {
         
         // Create and render new module
         currentModule = new ModuleClass(container, state);
+        currentModuleId = moduleId;
         await currentModule.render();
 
         const loadMs = performance.now() - startedAt;
@@ -233,6 +250,29 @@ async function loadModule(moduleId) {
     }
 }
 
+/**
+ * Re-render the open module when market changes (data/dataManager.js CHANGE_TYPES)
+ * touch markets it shows (those passing the platform/category filters), throttled
+ */
+function handleMarketsChanged(changes) {
+    const { platform, category } = state.filters;
+    const affected = changes.some(change =>
+        (platform === 'all' || change.platform === platform) &&
+        (category === 'all' || change.category === category)
+    );
+    
+    if (!affected || !currentModule || !currentModule.update || streamRerender.timer) return;
+    
+    const moduleId = currentModuleId;
+    const wait = Math.max(0, streamRerender.lastAt + STREAM_RERENDER_MS - Date.now());
+    streamRerender.timer = setTimeout(async () => {
+        streamRerender.timer = null;
+        if (currentModuleId !== moduleId) return; // navigated away meanwhile
+        streamRerender.lastAt = Date.now();
+        await currentModule.update();
+    }, wait);
+}
+
 // Global Controls
 function setupGlobalControls() {
     // Date range
@@ -268,6 +308,9 @@ function setupGlobalControls() {
     // Platform selector
     const platformSelector = document.getElementById('platform-selector');
     if (platformSelector) {
+        listAdapters().forEach(({ id, label }) => {
+            platformSelector.add(new Option(label, id));
+        });
         platformSelector.addEventListener('change', (e) => {
             state.filters.platform = e.target.value;
             if (currentModule && currentModule.update) {
@@ -279,6 +322,9 @@ function setupGlobalControls() {
     // Category filter
     const categoryFilter = document.getElementById('category-filter');
     if (categoryFilter) {
+        topLevelCategories().forEach(({ id, label }) => {
+            categoryFilter.add(new Option(label, id));
+        });
         categoryFilter.addEventListener('change', (e) => {
             state.filters.category = e.target.value;
             if (currentModule && currentModule.update) {
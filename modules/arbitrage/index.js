@@ -2,8 +2,9 @@
 import * as d3 from 'd3';
 import * as stats from '../../stats/index.js';
 import * as ui from '../../utils/ui.js';
-import { getModuleData } from '../../data/dataManager.js';
+import { getModuleData, setMatchDecision } from '../../data/dataManager.js';
 import { ThreeVisualizer } from '../../utils/threeVisualizations.js';
+import { categoryLabel } from '../../data/taxonomy.js';
 
 export default class ArbitrageModule {
     constructor(container, state) {
@@ -17,7 +18,8 @@ export default class ArbitrageModule {
         // Fetch data
         this.data = await getModuleData('arbitrage');
         
-        if (!this.data || !this.data.markets || this.data.markets.length === 0) {
+        const hasViolations = this.data?.sumViolations?.length > 0;
+        if (!this.data || !this.data.markets || (this.data.markets.length === 0 && !hasViolations)) {
             this.container.innerHTML = '<div class="error-card"><div class="error-title">No Data Available</div></div>';
             return;
         }
@@ -64,6 +66,18 @@ export default class ArbitrageModule {
                     </div>
                 </div>
                 
+                <div class="grid grid-cols-1 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Sum-to-One Violations</div>
+                                <div class="card-subtitle">Categorical markets whose outcome prices do not add up to 100%</div>
+                            </div>
+                        </div>
+                        <div id="sum-violations" class="p-6" style="max-height: 400px; overflow-y: auto;"></div>
+                    </div>
+                </div>
+                
                 <!-- Stats Panel -->
                 <div id="stats-panel" class="mb-6"></div>
                 
@@ -76,6 +90,7 @@ export default class ArbitrageModule {
         this.renderNetworkGraph();
         this.renderCorrelationMatrix();
         this.renderArbitrageList();
+        this.renderSumViolations();
         this.renderStats();
         this.renderMethodology();
     }
@@ -184,7 +199,7 @@ export default class ArbitrageModule {
                 <div class="tooltip-title">${d.title.substring(0, 50)}...</div>
                 <div class="tooltip-item">
                     <span class="tooltip-label">Category:</span>
-                    <span class="tooltip-value">${d.category}</span>
+                    <span class="tooltip-value">${categoryLabel(d.category)}</span>
                 </div>
                 <div class="tooltip-item">
                     <span class="tooltip-label">Connections:</span>
@@ -242,7 +257,7 @@ export default class ArbitrageModule {
                 .attr('y', 4)
                 .attr('fill', '#e2e8f0')
                 .attr('font-size', '10px')
-                .text(category);
+                .text(categoryLabel(category));
         });
     }
     
@@ -393,7 +408,7 @@ export default class ArbitrageModule {
         const container = document.getElementById('arbitrage-list');
         
         // Find arbitrage opportunities
-        const opportunities = this.data.arbitrageOpps || [];
+        const opportunities = this.data.opportunities || [];
         
         if (opportunities.length === 0) {
             container.innerHTML = '<div class="text-slate-400 text-sm">No current arbitrage opportunities detected</div>';
@@ -422,15 +437,84 @@ export default class ArbitrageModule {
                 <div class="text-xs text-slate-300 mb-2">${opp.description}</div>
                 <div class="grid grid-cols-2 gap-2 text-xs">
                     <div>
-                        <div class="text-slate-400">Market A:</div>
+                        <div class="text-slate-400">${opp.executable ? 'Market A (ask)' : 'Market A'}:</div>
                         <div class="font-mono text-slate-200">${ui.formatPercent(opp.priceA)}</div>
                     </div>
                     <div>
-                        <div class="text-slate-400">Market B:</div>
+                        <div class="text-slate-400">${opp.executable ? 'Market B (bid)' : 'Market B'}:</div>
                         <div class="font-mono text-slate-200">${ui.formatPercent(opp.priceB)}</div>
                     </div>
                 </div>
+                ${opp.key ? `
+                <div class="flex items-center justify-between mt-2 text-xs">
+                    <div class="text-slate-400">Match: ${opp.matchSource === 'manual' ? 'confirmed' : ui.formatPercent(opp.matchScore)}</div>
+                    <div class="flex gap-2">
+                        ${opp.matchSource === 'manual' ? '' : '<button data-decision="confirmed" class="text-emerald-400 hover:underline">Confirm</button>'}
+                        <button data-decision="rejected" class="text-red-400 hover:underline">Not the same event</button>
+                    </div>
+                </div>` : ''}
+            `;
+            
+            card.querySelectorAll('button[data-decision]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    try {
+                        await setMatchDecision(opp.marketA.id, opp.marketB.id, button.dataset.decision);
+                        await this.update();
+                    } catch (error) {
+                        console.error('[Arbitrage] Failed to save match decision:', error.message);
+                    }
+                });
+            });
+            
+            list.appendChild(card);
+        });
+        
+        container.appendChild(list);
+    }
+    
+    renderSumViolations() {
+        const container = document.getElementById('sum-violations');
+        const violations = (this.data.sumViolations || []).slice(0, 10);
+        
+        if (violations.length === 0) {
+            container.innerHTML = '<div class="text-slate-400 text-sm">No open categorical market is priced off 100%</div>';
+            return;
+        }
+        
+        const list = document.createElement('div');
+        list.className = 'space-y-3';
+        
+        violations.forEach(({ market, total, overround, direction }) => {
+            const card = document.createElement('div');
+            card.className = 'bg-slate-800/30 rounded-lg p-3 border border-slate-700';
+            
+            const gapColor = Math.abs(overround) > 0.05 ? '#10b981' : '#fbbf24';
+            
+            card.innerHTML = `
+                <div class="flex items-start justify-between mb-2">
+                    <div class="text-xs font-semibold text-cyan-400">${market.platform} · ${market.outcomes.length} outcomes</div>
+                    <div class="text-sm font-mono font-bold" style="color: ${gapColor};">
+                        Σ ${ui.formatPercent(total)}
+                    </div>
+                </div>
+                <div class="text-xs text-slate-300 mb-2" data-field="title"></div>
+                <div class="text-xs text-slate-400 mb-2">
+                    ${direction === 'sell-all' ? 'Sell every outcome' : 'Buy every outcome'} to lock in
+                    <span class="font-mono text-slate-200">${ui.formatPercent(Math.abs(overround))}</span> before fees
+                </div>
+                <div class="grid grid-cols-2 gap-2 text-xs" data-field="outcomes"></div>
             `;
+            card.querySelector('[data-field="title"]').textContent = market.title;
+            
+            const outcomes = card.querySelector('[data-field="outcomes"]');
+            market.outcomes.forEach((label, i) => {
+                const row = document.createElement('div');
+                row.className = 'flex justify-between';
+                row.innerHTML = '<span class="text-slate-400 truncate"></span><span class="font-mono text-slate-200"></span>';
+                row.children[0].textContent = label;
+                row.children[1].textContent = ui.formatPercent(market.outcomePrices[i]);
+                outcomes.appendChild(row);
+            });
             
             list.appendChild(card);
         });
@@ -475,10 +559,11 @@ export default class ArbitrageModule {
             'Avg Correlation': ui.formatNumber(avgCorrelation, 3),
             'Positive Correlations': positiveCorrs,
             'Strong Correlations (|r|>0.5)': strongCorrs,
-            'Arbitrage Opportunities': this.data.arbitrageOpps?.length || 0,
+            'Arbitrage Opportunities': this.data.opportunities?.length || 0,
             'Network Density': count > 0 ? ui.formatPercent(strongCorrs / count) : '0%',
-            'Avg Profit Potential': this.data.arbitrageOpps?.length > 0 ? 
-                ui.formatPercent(stats.mean(this.data.arbitrageOpps.map(o => o.profitPotential))) : '0%'
+            'Avg Profit Potential': this.data.opportunities?.length > 0 ? 
+                ui.formatPercent(stats.mean(this.data.opportunities.map(o => o.profitPotential))) : '0%',
+            'Sum-to-One Violations': this.data.sumViolations?.length || 0
         };
         
         const statsPanel = document.getElementById('stats-panel');
@@ -493,7 +578,11 @@ export default class ArbitrageModule {
             },
             {
                 title: 'Arbitrage Detection',
-                text: 'We identify price discrepancies between related markets that violate basic probability rules (e.g., mutually exclusive events summing > 100%). Profit potential = theoretical risk-free gain.'
+                text: 'Markets on different platforms are matched to the same event by title similarity, resolution date, category and the thresholds named in the question. A price gap between matched markets can be locked in by buying YES at the ask on one platform and selling YES at the bid on the other. Profit potential = theoretical risk-free gain before fees, from executable order-book prices where a book is available and last trade otherwise. Matches can be confirmed or rejected by hand.'
+            },
+            {
+                title: 'Sum-to-One Violations',
+                text: 'Exactly one outcome of a categorical market pays out, so its outcome prices should add up to 100%. Above 100% (overround), selling every outcome collects more than the one payout; below 100%, buying every outcome costs less than it. Deviations within 2% are ignored. Prices are last trades, so a violation is a lead to check against the books, not an executable trade.'
             },
             {
                 title: 'Correlation Analysis',
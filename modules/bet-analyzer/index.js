@@ -3,7 +3,8 @@
 
 import * as d3 from 'd3';
 import * as stats from '../../stats/index.js';
-import { getModuleData } from '../../data/dataManager.js';
+import { getModuleData, loadOrderBook } from '../../data/dataManager.js';
+import { categoryLabel } from '../../data/taxonomy.js';
 
 export default class BetAnalyzerModule {
     constructor(container, state) {
@@ -110,13 +111,14 @@ export default class BetAnalyzerModule {
 
     renderMarketList() {
         const container = document.getElementById('market-list');
-        const markets = this.data.markets.slice(0, 50);
+        // Continuous questions have no price to bet against
+        const markets = this.data.markets.filter(m => m.currentProbability !== null).slice(0, 50);
 
         container.innerHTML = markets.map((market, i) => `
             <div class="market-item" data-market-id="${i}">
                 <div class="market-item-title">${market.title || 'Untitled Market'}</div>
                 <div class="market-item-meta">
-                    <span class="prob">${((market.probability || 0.5) * 100).toFixed(1)}%</span>
+                    <span class="prob">${(this.marketPrice(market) * 100).toFixed(1)}%</span>
                     <span class="volume">$${((market.volume || 0) / 1000).toFixed(1)}K</span>
                     <span class="status ${market.resolved ? 'resolved' : 'active'}">${market.resolved ? 'Resolved' : 'Active'}</span>
                 </div>
@@ -143,8 +145,27 @@ export default class BetAnalyzerModule {
         });
     }
 
+    /**
+     * The market's belief: book mid where there is one, else last trade
+     */
+    marketPrice(market) {
+        return market.mid ?? market.currentProbability ?? 0.5;
+    }
+
+    /**
+     * What a YES bet actually costs: the best ask, else last trade
+     */
+    entryPrice() {
+        return this.selectedMarket.bestAsk ?? this.marketPrice(this.selectedMarket);
+    }
+
+    formatQuote(price) {
+        return price === null ? '—' : `${(price * 100).toFixed(1)}¢`;
+    }
+
     async selectMarket(market) {
         this.selectedMarket = market;
+        await loadOrderBook(market);
         
         const dashboard = document.getElementById('analysis-dashboard');
         dashboard.style.display = 'block';
@@ -167,8 +188,8 @@ export default class BetAnalyzerModule {
         container.innerHTML = `
             <div class="grid grid-cols-4 gap-4">
                 <div class="stat-box">
-                    <div class="stat-label">Current Probability</div>
-                    <div class="stat-value">${((market.probability || 0.5) * 100).toFixed(2)}%</div>
+                    <div class="stat-label">${market.mid !== null ? 'Mid Price' : 'Current Probability'}</div>
+                    <div class="stat-value">${(this.marketPrice(market) * 100).toFixed(2)}%</div>
                 </div>
                 <div class="stat-box">
                     <div class="stat-label">Total Volume</div>
@@ -180,9 +201,28 @@ export default class BetAnalyzerModule {
                 </div>
                 <div class="stat-box">
                     <div class="stat-label">Category</div>
-                    <div class="stat-value">${market.category || 'Other'}</div>
+                    <div class="stat-value">${categoryLabel(market.subcategory || market.category)}</div>
                 </div>
             </div>
+            ${market.bestBid !== null || market.bestAsk !== null ? `
+            <div class="grid grid-cols-4 gap-4 mt-4">
+                <div class="stat-box">
+                    <div class="stat-label">Best Bid</div>
+                    <div class="stat-value">${this.formatQuote(market.bestBid)}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Best Ask</div>
+                    <div class="stat-value">${this.formatQuote(market.bestAsk)}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Spread</div>
+                    <div class="stat-value">${this.formatQuote(market.spread)}</div>
+                </div>
+                <div class="stat-box">
+                    <div class="stat-label">Depth ±5¢</div>
+                    <div class="stat-value">${market.depth ? Math.round(market.depth[5]).toLocaleString() : '—'}</div>
+                </div>
+            </div>` : ''}
         `;
     }
 
@@ -190,7 +230,7 @@ export default class BetAnalyzerModule {
         const container = document.getElementById('bayesian-chart');
         const controlsContainer = document.getElementById('bayesian-controls');
 
-        const prior = this.selectedMarket.probability || 0.5;
+        const prior = this.marketPrice(this.selectedMarket);
         const width = container.clientWidth;
         const height = 300;
 
@@ -264,7 +304,7 @@ export default class BetAnalyzerModule {
         const container = document.getElementById('kelly-chart');
         const statsContainer = document.getElementById('kelly-stats');
 
-        const p = this.selectedMarket.probability || 0.5;
+        const p = this.entryPrice();
         const marketPrice = p;
 
         const calculateKelly = (trueProb, odds) => {
@@ -343,7 +383,7 @@ export default class BetAnalyzerModule {
         const statsContainer = document.getElementById('monte-carlo-stats');
 
         const numSimulations = 10000;
-        const currentProb = this.selectedMarket.probability || 0.5;
+        const currentProb = this.entryPrice();
         const betSize = 100;
 
         const simulations = [];
@@ -416,7 +456,7 @@ export default class BetAnalyzerModule {
         const container = document.getElementById('ev-analysis-chart');
 
         const trueProbs = [0.3, 0.4, 0.5, 0.6, 0.7];
-        const marketProb = this.selectedMarket.probability || 0.5;
+        const marketProb = this.entryPrice();
         const betSizes = d3.range(0, 1001, 50);
 
         const width = container.clientWidth;
@@ -488,7 +528,7 @@ export default class BetAnalyzerModule {
     calculateScenario() {
         const userProb = parseFloat(document.getElementById('user-prob').value) / 100;
         const betAmount = parseFloat(document.getElementById('bet-amount').value);
-        const marketProb = this.selectedMarket.probability || 0.5;
+        const marketProb = this.entryPrice();
 
         const ev = betAmount * ((1 / marketProb - 1) * userProb - (1 - userProb));
         const kelly = Math.max(0, userProb - (1 - userProb) / ((1 / marketProb) - 1));
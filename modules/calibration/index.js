@@ -3,6 +3,8 @@ import * as d3 from 'd3';
 import * as stats from '../../stats/index.js';
 import * as ui from '../../utils/ui.js';
 import { getModuleData } from '../../data/dataManager.js';
+import { categoryLabel } from '../../data/taxonomy.js';
+import { calibrationBins, binaryScores } from '../../data/analytics.js';
 
 export default class CalibrationModule {
     constructor(container, state) {
@@ -101,43 +103,8 @@ export default class CalibrationModule {
             return;
         }
         
-        // Bin predictions
-        const numBins = 10;
-        const bins = Array(numBins).fill(0).map(() => ({
-            predictions: [],
-            outcomes: []
-        }));
-        
-        this.data.predictions.forEach((pred, i) => {
-            if (pred !== undefined && pred !== null && i < this.data.outcomes.length) {
-                const binIdx = Math.min(Math.floor(pred * numBins), numBins - 1);
-                if (bins[binIdx]) {
-                    bins[binIdx].predictions.push(pred);
-                    bins[binIdx].outcomes.push(this.data.outcomes[i]);
-                }
-            }
-        });
-        
-        // Calculate bin statistics (filter out empty bins)
-        const binData = bins.map((bin, i) => {
-            if (!bin || bin.predictions.length === 0) return null;
-            
-            const avgPred = stats.mean(bin.predictions);
-            const observedFreq = stats.mean(bin.outcomes);
-            const count = bin.predictions.length;
-            
-            // Bootstrap CI
-            const ci = stats.bootstrapCI(bin.outcomes, stats.mean, 1000);
-            
-            return {
-                binIndex: i,
-                avgPrediction: avgPred,
-                observedFrequency: observedFreq,
-                count,
-                ciLower: ci.lower,
-                ciUpper: ci.upper
-            };
-        }).filter(d => d !== null);
+        // Bin predictions, with a bootstrap CI per bin (empty bins left out)
+        const binData = calibrationBins(this.data.predictions, this.data.outcomes);
         
         // Create SVG
         const svg = container.append('svg')
@@ -586,7 +553,7 @@ export default class CalibrationModule {
                 .attr('fill', '#e2e8f0')
                 .attr('font-size', '11px')
                 .attr('font-weight', '600')
-                .text(category.charAt(0).toUpperCase() + category.slice(1));
+                .text(categoryLabel(category));
             
             // Axes (minimal)
             chart.append('g')
@@ -605,23 +572,38 @@ export default class CalibrationModule {
     }
     
     renderStats() {
-        const brierScore = stats.brierScore(this.data.predictions, this.data.outcomes);
-        const logScore = stats.logScore(this.data.predictions, this.data.outcomes);
-        const sphericalScore = stats.sphericalScore(this.data.predictions, this.data.outcomes);
-        const ece = stats.expectedCalibrationError(this.data.predictions, this.data.outcomes);
+        const scores = binaryScores(this.data.predictions, this.data.outcomes);
         const decomp = stats.brierDecomposition(this.data.predictions, this.data.outcomes);
         
         const statsData = {
-            'Brier Score': ui.formatNumber(brierScore, 4),
-            'Log Score': ui.formatNumber(logScore, 3),
-            'Spherical Score': ui.formatNumber(sphericalScore, 4),
-            'ECE': ui.formatNumber(ece, 4),
+            'Brier Score': ui.formatNumber(scores.brierScore, 4),
+            'Log Score': ui.formatNumber(scores.logScore, 3),
+            'Spherical Score': ui.formatNumber(scores.sphericalScore, 4),
+            'ECE': ui.formatNumber(scores.ece, 4),
             'Reliability': ui.formatNumber(decomp.reliability, 4),
             'Resolution': ui.formatNumber(decomp.resolution, 4),
             'Uncertainty': ui.formatNumber(decomp.uncertainty, 4),
             'Markets Analyzed': this.data.markets.length
         };
         
+        // Categorical markets are scored as probability vectors, not on the curve
+        const forecasts = this.data.forecasts || [];
+        if (forecasts.length > 0) {
+            const vectors = forecasts.map(f => f.probabilities);
+            const indices = forecasts.map(f => f.resolvedIndex);
+            statsData['Multi-class Brier'] = ui.formatNumber(stats.multiclassBrierScore(vectors, indices), 4);
+            statsData['Multi-class Log Score'] = ui.formatNumber(stats.multiclassLogScore(vectors, indices), 3);
+            statsData['Categorical Markets'] = forecasts.length;
+        }
+        
+        // Partial resolutions are scored at their payout; void and disputed ones are not scored
+        const resolutions = this.data.resolutions;
+        if (resolutions) {
+            statsData['Partial Resolutions'] = resolutions.partial;
+            statsData['Void (excluded)'] = resolutions.void;
+            statsData['Disputed (excluded)'] = resolutions.disputed;
+        }
+        
         const statsPanel = document.getElementById('stats-panel');
         statsPanel.appendChild(ui.createStatsGrid(statsData));
     }
@@ -642,6 +624,15 @@ export default class CalibrationModule {
                 title: 'Murphy Decomposition',
                 text: 'Brier score can be decomposed into reliability (calibration), resolution (sharpness), and uncertainty.',
                 formula: 'BS = \\text{Reliability} - \\text{Resolution} + \\text{Uncertainty}'
+            },
+            {
+                title: 'Categorical Markets',
+                text: 'Markets with more than two outcomes are scored on their whole probability vector: squared error summed over the outcomes, and the log of the probability given to the outcome that happened. The calibration curve covers binary markets only.',
+                formula: 'BS_K = \\frac{1}{N}\\sum_{i=1}^{N}\\sum_{k=1}^{K}(p_{ik} - o_{ik})^2'
+            },
+            {
+                title: 'Void, Partial and Disputed Resolutions',
+                text: 'A market resolved partially (Kalshi settlement values, Manifold MKT, Polymarket 50-50) takes its payout as the outcome, so a market settling at 30% scores as o = 0.3. Void or annulled markets refund every position and disputed ones have no final answer yet: both are left out of every score and only counted.'
             }
         ];
         
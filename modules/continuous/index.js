@@ -0,0 +1,391 @@
+// Module 11: Continuous Forecast Calibration
+// Numeric and date questions, scored on their forecast CDF (see data/distribution.js)
+import * as d3 from 'd3';
+import * as stats from '../../stats/index.js';
+import * as ui from '../../utils/ui.js';
+import { getModuleData } from '../../data/dataManager.js';
+import { quantileOf } from '../../data/distribution.js';
+
+const COVERAGE_LEVELS = [0.5, 0.8, 0.9, 0.95];
+const PIT_BINS = 10;
+
+export default class ContinuousModule {
+    constructor(container, state) {
+        this.container = container;
+        this.state = state;
+        this.data = null;
+    }
+
+    async render() {
+        // Fetch data
+        this.data = await getModuleData('continuous');
+
+        if (!this.data || !this.data.forecasts || this.data.forecasts.length === 0) {
+            this.container.innerHTML = '<div class="error-card"><div class="error-title">No Data Available</div><div class="text-slate-400 text-sm">No resolved numeric or date questions loaded</div></div>';
+            return;
+        }
+
+        // Scores on the internal [0, 1] scale
+        this.scored = this.data.forecasts.map(f => ({
+            ...f,
+            crps: stats.crps(f.grid, f.cdf, f.observed)
+        }));
+        this.pitValues = this.scored.map(f => f.pit);
+
+        // Build UI
+        this.container.innerHTML = `
+            <div class="fade-in">
+                <div class="mb-8">
+                    <h2 class="text-3xl font-bold text-cyan-400 mb-2">Continuous Forecast Calibration</h2>
+                    <p class="text-slate-400">How well community distributions for numeric and date questions matched what happened</p>
+                </div>
+
+                <div class="grid grid-cols-2 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">PIT Histogram</div>
+                                <div class="card-subtitle">Where each outcome fell in its forecast distribution (flat = calibrated)</div>
+                            </div>
+                        </div>
+                        <div id="pit-chart" class="chart-container"></div>
+                    </div>
+
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Interval Coverage</div>
+                                <div class="card-subtitle">Share of outcomes inside each central prediction interval</div>
+                            </div>
+                        </div>
+                        <div id="coverage-chart" class="chart-container"></div>
+                    </div>
+                </div>
+
+                <div class="grid grid-cols-1 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Questions by CRPS</div>
+                                <div class="card-subtitle">Worst-scored forecasts first</div>
+                            </div>
+                        </div>
+                        <div id="crps-table" class="p-6" style="max-height: 400px; overflow-y: auto;"></div>
+                    </div>
+                </div>
+
+                <!-- Stats Panel -->
+                <div id="stats-panel" class="mb-6"></div>
+
+                <!-- Methodology -->
+                <div id="methodology-panel"></div>
+            </div>
+        `;
+
+        // Render all components
+        this.renderPitHistogram();
+        this.renderCoverageChart();
+        this.renderCrpsTable();
+        this.renderStats();
+        this.renderMethodology();
+    }
+
+    renderPitHistogram() {
+        const container = d3.select('#pit-chart');
+        const width = container.node().clientWidth;
+        const height = 350;
+        const margin = { top: 20, right: 20, bottom: 50, left: 50 };
+
+        const svg = container.append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        const bins = stats.pitHistogram(this.pitValues, PIT_BINS);
+
+        const x = d3.scaleLinear()
+            .domain([0, 1])
+            .range([0, chartWidth]);
+
+        const y = d3.scaleLinear()
+            .domain([0, Math.max(2, d3.max(bins, d => d.density))])
+            .range([chartHeight, 0]);
+
+        const bars = g.selectAll('rect')
+            .data(bins)
+            .enter()
+            .append('rect')
+            .attr('x', d => x(d.lower) + 1)
+            .attr('width', d => x(d.upper) - x(d.lower) - 2)
+            .attr('y', chartHeight)
+            .attr('height', 0)
+            .attr('fill', '#22d3ee')
+            .attr('opacity', 0.7);
+
+        bars.transition()
+            .duration(600)
+            .delay((d, i) => i * 40)
+            .attr('y', d => y(d.density))
+            .attr('height', d => chartHeight - y(d.density));
+
+        bars.on('mouseover', (event, d) => {
+            const content = `
+                <div class="tooltip-title">PIT ${ui.formatPercent(d.lower, 0)} - ${ui.formatPercent(d.upper, 0)}</div>
+                <div class="tooltip-item">
+                    <span class="tooltip-label">Questions:</span>
+                    <span class="tooltip-value">${d.count}</span>
+                </div>
+                <div class="tooltip-item">
+                    <span class="tooltip-label">Density:</span>
+                    <span class="tooltip-value">${ui.formatNumber(d.density, 2)}</span>
+                </div>
+            `;
+            ui.showTooltip(event.pageX, event.pageY, content);
+        })
+        .on('mouseout', () => {
+            ui.hideTooltip();
+        });
+
+        // Uniform reference
+        g.append('line')
+            .attr('x1', x(0))
+            .attr('y1', y(1))
+            .attr('x2', x(1))
+            .attr('y2', y(1))
+            .attr('stroke', '#475569')
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '5,5');
+
+        g.append('text')
+            .attr('x', chartWidth - 4)
+            .attr('y', y(1) - 6)
+            .attr('text-anchor', 'end')
+            .attr('fill', '#64748b')
+            .attr('font-size', '11px')
+            .text('Calibrated');
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${chartHeight})`)
+            .call(d3.axisBottom(x).ticks(5).tickFormat(d => ui.formatPercent(d, 0)))
+            .attr('color', '#94a3b8');
+
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5))
+            .attr('color', '#94a3b8');
+
+        // Labels
+        g.append('text')
+            .attr('x', chartWidth / 2)
+            .attr('y', chartHeight + 40)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '12px')
+            .text('Forecast CDF at the Outcome (PIT)');
+
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -chartHeight / 2)
+            .attr('y', -35)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '12px')
+            .text('Density');
+    }
+
+    renderCoverageChart() {
+        const container = d3.select('#coverage-chart');
+        const width = container.node().clientWidth;
+        const height = 350;
+        const margin = { top: 20, right: 20, bottom: 50, left: 50 };
+
+        const svg = container.append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        const coverage = stats.intervalCoverage(this.pitValues, COVERAGE_LEVELS);
+
+        const x = d3.scaleBand()
+            .domain(coverage.map(d => d.level))
+            .range([0, chartWidth])
+            .padding(0.35);
+
+        const y = d3.scaleLinear()
+            .domain([0, 1])
+            .range([chartHeight, 0]);
+
+        // Observed coverage, green when within 5 points of nominal
+        g.selectAll('rect')
+            .data(coverage)
+            .enter()
+            .append('rect')
+            .attr('x', d => x(d.level))
+            .attr('width', x.bandwidth())
+            .attr('y', d => y(d.coverage))
+            .attr('height', d => chartHeight - y(d.coverage))
+            .attr('fill', d => Math.abs(d.coverage - d.level) <= 0.05 ? '#10b981' : '#fbbf24')
+            .attr('opacity', 0.7);
+
+        // Nominal coverage
+        g.selectAll('.nominal')
+            .data(coverage)
+            .enter()
+            .append('line')
+            .attr('class', 'nominal')
+            .attr('x1', d => x(d.level) - 6)
+            .attr('x2', d => x(d.level) + x.bandwidth() + 6)
+            .attr('y1', d => y(d.level))
+            .attr('y2', d => y(d.level))
+            .attr('stroke', '#e2e8f0')
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4,3');
+
+        g.selectAll('.coverage-label')
+            .data(coverage)
+            .enter()
+            .append('text')
+            .attr('class', 'coverage-label')
+            .attr('x', d => x(d.level) + x.bandwidth() / 2)
+            .attr('y', d => y(Math.max(d.coverage, d.level)) - 8)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#cbd5e1')
+            .attr('font-size', '11px')
+            .text(d => ui.formatPercent(d.coverage, 0));
+
+        // Axes
+        g.append('g')
+            .attr('transform', `translate(0,${chartHeight})`)
+            .call(d3.axisBottom(x).tickFormat(d => `${ui.formatPercent(d, 0)} interval`))
+            .attr('color', '#94a3b8');
+
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5).tickFormat(d => ui.formatPercent(d, 0)))
+            .attr('color', '#94a3b8');
+
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -chartHeight / 2)
+            .attr('y', -38)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '12px')
+            .text('Outcomes Inside (dashed: nominal)');
+    }
+
+    renderCrpsTable() {
+        const container = document.getElementById('crps-table');
+        const rows = [...this.scored].sort((a, b) => b.crps - a.crps).slice(0, 25);
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs';
+        table.innerHTML = `
+            <thead>
+                <tr class="text-left text-slate-400 border-b border-slate-700">
+                    <th class="py-2 px-4">Question</th>
+                    <th class="py-2 px-4">Type</th>
+                    <th class="py-2 px-4">Forecast Median</th>
+                    <th class="py-2 px-4">80% Interval</th>
+                    <th class="py-2 px-4">Outcome</th>
+                    <th class="py-2 px-4">PIT</th>
+                    <th class="py-2 px-4">CRPS</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const body = table.querySelector('tbody');
+        rows.forEach(({ market, pit, crps }) => {
+            const { distribution } = market;
+            const value = v => formatValue(distribution, v);
+            const row = document.createElement('tr');
+            row.className = 'border-b border-slate-800';
+            row.innerHTML = `
+                <td class="py-2 px-4 text-slate-300"></td>
+                <td class="py-2 px-4 text-slate-400">${distribution.kind}</td>
+                <td class="py-2 px-4 font-mono text-slate-200">${value(quantileOf(distribution, 0.5))}</td>
+                <td class="py-2 px-4 font-mono text-slate-400">${value(quantileOf(distribution, 0.1))} - ${value(quantileOf(distribution, 0.9))}</td>
+                <td class="py-2 px-4 font-mono text-slate-200">${value(market.resolvedValue)}</td>
+                <td class="py-2 px-4 font-mono text-slate-400">${ui.formatPercent(pit, 0)}</td>
+                <td class="py-2 px-4 font-mono text-cyan-400">${ui.formatNumber(crps, 4)}</td>
+            `;
+            row.children[0].textContent = market.title;
+            body.appendChild(row);
+        });
+
+        container.appendChild(table);
+    }
+
+    renderStats() {
+        const crpsValues = this.scored.map(f => f.crps);
+        const coverage = stats.intervalCoverage(this.pitValues, [0.5, 0.9]);
+        const kinds = this.scored.map(f => f.market.distribution.kind);
+
+        const statsData = {
+            'Mean CRPS': ui.formatNumber(stats.mean(crpsValues), 4),
+            'Median CRPS': ui.formatNumber(stats.median(crpsValues), 4),
+            'Mean PIT': ui.formatNumber(stats.mean(this.pitValues), 3),
+            '50% Interval Coverage': ui.formatPercent(coverage[0].coverage),
+            '90% Interval Coverage': ui.formatPercent(coverage[1].coverage),
+            'Numeric Questions': kinds.filter(k => k === 'numeric').length,
+            'Date Questions': kinds.filter(k => k === 'date').length,
+            'Open Questions': this.data.openCount,
+            'Annulled (excluded)': this.data.resolutions ? this.data.resolutions.void : 0
+        };
+
+        const statsPanel = document.getElementById('stats-panel');
+        statsPanel.appendChild(ui.createStatsGrid(statsData));
+    }
+
+    renderMethodology() {
+        const sections = [
+            {
+                title: 'Continuous Ranked Probability Score (CRPS)',
+                text: 'CRPS generalizes the Brier score to a whole distribution: the squared gap between the forecast CDF and the step function jumping at the outcome, integrated over the range. Ranges are mapped onto a common [0, 1] scale (logarithmic where the question is), so a CRPS of 0.05 means the same thing for a GDP figure and a launch date. Lower is better.',
+                formula: 'CRPS(F, y) = \\int_0^1 (F(x) - \\mathbb{1}\\{x \\geq y\\})^2 \\, dx'
+            },
+            {
+                title: 'PIT Histogram',
+                text: 'The probability integral transform is the forecast CDF evaluated at the outcome. For calibrated forecasts it is uniform: a U shape means distributions were too narrow (overconfident), a hump in the middle means too wide, and a slope means a systematic bias up or down.',
+                formula: 'PIT = F(y)'
+            },
+            {
+                title: 'Interval Coverage',
+                text: 'A central L% interval runs from the (1 - L)/2 to the (1 + L)/2 quantile of the forecast. Calibrated forecasts contain the outcome in L% of questions. Outcomes beyond an open bound count at the bound.'
+            }
+        ];
+
+        const panel = ui.createMethodologyPanel('Scoring Continuous Forecasts', sections);
+        document.getElementById('methodology-panel').appendChild(panel);
+    }
+
+    async update() {
+        // Re-fetch data and re-render
+        this.container.innerHTML = '';
+        await this.render();
+    }
+
+    destroy() {
+        // Cleanup
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * A value in the question's units: dates are unix seconds
+ */
+function formatValue(distribution, value) {
+    if (value === null || value === undefined) return 'N/A';
+    if (distribution.kind === 'date') return ui.formatDate(value * 1000);
+    return Math.abs(value) >= 1000 ? ui.formatLargeNumber(value) : ui.formatNumber(value, 2);
+}
@@ -0,0 +1,497 @@
+// Data Quality: missing, defaulted, stale and duplicate data per platform
+// Tells a market effect apart from an artefact of our data (see data/dataQuality.js)
+import * as d3 from 'd3';
+import * as ui from '../../utils/ui.js';
+import { getModuleData } from '../../data/dataManager.js';
+import { getAdapter } from '../../data/platforms.js';
+import { STALE_PRICE_MS } from '../../data/dataQuality.js';
+
+const MAX_LISTED_MARKETS = 100;
+
+const KIND_COLORS = {
+    default: 'text-amber-400',
+    missing: 'text-slate-300',
+    stale: 'text-rose-400',
+    duplicate: 'text-violet-400'
+};
+
+export default class DataQualityModule {
+    constructor(container, state) {
+        this.container = container;
+        this.state = state;
+        this.data = null;
+        this.selectedKind = 'all';
+        this.openFindingId = null;
+    }
+
+    async render() {
+        this.data = await getModuleData('data-quality');
+        const { report } = this.data;
+
+        if (report.total === 0) {
+            this.container.innerHTML = '<div class="error-card"><div class="error-title">No Data Available</div><div class="text-slate-400 text-sm">No markets loaded to check</div></div>';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="fade-in">
+                <div class="mb-8">
+                    <h2 class="text-3xl font-bold text-cyan-400 mb-2">Data Quality</h2>
+                    <p class="text-slate-400">How much of each platform's data is missing, filled with a default, stale or duplicated</p>
+                </div>
+
+                <div id="stats-panel" class="mb-6"></div>
+
+                <div class="grid grid-cols-1 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Platforms</div>
+                                <div class="card-subtitle">Share of each platform's markets failing each check; click a cell for its markets</div>
+                            </div>
+                        </div>
+                        <div id="platform-table" class="p-6" style="overflow-x: auto;"></div>
+                    </div>
+                </div>
+
+                <div class="grid grid-cols-1 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Creation Dates</div>
+                                <div class="card-subtitle">Markets created per month; a spike at the current month can be createdAt falling back to the load time</div>
+                            </div>
+                        </div>
+                        <div id="creation-chart" class="chart-container"></div>
+                    </div>
+                </div>
+
+                <div class="grid grid-cols-1 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Findings</div>
+                                <div class="card-subtitle">Expand a finding to list its markets; expand a market to see its record</div>
+                            </div>
+                            <select id="quality-kind" class="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs text-slate-300"></select>
+                        </div>
+                        <div id="findings-list" class="p-6"></div>
+                    </div>
+                </div>
+
+                <div id="methodology-panel"></div>
+            </div>
+        `;
+
+        this.renderStats();
+        this.renderPlatformTable();
+        this.renderCreationChart();
+        this.renderKindFilter();
+        this.renderFindings();
+        this.renderMethodology();
+    }
+
+    renderStats() {
+        const { report } = this.data;
+        const flagged = new Set(report.findings.flatMap(f => f.marketIds));
+        const countKind = kind => new Set(report.findings.filter(f => f.kind === kind).flatMap(f => f.marketIds)).size;
+
+        const statsData = {
+            'Markets': report.total,
+            'Platforms': report.platforms.length,
+            'With a Finding': ui.formatPercent(flagged.size / report.total),
+            'Defaulted Fields': countKind('default'),
+            'Missing Fields': countKind('missing'),
+            'Stale Prices': countKind('stale'),
+            'Duplicate Titles': report.findings.filter(f => f.kind === 'duplicate').length,
+            'Quarantined': report.platforms.reduce((sum, p) => sum + p.quarantined, 0)
+        };
+
+        document.getElementById('stats-panel').appendChild(ui.createStatsGrid(statsData));
+    }
+
+    renderPlatformTable() {
+        const { report } = this.data;
+        const container = document.getElementById('platform-table');
+        const columns = [...report.checks, { id: 'duplicates', kind: 'duplicate', label: 'Duplicate titles' }];
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs';
+        table.innerHTML = `
+            <thead>
+                <tr class="text-left text-slate-400 border-b border-slate-700">
+                    <th class="py-2 px-3">Platform</th>
+                    <th class="py-2 px-3">Records</th>
+                    <th class="py-2 px-3">Quarantined</th>
+                    ${columns.map(c => `<th class="py-2 px-3 ${KIND_COLORS[c.kind]}">${escapeHtml(c.label)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const body = table.querySelector('tbody');
+        report.platforms.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'border-b border-slate-800';
+            tr.innerHTML = `
+                <td class="py-2 px-3 text-slate-200">${escapeHtml(platformLabel(row.platform))}</td>
+                <td class="py-2 px-3 font-mono text-slate-300">${row.total}</td>
+                <td class="py-2 px-3 font-mono text-slate-400">${row.quarantined}</td>
+            `;
+
+            columns.forEach(column => {
+                const count = row.counts[column.id] || 0;
+                const share = row.total > 0 ? count / row.total : 0;
+                const td = document.createElement('td');
+                td.className = `py-2 px-3 font-mono ${count > 0 ? shareColor(share) : 'text-slate-600'}`;
+                td.textContent = count > 0 ? ui.formatPercent(share) : '-';
+                td.title = `${count} of ${row.total} markets`;
+                if (count > 0) {
+                    td.style.cursor = 'pointer';
+                    td.addEventListener('click', () => this.openFinding(column.id, row.platform));
+                }
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+
+        container.appendChild(table);
+    }
+
+    renderCreationChart() {
+        const { report } = this.data;
+        const bins = report.creationDates;
+        const platforms = report.platforms.map(p => p.platform);
+
+        const container = d3.select('#creation-chart');
+        const width = container.node().clientWidth;
+        const height = 300;
+        const margin = { top: 20, right: 20, bottom: 50, left: 50 };
+
+        const svg = container.append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        const x = d3.scaleBand()
+            .domain(bins.map(d => d.month))
+            .range([0, chartWidth])
+            .padding(0.15);
+
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(bins, d => d.total) || 1])
+            .range([chartHeight, 0]);
+
+        const color = d3.scaleOrdinal(d3.schemeCategory10).domain(platforms);
+
+        const series = d3.stack()
+            .keys(platforms)
+            .value((d, platform) => d.counts[platform] || 0)(bins);
+
+        g.selectAll('.layer')
+            .data(series)
+            .enter()
+            .append('g')
+            .attr('class', 'layer')
+            .attr('fill', d => color(d.key))
+            .attr('opacity', 0.8)
+            .selectAll('rect')
+            .data(d => d.map(segment => ({ ...segment, platform: d.key })))
+            .enter()
+            .append('rect')
+            .attr('x', d => x(d.data.month))
+            .attr('width', x.bandwidth())
+            .attr('y', d => y(d[1]))
+            .attr('height', d => y(d[0]) - y(d[1]))
+            .style('cursor', 'pointer')
+            .on('mouseover', (event, d) => {
+                const content = `
+                    <div class="tooltip-title">${d.data.month}</div>
+                    <div class="tooltip-item">
+                        <span class="tooltip-label">${escapeHtml(platformLabel(d.platform))}:</span>
+                        <span class="tooltip-value">${d.data.counts[d.platform] || 0}</span>
+                    </div>
+                    <div class="tooltip-item">
+                        <span class="tooltip-label">All platforms:</span>
+                        <span class="tooltip-value">${d.data.total}</span>
+                    </div>
+                `;
+                ui.showTooltip(event.pageX, event.pageY, content);
+            })
+            .on('mouseout', () => {
+                ui.hideTooltip();
+            })
+            .on('click', (event, d) => {
+                this.showMonth(d.data);
+            });
+
+        // Label every few months so the axis stays readable
+        const every = Math.max(1, Math.ceil(bins.length / 12));
+        g.append('g')
+            .attr('transform', `translate(0,${chartHeight})`)
+            .call(d3.axisBottom(x).tickValues(bins.map(d => d.month).filter((_, i) => i % every === 0)))
+            .attr('color', '#94a3b8');
+
+        g.append('g')
+            .call(d3.axisLeft(y).ticks(5))
+            .attr('color', '#94a3b8');
+
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -chartHeight / 2)
+            .attr('y', -38)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#94a3b8')
+            .attr('font-size', '12px')
+            .text('Markets Created');
+
+        // Legend
+        const legend = g.append('g')
+            .attr('transform', `translate(${chartWidth - platforms.length * 100}, -10)`);
+        platforms.forEach((platform, i) => {
+            legend.append('rect')
+                .attr('x', i * 100)
+                .attr('width', 10)
+                .attr('height', 10)
+                .attr('fill', color(platform));
+            legend.append('text')
+                .attr('x', i * 100 + 14)
+                .attr('y', 9)
+                .attr('fill', '#cbd5e1')
+                .attr('font-size', '11px')
+                .text(platformLabel(platform));
+        });
+    }
+
+    renderKindFilter() {
+        const select = document.getElementById('quality-kind');
+        const { findings } = this.data.report;
+        const kinds = ['default', 'missing', 'stale', 'duplicate'];
+
+        select.innerHTML = `<option value="all">All findings (${findings.length})</option>` +
+            kinds.map(kind => `<option value="${kind}">${kind} (${findings.filter(f => f.kind === kind).length})</option>`).join('');
+        select.value = this.selectedKind;
+
+        select.addEventListener('change', (e) => {
+            this.selectedKind = e.target.value;
+            this.renderFindings();
+        });
+    }
+
+    renderFindings() {
+        const container = document.getElementById('findings-list');
+        container.innerHTML = '';
+
+        const findings = this.data.report.findings.filter(f => this.selectedKind === 'all' || f.kind === this.selectedKind);
+        if (findings.length === 0) {
+            container.innerHTML = '<div class="text-center text-slate-400">No findings - every market passed these checks</div>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        table.style.borderCollapse = 'collapse';
+        table.innerHTML = `
+            <thead>
+                <tr style="border-bottom: 2px solid #334155;">
+                    <th class="text-left py-3 px-4 text-slate-400 font-semibold">Kind</th>
+                    <th class="text-left py-3 px-4 text-slate-400 font-semibold">Platform</th>
+                    <th class="text-left py-3 px-4 text-slate-400 font-semibold">Finding</th>
+                    <th class="text-left py-3 px-4 text-slate-400 font-semibold">Markets</th>
+                    <th class="text-left py-3 px-4 text-slate-400 font-semibold">Share</th>
+                </tr>
+            </thead>
+        `;
+
+        const tbody = document.createElement('tbody');
+        findings.forEach(finding => {
+            const row = document.createElement('tr');
+            row.id = `finding-${cssId(finding.id)}`;
+            row.style.borderBottom = '1px solid #1e293b';
+            row.className = 'hover:bg-slate-800/50 transition-colors cursor-pointer';
+            row.innerHTML = `
+                <td class="py-3 px-4 ${KIND_COLORS[finding.kind]}">${finding.kind}</td>
+                <td class="py-3 px-4 font-mono text-slate-300">${escapeHtml(platformLabel(finding.platform))}</td>
+                <td class="py-3 px-4 text-slate-200"></td>
+                <td class="py-3 px-4 font-mono text-cyan-400">${finding.marketIds.length}</td>
+                <td class="py-3 px-4 font-mono text-slate-400">${ui.formatPercent(finding.share)}</td>
+            `;
+            row.children[2].textContent = finding.label;
+
+            const detail = document.createElement('tr');
+            detail.style.display = finding.id === this.openFindingId ? '' : 'none';
+            const cell = document.createElement('td');
+            cell.colSpan = 5;
+            cell.className = 'py-3 px-4';
+            detail.appendChild(cell);
+            if (finding.id === this.openFindingId) this.renderMarketList(cell, finding.marketIds);
+
+            row.addEventListener('click', () => {
+                const opening = detail.style.display === 'none';
+                detail.style.display = opening ? '' : 'none';
+                if (opening && cell.childElementCount === 0) this.renderMarketList(cell, finding.marketIds);
+            });
+
+            tbody.appendChild(row);
+            tbody.appendChild(detail);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+
+    /**
+     * The offending markets of a finding, each expandable to its record
+     */
+    renderMarketList(cell, marketIds) {
+        const markets = marketIds.map(id => this.data.markets.get(id)).filter(Boolean);
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs';
+        table.innerHTML = `
+            <thead>
+                <tr class="text-left text-slate-500 border-b border-slate-700">
+                    <th class="py-1 px-2">Market</th>
+                    <th class="py-1 px-2">Id</th>
+                    <th class="py-1 px-2">Created</th>
+                    <th class="py-1 px-2">Price</th>
+                    <th class="py-1 px-2">Traders</th>
+                    <th class="py-1 px-2">Defaulted</th>
+                </tr>
+            </thead>
+        `;
+
+        const tbody = document.createElement('tbody');
+        markets.slice(0, MAX_LISTED_MARKETS).forEach(market => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-slate-800 hover:bg-slate-800/50 cursor-pointer';
+            row.innerHTML = `
+                <td class="py-1 px-2 text-cyan-400"></td>
+                <td class="py-1 px-2 font-mono text-slate-500"></td>
+                <td class="py-1 px-2 font-mono text-slate-400">${ui.formatDate(market.createdAt)}</td>
+                <td class="py-1 px-2 font-mono text-slate-300">${market.currentProbability === null ? 'N/A' : ui.formatPercent(market.currentProbability)}</td>
+                <td class="py-1 px-2 font-mono text-slate-300">${market.traders}</td>
+                <td class="py-1 px-2 text-amber-400">${(market.defaulted || []).join(', ') || '-'}</td>
+            `;
+            row.children[0].textContent = market.title;
+            row.children[1].textContent = market.id;
+
+            const detail = document.createElement('tr');
+            detail.style.display = 'none';
+            detail.innerHTML = `
+                <td colspan="6" class="py-2 px-2">
+                    <pre class="text-xs text-slate-400" style="white-space: pre-wrap; max-height: 300px; overflow: auto;">${escapeHtml(JSON.stringify({ ...market, priceHistory: `${(market.priceHistory || []).length} points` }, null, 2))}</pre>
+                </td>
+            `;
+
+            row.addEventListener('click', (event) => {
+                event.stopPropagation();
+                detail.style.display = detail.style.display === 'none' ? '' : 'none';
+            });
+
+            tbody.appendChild(row);
+            tbody.appendChild(detail);
+        });
+        table.appendChild(tbody);
+        cell.appendChild(table);
+
+        if (markets.length > MAX_LISTED_MARKETS) {
+            cell.insertAdjacentHTML('beforeend', `<p class="mt-2 text-xs text-slate-500">Showing ${MAX_LISTED_MARKETS} of ${markets.length} markets</p>`);
+        }
+    }
+
+    /**
+     * Expand a platform's finding for a check and scroll to it
+     */
+    openFinding(checkId, platform) {
+        const finding = this.data.report.findings.find(f => f.check === checkId && f.platform === platform);
+        if (!finding) return;
+
+        this.openFindingId = finding.id;
+        this.selectedKind = 'all';
+        document.getElementById('quality-kind').value = 'all';
+        this.renderFindings();
+        document.getElementById(`finding-${cssId(finding.id)}`).scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * List the markets created in one month of the creation chart
+     */
+    showMonth(bin) {
+        const container = document.getElementById('findings-list');
+        container.innerHTML = `
+            <div class="flex items-center justify-between mb-3">
+                <div class="text-slate-200 text-sm">Markets created in ${bin.month} (${bin.total})</div>
+                <button class="text-xs text-cyan-400" id="quality-back">Back to findings</button>
+            </div>
+        `;
+        const cell = document.createElement('div');
+        container.appendChild(cell);
+        this.renderMarketList(cell, bin.marketIds);
+
+        document.getElementById('quality-back').addEventListener('click', () => this.renderFindings());
+        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    renderMethodology() {
+        const sections = [
+            {
+                title: 'Defaulted Fields',
+                text: 'When an upstream leaves a field out, the platform adapters fill it with a fallback so the record stays usable: a price of 50%, a creation time of "now", a placeholder liquidity. Each record lists the fields it got this way in its defaulted field. A cluster of 50% prices flattens the middle of a calibration curve; creation dates at the load time distort every market-age statistic. traders = 0 and an empty price history are counted from the values themselves, since some platforms never report them.'
+            },
+            {
+                title: 'Missing Fields',
+                text: 'Fields the upstream did not report and that have no fallback: the close time, the volume, and a category (markets the taxonomy could not classify land in "other").'
+            },
+            {
+                title: 'Stale Prices',
+                text: `An open market is stale when its close time has passed or, where its price history is loaded, when its last price is more than ${Math.round(STALE_PRICE_MS / (24 * 60 * 60 * 1000))} days old. Its price no longer reflects trading, so using it as a forecast overstates what the market knew.`
+            },
+            {
+                title: 'Duplicate Titles',
+                text: 'Markets of one platform whose titles match once case, whitespace and punctuation are ignored. They are often the same question listed twice, which double counts it in every score. Matches across platforms are expected and are handled by the event matcher instead.'
+            }
+        ];
+
+        const panel = ui.createMethodologyPanel('What Is Checked', sections);
+        document.getElementById('methodology-panel').appendChild(panel);
+    }
+
+    async update() {
+        this.container.innerHTML = '';
+        await this.render();
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
+
+function platformLabel(platform) {
+    return getAdapter(platform)?.label || platform;
+}
+
+/**
+ * Red for checks failed by most of a platform, amber for a sizeable share
+ */
+function shareColor(share) {
+    if (share >= 0.5) return 'text-rose-400';
+    if (share >= 0.1) return 'text-amber-400';
+    return 'text-slate-300';
+}
+
+function cssId(text) {
+    return text.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -314,8 +314,9 @@ export default class HomeModule {
             const resolved = markets.filter(m => m.resolved);
             const active = markets.filter(m => !m.resolved);
             const totalVolume = markets.reduce((sum, market) => sum + (market.volume || 0), 0);
-            const avgProbability = markets.length > 0
-                ? markets.reduce((sum, market) => sum + (market.currentProbability ?? market.finalProbability ?? 0), 0) / markets.length
+            const priced = markets.filter(market => market.currentProbability !== null || market.finalProbability !== null);
+            const avgProbability = priced.length > 0
+                ? priced.reduce((sum, market) => sum + (market.currentProbability ?? market.finalProbability), 0) / priced.length
                 : 0;
 
             // Try to get evaluation metrics if available
@@ -3,6 +3,8 @@ import * as d3 from 'd3';
 import * as stats from '../../stats/index.js';
 import * as ui from '../../utils/ui.js';
 import { getModuleData } from '../../data/dataManager';
+import { liquidityCells, marketLambda } from '../../data/analytics.js';
+import { categoryLabel } from '../../data/taxonomy.js';
 
 export default class LiquidityModule {
     constructor(container, state) {
@@ -96,35 +98,9 @@ export default class LiquidityModule {
         const chartHeight = height - margin.top - margin.bottom;
         
         // Aggregate by category and platform
-        const categories = Array.from(new Set(this.data.markets.map(m => m.category)));
-        const platforms = Array.from(new Set(this.data.markets.map(m => m.platform)));
-        
-        const heatmapData = [];
-        categories.forEach(category => {
-            platforms.forEach(platform => {
-                const markets = this.data.markets.filter(m => 
-                    m.category === category && m.platform === platform
-                );
-                
-                if (markets.length > 0) {
-                    const totalVolume = d3.sum(markets, m => m.volume || 0);
-                    const avgLiquidity = stats.mean(markets.map(m => m.liquidity || 0.5));
-                    const avgKyleLambda = stats.mean(markets.map(m => 
-                        stats.kyleLambda(m.priceHistory?.map(p => p.price) || [0.5], 
-                                        m.priceHistory?.map(p => p.volume) || [1000])
-                    ));
-                    
-                    heatmapData.push({
-                        category,
-                        platform,
-                        volume: totalVolume,
-                        liquidity: avgLiquidity,
-                        kyleLambda: avgKyleLambda,
-                        count: markets.length
-                    });
-                }
-            });
-        });
+        const heatmapData = liquidityCells(this.data.markets);
+        const categories = Array.from(new Set(heatmapData.map(d => d.category)));
+        const platforms = Array.from(new Set(heatmapData.map(d => d.platform)));
 
         if (heatmapData.length === 0) {
             container.html('<div class="text-slate-400 p-4">Insufficient data to render heatmap</div>');
@@ -169,7 +145,7 @@ export default class LiquidityModule {
         // Tooltips
         cells.on('mouseover', (event, d) => {
             const content = `
-                <div class="tooltip-title">${d.category} • ${d.platform}</div>
+                <div class="tooltip-title">${categoryLabel(d.category)} • ${d.platform}</div>
                 <div class="tooltip-item">
                     <span class="tooltip-label">Total Volume:</span>
                     <span class="tooltip-value">${ui.formatDollar(d.volume)}</span>
@@ -204,7 +180,7 @@ export default class LiquidityModule {
             .attr('text-anchor', 'end');
         
         g.append('g')
-            .call(d3.axisLeft(y))
+            .call(d3.axisLeft(y).tickFormat(categoryLabel))
             .attr('color', '#94a3b8')
             .selectAll('text')
             .attr('font-size', '10px');
@@ -417,11 +393,7 @@ export default class LiquidityModule {
         
         const impactData = categories.map(category => {
             const markets = this.data.markets.filter(m => m.category === category);
-            const lambdas = markets.map(m => {
-                const prices = m.priceHistory?.map(p => p.price) || [0.5];
-                const volumes = m.priceHistory?.map(p => p.volume) || [1000];
-                return stats.kyleLambda(prices, volumes);
-            });
+            const lambdas = markets.map(m => marketLambda(m));
             
             return {
                 category,
@@ -488,7 +460,7 @@ export default class LiquidityModule {
         // Tooltips
         bars.on('mouseover', (event, d) => {
             const content = `
-                <div class="tooltip-title">${d.category}</div>
+                <div class="tooltip-title">${categoryLabel(d.category)}</div>
                 <div class="tooltip-item">
                     <span class="tooltip-label">Kyle's Lambda:</span>
                     <span class="tooltip-value">${ui.formatNumber(d.avgKyleLambda, 6)}</span>
@@ -508,7 +480,7 @@ export default class LiquidityModule {
         // Axes
         g.append('g')
             .attr('transform', `translate(0,${chartHeight})`)
-            .call(d3.axisBottom(x))
+            .call(d3.axisBottom(x).tickFormat(categoryLabel))
             .attr('color', '#94a3b8')
             .selectAll('text')
             .attr('font-size', '10px')
@@ -579,7 +551,7 @@ export default class LiquidityModule {
         const sections = [
             {
                 title: 'Kyle\'s Lambda',
-                text: 'Measures price impact per unit of trading volume. Lower values indicate more liquid markets where trades don\'t move prices as much. Calculated from regression of price changes on signed volume.'
+                text: 'Measures price impact per unit of trading volume. Lower values indicate more liquid markets where trades don\'t move prices as much. Read off the order book where one is loaded (5¢ divided by the contracts resting within 5¢ of the mid), otherwise from a regression of price changes on signed volume.'
             },
             {
                 title: 'Lorenz Curve & Gini',
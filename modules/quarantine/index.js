@@ -0,0 +1,179 @@
+// Data Quarantine: records rejected by the market schema validator
+import * as ui from '../../utils/ui.js';
+import { getModuleData } from '../../data/dataManager.js';
+import { MARKET_SCHEMA_VERSION } from '../../data/marketSchema.js';
+
+export default class QuarantineModule {
+    constructor(container, state) {
+        this.container = container;
+        this.state = state;
+        this.data = null;
+        this.selectedReason = 'all';
+    }
+
+    async render() {
+        this.data = await getModuleData('quarantine');
+
+        this.container.innerHTML = `
+            <div class="fade-in">
+                <div class="mb-8">
+                    <h2 class="text-3xl font-bold text-cyan-400 mb-2">Data Quarantine</h2>
+                    <p class="text-slate-400">Records held back from every module because they failed market schema v${MARKET_SCHEMA_VERSION} validation</p>
+                </div>
+
+                <div id="stats-panel" class="mb-6"></div>
+
+                <div class="grid grid-cols-1 gap-6 mb-6">
+                    <div class="card">
+                        <div class="card-header">
+                            <div>
+                                <div class="card-title">Quarantined Records</div>
+                                <div class="card-subtitle">Filter by reason; expand a row to see the raw record</div>
+                            </div>
+                            <select id="quarantine-reason" class="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs text-slate-300"></select>
+                        </div>
+                        <div id="quarantine-table" class="p-6"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.renderStats();
+        this.renderReasonFilter();
+        this.renderTable();
+    }
+
+    renderStats() {
+        const records = this.data.records;
+        const byPlatform = {};
+        records.forEach(r => {
+            byPlatform[r.platform] = (byPlatform[r.platform] || 0) + 1;
+        });
+
+        const statsData = {
+            'Quarantined': records.length,
+            'Accepted': this.data.acceptedCount,
+            'Quarantine Rate': ui.formatPercent(records.length / Math.max(1, records.length + this.data.acceptedCount)),
+            'Polymarket': byPlatform.polymarket || 0,
+            'Kalshi': byPlatform.kalshi || 0,
+            'Metaculus': byPlatform.metaculus || 0
+        };
+
+        document.getElementById('stats-panel').appendChild(ui.createStatsGrid(statsData));
+    }
+
+    renderReasonFilter() {
+        const select = document.getElementById('quarantine-reason');
+        const counts = this.reasonCounts();
+
+        select.innerHTML = `<option value="all">All reasons (${this.data.records.length})</option>` +
+            Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([reason, count]) => `<option value="${escapeHtml(reason)}">${escapeHtml(reason)} (${count})</option>`)
+                .join('');
+        select.value = this.selectedReason;
+
+        select.addEventListener('change', (e) => {
+            this.selectedReason = e.target.value;
+            this.renderTable();
+        });
+    }
+
+    renderTable() {
+        const container = document.getElementById('quarantine-table');
+        container.innerHTML = '';
+
+        const records = this.data.records.filter(r =>
+            this.selectedReason === 'all' || r.reasons.some(reason => reasonKey(reason) === this.selectedReason)
+        );
+
+        if (records.length === 0) {
+            container.innerHTML = '<div class="text-center text-slate-400">No quarantined records - every record passed validation</div>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        table.style.borderCollapse = 'collapse';
+
+        const thead = document.createElement('thead');
+        thead.innerHTML = `
+            <tr style="border-bottom: 2px solid #334155;">
+                <th class="text-left py-3 px-4 text-slate-400 font-semibold">Platform</th>
+                <th class="text-left py-3 px-4 text-slate-400 font-semibold">Market</th>
+                <th class="text-left py-3 px-4 text-slate-400 font-semibold">Reasons</th>
+                <th class="text-left py-3 px-4 text-slate-400 font-semibold">Quarantined</th>
+            </tr>
+        `;
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        records.slice(0, 200).forEach(record => {
+            const row = document.createElement('tr');
+            row.style.borderBottom = '1px solid #1e293b';
+            row.className = 'hover:bg-slate-800/50 transition-colors cursor-pointer';
+            row.innerHTML = `
+                <td class="py-3 px-4 font-mono text-slate-300">${record.platform}</td>
+                <td class="py-3 px-4 text-cyan-400">${escapeHtml(record.title || record.id || '(untitled)')}</td>
+                <td class="py-3 px-4 text-amber-400">${record.reasons.map(escapeHtml).join('<br>')}</td>
+                <td class="py-3 px-4 font-mono text-slate-500">${new Date(record.quarantinedAt).toLocaleTimeString()}</td>
+            `;
+
+            const detail = document.createElement('tr');
+            detail.style.display = 'none';
+            detail.innerHTML = `
+                <td colspan="4" class="py-3 px-4">
+                    <pre class="text-xs text-slate-400" style="white-space: pre-wrap; max-height: 300px; overflow: auto;">${escapeHtml(JSON.stringify(record.record, null, 2))}</pre>
+                </td>
+            `;
+
+            row.addEventListener('click', () => {
+                detail.style.display = detail.style.display === 'none' ? '' : 'none';
+            });
+
+            tbody.appendChild(row);
+            tbody.appendChild(detail);
+        });
+        table.appendChild(tbody);
+
+        container.appendChild(table);
+
+        if (records.length > 200) {
+            container.insertAdjacentHTML('beforeend', `<p class="mt-4 text-xs text-slate-500">Showing 200 of ${records.length} records</p>`);
+        }
+    }
+
+    reasonCounts() {
+        const counts = {};
+        this.data.records.forEach(r => {
+            new Set(r.reasons.map(reasonKey)).forEach(key => {
+                counts[key] = (counts[key] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    async update() {
+        this.container.innerHTML = '';
+        await this.render();
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * Group reasons by kind: "Invalid volume: -3" and "Invalid volume: null" are one reason
+ */
+function reasonKey(reason) {
+    return reason.split(':')[0];
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -3,6 +3,7 @@ import * as d3 from 'd3';
 import * as stats from '../../stats/index.js';
 import * as ui from '../../utils/ui.js';
 import { getModuleData } from '../../data/dataManager.js';
+import { tailBiasBins, tailGroups, tailBiasReport } from '../../data/analytics.js';
 
 export default class TailRiskModule {
     constructor(container, state) {
@@ -95,27 +96,8 @@ export default class TailRiskModule {
         const chartWidth = width - margin.left - margin.right;
         const chartHeight = height - margin.top - margin.bottom;
         
-        // Bin markets by implied probability
-        const binSize = 0.05;
-        const bins = [];
-        for (let i = 0; i < 1; i += binSize) {
-            const marketsInBin = this.data.markets.filter(m => 
-                m.finalProbability >= i && m.finalProbability < i + binSize
-            );
-            
-            if (marketsInBin.length > 0) {
-                const realizedFreq = stats.mean(marketsInBin.map(m => m.outcome));
-                const impliedProb = i + binSize / 2;
-                const count = marketsInBin.length;
-                
-                bins.push({
-                    impliedProb,
-                    realizedFreq,
-                    count,
-                    bias: realizedFreq - impliedProb
-                });
-            }
-        }
+        // Bin markets by implied probability (5-point bands)
+        const bins = tailBiasBins(this.data.markets, 0.05);
         
         // Apply LOWESS smoother
         const x_vals = bins.map(b => b.impliedProb);
@@ -442,17 +424,7 @@ export default class TailRiskModule {
         const container = document.getElementById('tail-dashboard');
         
         // Calculate tail statistics
-        const markets = this.data.markets;
-        const longshots = markets.filter(m => m.finalProbability < 0.1);
-        const favorites = markets.filter(m => m.finalProbability > 0.9);
-        const midrange = markets.filter(m => m.finalProbability >= 0.3 && m.finalProbability <= 0.7);
-        
-        const longshotWinRate = longshots.length > 0 ? stats.mean(longshots.map(m => m.outcome)) : 0;
-        const favoriteWinRate = favorites.length > 0 ? stats.mean(favorites.map(m => m.outcome)) : 0;
-        const midrangeWinRate = midrange.length > 0 ? stats.mean(midrange.map(m => m.outcome)) : 0;
-        
-        const longshotAvgProb = longshots.length > 0 ? stats.mean(longshots.map(m => m.finalProbability)) : 0;
-        const favoriteAvgProb = favorites.length > 0 ? stats.mean(favorites.map(m => m.finalProbability)) : 0;
+        const { longshots, favorites, midrange } = tailGroups(this.data.markets);
         
         // Create dashboard
         const dashboard = document.createElement('div');
@@ -461,25 +433,25 @@ export default class TailRiskModule {
         // Longshots section
         const longshotCard = createTailCard(
             'Longshots (<10%)',
-            longshotAvgProb,
-            longshotWinRate,
-            longshots.length,
+            longshots.avgProbability,
+            longshots.winRate,
+            longshots.count,
             '#ef4444'
         );
         
         const favoritesCard = createTailCard(
             'Favorites (>90%)',
-            favoriteAvgProb,
-            favoriteWinRate,
-            favorites.length,
+            favorites.avgProbability,
+            favorites.winRate,
+            favorites.count,
             '#10b981'
         );
         
         const midrangeCard = createTailCard(
             'Midrange (30-70%)',
             0.5,
-            midrangeWinRate,
-            midrange.length,
+            midrange.winRate,
+            midrange.count,
             '#fbbf24'
         );
         
@@ -522,42 +494,25 @@ export default class TailRiskModule {
     }
     
     renderStats() {
-        const markets = this.data.markets;
-        const probabilities = markets.map(m => m.finalProbability);
-        const outcomes = markets.map(m => m.outcome);
-        
-        // Calculate tail statistics
-        const betaParams = stats.fitBeta(probabilities);
-        const gini = stats.giniCoefficient(probabilities);
-        
-        // Quantiles
-        const q10 = d3.quantile(probabilities.sort(d3.ascending), 0.1);
-        const q90 = d3.quantile(probabilities.sort(d3.ascending), 0.9);
-        
-        // Brier in different regions
-        const tailMarkets = markets.filter(m => m.finalProbability < 0.2 || m.finalProbability > 0.8);
-        const tailBrier = stats.brierScore(
-            tailMarkets.map(m => m.finalProbability),
-            tailMarkets.map(m => m.outcome)
-        );
-        
-        const midMarkets = markets.filter(m => m.finalProbability >= 0.3 && m.finalProbability <= 0.7);
-        const midBrier = stats.brierScore(
-            midMarkets.map(m => m.finalProbability),
-            midMarkets.map(m => m.outcome)
-        );
+        const report = tailBiasReport(this.data.markets);
         
         const statsData = {
-            'Total Markets': markets.length,
-            'Beta α': ui.formatNumber(betaParams.alpha, 3),
-            'Beta β': ui.formatNumber(betaParams.beta, 3),
-            'Gini Coefficient': ui.formatNumber(gini, 3),
-            '10th Percentile': ui.formatPercent(q10),
-            '90th Percentile': ui.formatPercent(q90),
-            'Tail Brier Score': ui.formatNumber(tailBrier, 4),
-            'Mid Brier Score': ui.formatNumber(midBrier, 4)
+            'Total Markets': report.count,
+            'Beta α': ui.formatNumber(report.beta.alpha, 3),
+            'Beta β': ui.formatNumber(report.beta.beta, 3),
+            'Gini Coefficient': ui.formatNumber(report.gini, 3),
+            '10th Percentile': ui.formatPercent(report.quantiles.q10),
+            '90th Percentile': ui.formatPercent(report.quantiles.q90),
+            'Tail Brier Score': ui.formatNumber(report.tailBrier, 4),
+            'Mid Brier Score': ui.formatNumber(report.midBrier, 4)
         };
         
+        // Void and disputed markets have no outcome to compare the price with
+        const resolutions = this.data.resolutions;
+        if (resolutions) {
+            statsData['Void / Disputed (excluded)'] = resolutions.void + resolutions.disputed;
+        }
+        
         const statsPanel = document.getElementById('stats-panel');
         statsPanel.appendChild(ui.createStatsGrid(statsData));
     }
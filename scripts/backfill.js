@@ -0,0 +1,97 @@
+// Historical backfill of resolved markets into the snapshot store the proxy serves
+//   node scripts/backfill.js --since 2022-01-01 [--platform kalshi,manifold]
+//                            [--delay 500] [--max-pages 1000] [--retries 5] [--restart]
+// An interrupted run resumes from storage/backfill/<platform>.json; a finished one starts
+// over and only appends markets that are new or changed, so it is safe to run nightly.
+// The proxy loads the store on start: restart it to serve the new markets.
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from '../server/snapshotStore.js';
+import { configureUpstream } from '../server/upstream.js';
+import { loadConfig, loadTaxonomyConfig } from '../server/config.js';
+import { backfillPlatform, CRAWLERS, DEFAULT_DELAY_MS, DEFAULT_MAX_PAGES, DEFAULT_RETRIES } from '../server/backfill.js';
+import { configureTaxonomy } from '../data/taxonomy.js';
+import { getAdapter, listAdapters, configurePlatforms } from '../data/platforms.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Same configuration and storage locations as server.js
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(ROOT_DIR, 'config', 'app.json');
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(ROOT_DIR, 'storage', 'snapshots');
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE || path.join(ROOT_DIR, 'config', 'taxonomy.json');
+const CHECKPOINT_DIR = process.env.BACKFILL_DIR || path.join(ROOT_DIR, 'storage', 'backfill');
+
+const USAGE = 'Usage: node scripts/backfill.js --since YYYY-MM-DD [--platform id,...] [--delay ms] [--max-pages n] [--retries n] [--restart]';
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            platform: { type: 'string' },
+            since: { type: 'string' },
+            delay: { type: 'string' },
+            'max-pages': { type: 'string' },
+            retries: { type: 'string' },
+            restart: { type: 'boolean', default: false }
+        }
+    });
+
+    const since = new Date(values.since);
+    if (!values.since || isNaN(since.getTime())) {
+        throw new Error(`--since must be a date\n${USAGE}`);
+    }
+    const delayMs = parseNonNegativeInt(values.delay, DEFAULT_DELAY_MS, '--delay');
+    const maxPages = parseNonNegativeInt(values['max-pages'], DEFAULT_MAX_PAGES, '--max-pages');
+    const retries = parseNonNegativeInt(values.retries, DEFAULT_RETRIES, '--retries');
+
+    const config = loadConfig({ file: CONFIG_FILE });
+    configureUpstream(config.upstream);
+    configurePlatforms(config.platforms);
+    configureTaxonomy(loadTaxonomyConfig(TAXONOMY_FILE));
+
+    // Default: every enabled platform that has a crawler
+    const ids = values.platform
+        ? values.platform.split(',').map(id => id.trim()).filter(Boolean)
+        : listAdapters().map(({ id }) => id).filter(id => CRAWLERS[id]);
+    const adapters = ids.map(id => {
+        const adapter = getAdapter(id);
+        if (!adapter) {
+            throw new Error(`Unknown platform: ${id}`);
+        }
+        return adapter;
+    });
+
+    const store = new SnapshotStore(SNAPSHOT_DIR);
+    await store.load();
+
+    // One platform at a time: each upstream sees a single paced client
+    let failed = 0;
+    for (const adapter of adapters) {
+        try {
+            await backfillPlatform(adapter, { store, checkpointDir: CHECKPOINT_DIR, since, delayMs, maxPages, retries, restart: values.restart });
+        } catch (error) {
+            failed++;
+            console.error(`[Backfill] ❌ ${adapter.label} failed: ${error.message} (rerun to resume from the last checkpoint)`);
+        }
+    }
+
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// ===== Utility Functions =====
+
+function parseNonNegativeInt(value, fallback, flag) {
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error(`${flag} must be a non-negative integer`);
+    }
+    return parsed;
+}
+
+main().catch(error => {
+    console.error(`[Backfill] ${error.message}`);
+    process.exitCode = 1;
+});
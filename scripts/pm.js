@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+// pm - the app's calibration, tail-risk and evaluation numbers on the command line,
+// for cron jobs and shells without a browser:
+//   pm calibration [--bins 10]
+//   pm tail-risk [--bin-size 0.05]
+//   pm evaluate [--evaluation default|strict|quick] [--dataset default|strict|research]
+//               [--backtest default|shortTerm|longTerm]
+// Every command takes:
+//   --source store|fixtures   latest stored snapshots (default), or the upstream responses
+//                             recorded by `npm run server:record`
+//   --fixtures <dir>          fixture directory (default fixtures/, or FIXTURES_DIR)
+//   --platform, --category, --start, --end   the UI filters
+//   --format table|json|markdown (evaluate also: summary)
+//   --out <file>              write the report to a file instead of stdout
+// Progress logs go to stderr, so stdout carries the report only.
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from '../server/snapshotStore.js';
+import { configureFixtures, configureUpstream } from '../server/upstream.js';
+import { loadConfig, loadTaxonomyConfig } from '../server/config.js';
+import { PLATFORM_UPSTREAMS } from '../server/platforms.js';
+import { parseAnalyticsFilters, selectMarkets } from '../server/analytics.js';
+import { configureTaxonomy, categoryLabel } from '../data/taxonomy.js';
+import { listAdapters, configurePlatforms } from '../data/platforms.js';
+import { filterMarkets, calibrationReport, tailBiasReport, evaluationRecords } from '../data/analytics.js';
+import { EvaluationOrchestrator } from '../evaluation/index.js';
+import * as stats from '../stats/index.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Same configuration and storage locations as server.js
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(ROOT_DIR, 'config', 'app.json');
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(ROOT_DIR, 'storage', 'snapshots');
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE || path.join(ROOT_DIR, 'config', 'taxonomy.json');
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(ROOT_DIR, 'fixtures');
+
+const SOURCES = ['store', 'fixtures'];
+
+// Scenario names of createEvaluator, createDatasetBuilder and createBacktestEngine;
+// the factories fall back to the default on any other name
+const SCENARIOS = {
+    evaluation: ['default', 'strict', 'quick'],
+    dataset: ['default', 'strict', 'research'],
+    backtest: ['default', 'shortTerm', 'longTerm']
+};
+
+const USAGE = `Usage: pm <calibration|tail-risk|evaluate> [options]
+  --source store|fixtures   markets from the snapshot store (default) or recorded fixtures
+  --fixtures <dir>          fixture directory for --source fixtures
+  --platform <id>           --category <id>   --start <date>   --end <date>
+  --format <format>         table (default), json or markdown; evaluate also takes summary
+  --out <file>              write the report to a file instead of stdout
+  calibration:  --bins <n>
+  tail-risk:    --bin-size <width>
+  evaluate:     --evaluation ${SCENARIOS.evaluation.join('|')}
+                --dataset ${SCENARIOS.dataset.join('|')}
+                --backtest ${SCENARIOS.backtest.join('|')}`;
+
+/**
+ * Commands: parse(options) -> report options, checked before any market is loaded;
+ * run(markets, reportOptions) -> report; tables(report) -> [[title, headers, rows]].
+ * Evaluate exports through the orchestrator instead (see evaluate()).
+ */
+const COMMANDS = {
+    'calibration': {
+        formats: ['table', 'json', 'markdown'],
+        parse: options => ({
+            bins: parseNumber(options.bins, 10, '--bins', n => Number.isInteger(n) && n >= 1 && n <= 50)
+        }),
+        run: calibrationReport,
+        tables: calibrationTables
+    },
+    'tail-risk': {
+        formats: ['table', 'json', 'markdown'],
+        parse: options => ({
+            binSize: parseNumber(options['bin-size'], 0.05, '--bin-size', n => n > 0 && n <= 0.5)
+        }),
+        run: tailBiasReport,
+        tables: tailRiskTables
+    },
+    'evaluate': {
+        formats: ['table', 'json', 'markdown', 'summary']
+    }
+};
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            source: { type: 'string', default: 'store' },
+            fixtures: { type: 'string', default: FIXTURES_DIR },
+            platform: { type: 'string' },
+            category: { type: 'string' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            format: { type: 'string', default: 'table' },
+            out: { type: 'string' },
+            bins: { type: 'string' },
+            'bin-size': { type: 'string' },
+            evaluation: { type: 'string', default: 'default' },
+            dataset: { type: 'string', default: 'default' },
+            backtest: { type: 'string', default: 'default' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    const name = positionals[0];
+    const command = COMMANDS[name];
+    if (!command || positionals.length > 1) {
+        throw new Error(`${name ? `Unknown command: ${positionals.join(' ')}` : 'Missing command'}\n${USAGE}`);
+    }
+    checkChoice('--source', values.source, SOURCES);
+    checkChoice('--format', values.format, command.formats);
+    if (name === 'evaluate') {
+        Object.entries(SCENARIOS).forEach(([option, scenarios]) => checkChoice(`--${option}`, values[option], scenarios));
+    }
+    const reportOptions = command.parse ? command.parse(values) : null;
+
+    const output = await withLogsOnStderr(async () => {
+        const config = loadConfig({ file: CONFIG_FILE });
+        configureUpstream(config.upstream);
+        configurePlatforms(config.platforms);
+        configureTaxonomy(loadTaxonomyConfig(TAXONOMY_FILE));
+
+        const platforms = listAdapters().map(({ id }) => id);
+        const filters = parseAnalyticsFilters(values, platforms);
+        const markets = values.source === 'store'
+            ? selectMarkets(await loadStore(), platforms, filters)
+            : filterMarkets(await loadFixtureMarkets(values.fixtures, filters.platform), filters);
+        if (markets.length === 0) {
+            throw new Error(`No markets match the filters in the ${values.source === 'store' ? `snapshot store (${SNAPSHOT_DIR})` : `fixtures (${values.fixtures})`}`);
+        }
+        console.error(`[CLI] ${name}: ${markets.length} markets from the ${values.source}`);
+
+        return name === 'evaluate'
+            ? evaluate(markets, values)
+            : render(command, command.run(markets, reportOptions), { filters, markets: markets.length }, values.format);
+    });
+    writeOutput(output, values.out);
+}
+
+/**
+ * The app's evaluation pipeline, exported in the requested format
+ */
+async function evaluate(markets, options) {
+    const records = evaluationRecords(markets);
+    const orchestrator = new EvaluationOrchestrator({
+        evaluationScenario: options.evaluation,
+        datasetScenario: options.dataset,
+        backtestScenario: options.backtest
+    });
+    const result = await orchestrator.runEvaluationPipeline(records, 'Prediction Market Evaluation');
+    if (!result.success) {
+        throw new Error(`Evaluation failed on ${records.length} resolved markets: ${result.error}`);
+    }
+
+    switch (options.format) {
+        case 'table':
+            return formatTables(evaluationTables(orchestrator.exportArtifacts('summary'), result.artifacts.pipeline), 'table');
+        case 'summary':
+            return `${JSON.stringify(orchestrator.exportArtifacts('summary'), null, 2)}\n`;
+        default:
+            return ensureNewline(orchestrator.exportArtifacts(options.format));
+    }
+}
+
+// ===== Market Sources =====
+
+async function loadStore() {
+    const store = new SnapshotStore(SNAPSHOT_DIR);
+    await store.load();
+    return store;
+}
+
+/**
+ * Replay the recorded market lists of the enabled platforms ('all', or one id) through
+ * their adapters; platforms without a recording are skipped
+ */
+async function loadFixtureMarkets(fixturesDir, platform) {
+    configureFixtures({ mode: 'replay', fixturesDir });
+
+    const markets = [];
+    for (const adapter of listAdapters().filter(({ id }) => platform === 'all' || id === platform)) {
+        const upstream = PLATFORM_UPSTREAMS[adapter.id];
+        if (!upstream?.fetchMarkets) continue;
+        try {
+            // The browser asks for the default market list, so that is what gets recorded
+            const { markets: normalized } = adapter.transform(await upstream.fetchMarkets({}));
+            markets.push(...normalized);
+            console.error(`[CLI] ${adapter.label}: ${normalized.length} markets from fixtures`);
+        } catch (error) {
+            console.warn(`[CLI] ⚠️ Skipping ${adapter.label}: ${error.message}`);
+        }
+    }
+    return markets;
+}
+
+// ===== Tables =====
+
+function calibrationTables(report) {
+    const scores = [
+        ['Forecasts', report.count],
+        ['Brier Score', formatNumber(report.scores.brierScore, 4)],
+        ['Log Score', formatNumber(report.scores.logScore, 3)],
+        ['Spherical Score', formatNumber(report.scores.sphericalScore, 4)],
+        ['ECE', formatNumber(report.scores.ece, 4)]
+    ];
+    if (report.categorical) {
+        scores.push(
+            ['Categorical Markets', report.categorical.count],
+            ['Multi-class Brier', formatNumber(report.categorical.brierScore, 4)],
+            ['Multi-class Log Score', formatNumber(report.categorical.logScore, 3)]
+        );
+    }
+    scores.push(
+        ['Partial Resolutions', report.resolutions.partial],
+        ['Void (excluded)', report.resolutions.void],
+        ['Disputed (excluded)', report.resolutions.disputed]
+    );
+
+    return [
+        ['Calibration', ['Metric', 'Value'], scores],
+        ['Reliability', ['Forecast', 'Markets', 'Avg Forecast', 'Observed', '95% CI'], report.bins.map(bin => [
+            `${formatPercent(bin.lower, 0)}-${formatPercent(bin.upper, 0)}`,
+            bin.count,
+            formatPercent(bin.avgPrediction),
+            formatPercent(bin.observedFrequency),
+            `${formatPercent(bin.ciLower)}-${formatPercent(bin.ciUpper)}`
+        ])],
+        ['Categories', ['Category', 'Markets', 'Brier', 'Log Score', 'ECE'], report.categories.map(c => [
+            categoryLabel(c.category),
+            c.count,
+            formatNumber(c.brierScore, 4),
+            formatNumber(c.logScore, 3),
+            formatNumber(c.ece, 4)
+        ])]
+    ];
+}
+
+function tailRiskTables(report) {
+    const groupLabels = { longshots: 'Longshots (<10%)', midrange: 'Midrange (30-70%)', favorites: 'Favorites (>90%)' };
+
+    return [
+        ['Tail Risk', ['Metric', 'Value'], [
+            ['Forecasts', report.count],
+            ['Beta α', formatNumber(report.beta?.alpha, 3)],
+            ['Beta β', formatNumber(report.beta?.beta, 3)],
+            ['Gini Coefficient', formatNumber(report.gini, 3)],
+            ['10th Percentile', formatPercent(report.quantiles?.q10)],
+            ['90th Percentile', formatPercent(report.quantiles?.q90)],
+            ['Tail Brier Score', formatNumber(report.tailBrier, 4)],
+            ['Mid Brier Score', formatNumber(report.midBrier, 4)],
+            ['Void / Disputed (excluded)', report.resolutions.void + report.resolutions.disputed]
+        ]],
+        ['Groups', ['Group', 'Markets', 'Avg Implied', 'Win Rate'], Object.entries(report.groups).map(([group, g]) => [
+            groupLabels[group],
+            g.count,
+            g.count > 0 ? formatPercent(g.avgProbability) : 'N/A',
+            g.count > 0 ? formatPercent(g.winRate) : 'N/A'
+        ])],
+        ['Favorite-Longshot Bias', ['Implied', 'Markets', 'Realized', 'Bias'], report.bins.map(bin => [
+            `${formatPercent(bin.lower, 0)}-${formatPercent(bin.upper, 0)}`,
+            bin.count,
+            formatPercent(bin.realizedFreq),
+            formatNumber(bin.bias, 3)
+        ])]
+    ];
+}
+
+function evaluationTables(summary, pipeline) {
+    const { splits } = summary.dataset;
+    const { issues, warnings } = summary.readiness;
+    const tables = [
+        ['Evaluation', ['Metric', 'Value'], [
+            ['Dataset Version', summary.dataset.version],
+            ['Records', summary.dataset.records],
+            ['Train / Validation / Test', `${splits.train.size} / ${splits.validation.size} / ${splits.test.size}`],
+            ['Test Brier Score', summary.keyMetrics.testBrier ?? 'N/A'],
+            ['Test Log Score', summary.keyMetrics.testLogScore ?? 'N/A'],
+            ['Test ECE', summary.keyMetrics.testCalibrationError ?? 'N/A'],
+            ['Test Spherical Score', summary.keyMetrics.testSharpness ?? 'N/A'],
+            ['Ready', summary.readiness.ready ? 'yes' : 'no'],
+            ...issues.map(issue => ['Issue', issue]),
+            ...warnings.map(warning => ['Warning', warning])
+        ]]
+    ];
+
+    const { kfoldResult, backtestResult, accuracyByConfidence } = pipeline;
+    // The folds score train and validation separately; their avgMetrics only average flat numbers
+    const folds = (kfoldResult?.folds || []).map(fold => fold.metrics.validation);
+    if (folds.length > 0) {
+        tables.push([`Cross-Validation (${folds.length} folds, validation)`, ['Metric', 'Mean', 'Std'],
+            ['brierScore', 'logScore', 'ece'].map(metric => {
+                const values = folds.map(f => f[metric]).filter(Number.isFinite);
+                return values.length > 0
+                    ? [metric, formatNumber(stats.mean(values), 4), formatNumber(stats.standardDeviation(values), 4)]
+                    : [metric, 'N/A', 'N/A'];
+            })
+        ]);
+    }
+    if (backtestResult?.success) {
+        // A dataset shorter than one window summarizes to { windows: 0 }, without metrics
+        const { summary: windows } = backtestResult;
+        tables.push([`Backtest (${windows.windows} windows)`, ['Metric', 'Min', 'Avg', 'Max'],
+            windows.windows > 0
+                ? ['brierScore', 'logScore', 'ece'].map(metric => [
+                    metric,
+                    formatNumber(windows[metric]?.min, 4),
+                    formatNumber(windows[metric]?.avg, 4),
+                    formatNumber(windows[metric]?.max, 4)
+                ])
+                : [['No backtest windows', 'N/A', 'N/A', 'N/A']]
+        ]);
+    }
+    if (accuracyByConfidence?.success) {
+        tables.push(['Accuracy by Confidence', ['Forecast', 'Markets', 'Predicted', 'Actual', 'Brier'],
+            accuracyByConfidence.buckets.map(bucket => [
+                `${formatPercent(bucket.lowerBound, 0)}-${formatPercent(bucket.upperBound, 0)}`,
+                bucket.sampleCount,
+                formatPercent(bucket.predictedProbability),
+                formatPercent(bucket.actualAccuracy),
+                formatNumber(bucket.brier, 4)
+            ])
+        ]);
+    }
+    return tables;
+}
+
+// ===== Utility Functions =====
+
+/**
+ * JSON is the analytics API's payload (server.js); tables and Markdown come from command.tables
+ */
+function render(command, report, { filters, markets }, format) {
+    if (format === 'json') {
+        return `${JSON.stringify({ filters, markets, generatedAt: new Date().toISOString(), report }, null, 2)}\n`;
+    }
+    return formatTables(command.tables(report), format);
+}
+
+function formatTables(tables, format) {
+    return tables
+        .filter(([, , rows]) => rows.length > 0)
+        .map(([title, headers, rows]) => format === 'markdown'
+            ? markdownTable(title, headers, rows)
+            : textTable(title, headers, rows))
+        .join('\n\n') + '\n';
+}
+
+function textTable(title, headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    return [title, line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function markdownTable(title, headers, rows) {
+    const line = cells => `| ${cells.join(' | ')} |`;
+    return [`## ${title}`, '', line(headers), line(headers.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Run the shared modules with console.log sent to stderr, where they report progress,
+ * so stdout carries the report only (e.g. `pm evaluate --format json > report.json`)
+ */
+async function withLogsOnStderr(run) {
+    const { log } = console;
+    console.log = console.error;
+    try {
+        return await run();
+    } finally {
+        console.log = log;
+    }
+}
+
+function writeOutput(output, file) {
+    if (!file) {
+        process.stdout.write(output);
+        return;
+    }
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, output);
+    console.error(`[CLI] Wrote ${file}`);
+}
+
+function ensureNewline(text) {
+    return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+// Same output as formatNumber / formatPercent in utils/ui.js, which needs a DOM
+function formatNumber(num, decimals = 2) {
+    if (num === null || num === undefined || isNaN(num)) return 'N/A';
+    return num.toFixed(decimals);
+}
+
+function formatPercent(num, decimals = 1) {
+    if (num === null || num === undefined || isNaN(num)) return 'N/A';
+    return `${(num * 100).toFixed(decimals)}%`;
+}
+
+function parseNumber(value, fallback, flag, isValid) {
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || !isValid(parsed)) {
+        throw new Error(`Invalid ${flag}: ${value}`);
+    }
+    return parsed;
+}
+
+function checkChoice(flag, value, allowed) {
+    if (!allowed.includes(value)) {
+        throw new Error(`Invalid ${flag}: ${value} (allowed: ${allowed.join(', ')})`);
+    }
+}
+
+main().catch(error => {
+    console.error(`[CLI] ${error.message}`);
+    process.exitCode = 1;
+});
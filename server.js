@@ -1,170 +1,467 @@
 // Simple backend proxy server for API requests
-// Runs on port 3001, frontend calls localhost:3001/api/* instead of direct APIs
+// Runs on port 3001 by default (see config/app.json), frontend calls localhost:3001/api/* instead of direct APIs
 import express from 'express';
 import cors from 'cors';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from './server/snapshotStore.js';
+import { MatchOverrideStore } from './server/matchOverrides.js';
+import { parseIntParam, configureFixtures, configureUpstream } from './server/upstream.js';
+import { loadConfig, loadTaxonomyConfig } from './server/config.js';
+import { DEFAULT_MAX_PAGES } from './server/markets.js';
+import { PLATFORM_UPSTREAMS } from './server/platforms.js';
+import { ResponseCache } from './server/responseCache.js';
+import { UpstreamMetrics } from './server/metrics.js';
+import { resolveProxyMode } from './server/fixtures.js';
+import { RESOLUTIONS } from './server/history.js';
+import { describeBook } from './data/orderBook.js';
+import { MarketStream, createPollingSource, createMockSource, STREAM_SOURCES } from './server/stream.js';
+import { configureTaxonomy } from './data/taxonomy.js';
+import { listAdapters, configurePlatforms } from './data/platforms.js';
+import { findMatches, groupMatches, MATCH_THRESHOLD } from './data/eventMatcher.js';
+import { ANALYTICS_REPORTS, parseAnalyticsFilters, selectMarkets } from './server/analytics.js';
 
 const app = express();
-const PORT = 3001;
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
 
-// Enable CORS for all routes
-app.use(cors());
+// Port, upstream URLs, timeouts, retries and enabled platforms: defaults, then
+// config/app.json (or CONFIG_FILE), then environment variables (see server/config.js)
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(ROOT_DIR, 'config', 'app.json');
+const config = loadConfig({ file: CONFIG_FILE });
+configureUpstream(config.upstream);
+configurePlatforms(config.platforms);
+const PORT = config.proxy.port;
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(ROOT_DIR, 'storage', 'snapshots');
+const MATCH_OVERRIDES_FILE = process.env.MATCH_OVERRIDES_FILE || path.join(ROOT_DIR, 'storage', 'matches', 'overrides.json');
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE || path.join(ROOT_DIR, 'config', 'taxonomy.json');
+
+// Offline support: `--record` saves raw upstream responses, `--replay` serves them back
+// (or PROXY_MODE=record|replay, FIXTURES_DIR=<dir>)
+const { mode: PROXY_MODE, fixturesDir: FIXTURES_DIR } = resolveProxyMode(
+    process.argv.slice(2),
+    process.env,
+    path.join(ROOT_DIR, 'fixtures')
+);
+configureFixtures({ mode: PROXY_MODE, fixturesDir: FIXTURES_DIR });
+
+// Pagination: page limit for trade tapes (market lists: see server/markets.js)
+const MAX_TRADE_PAGES = 20;
+
+// Push updates: `--mock-stream` (or STREAM_SOURCE=mock) animates stored markets instead of polling upstreams
+const STREAM_SOURCE = process.argv.includes('--mock-stream') ? 'mock' : (process.env.STREAM_SOURCE || 'poll');
+const STREAM_INTERVAL_MS = config.stream.intervalMs;
+const STREAM_MAX_PAGES = 2; // open markets only, first pages only: a poll must stay cheap
+if (!STREAM_SOURCES.includes(STREAM_SOURCE)) {
+    throw new Error(`Unknown STREAM_SOURCE: ${STREAM_SOURCE} (allowed: ${STREAM_SOURCES.join(', ')})`);
+}
+
+// Enable CORS for all routes; the browser may read the cache headers
+app.use(cors({ exposedHeaders: ['X-Cache', 'Age', 'ETag'] }));
 app.use(express.json());
 
-// Simple in-memory cache for API responses
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// In-memory cache for the upstream-backed routes (see server/responseCache.js)
+const CACHE_TTLS = config.proxy.cacheTtlMs;
+const responseCache = new ResponseCache();
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+// Per-platform upstream health, latency and record counts (/health/upstreams, /metrics)
+const upstreamMetrics = new UpstreamMetrics(listAdapters().map(({ id }) => id));
+
+// User category overrides; the proxy normalizes snapshots with them and serves them to the browser
+const taxonomyConfig = loadTaxonomyConfig(TAXONOMY_FILE);
+configureTaxonomy(taxonomyConfig);
+
+// On-disk market history, built up from every successful fetch
+const snapshotStore = new SnapshotStore(SNAPSHOT_DIR);
+await snapshotStore.load();
+
+// Manual confirm/reject decisions for cross-platform event matches
+const matchOverrides = new MatchOverrideStore(MATCH_OVERRIDES_FILE);
+matchOverrides.load();
+
+// Incremental market updates for connected browsers (polls are not written to the snapshot store)
+const marketStream = new MarketStream(
+    STREAM_SOURCE === 'mock'
+        ? createMockSource(snapshotStore.getLatestMarkets())
+        : createPollingSource(listAdapters()
+            .filter(adapter => adapter.capabilities.stream && PLATFORM_UPSTREAMS[adapter.id])
+            .map(adapter => ({
+                platform: adapter.id,
+                load: () => upstreamMetrics.track(adapter.id, 'stream', () =>
+                    PLATFORM_UPSTREAMS[adapter.id].fetchMarkets({ status: 'open', maxPages: STREAM_MAX_PAGES })),
+                normalize: adapter.transform
+            }))),
+    { intervalMs: STREAM_INTERVAL_MS }
+);
 
 /**
- * Proxy endpoint for Metaculus
- * Frontend calls: http://localhost:3001/api/metaculus
- * Backend calls: https://www.metaculus.com/api2/questions/...
+ * Normalize a raw upstream response, count its records and append the markets that changed
+ * since their last snapshot to the snapshot store, so an unchanged refetch writes nothing.
+ * Runs after the response is sent; a failed write never fails the request.
  */
-app.get('/api/metaculus', async (req, res) => {
+function recordSnapshots(platform, normalizeResponse, data) {
     try {
-        console.log('[Proxy] Fetching Metaculus API...');
-        
-        // Try different Metaculus endpoints
-        const endpoints = [
-            'https://www.metaculus.com/api2/questions/?status=resolved&limit=100',
-            'https://www.metaculus.com/api/v0/questions/?status=resolved&limit=100',
-            'https://www.metaculus.com/api/questions/?status=resolved&limit=100'
-        ];
-        
-        let lastError = null;
-        for (const endpoint of endpoints) {
-            try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 30000);
-                
-                const response = await fetch(endpoint, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json'
-                    },
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) {
-                    console.warn(`[Proxy] Endpoint HTTP ${response.status}: ${endpoint}`);
-                    lastError = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    continue;
-                }
-                
-                const data = await response.json();
-                console.log('[Proxy] Successfully fetched Metaculus data');
-                res.json({ success: true, data });
-                return;
-                
-            } catch (error) {
-                console.warn(`[Proxy] Endpoint error: ${error.message}`);
-                lastError = error;
-                continue;
-            }
+        const { markets, quarantined } = normalizeResponse(data);
+        upstreamMetrics.recordCount(platform, 'markets', markets.length, quarantined.length);
+
+        // Replayed responses are old captures; storing them again would fake new history
+        if (PROXY_MODE === 'replay') return;
+
+        if (quarantined.length > 0) {
+            console.warn(`[Store] Not storing ${quarantined.length} ${platform} records that failed validation`);
         }
-        
-        throw lastError || new Error('All endpoints failed');
-        
+        snapshotStore.appendChanged(platform, markets)
+            .then(count => console.log(`[Store] Saved ${count} changed ${platform} snapshots`))
+            .catch(error => console.error(`[Store] Failed to save ${platform} snapshots:`, error.message));
     } catch (error) {
-        console.error('[Proxy] Metaculus error:', error.message);
-        console.log('[Proxy] Returning empty Metaculus result to allow other APIs to work');
-        // Return empty result instead of 500 error - allows other APIs to work
-        res.json({ 
-            success: true,
-            data: {
-                results: [],
-                count: 0
-            }
-        });
+        console.error(`[Store] Failed to normalize ${platform} data:`, error.message);
     }
+}
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', mode: PROXY_MODE, cache: responseCache.stats(), timestamp: new Date().toISOString() });
+});
+
+/**
+ * Per-platform upstream health: status (ok | degraded | down | unknown) with its
+ * reason, last success, last error, where responses came from, and per-route
+ * request counts, record counts and latency percentiles
+ * Frontend calls: http://localhost:3001/health/upstreams
+ */
+app.get('/health/upstreams', (req, res) => {
+    const upstreams = upstreamMetrics.health();
+    const statuses = Object.values(upstreams).map(upstream => upstream.status);
+    res.json({
+        status: statuses.some(status => status === 'down' || status === 'degraded') ? 'degraded' : 'ok',
+        mode: PROXY_MODE,
+        upstreams,
+        timestamp: new Date().toISOString()
+    });
 });
 
 /**
- * Proxy endpoint for Polymarket
+ * The same figures in the Prometheus text format, for scraping
+ */
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(upstreamMetrics.prometheus(responseCache.stats()));
+});
+
+/**
+ * Category overrides from config/taxonomy.json, for the browser's taxonomy
+ */
+app.get('/api/taxonomy', (req, res) => {
+    res.json({ success: true, data: taxonomyConfig });
+});
+
+/**
+ * Server-Sent Events: `delta` events with added and changed markets
+ * Frontend connects with: new EventSource('http://localhost:3001/api/stream')
+ */
+app.get('/api/stream', (req, res) => {
+    marketStream.addClient(req, res);
+});
+
+// Market list and per-market routes for every registered platform adapter
+listAdapters().forEach(adapter => mountPlatformRoutes(adapter, PLATFORM_UPSTREAMS[adapter.id]));
+
+/**
+ * Mount the proxy routes an adapter declares (adapter.routes) for the
+ * capabilities it has an upstream for:
+ *   markets  e.g. /api/kalshi               - raw upstream market list
+ *   history  e.g. /api/kalshi/:id/candles   - ?resolution=1m|1h|1d&since=<time>&until=<time>
+ *   trades   e.g. /api/kalshi/:id/trades    - ?since=<time>&maxPages=5
+ *   book     e.g. /api/kalshi/:id/orderbook
+ * Each route is cached for its CACHE_TTLS entry.
+ */
+function mountPlatformRoutes(adapter, upstream) {
+    if (!upstream) {
+        console.warn(`[Proxy] No upstream for platform ${adapter.id}; its routes are not mounted`);
+        return;
+    }
+
+    const { routes, capabilities } = adapter;
+    const cached = route => responseCache.middleware(CACHE_TTLS[route],
+        cacheState => upstreamMetrics.recordCacheResponse(adapter.id, route, cacheState));
+
+    app.get(routes.markets, cached('markets'), (req, res) => sendMarkets(req, res, adapter, upstream.fetchMarkets));
+    if (capabilities.history && upstream.fetchHistory) {
+        app.get(routes.history, cached('history'), (req, res) => sendHistory(req, res, adapter, upstream.fetchHistory));
+    }
+    if (capabilities.trades && upstream.fetchTrades) {
+        app.get(routes.trades, cached('trades'), (req, res) => sendTrades(req, res, adapter, upstream.fetchTrades));
+    }
+    if (capabilities.orderBook && upstream.fetchBook) {
+        app.get(routes.book, cached('book'), (req, res) => sendBook(req, res, adapter, upstream.fetchBook));
+    }
+}
+
+/**
+ * Shared handler for the market list routes; every upstream response is also
+ * stored as snapshots (cache hits never reach this handler)
  */
-app.get('/api/polymarket', async (req, res) => {
+async function sendMarkets(req, res, adapter, fetchMarkets) {
     try {
-        console.log('[Proxy] Fetching Polymarket API...');
-        
-        const endpoint = 'https://clob.polymarket.com/markets';
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-        
-        const response = await fetch(endpoint, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        console.log('[Proxy] Successfully fetched Polymarket data');
+        console.log(`[Proxy] Fetching ${adapter.label} API...`);
+        const data = await upstreamMetrics.track(adapter.id, 'markets', () => fetchMarkets(req.query));
+        console.log(`[Proxy] Successfully fetched ${adapter.label} data`);
         
         res.json({ success: true, data });
+        recordSnapshots(adapter.id, adapter.transform, data);
         
     } catch (error) {
-        console.error('[Proxy] Polymarket error:', error.message);
-        res.status(500).json({ 
+        console.error(`[Proxy] ${adapter.label} error:`, error.message);
+        res.status(error.status || 500).json({ 
             success: false, 
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
-});
+}
 
 /**
- * Proxy endpoint for Kalshi
+ * Shared handler for the per-market trade routes
  */
-app.get('/api/kalshi', async (req, res) => {
+async function sendTrades(req, res, adapter, fetchTrades) {
+    const { label } = adapter;
+    const marketKey = req.params.id;
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const maxPages = parseIntParam(req.query.maxPages, DEFAULT_MAX_PAGES, MAX_TRADE_PAGES);
+
+    if (since && isNaN(since.getTime())) {
+        return res.status(400).json({ success: false, error: 'Invalid since timestamp' });
+    }
+
     try {
-        console.log('[Proxy] Fetching Kalshi API...');
-        
-        const endpoint = 'https://api.elections.kalshi.com/trade-api/v2/markets';
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-        
-        const response = await fetch(endpoint, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            signal: controller.signal
+        console.log(`[Proxy] Fetching ${label} trades for ${marketKey}...`);
+        const trades = await upstreamMetrics.track(adapter.id, 'trades', () => fetchTrades(marketKey, { maxPages, since }));
+        upstreamMetrics.recordCount(adapter.id, 'trades', trades.length);
+        console.log(`[Proxy] ${label} trades for ${marketKey}: ${trades.length} fills`);
+        res.json({ success: true, data: { id: marketKey, count: trades.length, trades } });
+    } catch (error) {
+        console.error(`[Proxy] ${label} trades error:`, error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
         });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        console.log('[Proxy] Successfully fetched Kalshi data');
-        
-        res.json({ success: true, data });
-        
+    }
+}
+
+/**
+ * Shared handler for the per-market order book routes
+ */
+async function sendBook(req, res, adapter, fetchBook) {
+    const { label } = adapter;
+    const marketKey = req.params.id;
+
+    try {
+        const book = await upstreamMetrics.track(adapter.id, 'book', () => fetchBook(marketKey));
+        upstreamMetrics.recordCount(adapter.id, 'book', book.bids.length + book.asks.length);
+        res.json({ success: true, data: { id: marketKey, book, ...describeBook(book) } });
     } catch (error) {
-        console.error('[Proxy] Kalshi error:', error.message);
-        res.status(500).json({ 
-            success: false, 
+        console.error(`[Proxy] ${label} order book error:`, error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Shared handler for the per-market history routes
+ */
+async function sendHistory(req, res, adapter, fetchHistory) {
+    const { label } = adapter;
+    const marketKey = req.params.id;
+    const resolution = req.query.resolution || '1h';
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const until = req.query.until ? new Date(req.query.until) : null;
+
+    if (!RESOLUTIONS[resolution]) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported resolution: ${resolution} (allowed: ${Object.keys(RESOLUTIONS).join(', ')})`
+        });
+    }
+    if ((since && isNaN(since.getTime())) || (until && isNaN(until.getTime()))) {
+        return res.status(400).json({ success: false, error: 'Invalid since/until timestamp' });
+    }
+
+    try {
+        console.log(`[Proxy] Fetching ${label} history for ${marketKey} (${resolution})...`);
+        const history = await upstreamMetrics.track(adapter.id, 'history', () => fetchHistory(marketKey, resolution, { since, until }));
+        upstreamMetrics.recordCount(adapter.id, 'history', history.length);
+        console.log(`[Proxy] ${label} history for ${marketKey}: ${history.length} points`);
+        res.json({ success: true, data: { id: marketKey, resolution, history } });
+    } catch (error) {
+        console.error(`[Proxy] ${label} history error:`, error.message);
+        res.status(500).json({
+            success: false,
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
+}
+
+/**
+ * Stored price histories for every market of a platform
+ * Frontend calls: http://localhost:3001/api/snapshots/history?platform=kalshi
+ */
+app.get('/api/snapshots/history', async (req, res) => {
+    const { platform } = req.query;
+    if (!platform) {
+        return res.status(400).json({ success: false, error: 'platform query parameter is required' });
+    }
+    try {
+        res.json({ success: true, data: await snapshotStore.getPriceHistories(platform) });
+    } catch (error) {
+        console.error('[Store] History read error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Every stored market as it looked at a point in time
+ * e.g. /api/snapshots?at=2026-10-13T12:00:00Z&platform=polymarket
+ * ?resolved=true keeps resolved markets only (e.g. those written by scripts/backfill.js)
+ */
+app.get('/api/snapshots', async (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+        return res.status(400).json({ success: false, error: 'Invalid at timestamp' });
+    }
+    try {
+        const markets = (await snapshotStore.getMarketsAt(at, req.query.platform || null))
+            .filter(m => req.query.resolved !== 'true' || m.resolved);
+        res.json({ success: true, data: { at: at.toISOString(), count: markets.length, markets } });
+    } catch (error) {
+        console.error('[Store] Snapshot read error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * All snapshots of one market, optionally bounded with ?since= and ?until=
+ */
+app.get('/api/snapshots/:marketId', async (req, res) => {
+    const { since, until } = req.query;
+    if ([since, until].some(time => time && isNaN(new Date(time).getTime()))) {
+        return res.status(400).json({ success: false, error: 'Invalid since/until timestamp' });
+    }
+    try {
+        const snapshots = await snapshotStore.getHistory(req.params.marketId, { since, until });
+        res.json({ success: true, data: snapshots });
+    } catch (error) {
+        console.error('[Store] Snapshot read error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * One market as it looked at ?time=
+ */
+app.get('/api/snapshots/:marketId/at', async (req, res) => {
+    const time = req.query.time ? new Date(req.query.time) : new Date();
+    if (isNaN(time.getTime())) {
+        return res.status(400).json({ success: false, error: 'Invalid time' });
+    }
+    const snapshot = await snapshotStore.getSnapshotAt(req.params.marketId, time);
+    if (!snapshot) {
+        return res.status(404).json({ success: false, error: 'No snapshot at or before that time' });
+    }
+    res.json({ success: true, data: snapshot });
+});
+
+/**
+ * Cross-platform matches among the latest stored markets
+ * Query: ?threshold=0.6
+ */
+app.get('/api/matches', (req, res) => {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : MATCH_THRESHOLD;
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+        return res.status(400).json({ success: false, error: 'threshold must be between 0 and 1' });
+    }
+
+    const markets = snapshotStore.getLatestMarkets();
+    const matches = findMatches(markets, { threshold, overrides: matchOverrides.getDecisions() });
+    const events = groupMatches(matches).map(group => group.map(m => m.id));
+
+    res.json({
+        success: true,
+        data: {
+            count: matches.length,
+            matches: matches.map(({ key, a, b, score, components, source }) =>
+                ({ key, a: a.id, b: b.id, score, components, source })),
+            events
+        }
+    });
+});
+
+/**
+ * Manual match decisions: { [pairKey]: 'confirmed' | 'rejected' }
+ */
+app.get('/api/matches/overrides', (req, res) => {
+    res.json({ success: true, data: matchOverrides.getDecisions() });
+});
+
+/**
+ * Confirm or reject a pair of markets
+ * Body: { a: <marketId>, b: <marketId>, decision: 'confirmed' | 'rejected' }
+ */
+app.put('/api/matches/overrides', async (req, res) => {
+    const { a, b, decision } = req.body || {};
+    try {
+        const key = await matchOverrides.set(a, b, decision);
+        console.log(`[Matches] ${decision} ${key}`);
+        res.json({ success: true, data: { key, decision } });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Drop the decision for a pair of markets
+ * Body: { a: <marketId>, b: <marketId> }
+ */
+app.delete('/api/matches/overrides', async (req, res) => {
+    const { a, b } = req.body || {};
+    if (!a || !b) {
+        return res.status(400).json({ success: false, error: 'a and b market ids are required' });
+    }
+    try {
+        const removed = await matchOverrides.remove(a, b);
+        res.json({ success: true, data: { removed } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Headless analytics over the latest stored markets (server/analytics.js):
+ *   /api/analytics/calibration           - scores, reliability bins (?bins=10), per-category scores
+ *   /api/analytics/brier-decomposition   - reliability / resolution / uncertainty, per platform and category
+ *   /api/analytics/liquidity             - volume concentration, liquidity and price impact
+ *   /api/analytics/tail-bias             - favorite-longshot bias
+ *   /api/analytics/evaluation            - evaluation pipeline (?evaluationScenario=&datasetScenario=&backtestScenario=)
+ * Every route takes the UI filters: ?platform=<id>&category=<id>&start=<date>&end=<date>
+ */
+Object.entries(ANALYTICS_REPORTS).forEach(([name, buildReport]) => {
+    app.get(`/api/analytics/${name}`, async (req, res) => {
+        try {
+            const platforms = listAdapters().map(({ id }) => id);
+            const filters = parseAnalyticsFilters(req.query, platforms);
+            const markets = selectMarkets(snapshotStore, platforms, filters);
+            const report = await buildReport(markets, req.query, snapshotStore);
+            res.json({
+                success: true,
+                data: { filters, markets: markets.length, generatedAt: new Date().toISOString(), report }
+            });
+        } catch (error) {
+            if (!error.status) console.error(`[Analytics] ${name} error:`, error.message);
+            res.status(error.status || 500).json({ success: false, error: error.message });
+        }
+    });
 });
 
 // Start server
@@ -177,11 +474,21 @@ app.listen(PORT, () => {
 ║   Port: ${PORT}                          ║
 ║   Endpoints:                           ║
 ║     /health          - Health check    ║
-║     /api/metaculus   - Metaculus data  ║
-║     /api/polymarket  - Polymarket data ║
-║     /api/kalshi      - Kalshi data     ║
+║     /metrics         - Prometheus      ║
+${listAdapters().map(({ routes, label }) =>
+        `║     ${routes.markets.padEnd(17)}- ${`${label} data`.padEnd(16)}║`).join('\n')}
+║     /api/snapshots   - Stored history  ║
+║     /api/matches     - Event matching  ║
+║     /api/analytics/* - Statistics      ║
+║     /api/stream      - Live updates    ║
 ╚════════════════════════════════════════╝
     `);
+    if (PROXY_MODE !== 'live') {
+        console.log(`[Proxy] ${PROXY_MODE.toUpperCase()} mode - fixtures in ${FIXTURES_DIR}`);
+    }
+    if (STREAM_SOURCE === 'mock') {
+        console.log('[Proxy] MOCK stream - /api/stream animates stored markets');
+    }
 });
 
 // Graceful shutdown
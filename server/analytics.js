@@ -0,0 +1,89 @@
+// Analytics Routes - the calibration, liquidity, tail-risk and evaluation numbers
+// (data/analytics.js) over the latest stored markets, for clients without the UI:
+//   /api/analytics/<report>?platform=<id>&category=<id>&start=<date>&end=<date>
+// The filters are the UI's: platform and category ('all' for any) and the range of
+// creation dates, open at either end when left out.
+import { parseIntParam } from './upstream.js';
+import {
+    filterMarkets,
+    calibrationReport,
+    brierDecompositionReport,
+    liquidityReport,
+    tailBiasReport,
+    evaluationReport
+} from '../data/analytics.js';
+
+const MAX_CALIBRATION_BINS = 50;
+
+/**
+ * Report builders by route name: (markets, query, store) -> report
+ */
+export const ANALYTICS_REPORTS = {
+    'calibration': (markets, query) => calibrationReport(markets, {
+        bins: parseIntParam(query.bins, 10, MAX_CALIBRATION_BINS)
+    }),
+    'brier-decomposition': markets => brierDecompositionReport(markets),
+    // Price impact falls back to the stored price series of markets without a book;
+    // one pass over each platform's snapshot files
+    'liquidity': async (markets, query, store) => {
+        const histories = {};
+        for (const platform of new Set(markets.map(m => m.platform))) {
+            Object.assign(histories, await store.getPriceHistories(platform));
+        }
+        return liquidityReport(markets.map(m => ({ ...m, priceHistory: histories[m.id] || [] })));
+    },
+    'tail-bias': markets => tailBiasReport(markets),
+    'evaluation': async (markets, query) => {
+        const result = await evaluationReport(markets, {
+            evaluationScenario: query.evaluationScenario,
+            datasetScenario: query.datasetScenario,
+            backtestScenario: query.backtestScenario
+        });
+        if (!result.success) {
+            const error = new Error(`Evaluation failed on ${result.records} resolved markets: ${result.error}`);
+            error.status = 422;
+            throw error;
+        }
+        return result;
+    }
+};
+
+/**
+ * Read the UI filters from a query string.
+ * Throws an error with status 400 on an unknown platform or an invalid date.
+ * @param {Object} query
+ * @param {string[]} platforms - enabled platform ids
+ */
+export function parseAnalyticsFilters(query, platforms) {
+    const platform = query.platform ? String(query.platform) : 'all';
+    if (platform !== 'all' && !platforms.includes(platform)) {
+        const error = new Error(`Unknown platform: ${platform} (allowed: all, ${platforms.join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+    const category = query.category ? String(query.category) : 'all';
+    const start = parseDate(query.start, 'start');
+    const end = parseDate(query.end, 'end');
+    return { platform, category, start, end };
+}
+
+/**
+ * Latest stored markets of the enabled platforms that pass the filters
+ */
+export function selectMarkets(store, platforms, filters) {
+    const enabled = store.getLatestMarkets().filter(m => platforms.includes(m.platform));
+    return filterMarkets(enabled, filters);
+}
+
+// ===== Utility Functions =====
+
+function parseDate(value, name) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        const error = new Error(`Invalid ${name} date: ${value}`);
+        error.status = 400;
+        throw error;
+    }
+    return date;
+}
@@ -0,0 +1,202 @@
+// Historical Backfill - crawls the closed and settled markets of a platform into the snapshot store
+// One live market list only reaches the newest few pages; the backfill walks every page
+// back to `since`, one page at a time, and saves a checkpoint after each page so an
+// interrupted run picks up where it stopped:
+//   storage/backfill/<platform>.json
+// Markets are normalized by the platform adapter, so the store gets the same records the
+// proxy writes. Only resolved markets that are new or changed are appended, so a
+// nightly run over the same range adds nothing.
+import fs from 'fs';
+import path from 'path';
+import { fetchJson, UPSTREAM_URLS } from './upstream.js';
+import { KALSHI_PAGE_LIMIT, MANIFOLD_PAGE_LIMIT, polymarketStatus } from './markets.js';
+
+export const DEFAULT_DELAY_MS = 500;
+export const DEFAULT_MAX_PAGES = 1000;
+// A page that keeps failing (429 / 5xx / network) is retried after 2, 4, 8, 16 and 32 s,
+// or after the upstream's Retry-After, before the run stops at its last checkpoint
+export const DEFAULT_RETRIES = 5;
+export const DEFAULT_RETRY_DELAY_MS = 2000;
+
+const METACULUS_PAGE_LIMIT = 100;
+
+/**
+ * Per-platform crawl of resolved markets:
+ *   buildUrl(cursor, since)  -> URL of the page (cursor is null for the first page)
+ *   extractItems(page)       -> raw markets on the page
+ *   extractCursor(page, cursor, items) -> cursor of the next page, or null at the end
+ *   settledAt(item)          -> when the market closed or resolved (ms), null if it has not
+ *   newestFirst              -> pages run newest to oldest, so a page entirely before
+ *                               `since` ends the crawl
+ *   toResponse(items)        -> the raw response shape the adapter's transform takes
+ *   fetchOptions             -> extra fetchJson options (headers)
+ */
+export const CRAWLERS = {
+    kalshi: {
+        // The upstream filters by close time itself
+        buildUrl: (cursor, since) => {
+            const params = new URLSearchParams({
+                limit: String(KALSHI_PAGE_LIMIT),
+                status: 'settled',
+                min_close_ts: String(Math.floor(since.getTime() / 1000))
+            });
+            if (cursor) params.set('cursor', cursor);
+            return `${UPSTREAM_URLS.kalshi}/markets?${params}`;
+        },
+        extractItems: page => page.markets || [],
+        extractCursor: page => page.cursor || null,
+        settledAt: item => toMs(item.close_time),
+        newestFirst: false,
+        // Categorical events come from the live listing only
+        toResponse: items => ({ markets: items, events: [] }),
+        fetchOptions: {}
+    },
+    polymarket: {
+        // The CLOB has no status or date filter: every page is walked
+        buildUrl: cursor => cursor
+            ? `${UPSTREAM_URLS.polymarketClob}/markets?next_cursor=${encodeURIComponent(cursor)}`
+            : `${UPSTREAM_URLS.polymarketClob}/markets`,
+        extractItems: page => page.data || [],
+        // 'LTE=' is the CLOB's end-of-results cursor
+        extractCursor: page => (page.next_cursor && page.next_cursor !== 'LTE=') ? page.next_cursor : null,
+        settledAt: item => polymarketStatus(item) === 'open' ? null : toMs(item.end_date_iso),
+        newestFirst: false,
+        toResponse: items => ({ data: items }),
+        fetchOptions: {}
+    },
+    manifold: {
+        // Offset pagination over resolved binary markets, latest resolution first
+        buildUrl: cursor => {
+            const params = new URLSearchParams({
+                term: '',
+                filter: 'resolved',
+                contractType: 'BINARY',
+                sort: 'resolve-date',
+                limit: String(MANIFOLD_PAGE_LIMIT),
+                offset: String(cursor || 0)
+            });
+            return `${UPSTREAM_URLS.manifold}/search-markets?${params}`;
+        },
+        extractItems: page => Array.isArray(page) ? page : [],
+        extractCursor: (page, cursor, items) => items.length === MANIFOLD_PAGE_LIMIT ? (cursor || 0) + MANIFOLD_PAGE_LIMIT : null,
+        settledAt: item => item.isResolved ? toMs(item.resolutionTime) : null,
+        newestFirst: true,
+        toResponse: items => ({ markets: items }),
+        fetchOptions: {}
+    },
+    metaculus: {
+        // The API links the next page itself
+        buildUrl: cursor => cursor
+            || `${UPSTREAM_URLS.metaculus}/api2/questions/?status=resolved&order_by=-resolve_time&limit=${METACULUS_PAGE_LIMIT}`,
+        extractItems: page => page.results || [],
+        extractCursor: page => page.next || null,
+        settledAt: item => toMs(item.actual_resolve_time || item.resolve_time),
+        newestFirst: true,
+        toResponse: items => ({ results: items }),
+        fetchOptions: { headers: { 'Accept': 'application/json' } }
+    }
+};
+
+/**
+ * Crawl one platform back to `since` and store its resolved markets
+ * @param {Object} adapter - platform adapter (data/platforms.js); its transform normalizes each page
+ * @param {Object} options
+ * @param {SnapshotStore} options.store - loaded snapshot store to append to
+ * @param {string} options.checkpointDir
+ * @param {Date} options.since - oldest close / resolution time to crawl
+ * @param {number} options.delayMs - pause between pages, to stay under upstream rate limits
+ * @param {number} options.maxPages - pages to walk in this run; a checkpoint lets the next run go on
+ * @param {number} options.retries - extra attempts for a failing page before the run gives up
+ * @param {number} options.retryDelayMs - first retry delay, doubled after every attempt
+ * @param {boolean} options.restart - ignore an unfinished checkpoint
+ * @returns {Promise<Object>} the final checkpoint
+ */
+export async function backfillPlatform(adapter, { store, checkpointDir, since, delayMs = DEFAULT_DELAY_MS, maxPages = DEFAULT_MAX_PAGES,
+    retries = DEFAULT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS, restart = false }) {
+    const crawler = CRAWLERS[adapter.id];
+    if (!crawler) {
+        throw new Error(`No backfill crawler for ${adapter.id} (available: ${Object.keys(CRAWLERS).join(', ')})`);
+    }
+
+    const file = path.join(checkpointDir, `${adapter.id}.json`);
+    const previous = restart ? null : readCheckpoint(file);
+    const resume = previous && !previous.complete && previous.since === since.toISOString();
+    const checkpoint = resume ? previous : {
+        platform: adapter.id,
+        since: since.toISOString(),
+        cursor: null,
+        pages: 0,
+        fetched: 0,
+        stored: 0,
+        quarantined: 0,
+        complete: false,
+        startedAt: new Date().toISOString(),
+        updatedAt: null
+    };
+    console.log(resume
+        ? `[Backfill] ${adapter.label}: resuming after page ${checkpoint.pages}`
+        : `[Backfill] ${adapter.label}: crawling markets settled since ${checkpoint.since}`);
+
+    const sinceMs = since.getTime();
+    for (let run = 0; run < maxPages; run++) {
+        const page = await fetchJson(crawler.buildUrl(checkpoint.cursor, since), { ...crawler.fetchOptions, retries, retryDelayMs });
+        const items = crawler.extractItems(page);
+        const settledAt = items.map(crawler.settledAt);
+        const inRange = items.filter((_, i) => settledAt[i] !== null && settledAt[i] >= sinceMs);
+
+        const { markets, quarantined } = adapter.transform(crawler.toResponse(inRange));
+        const stored = await store.appendChanged(adapter.id, markets.filter(m => m.resolved));
+
+        const next = crawler.extractCursor(page, checkpoint.cursor, items);
+        const pastSince = crawler.newestFirst && items.length > 0 && settledAt.every(t => t !== null && t < sinceMs);
+        Object.assign(checkpoint, {
+            cursor: next,
+            pages: checkpoint.pages + 1,
+            fetched: checkpoint.fetched + items.length,
+            stored: checkpoint.stored + stored,
+            quarantined: checkpoint.quarantined + quarantined.length,
+            complete: !next || next === checkpoint.cursor || items.length === 0 || pastSince,
+            updatedAt: new Date().toISOString()
+        });
+        await writeCheckpoint(file, checkpoint);
+        console.log(`[Backfill] ${adapter.label} page ${checkpoint.pages}: ${items.length} markets, ${inRange.length} in range, ${stored} stored`);
+
+        if (checkpoint.complete) break;
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    console.log(`[Backfill] ${adapter.label}: ${checkpoint.complete ? 'complete' : 'paused'} after ${checkpoint.pages} pages, ` +
+        `${checkpoint.stored} markets stored, ${checkpoint.quarantined} quarantined`);
+    return checkpoint;
+}
+
+// ===== Utility Functions =====
+
+function readCheckpoint(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`[Backfill] Ignoring unreadable checkpoint ${file}: ${err.message}`);
+        }
+        return null;
+    }
+}
+
+async function writeCheckpoint(file, checkpoint) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    // Write then rename so a crash never leaves a half-written file
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(checkpoint, null, 2));
+    await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Upstream times are ISO strings, epoch milliseconds (Manifold) or missing
+ */
+function toMs(time) {
+    if (time === null || time === undefined || time === '') return null;
+    const ms = typeof time === 'number' ? time : new Date(time).getTime();
+    return Number.isFinite(ms) ? ms : null;
+}
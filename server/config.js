@@ -0,0 +1,207 @@
+// Configuration for the proxy and the browser
+// Layers, later ones winning: built-in defaults, the config file
+// (config/app.json, or CONFIG_FILE), then environment variables (ENV_OVERRIDES).
+// The proxy reads the whole tree; vite.config.js injects clientConfig() into the page.
+import fs from 'fs';
+import { CLIENT_DEFAULTS } from '../data/config.js';
+
+export const DEFAULTS = {
+    proxy: {
+        port: 3001,
+        cacheTtlMs: {
+            markets: 2 * 60 * 1000,
+            history: 5 * 60 * 1000,
+            trades: 60 * 1000,
+            book: 10 * 1000
+        }
+    },
+    upstream: {
+        timeoutMs: 30000,
+        retries: 2,          // extra attempts on network errors, timeouts, 429 and 5xx
+        retryDelayMs: 1000,  // doubled after every attempt
+        walkBudgetMs: 45000, // whole market-list walk; must stay below client.timeouts.markets
+        urls: {
+            kalshi: 'https://api.elections.kalshi.com/trade-api/v2',
+            polymarketClob: 'https://clob.polymarket.com',
+            polymarketData: 'https://data-api.polymarket.com',
+            metaculus: 'https://www.metaculus.com',
+            manifold: 'https://api.manifold.markets/v0'
+        }
+    },
+    stream: {
+        intervalMs: 15000
+    },
+    // { [platformId]: false } disables an adapter on both sides
+    platforms: {},
+    client: CLIENT_DEFAULTS
+};
+
+// Environment variable -> [config path, type]
+const ENV_OVERRIDES = {
+    PORT: ['proxy.port', 'int'],
+    UPSTREAM_TIMEOUT_MS: ['upstream.timeoutMs', 'int'],
+    UPSTREAM_RETRIES: ['upstream.retries', 'count'],
+    UPSTREAM_WALK_BUDGET_MS: ['upstream.walkBudgetMs', 'int'],
+    KALSHI_API_URL: ['upstream.urls.kalshi', 'url'],
+    POLYMARKET_CLOB_URL: ['upstream.urls.polymarketClob', 'url'],
+    POLYMARKET_DATA_URL: ['upstream.urls.polymarketData', 'url'],
+    METACULUS_URL: ['upstream.urls.metaculus', 'url'],
+    MANIFOLD_URL: ['upstream.urls.manifold', 'url'],
+    STREAM_INTERVAL_MS: ['stream.intervalMs', 'int'],
+    DISABLED_PLATFORMS: ['platforms', 'disabled'],
+    PROXY_URL: ['client.proxyUrl', 'url'],
+    CLIENT_TIMEOUT_MS: ['client.timeouts.request', 'int'],
+    CLIENT_RETRIES: ['client.retries', 'count'],
+    REFRESH_INTERVAL_MS: ['client.refreshIntervalMs', 'int']
+};
+
+const PARSERS = {
+    int: value => {
+        const parsed = Number(value);
+        return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+    },
+    count: value => {
+        const parsed = Number(value);
+        return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+    },
+    url: value => {
+        try {
+            return new URL(value).toString().replace(/\/$/, '');
+        } catch {
+            return null;
+        }
+    },
+    // Comma-separated platform ids
+    disabled: value => Object.fromEntries(
+        String(value).split(',').map(id => id.trim()).filter(Boolean).map(id => [id, false])
+    )
+};
+
+/**
+ * Build the configuration
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON config file; a missing file means defaults
+ * @param {Object} [options.env] - environment variables
+ * @returns {Object} the DEFAULTS tree with the file and environment applied
+ */
+export function loadConfig({ file, env = process.env } = {}) {
+    const fromFile = readConfigFile(file);
+    const config = merge(structuredClone(DEFAULTS), fromFile);
+
+    Object.entries(ENV_OVERRIDES).forEach(([name, [path, type]]) => {
+        if (env[name] === undefined || env[name] === '') return;
+        const value = PARSERS[type](env[name]);
+        if (value === null) {
+            throw new Error(`Invalid ${name}: ${env[name]}`);
+        }
+        setPath(config, path, typeof value === 'object' ? merge(getPath(config, path), value) : value);
+    });
+
+    // Without an explicit client proxyUrl the browser follows the proxy port
+    if (!fromFile.client?.proxyUrl && !env.PROXY_URL) {
+        config.client.proxyUrl = `http://localhost:${config.proxy.port}`;
+    }
+
+    validate(config);
+    return config;
+}
+
+/**
+ * The part of the configuration the browser gets (data/config.js)
+ */
+export function clientConfig(config) {
+    return { ...config.client, platforms: config.platforms };
+}
+
+/**
+ * Read the taxonomy override file (config/taxonomy.json, or TAXONOMY_FILE) for
+ * configureTaxonomy(); a missing or broken file means no overrides
+ */
+export function loadTaxonomyConfig(file) {
+    try {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`[Taxonomy] Loaded overrides from ${file}`);
+        return config;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[Taxonomy] Ignoring unreadable ${file}: ${error.message}`);
+        }
+        return {};
+    }
+}
+
+// ===== Utility Functions =====
+
+function readConfigFile(file) {
+    if (!file) return {};
+    try {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`[Config] Loaded ${file}`);
+        return config;
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        // A broken config file must not silently fall back to production endpoints
+        throw new Error(`Unreadable config file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Deep merge of plain objects; arrays and scalars are replaced
+ */
+function merge(base, override) {
+    const result = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && base[key] && typeof base[key] === 'object'
+            ? merge(base[key], value)
+            : value;
+    });
+    return result;
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((node, key) => node?.[key], object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((node, key) => node[key], object)[last] = value;
+}
+
+function validate(config) {
+    const numbers = [
+        ['proxy.port', 'int'],
+        ['upstream.timeoutMs', 'int'],
+        ['upstream.retries', 'count'],
+        ['upstream.retryDelayMs', 'count'],
+        ['upstream.walkBudgetMs', 'int'],
+        ['stream.intervalMs', 'int'],
+        ['client.timeouts.markets', 'int'],
+        ['client.timeouts.request', 'int'],
+        ['client.retries', 'count'],
+        ['client.refreshIntervalMs', 'int'],
+        ['client.fullRefreshMs', 'int'],
+        ['client.bookTtlMs', 'int'],
+        ...Object.keys(DEFAULTS.proxy.cacheTtlMs).map(route => [`proxy.cacheTtlMs.${route}`, 'int'])
+    ];
+    numbers.forEach(([path, type]) => {
+        if (PARSERS[type](getPath(config, path)) === null) {
+            throw new Error(`Invalid config ${path}: ${JSON.stringify(getPath(config, path))}`);
+        }
+    });
+
+    // The browser abandons a market list after client.timeouts.markets; the proxy's walk must end first
+    if (config.upstream.walkBudgetMs >= config.client.timeouts.markets) {
+        throw new Error(`Invalid config upstream.walkBudgetMs: ${config.upstream.walkBudgetMs} must be below client.timeouts.markets (${config.client.timeouts.markets})`);
+    }
+
+    const urls = [...Object.keys(DEFAULTS.upstream.urls).map(key => `upstream.urls.${key}`), 'client.proxyUrl'];
+    urls.forEach(path => {
+        const url = PARSERS.url(getPath(config, path));
+        if (url === null) {
+            throw new Error(`Invalid config ${path}: ${JSON.stringify(getPath(config, path))}`);
+        }
+        setPath(config, path, url); // without a trailing slash, ready for `${url}/path`
+    });
+}
@@ -0,0 +1,76 @@
+// Upstream fixtures for offline record/replay
+// Each upstream URL maps to one JSON file holding the raw response body:
+//   fixtures/<host>/<path-slug>_<hash>.json
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const PROXY_MODES = ['live', 'record', 'replay'];
+
+/**
+ * File path of the fixture for an upstream URL.
+ * The hash keeps query strings (cursors, time ranges) distinct.
+ */
+export function fixturePath(dir, url) {
+    const parsed = new URL(url);
+    const slug = parsed.pathname
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80) || 'root';
+    const hash = crypto.createHash('sha1').update(parsed.pathname + parsed.search).digest('hex').slice(0, 12);
+
+    return path.join(dir, parsed.hostname, `${slug}_${hash}.json`);
+}
+
+/**
+ * Save a raw upstream response
+ */
+export async function writeFixture(dir, url, body) {
+    const file = fixturePath(dir, url);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const fixture = {
+        url,
+        recordedAt: new Date().toISOString(),
+        body
+    };
+    await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+    return file;
+}
+
+/**
+ * Load a recorded upstream response; throws when nothing was recorded for the URL
+ */
+export async function readFixture(dir, url) {
+    const file = fixturePath(dir, url);
+
+    let raw;
+    try {
+        raw = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        throw new Error(`No fixture recorded for ${url}`);
+    }
+
+    return JSON.parse(raw).body;
+}
+
+/**
+ * Resolve the proxy mode from CLI flags (--record, --replay, --fixtures=<dir>)
+ * and environment variables (PROXY_MODE, FIXTURES_DIR). Flags win.
+ */
+export function resolveProxyMode(argv, env, defaultDir) {
+    let mode = env.PROXY_MODE || 'live';
+    let fixturesDir = env.FIXTURES_DIR || defaultDir;
+
+    for (const arg of argv) {
+        if (arg === '--record') mode = 'record';
+        if (arg === '--replay') mode = 'replay';
+        if (arg.startsWith('--fixtures=')) fixturesDir = arg.slice('--fixtures='.length);
+    }
+
+    if (!PROXY_MODES.includes(mode)) {
+        throw new Error(`Unknown proxy mode: ${mode} (expected ${PROXY_MODES.join(', ')})`);
+    }
+
+    return { mode, fixturesDir: path.resolve(fixturesDir) };
+}
@@ -0,0 +1,184 @@
+// Price history fetchers for the proxy server
+// Every series is normalized to [{ timestamp, price, volume }] with price in [0, 1]
+import { fetchJson, UPSTREAM_URLS } from './upstream.js';
+import { normalizeCommunityHistory } from '../data/metaculusAPI.js';
+import { fetchManifoldBets } from './trades.js';
+
+// Supported resolutions, in minutes
+export const RESOLUTIONS = {
+    '1m': 1,
+    '1h': 60,
+    '1d': 1440
+};
+
+const KALSHI_MAX_CANDLES = 5000;
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MANIFOLD_MAX_BET_PAGES = 10;
+
+/**
+ * Polymarket price history for a market's YES token.
+ * The CLOB keys history by token id, so the condition is looked up first.
+ */
+export async function fetchPolymarketHistory(conditionId, resolution = '1h', { since = null, until = null } = {}) {
+    const yesToken = await fetchPolymarketYesToken(conditionId);
+
+    const params = new URLSearchParams({
+        market: yesToken.token_id,
+        fidelity: String(RESOLUTIONS[resolution])
+    });
+    if (since || until) {
+        params.set('startTs', String(toUnixSeconds(since || daysAgo(DEFAULT_LOOKBACK_DAYS))));
+        params.set('endTs', String(toUnixSeconds(until || new Date())));
+    } else {
+        params.set('interval', 'max');
+    }
+
+    const data = await fetchJson(`${UPSTREAM_URLS.polymarketClob}/prices-history?${params}`);
+
+    // The CLOB reports prices only; volume is not part of this endpoint
+    return (data.history || [])
+        .filter(point => Number.isFinite(Number(point.p)))
+        .map(point => ({
+            timestamp: new Date(point.t * 1000).toISOString(),
+            price: Number(point.p),
+            volume: 0
+        }));
+}
+
+/**
+ * The YES token of a Polymarket condition; the CLOB keys prices and books by token
+ */
+export async function fetchPolymarketYesToken(conditionId) {
+    const market = await fetchJson(`${UPSTREAM_URLS.polymarketClob}/markets/${encodeURIComponent(conditionId)}`);
+    const tokens = market.tokens || [];
+    const yesToken = tokens.find(t => String(t.outcome).toLowerCase() === 'yes') || tokens[0];
+
+    if (!yesToken || !yesToken.token_id) {
+        throw new Error(`No tradable token for Polymarket market ${conditionId}`);
+    }
+    return yesToken;
+}
+
+/**
+ * Kalshi candlesticks for a market ticker.
+ * Candles live under the series, so the market and its event are looked up first.
+ */
+export async function fetchKalshiCandles(ticker, resolution = '1h', { since = null, until = null } = {}) {
+    const { market } = await fetchJson(`${UPSTREAM_URLS.kalshi}/markets/${encodeURIComponent(ticker)}`);
+    if (!market) {
+        throw new Error(`Unknown Kalshi market ${ticker}`);
+    }
+
+    const { event } = await fetchJson(`${UPSTREAM_URLS.kalshi}/events/${encodeURIComponent(market.event_ticker)}`);
+    const seriesTicker = event && event.series_ticker;
+    if (!seriesTicker) {
+        throw new Error(`No series for Kalshi market ${ticker}`);
+    }
+
+    const periodMinutes = RESOLUTIONS[resolution];
+    const endTs = Math.min(toUnixSeconds(until || market.close_time || new Date()), toUnixSeconds(new Date()));
+    const openTs = toUnixSeconds(since || market.open_time || daysAgo(DEFAULT_LOOKBACK_DAYS));
+    // Kalshi caps the number of candles per request
+    const startTs = Math.max(openTs, endTs - KALSHI_MAX_CANDLES * periodMinutes * 60);
+
+    const params = new URLSearchParams({
+        start_ts: String(startTs),
+        end_ts: String(endTs),
+        period_interval: String(periodMinutes)
+    });
+
+    const data = await fetchJson(
+        `${UPSTREAM_URLS.kalshi}/series/${encodeURIComponent(seriesTicker)}/markets/${encodeURIComponent(ticker)}/candlesticks?${params}`
+    );
+
+    return (data.candlesticks || [])
+        .map(candle => ({
+            timestamp: new Date(candle.end_period_ts * 1000).toISOString(),
+            price: candlePrice(candle),
+            volume: Number(candle.volume) || 0
+        }))
+        .filter(point => point.price !== null);
+}
+
+/**
+ * Metaculus community-prediction history for one question, with the
+ * forecaster count at each point. Tries the api2 question detail first,
+ * then the newer posts API.
+ */
+export async function fetchMetaculusHistory(questionId) {
+    const endpoints = [
+        `${UPSTREAM_URLS.metaculus}/api2/questions/${encodeURIComponent(questionId)}/`,
+        `${UPSTREAM_URLS.metaculus}/api/posts/${encodeURIComponent(questionId)}/`
+    ];
+
+    let lastError = null;
+    for (const endpoint of endpoints) {
+        try {
+            const question = await fetchJson(endpoint, { headers: { 'Accept': 'application/json' } });
+            const history = normalizeCommunityHistory(question);
+            if (history.length > 0) return history;
+            lastError = new Error(`No community history at ${endpoint}`);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Manifold probability history, built from the market's bets: the last
+ * post-bet probability in each period, with the mana traded in it
+ */
+export async function fetchManifoldHistory(marketId, resolution = '1h', { since = null, until = null } = {}) {
+    const bets = await fetchManifoldBets(marketId, { maxPages: MANIFOLD_MAX_BET_PAGES });
+    const periodMs = RESOLUTIONS[resolution] * 60 * 1000;
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const to = until ? new Date(until).getTime() : Infinity;
+    const periods = new Map(); // period start -> { price, volume }
+
+    bets
+        .filter(bet => !bet.isRedemption && Number.isFinite(bet.probAfter))
+        .filter(bet => bet.createdTime >= from && bet.createdTime <= to)
+        .sort((a, b) => a.createdTime - b.createdTime)
+        .forEach(bet => {
+            const start = Math.floor(bet.createdTime / periodMs) * periodMs;
+            const period = periods.get(start) || { price: null, volume: 0 };
+            period.price = bet.probAfter;
+            period.volume += Math.abs(Number(bet.amount) || 0);
+            periods.set(start, period);
+        });
+
+    return [...periods.entries()].map(([start, { price, volume }]) => ({
+        timestamp: new Date(start).toISOString(),
+        price,
+        volume
+    }));
+}
+
+/**
+ * Close price of a candle in [0, 1]; falls back to the bid/ask midpoint
+ * for periods without trades
+ */
+function candlePrice(candle) {
+    const close = candle.price && candle.price.close;
+    if (close !== null && close !== undefined) {
+        return Number(close) / 100;
+    }
+
+    const bid = candle.yes_bid && candle.yes_bid.close;
+    const ask = candle.yes_ask && candle.yes_ask.close;
+    if (bid !== null && bid !== undefined && ask !== null && ask !== undefined) {
+        return (Number(bid) + Number(ask)) / 200;
+    }
+
+    return null;
+}
+
+function toUnixSeconds(time) {
+    return Math.floor(new Date(time).getTime() / 1000);
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
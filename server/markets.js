@@ -0,0 +1,184 @@
+// Market list fetchers for the proxy server
+// Shared by the /api/<platform> routes and the streaming poller (server/stream.js)
+import { fetchAllPages, fetchJson, walkDeadline, UPSTREAM_URLS } from './upstream.js';
+
+export const MARKET_STATUSES = ['open', 'closed', 'settled'];
+export const KALSHI_PAGE_LIMIT = 1000; // Kalshi's maximum page size
+export const KALSHI_EVENT_PAGE_LIMIT = 200; // Kalshi's maximum events page size
+export const MANIFOLD_PAGE_LIMIT = 1000; // Manifold's maximum page size
+
+// Our statuses as Manifold search filters
+const MANIFOLD_FILTERS = { open: 'open', closed: 'closed', settled: 'resolved' };
+
+// Pagination: page limits for cursor-based upstreams. Each fetcher below also
+// stops at one walk deadline shared by all of its statuses (see walkDeadline())
+export const DEFAULT_MAX_PAGES = 5;
+export const MAX_PAGES = 50;
+
+// Metaculus has moved its question API more than once; the first that answers wins
+const METACULUS_PATHS = [
+    '/api2/questions/?status=resolved&limit=100',
+    '/api/v0/questions/?status=resolved&limit=100',
+    '/api/questions/?status=resolved&limit=100'
+];
+
+/**
+ * Walk the Polymarket CLOB cursor (next_cursor) and merge every page.
+ * The CLOB has no status filter, so statuses are applied after fetching.
+ */
+export async function fetchPolymarketMarkets({ statuses = MARKET_STATUSES, maxPages = 5, deadline = walkDeadline() } = {}) {
+    const { items, pages, complete, cursor } = await fetchAllPages({
+        label: 'Polymarket',
+        maxPages,
+        deadline,
+        buildUrl: cursor => cursor
+            ? `${UPSTREAM_URLS.polymarketClob}/markets?next_cursor=${encodeURIComponent(cursor)}`
+            : `${UPSTREAM_URLS.polymarketClob}/markets`,
+        extractItems: page => page.data || [],
+        // 'LTE=' is the CLOB's end-of-results cursor
+        extractCursor: page => (page.next_cursor && page.next_cursor !== 'LTE=') ? page.next_cursor : null
+    });
+
+    const markets = items.filter(m => statuses.includes(polymarketStatus(m)));
+    return { data: markets, count: markets.length, pages, complete, next_cursor: cursor };
+}
+
+/**
+ * Walk the Kalshi cursor for each requested status and merge the pages.
+ * Mutually exclusive events (one winner among their markets) come along as
+ * `events`, which the adapter turns into categorical markets; when the event
+ * listing fails the markets are still served, with a `fallback` reason.
+ */
+export async function fetchKalshiMarkets({ statuses = MARKET_STATUSES, limit = KALSHI_PAGE_LIMIT, maxPages = 5, deadline = walkDeadline() } = {}) {
+    const byTicker = new Map();
+    let pages = 0;
+    let complete = true;
+
+    for (const status of statuses) {
+        const result = await fetchAllPages({
+            label: `Kalshi (${status})`,
+            maxPages,
+            deadline,
+            buildUrl: cursor => {
+                const params = new URLSearchParams({ limit: String(limit), status });
+                if (cursor) params.set('cursor', cursor);
+                return `${UPSTREAM_URLS.kalshi}/markets?${params}`;
+            },
+            extractItems: page => page.markets || [],
+            extractCursor: page => page.cursor || null
+        });
+
+        result.items.forEach(m => byTicker.set(m.ticker, m));
+        pages += result.pages;
+        complete = complete && result.complete;
+    }
+
+    const markets = [...byTicker.values()];
+    try {
+        const events = await fetchKalshiEvents({ statuses, maxPages, deadline });
+        return { markets, events, count: markets.length, pages, complete };
+    } catch (error) {
+        console.warn(`[Proxy] Kalshi events error: ${error.message}`);
+        return { markets, events: [], count: markets.length, pages, complete, fallback: `Events unavailable: ${error.message}` };
+    }
+}
+
+/**
+ * Mutually exclusive Kalshi events with their markets nested, per requested status
+ */
+async function fetchKalshiEvents({ statuses, maxPages, deadline }) {
+    const byTicker = new Map();
+
+    for (const status of statuses) {
+        const result = await fetchAllPages({
+            label: `Kalshi events (${status})`,
+            maxPages,
+            deadline,
+            buildUrl: cursor => {
+                const params = new URLSearchParams({
+                    limit: String(KALSHI_EVENT_PAGE_LIMIT),
+                    status,
+                    with_nested_markets: 'true'
+                });
+                if (cursor) params.set('cursor', cursor);
+                return `${UPSTREAM_URLS.kalshi}/events?${params}`;
+            },
+            extractItems: page => page.events || [],
+            extractCursor: page => page.cursor || null
+        });
+
+        result.items
+            .filter(e => e.mutually_exclusive && Array.isArray(e.markets) && e.markets.length >= 2)
+            .forEach(e => byTicker.set(e.event_ticker, e));
+    }
+
+    return [...byTicker.values()];
+}
+
+/**
+ * Binary Manifold markets, one offset-paginated search per requested status
+ */
+export async function fetchManifoldMarkets({ statuses = MARKET_STATUSES, limit = MANIFOLD_PAGE_LIMIT, maxPages = 5, deadline = walkDeadline() } = {}) {
+    const byId = new Map();
+    let pages = 0;
+    let complete = true;
+
+    for (const status of statuses) {
+        let offset = 0;
+        const result = await fetchAllPages({
+            label: `Manifold (${status})`,
+            maxPages,
+            deadline,
+            buildUrl: cursor => {
+                offset = cursor || 0;
+                const params = new URLSearchParams({
+                    term: '',
+                    filter: MANIFOLD_FILTERS[status],
+                    contractType: 'BINARY',
+                    sort: 'newest',
+                    limit: String(limit),
+                    offset: String(offset)
+                });
+                return `${UPSTREAM_URLS.manifold}/search-markets?${params}`;
+            },
+            extractItems: page => Array.isArray(page) ? page : [],
+            extractCursor: page => Array.isArray(page) && page.length === limit ? offset + limit : null
+        });
+
+        result.items.forEach(m => byId.set(m.id, m));
+        pages += result.pages;
+        complete = complete && result.complete;
+    }
+
+    const markets = [...byId.values()];
+    return { markets, count: markets.length, pages, complete };
+}
+
+/**
+ * Resolved Metaculus questions.
+ * An answer from a later endpoint carries `fallback` with the reason the earlier
+ * ones failed (reported by /health/upstreams); when none answers the fetch fails.
+ */
+export async function fetchMetaculusMarkets({ deadline = walkDeadline() } = {}) {
+    const failures = [];
+    for (const path of METACULUS_PATHS) {
+        try {
+            const data = await fetchJson(`${UPSTREAM_URLS.metaculus}${path}`, { headers: { 'Accept': 'application/json' }, deadline });
+            return failures.length > 0 ? { ...data, fallback: failures.join('; ') } : data;
+        } catch (error) {
+            console.warn(`[Proxy] Metaculus endpoint error: ${error.message}`);
+            failures.push(`${path.split('?')[0]}: ${error.message}`);
+        }
+    }
+
+    throw new Error(`Every Metaculus endpoint failed (${failures.join('; ')})`);
+}
+
+/**
+ * Map a raw CLOB market onto open / closed / settled
+ */
+export function polymarketStatus(market) {
+    if (!market.closed) return 'open';
+    const hasWinner = Array.isArray(market.tokens) && market.tokens.some(t => t.winner);
+    return hasWinner ? 'settled' : 'closed';
+}
@@ -0,0 +1,79 @@
+// Match Overrides - manual confirm/reject decisions for cross-platform matches
+// Kept in a single JSON file, keyed by pairKey (see data/eventMatcher.js):
+//   storage/matches/overrides.json
+import fs from 'fs';
+import path from 'path';
+import { pairKey, MATCH_DECISIONS } from '../data/eventMatcher.js';
+
+export class MatchOverrideStore {
+    constructor(file) {
+        this.file = file;
+        this.overrides = {}; // pairKey -> { decision, updatedAt }
+    }
+
+    /**
+     * Read the overrides file, starting empty when there is none
+     */
+    load() {
+        try {
+            this.overrides = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`[Matches] Ignoring unreadable overrides file: ${err.message}`);
+            }
+            this.overrides = {};
+        }
+
+        console.log(`[Matches] Loaded ${Object.keys(this.overrides).length} match overrides`);
+        return this.overrides;
+    }
+
+    /**
+     * Decisions only, in the shape findMatches() takes
+     */
+    getDecisions() {
+        return Object.fromEntries(
+            Object.entries(this.overrides).map(([key, entry]) => [key, entry.decision])
+        );
+    }
+
+    /**
+     * Confirm or reject a pair of markets
+     */
+    async set(idA, idB, decision) {
+        if (!idA || !idB || idA === idB) {
+            throw new Error('Two different market ids are required');
+        }
+        if (!MATCH_DECISIONS.includes(decision)) {
+            throw new Error(`Invalid decision: ${decision} (allowed: ${MATCH_DECISIONS.join(', ')})`);
+        }
+
+        const key = pairKey(idA, idB);
+        this.overrides[key] = { decision, updatedAt: new Date().toISOString() };
+        await this._save();
+        return key;
+    }
+
+    /**
+     * Forget a decision; the pair goes back to automatic scoring
+     */
+    async remove(idA, idB) {
+        const key = pairKey(idA, idB);
+        if (!this.overrides[key]) return false;
+
+        delete this.overrides[key];
+        await this._save();
+        return true;
+    }
+
+    // ===== Utility Functions =====
+
+    async _save() {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+        // Write then rename so a crash never leaves a half-written file
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(this.overrides, null, 2));
+        await fs.promises.rename(tmp, this.file);
+    }
+}
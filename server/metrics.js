@@ -0,0 +1,215 @@
+// Upstream health and metrics
+// Route handlers run their upstream fetches through track(); the response
+// cache reports what it served from memory. /health/upstreams serves health()
+// as JSON and /metrics serves prometheus() in the Prometheus text format.
+//
+// A platform's status follows its latest market list fetch (route or stream poll):
+//   ok        - the upstream answered
+//   degraded  - it answered through a fallback endpoint, or failed and a cached list was served
+//   down      - it failed and nothing was served in its place
+//   unknown   - not fetched yet
+// Per-market routes (history, trades, book) are measured but fail one market at a time,
+// so they do not change the status.
+
+const LATENCY_SAMPLES = 200; // recent fetches kept per platform and route for percentiles
+const QUANTILES = [0.5, 0.9, 0.99];
+const LIST_ROUTES = ['markets', 'stream'];
+const SOURCES = ['live', 'fallback', 'cache', 'coalesced', 'stale'];
+const STATUSES = ['ok', 'degraded', 'down', 'unknown'];
+
+export class UpstreamMetrics {
+    /**
+     * @param {string[]} platforms - platform ids reported even before their first fetch
+     */
+    constructor(platforms = []) {
+        this.platforms = new Map();
+        platforms.forEach(platform => this._entry(platform));
+    }
+
+    /**
+     * Time an upstream fetch. A fetcher that answered through a fallback says
+     * so with a `fallback` reason on its result.
+     */
+    async track(platform, route, fetchFn) {
+        const entry = this._entry(platform);
+        const stats = this._route(entry, route);
+        const startedAt = Date.now();
+
+        try {
+            const result = await fetchFn();
+            this._sample(stats, Date.now() - startedAt);
+            stats.requests++;
+
+            const fallback = result?.fallback || null;
+            entry.sources[fallback ? 'fallback' : 'live']++;
+            entry.lastSuccessAt = new Date().toISOString();
+            if (LIST_ROUTES.includes(route)) {
+                this._outcome(entry, fallback ? 'degraded' : 'ok', fallback);
+            }
+            return result;
+        } catch (error) {
+            this._sample(stats, Date.now() - startedAt);
+            stats.requests++;
+            stats.errors++;
+
+            entry.lastError = { message: error.message, route, at: new Date().toISOString() };
+            if (LIST_ROUTES.includes(route)) {
+                this._outcome(entry, 'down', error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Records in the latest response of a route (markets: valid and quarantined)
+     */
+    recordCount(platform, route, count, quarantined = 0) {
+        const stats = this._route(this._entry(platform), route);
+        stats.records = count;
+        stats.quarantined = quarantined;
+    }
+
+    /**
+     * A response the response cache served instead of the handler ('HIT', 'COALESCED', 'STALE';
+     * misses are counted by track())
+     */
+    recordCacheResponse(platform, route, cacheState) {
+        const entry = this._entry(platform);
+        if (cacheState === 'HIT') entry.sources.cache++;
+        if (cacheState === 'COALESCED') entry.sources.coalesced++;
+        if (cacheState === 'STALE') {
+            entry.sources.stale++;
+            if (LIST_ROUTES.includes(route)) {
+                this._outcome(entry, 'degraded', `Serving cached data: ${entry.lastError?.message || 'upstream failed'}`);
+            }
+        }
+    }
+
+    /**
+     * Per-platform summary
+     * @returns {Object} { [platform]: { status, reason, lastSuccessAt, lastError, sources, routes } }
+     */
+    health() {
+        return Object.fromEntries([...this.platforms].map(([platform, entry]) => [platform, {
+            status: entry.status,
+            reason: entry.reason,
+            since: entry.since,
+            lastSuccessAt: entry.lastSuccessAt,
+            lastError: entry.lastError,
+            sources: { ...entry.sources },
+            routes: Object.fromEntries(Object.entries(entry.routes).map(([route, stats]) => [route, {
+                requests: stats.requests,
+                errors: stats.errors,
+                records: stats.records,
+                quarantined: stats.quarantined,
+                latencyMs: Object.fromEntries(QUANTILES.map(q => [`p${q * 100}`, quantile(stats.samples, q)]))
+            }]))
+        }]));
+    }
+
+    /**
+     * Prometheus text exposition (format 0.0.4)
+     * @param {Object} [cacheStats] - ResponseCache.stats()
+     */
+    prometheus(cacheStats = null) {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`));
+        };
+        const platforms = [...this.platforms];
+        const routes = platforms.flatMap(([platform, entry]) =>
+            Object.entries(entry.routes).map(([route, stats]) => [{ platform, route }, stats]));
+
+        metric('upstream_status', 'gauge', 'Current upstream status (1 for the active status)',
+            platforms.flatMap(([platform, entry]) =>
+                STATUSES.map(status => [{ platform, status }, entry.status === status ? 1 : 0])));
+        metric('upstream_last_success_timestamp_seconds', 'gauge', 'Time of the last successful upstream fetch',
+            platforms.filter(([, entry]) => entry.lastSuccessAt)
+                .map(([platform, entry]) => [{ platform }, Date.parse(entry.lastSuccessAt) / 1000]));
+        metric('upstream_last_error_timestamp_seconds', 'gauge', 'Time of the last failed upstream fetch',
+            platforms.filter(([, entry]) => entry.lastError)
+                .map(([platform, entry]) => [{ platform, route: entry.lastError.route }, Date.parse(entry.lastError.at) / 1000]));
+        metric('upstream_requests_total', 'counter', 'Upstream fetches by result',
+            routes.flatMap(([labels, stats]) => [
+                [{ ...labels, result: 'success' }, stats.requests - stats.errors],
+                [{ ...labels, result: 'error' }, stats.errors]
+            ]));
+        metric('upstream_latency_seconds', 'summary', `Upstream fetch latency (quantiles over the last ${LATENCY_SAMPLES} fetches)`,
+            routes.flatMap(([labels, stats]) => [
+                ...QUANTILES.map(q => [{ ...labels, quantile: q }, seconds(quantile(stats.samples, q))]),
+                [labels, seconds(stats.latencySum), '_sum'],
+                [labels, stats.requests, '_count']
+            ]));
+        metric('upstream_records', 'gauge', 'Records in the latest upstream response',
+            routes.filter(([, stats]) => stats.records !== null).map(([labels, stats]) => [labels, stats.records]));
+        metric('upstream_records_quarantined', 'gauge', 'Records of the latest response that failed validation',
+            routes.filter(([, stats]) => stats.records !== null).map(([labels, stats]) => [labels, stats.quarantined]));
+        metric('upstream_responses_total', 'counter', 'Responses by where they came from',
+            platforms.flatMap(([platform, entry]) => SOURCES.map(source => [{ platform, source }, entry.sources[source]])));
+
+        if (cacheStats) {
+            metric('proxy_cache_entries', 'gauge', 'Entries in the proxy response cache', [[{}, cacheStats.entries]]);
+            metric('proxy_cache_responses_total', 'counter', 'Cached-route responses by cache state',
+                ['hit', 'miss', 'coalesced', 'stale'].map(state => [{ state }, cacheStats[state]]));
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    // ===== Utility Functions =====
+
+    _entry(platform) {
+        if (!this.platforms.has(platform)) {
+            this.platforms.set(platform, {
+                status: 'unknown',
+                reason: null,
+                since: null,
+                lastSuccessAt: null,
+                lastError: null,
+                sources: Object.fromEntries(SOURCES.map(source => [source, 0])),
+                routes: {}
+            });
+        }
+        return this.platforms.get(platform);
+    }
+
+    _route(entry, route) {
+        if (!entry.routes[route]) {
+            entry.routes[route] = { requests: 0, errors: 0, latencySum: 0, samples: [], records: null, quarantined: 0 };
+        }
+        return entry.routes[route];
+    }
+
+    _sample(stats, ms) {
+        stats.latencySum += ms;
+        stats.samples.push(ms);
+        if (stats.samples.length > LATENCY_SAMPLES) stats.samples.shift();
+    }
+
+    _outcome(entry, status, reason) {
+        if (entry.status !== status) entry.since = new Date().toISOString();
+        entry.status = status;
+        entry.reason = reason || null;
+    }
+}
+
+/**
+ * Nearest-rank quantile of a sample, null when empty
+ */
+function quantile(samples, q) {
+    if (samples.length === 0) return null;
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+function seconds(ms) {
+    return ms === null ? 'NaN' : ms / 1000;
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
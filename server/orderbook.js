@@ -0,0 +1,40 @@
+// Order book fetchers for the proxy server
+// Every book is normalized to the shape in data/orderBook.js
+import { fetchJson, UPSTREAM_URLS } from './upstream.js';
+import { fetchPolymarketYesToken } from './history.js';
+import { normalizeBook } from '../data/orderBook.js';
+
+/**
+ * Book of a Polymarket market's YES token (condition id)
+ */
+export async function fetchPolymarketBook(conditionId) {
+    const yesToken = await fetchPolymarketYesToken(conditionId);
+    const data = await fetchJson(`${UPSTREAM_URLS.polymarketClob}/book?token_id=${encodeURIComponent(yesToken.token_id)}`);
+
+    return normalizeBook({
+        bids: data.bids || [],
+        asks: data.asks || [],
+        timestamp: toTimestamp(data.timestamp)
+    });
+}
+
+/**
+ * Book of a Kalshi market ticker.
+ * Kalshi lists resting bids only, on both sides: a NO bid at n cents is a YES ask at 100 - n.
+ */
+export async function fetchKalshiBook(ticker) {
+    const { orderbook } = await fetchJson(`${UPSTREAM_URLS.kalshi}/markets/${encodeURIComponent(ticker)}/orderbook`);
+    const levels = side => (orderbook && orderbook[side]) || [];
+
+    return normalizeBook({
+        bids: levels('yes').map(([price, size]) => ({ price: price / 100, size })),
+        asks: levels('no').map(([price, size]) => ({ price: (100 - price) / 100, size }))
+    });
+}
+
+// ===== Utility Functions =====
+
+function toTimestamp(value) {
+    const millis = Number(value);
+    return Number.isFinite(millis) && millis > 0 ? new Date(millis).toISOString() : new Date().toISOString();
+}
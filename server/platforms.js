@@ -0,0 +1,54 @@
+// Upstream fetchers behind each registered platform adapter (data/platforms.js)
+// The proxy mounts an adapter's routes only for the capabilities it has an
+// upstream for here:
+//   fetchMarkets(query)                         -> raw market list for adapter.transform
+//   fetchHistory(id, resolution, { since, until })
+//   fetchTrades(id, { maxPages, since })
+//   fetchBook(id)                               -> normalized book (data/orderBook.js)
+import { parseListParam, parseIntParam } from './upstream.js';
+import {
+    fetchPolymarketMarkets, fetchKalshiMarkets, fetchMetaculusMarkets, fetchManifoldMarkets,
+    MARKET_STATUSES, KALSHI_PAGE_LIMIT, MANIFOLD_PAGE_LIMIT, DEFAULT_MAX_PAGES, MAX_PAGES
+} from './markets.js';
+import { fetchPolymarketHistory, fetchKalshiCandles, fetchMetaculusHistory, fetchManifoldHistory } from './history.js';
+import { fetchPolymarketTrades, fetchKalshiTrades, fetchManifoldTrades } from './trades.js';
+import { fetchPolymarketBook, fetchKalshiBook } from './orderbook.js';
+
+export const PLATFORM_UPSTREAMS = {
+    polymarket: {
+        // ?status=open,closed,settled&maxPages=5
+        fetchMarkets: query => fetchPolymarketMarkets({
+            statuses: parseListParam(query.status, MARKET_STATUSES, MARKET_STATUSES),
+            maxPages: parseIntParam(query.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES)
+        }),
+        fetchHistory: fetchPolymarketHistory,
+        fetchTrades: fetchPolymarketTrades,
+        fetchBook: fetchPolymarketBook
+    },
+    kalshi: {
+        // ?status=open,closed,settled&limit=1000&maxPages=5
+        fetchMarkets: query => fetchKalshiMarkets({
+            statuses: parseListParam(query.status, MARKET_STATUSES, MARKET_STATUSES),
+            limit: parseIntParam(query.limit, KALSHI_PAGE_LIMIT, KALSHI_PAGE_LIMIT),
+            maxPages: parseIntParam(query.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES)
+        }),
+        fetchHistory: fetchKalshiCandles,
+        fetchTrades: fetchKalshiTrades,
+        fetchBook: fetchKalshiBook
+    },
+    metaculus: {
+        fetchMarkets: () => fetchMetaculusMarkets(),
+        // Community predictions have a single resolution
+        fetchHistory: id => fetchMetaculusHistory(id)
+    },
+    manifold: {
+        // ?status=open,closed,settled&limit=1000&maxPages=5
+        fetchMarkets: query => fetchManifoldMarkets({
+            statuses: parseListParam(query.status, MARKET_STATUSES, MARKET_STATUSES),
+            limit: parseIntParam(query.limit, MANIFOLD_PAGE_LIMIT, MANIFOLD_PAGE_LIMIT),
+            maxPages: parseIntParam(query.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES)
+        }),
+        fetchHistory: fetchManifoldHistory,
+        fetchTrades: fetchManifoldTrades
+    }
+};
@@ -0,0 +1,135 @@
+// Response cache for the proxy's upstream-backed routes
+// Used as route middleware: app.get(path, responseCache.middleware(ttlMs), handler)
+//   - fresh entries are served without calling the handler (X-Cache: HIT)
+//   - concurrent identical requests wait for the first one (X-Cache: COALESCED)
+//   - an upstream failure (5xx) is answered with the last good body for up to
+//     staleIfErrorMs after it expired (X-Cache: STALE)
+//   - every cached body carries an ETag; If-None-Match gets a 304
+// Entries are keyed by the full request URL, query string included.
+import crypto from 'crypto';
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_STALE_IF_ERROR_MS = 60 * 60 * 1000; // 1 hour
+
+export class ResponseCache {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES, staleIfErrorMs = DEFAULT_STALE_IF_ERROR_MS } = {}) {
+        this.maxEntries = maxEntries;
+        this.staleIfErrorMs = staleIfErrorMs;
+        this.entries = new Map();   // url -> { status, payload, etag, storedAt, expiresAt }
+        this.inflight = new Map();  // url -> promise of the leader's response
+        this.counts = { hit: 0, miss: 0, coalesced: 0, stale: 0 };
+    }
+
+    /**
+     * Route middleware caching successful JSON responses for `ttlMs`
+     * @param {number} ttlMs
+     * @param {Function} [onServe] - called with 'HIT', 'COALESCED' or 'STALE' when the
+     *   response did not come from the handler
+     */
+    middleware(ttlMs, onServe = null) {
+        return async (req, res, next) => {
+            const key = req.originalUrl;
+            const entry = this.entries.get(key);
+
+            if (entry && Date.now() < entry.expiresAt) {
+                return this._send(req, res, entry, 'HIT', onServe);
+            }
+
+            const inflight = this.inflight.get(key);
+            if (inflight) {
+                const response = await inflight;
+                if (response) return this._send(req, res, response, 'COALESCED', onServe);
+                return next(); // the leader went away without answering
+            }
+
+            this._lead(key, entry, ttlMs, res, onServe);
+            next();
+        };
+    }
+
+    stats() {
+        return { entries: this.entries.size, inflight: this.inflight.size, ...this.counts };
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    // ===== Utility Functions =====
+
+    /**
+     * Capture the handler's res.json: store successes, swap 5xx for the stale
+     * entry when there is one, and hand the result to coalesced followers
+     */
+    _lead(key, previous, ttlMs, res, onServe) {
+        let settle;
+        this.inflight.set(key, new Promise(resolve => { settle = resolve; }));
+        const finish = response => {
+            if (!this.inflight.has(key)) return;
+            this.inflight.delete(key);
+            settle(response);
+        };
+        res.on('close', () => finish(null));
+
+        const json = res.json.bind(res);
+        res.json = body => {
+            const status = res.statusCode;
+
+            if (status < 400 && body?.success !== false) {
+                const entry = this._store(key, status, body, ttlMs);
+                finish(entry);
+                this.counts.miss++;
+                res.set({ 'X-Cache': 'MISS', 'ETag': entry.etag });
+                return json(body);
+            }
+
+            if (status >= 500 && previous && Date.now() - previous.expiresAt < this.staleIfErrorMs) {
+                finish(previous);
+                res.set('Warning', '110 - "Response is Stale"');
+                return this._send(res.req, res, previous, 'STALE', onServe);
+            }
+
+            const response = { status, payload: JSON.stringify(body), etag: null, storedAt: Date.now() };
+            finish(response);
+            this.counts.miss++;
+            res.set('X-Cache', 'MISS');
+            return json(body);
+        };
+    }
+
+    _store(key, status, body, ttlMs) {
+        const payload = JSON.stringify(body);
+        const entry = {
+            status,
+            payload,
+            etag: `"${crypto.createHash('sha1').update(payload).digest('hex')}"`,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttlMs
+        };
+
+        // Re-inserting moves the key to the end, so the first key is the least recently stored
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    _send(req, res, response, cacheState, onServe) {
+        this.counts[cacheState.toLowerCase()]++;
+        onServe?.(cacheState);
+        res.set({
+            'X-Cache': cacheState,
+            'Age': String(Math.floor((Date.now() - response.storedAt) / 1000))
+        });
+        if (response.etag) res.set('ETag', response.etag);
+
+        const status = cacheState === 'STALE' ? 200 : response.status;
+        res.status(status);
+        if (response.etag && req.fresh) {
+            return res.status(304).end();
+        }
+        return res.type('json').send(response.payload);
+    }
+}
@@ -0,0 +1,239 @@
+// Snapshot Store - Append-only on-disk history of normalized markets
+// One JSON line per market per change, grouped by platform and UTC day:
+//   storage/snapshots/<platform>/<YYYY-MM-DD>.jsonl
+// Only the latest snapshot of each market is kept in memory; older ones are
+// streamed from the day files when a history or past point in time is asked for.
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+export class SnapshotStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.latest = new Map(); // marketId -> { timestamp, platform, market }
+        this.newestTimestamp = '';
+    }
+
+    /**
+     * Stream every snapshot file and keep the latest snapshot of each market
+     */
+    async load() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        let count = 0;
+        for (const platform of await this._platforms()) {
+            count += await this._scan(platform, {}, entry => this._setLatest(platform, entry));
+        }
+
+        console.log(`[Store] Loaded ${count} snapshots for ${this.latest.size} markets`);
+        return count;
+    }
+
+    /**
+     * Append one snapshot per market for a single fetch
+     */
+    async append(platform, markets, timestamp = new Date().toISOString()) {
+        if (!Array.isArray(markets) || markets.length === 0) return 0;
+
+        const entries = markets
+            .filter(m => m && m.id)
+            .map(market => ({ id: market.id, timestamp, market: stripHistory(market) }));
+
+        const platformDir = path.join(this.dir, platform);
+        await fs.promises.mkdir(platformDir, { recursive: true });
+
+        const file = path.join(platformDir, `${timestamp.slice(0, 10)}.jsonl`);
+        await fs.promises.appendFile(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+
+        entries.forEach(entry => this._setLatest(platform, entry));
+        return entries.length;
+    }
+
+    /**
+     * Append snapshots only of markets that are new or differ from their latest
+     * snapshot, so refetching or crawling unchanged markets writes nothing.
+     * Defaulted fields (e.g. a createdAt that fell back to the load time) are not compared.
+     */
+    async appendChanged(platform, markets, timestamp = new Date().toISOString()) {
+        const changed = (markets || []).filter(market => {
+            const latest = this.latest.get(market.id);
+            return !latest || comparable(latest.market) !== comparable(market);
+        });
+        return this.append(platform, changed, timestamp);
+    }
+
+    /**
+     * The latest snapshot of every known market, from memory
+     */
+    getLatestMarkets(platform = null) {
+        const markets = [];
+        for (const entry of this.latest.values()) {
+            if (platform && entry.platform !== platform) continue;
+            markets.push(entry.market);
+        }
+        return markets;
+    }
+
+    /**
+     * All snapshots of one market, optionally bounded by time
+     */
+    async getHistory(marketId, { since = null, until = null } = {}) {
+        const latest = this.latest.get(marketId);
+        if (!latest) return [];
+
+        const range = { since: since ? toISO(since) : null, until: until ? toISO(until) : null };
+        const entries = [];
+        await this._scan(latest.platform, range, entry => {
+            if (entry.id === marketId && inRange(entry.timestamp, range)) {
+                entries.push({ timestamp: entry.timestamp, market: entry.market });
+            }
+        });
+        return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * The latest snapshot of a market taken at or before `time`
+     */
+    async getSnapshotAt(marketId, time) {
+        const latest = this.latest.get(marketId);
+        const cutoff = toISO(time);
+        if (!latest) return null;
+        if (latest.timestamp <= cutoff) return { timestamp: latest.timestamp, market: latest.market };
+
+        const history = await this.getHistory(marketId, { until: cutoff });
+        return history.length > 0 ? history[history.length - 1] : null;
+    }
+
+    /**
+     * Every known market as it looked at `time`; only a time before the newest
+     * snapshot reads the day files
+     */
+    async getMarketsAt(time, platform = null) {
+        const cutoff = toISO(time);
+        if (cutoff >= this.newestTimestamp) return this.getLatestMarkets(platform);
+
+        const found = new Map();
+        const platforms = platform ? [platform] : await this._platforms();
+        for (const id of platforms) {
+            await this._scan(id, { until: cutoff }, entry => {
+                if (entry.timestamp > cutoff) return;
+                const previous = found.get(entry.id);
+                if (!previous || previous.timestamp <= entry.timestamp) found.set(entry.id, entry);
+            });
+        }
+        return [...found.values()].map(entry => entry.market);
+    }
+
+    /**
+     * Price series built from stored snapshots, in the priceHistory format.
+     * Categorical markets have no single YES price and get none.
+     */
+    async getPriceHistory(marketId, options = {}) {
+        return (await this.getHistory(marketId, options))
+            .filter(e => hasPrice(e.market))
+            .map(toPricePoint);
+    }
+
+    /**
+     * Price series for every stored market of a platform, in one pass over its files
+     */
+    async getPriceHistories(platform) {
+        const histories = {};
+        for (const entry of this.latest.values()) {
+            if (entry.platform === platform) histories[entry.market.id] = [];
+        }
+        await this._scan(platform, {}, entry => {
+            if (histories[entry.id] && hasPrice(entry.market)) histories[entry.id].push(toPricePoint(entry));
+        });
+        Object.values(histories).forEach(points => points.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+        return histories;
+    }
+
+    // ===== Utility Functions =====
+
+    _setLatest(platform, entry) {
+        if (!entry || !entry.id || !entry.timestamp || !entry.market) return;
+
+        const current = this.latest.get(entry.id);
+        if (!current || current.timestamp <= entry.timestamp) {
+            this.latest.set(entry.id, { timestamp: entry.timestamp, platform, market: entry.market });
+        }
+        if (entry.timestamp > this.newestTimestamp) this.newestTimestamp = entry.timestamp;
+    }
+
+    async _platforms() {
+        const names = await fs.promises.readdir(this.dir).catch(() => []);
+        const platforms = [];
+        for (const name of names) {
+            if ((await fs.promises.stat(path.join(this.dir, name))).isDirectory()) platforms.push(name);
+        }
+        return platforms;
+    }
+
+    /**
+     * Stream the snapshots of a platform's day files within `since` / `until`
+     * (ISO strings), oldest file first, one line at a time
+     */
+    async _scan(platform, { since = null, until = null }, visit) {
+        const platformDir = path.join(this.dir, platform);
+        const files = (await fs.promises.readdir(platformDir).catch(() => []))
+            .filter(f => f.endsWith('.jsonl'))
+            .filter(f => {
+                const day = f.slice(0, 10);
+                return (!since || day >= since.slice(0, 10)) && (!until || day <= until.slice(0, 10));
+            })
+            .sort();
+
+        let count = 0;
+        for (const file of files) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(platformDir, file), 'utf8'),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (err) {
+                    console.warn(`[Store] Skipping corrupt line in ${platform}/${file}`);
+                    continue;
+                }
+                visit(entry);
+                count++;
+            }
+        }
+        return count;
+    }
+}
+
+function stripHistory(market) {
+    const { priceHistory, ...rest } = market;
+    return rest;
+}
+
+function comparable(market) {
+    const { priceHistory, ...rest } = market;
+    (market.defaulted || []).forEach(field => delete rest[field]);
+    return JSON.stringify(rest);
+}
+
+function hasPrice(market) {
+    return typeof market.currentProbability === 'number' && market.outcomeType !== 'categorical';
+}
+
+function toPricePoint(entry) {
+    return {
+        timestamp: entry.timestamp,
+        price: entry.market.currentProbability,
+        volume: entry.market.volume || 0
+    };
+}
+
+function inRange(timestamp, { since, until }) {
+    return (!since || timestamp >= since) && (!until || timestamp <= until);
+}
+
+function toISO(time) {
+    return time instanceof Date ? time.toISOString() : new Date(time).toISOString();
+}
@@ -0,0 +1,208 @@
+// Market Stream - pushes incremental market updates to browsers over Server-Sent Events
+// A source is polled only while at least one browser is connected. Each poll is
+// diffed against the last one and only the differences go out:
+//   event: delta
+//   data: { seq, at, added: [market], updated: [{ id, changes: { field: value } }] }
+
+export const STREAM_SOURCES = ['poll', 'mock'];
+
+// Fields that change while a market trades; everything else is fixed at listing
+export const STREAM_FIELDS = [
+    'currentProbability', 'outcomePrices', 'distribution', 'bestBid', 'bestAsk', 'mid', 'spread', 'depth',
+    'volume', 'liquidity', 'traders',
+    'resolved', 'resolution', 'outcome', 'resolvedOutcome', 'resolvedValue', 'resolvedAt', 'finalProbability'
+];
+
+const HEARTBEAT_MS = 15000;
+const MOCK_MARKET_COUNT = 20;
+
+export class MarketStream {
+    constructor(source, { intervalMs = 15000 } = {}) {
+        this.source = source;
+        this.intervalMs = intervalMs;
+        this.clients = new Set();
+        this.markets = new Map(); // id -> last pushed market
+        this.primed = false;
+        this.seq = 0;
+        this.pollTimer = null;
+        this.heartbeatTimer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Attach an SSE response; the source starts with the first client
+     */
+    addClient(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(`retry: ${this.intervalMs}\n`);
+        writeEvent(res, 'hello', { source: this.source.name, intervalMs: this.intervalMs, seq: this.seq });
+
+        this.clients.add(res);
+        console.log(`[Stream] Client connected (${this.clients.size} total)`);
+        if (this.clients.size === 1) this.start();
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            console.log(`[Stream] Client disconnected (${this.clients.size} left)`);
+            if (this.clients.size === 0) this.stop();
+        });
+    }
+
+    start() {
+        if (this.pollTimer) return;
+        console.log(`[Stream] Starting ${this.source.name} source every ${this.intervalMs}ms`);
+        this.pollTimer = setInterval(() => this.poll(), this.intervalMs);
+        this.heartbeatTimer = setInterval(() => this._heartbeat(), HEARTBEAT_MS);
+        this.poll();
+    }
+
+    stop() {
+        clearInterval(this.pollTimer);
+        clearInterval(this.heartbeatTimer);
+        this.pollTimer = null;
+        this.heartbeatTimer = null;
+        console.log('[Stream] Stopped');
+    }
+
+    /**
+     * Fetch from the source and broadcast whatever changed.
+     * The first poll only primes the baseline: browsers load the full set themselves.
+     */
+    async poll() {
+        if (this.polling) return; // a slow upstream must not stack polls
+        this.polling = true;
+
+        try {
+            const markets = await this.source.fetch();
+            const delta = diffMarkets(this.markets, markets);
+            markets.forEach(m => this.markets.set(m.id, m));
+
+            if (!this.primed) {
+                this.primed = true;
+                console.log(`[Stream] Baseline of ${markets.length} markets`);
+                return;
+            }
+            if (delta.added.length === 0 && delta.updated.length === 0) return;
+
+            this.seq++;
+            this._broadcast('delta', { seq: this.seq, at: new Date().toISOString(), ...delta });
+            console.log(`[Stream] #${this.seq}: ${delta.added.length} added, ${delta.updated.length} updated`);
+        } catch (error) {
+            console.error('[Stream] Poll failed:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    // ===== Utility Functions =====
+
+    _broadcast(event, data) {
+        this.clients.forEach(res => writeEvent(res, event, data));
+    }
+
+    _heartbeat() {
+        // SSE comment line: keeps proxies from closing an idle connection
+        this.clients.forEach(res => res.write(': ping\n\n'));
+    }
+}
+
+/**
+ * Markets that are new, and the changed STREAM_FIELDS of the ones already known
+ */
+export function diffMarkets(previous, markets) {
+    const added = [];
+    const updated = [];
+
+    markets.forEach(market => {
+        const before = previous.get(market.id);
+        if (!before) {
+            added.push(market);
+            return;
+        }
+
+        const changes = {};
+        STREAM_FIELDS.forEach(field => {
+            if (JSON.stringify(before[field]) !== JSON.stringify(market[field])) {
+                changes[field] = market[field];
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            updated.push({ id: market.id, changes });
+        }
+    });
+
+    return { added, updated };
+}
+
+/**
+ * Poll the upstream market lists
+ * @param {Object[]} loaders - [{ platform, load: () => raw response, normalize: raw => { markets } }]
+ */
+export function createPollingSource(loaders) {
+    return {
+        name: 'poll',
+        async fetch() {
+            const results = await Promise.allSettled(loaders.map(async ({ platform, load, normalize }) => {
+                const { markets } = normalize(await load());
+                return markets.map(stripHistory);
+            }));
+
+            results.forEach((result, i) => {
+                if (result.status === 'rejected') {
+                    console.warn(`[Stream] ${loaders[i].platform} poll failed:`, result.reason.message);
+                }
+            });
+            return results.filter(r => r.status === 'fulfilled').flatMap(r => r.value);
+        }
+    };
+}
+
+/**
+ * Random-walk the prices of a few known markets, for local testing without upstreams
+ * @param {Object[]} seedMarkets - markets to animate (e.g. the latest stored snapshots)
+ */
+export function createMockSource(seedMarkets, { volatility = 0.02 } = {}) {
+    const markets = seedMarkets
+        .filter(m => !m.resolved && (m.outcomeType || 'binary') === 'binary') // the walk moves a single YES price
+        .slice(0, MOCK_MARKET_COUNT)
+        .map(stripHistory);
+
+    if (markets.length === 0) {
+        console.warn('[Stream] Mock source has no stored open markets to animate; run the proxy live once first');
+    }
+
+    return {
+        name: 'mock',
+        async fetch() {
+            markets.forEach(market => {
+                if (Math.random() < 0.5) return; // not every market trades every tick
+                const price = Math.min(0.99, Math.max(0.01, market.currentProbability + (Math.random() - 0.5) * 2 * volatility));
+                const halfSpread = 0.005 + Math.random() * 0.015;
+                market.currentProbability = round(price);
+                market.bestBid = round(Math.max(0, price - halfSpread));
+                market.bestAsk = round(Math.min(1, price + halfSpread));
+                market.mid = round((market.bestBid + market.bestAsk) / 2);
+                market.spread = round(market.bestAsk - market.bestBid);
+                market.volume = round(market.volume + Math.random() * 500);
+            });
+            return markets.map(m => ({ ...m }));
+        }
+    };
+}
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function stripHistory(market) {
+    const { priceHistory, ...rest } = market;
+    return rest;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,170 @@
+// Trade tape fetchers for the proxy server
+// Every fill is normalized to { timestamp, price, size, side, account? }:
+//   price   - YES price in [0, 1]
+//   size    - contracts (each pays $1 at resolution)
+//   side    - 'buy' or 'sell' from the YES side ('buy' pushes the YES price up)
+//   account - trader wallet, where the upstream discloses one
+import { fetchJson, fetchAllPages, UPSTREAM_URLS } from './upstream.js';
+
+const KALSHI_TRADE_PAGE = 1000; // Kalshi's maximum page size
+const POLYMARKET_TRADE_PAGE = 500;
+const MANIFOLD_BET_PAGE = 1000; // Manifold's maximum page size
+
+/**
+ * Public fills for one Polymarket market (condition id).
+ * The CLOB's /trades endpoint only lists the caller's own fills (L2 auth),
+ * so public fills come from the data API's offset-paginated /trades.
+ */
+export async function fetchPolymarketTrades(conditionId, { maxPages = 5, since = null } = {}) {
+    const trades = [];
+
+    for (let page = 0; page < maxPages; page++) {
+        const params = new URLSearchParams({
+            market: conditionId,
+            limit: String(POLYMARKET_TRADE_PAGE),
+            offset: String(page * POLYMARKET_TRADE_PAGE),
+            takerOnly: 'true'
+        });
+
+        let fills;
+        try {
+            fills = await fetchJson(`${UPSTREAM_URLS.polymarketData}/trades?${params}`);
+        } catch (error) {
+            if (page === 0) throw error;
+            console.warn(`[Proxy] Polymarket trades page ${page + 1} failed, keeping ${trades.length} fills: ${error.message}`);
+            break;
+        }
+
+        const items = Array.isArray(fills) ? fills : [];
+        trades.push(...items.map(normalizePolymarketFill).filter(Boolean));
+        if (items.length < POLYMARKET_TRADE_PAGE) break;
+    }
+
+    return finalizeTape(trades, since);
+}
+
+/**
+ * Public fills for one Kalshi market ticker (anonymous: no account)
+ */
+export async function fetchKalshiTrades(ticker, { maxPages = 5, since = null } = {}) {
+    const { items } = await fetchAllPages({
+        label: `Kalshi trades (${ticker})`,
+        maxPages,
+        buildUrl: cursor => {
+            const params = new URLSearchParams({ ticker, limit: String(KALSHI_TRADE_PAGE) });
+            if (since) params.set('min_ts', String(Math.floor(new Date(since).getTime() / 1000)));
+            if (cursor) params.set('cursor', cursor);
+            return `${UPSTREAM_URLS.kalshi}/markets/trades?${params}`;
+        },
+        extractItems: page => page.trades || [],
+        extractCursor: page => page.cursor || null
+    });
+
+    return finalizeTape(items.map(normalizeKalshiFill).filter(Boolean), since);
+}
+
+/**
+ * Bets on one Manifold market as trades (accounts are Manifold user ids)
+ */
+export async function fetchManifoldTrades(marketId, { maxPages = 5, since = null } = {}) {
+    const bets = await fetchManifoldBets(marketId, { maxPages });
+    return finalizeTape(bets.map(normalizeManifoldBet).filter(Boolean), since);
+}
+
+/**
+ * Raw bets on one Manifold market, newest first (the API pages backwards with `before`)
+ */
+export async function fetchManifoldBets(marketId, { maxPages = 5 } = {}) {
+    const { items } = await fetchAllPages({
+        label: `Manifold bets (${marketId})`,
+        maxPages,
+        buildUrl: cursor => {
+            const params = new URLSearchParams({ contractId: marketId, limit: String(MANIFOLD_BET_PAGE) });
+            if (cursor) params.set('before', cursor);
+            return `${UPSTREAM_URLS.manifold}/bets?${params}`;
+        },
+        extractItems: page => Array.isArray(page) ? page : [],
+        extractCursor: page => Array.isArray(page) && page.length === MANIFOLD_BET_PAGE ? page[page.length - 1].id : null
+    });
+
+    return items;
+}
+
+/**
+ * Manifold bet: `amount` mana for `shares` of the bet's outcome, both negative
+ * on a sale. Bets on NO are mirrored onto the YES side; redemptions, cancelled
+ * and unfilled limit orders are not trades.
+ */
+export function normalizeManifoldBet(bet) {
+    const amount = Number(bet.amount);
+    const shares = Number(bet.shares);
+    const timestamp = Number(bet.createdTime);
+    if (bet.isRedemption || bet.isCancelled || !amount || !shares || !Number.isFinite(timestamp)) return null;
+
+    const outcomePrice = amount / shares;
+    if (!(outcomePrice > 0 && outcomePrice < 1)) return null;
+
+    const isNo = bet.outcome === 'NO';
+    const isBuy = shares > 0;
+
+    const trade = {
+        timestamp: new Date(timestamp).toISOString(),
+        price: isNo ? 1 - outcomePrice : outcomePrice,
+        size: Math.abs(shares),
+        side: isBuy !== isNo ? 'buy' : 'sell'
+    };
+    if (bet.userId) trade.account = bet.userId;
+    return trade;
+}
+
+/**
+ * Data API fill: side is BUY/SELL of the traded outcome token,
+ * so fills on the NO token are mirrored onto the YES side
+ */
+export function normalizePolymarketFill(fill) {
+    const price = Number(fill.price);
+    const size = Number(fill.size);
+    const timestamp = Number(fill.timestamp);
+    if (!Number.isFinite(price) || !(size > 0) || !Number.isFinite(timestamp)) return null;
+
+    const isNo = String(fill.outcome).toLowerCase() === 'no' || fill.outcomeIndex === 1;
+    const isBuy = String(fill.side).toUpperCase() === 'BUY';
+
+    const trade = {
+        timestamp: new Date(timestamp * 1000).toISOString(),
+        price: isNo ? 1 - price : price,
+        size,
+        side: isBuy !== isNo ? 'buy' : 'sell'
+    };
+    if (fill.proxyWallet) trade.account = fill.proxyWallet;
+    return trade;
+}
+
+/**
+ * Kalshi fill: prices in cents, taker_side says which side crossed the spread
+ */
+export function normalizeKalshiFill(fill) {
+    const price = Number(fill.yes_price);
+    const size = Number(fill.count);
+    const timestamp = new Date(fill.created_time);
+    if (!Number.isFinite(price) || !(size > 0) || isNaN(timestamp.getTime())) return null;
+
+    return {
+        timestamp: timestamp.toISOString(),
+        price: price / 100,
+        size,
+        side: fill.taker_side === 'no' ? 'sell' : 'buy'
+    };
+}
+
+// ===== Utility Functions =====
+
+/**
+ * Oldest first, bounded by `since`
+ */
+function finalizeTape(trades, since) {
+    const cutoff = since ? new Date(since).toISOString() : null;
+    return trades
+        .filter(t => !cutoff || t.timestamp >= cutoff)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
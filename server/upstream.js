@@ -0,0 +1,218 @@
+// Upstream HTTP helpers for the proxy server
+import { readFixture, writeFixture } from './fixtures.js';
+
+// Base URLs and request policy, replaced by configureUpstream() (see server/config.js)
+export const UPSTREAM_URLS = {
+    kalshi: 'https://api.elections.kalshi.com/trade-api/v2',
+    polymarketClob: 'https://clob.polymarket.com',
+    polymarketData: 'https://data-api.polymarket.com',
+    metaculus: 'https://www.metaculus.com',
+    manifold: 'https://api.manifold.markets/v0'
+};
+
+const requestPolicy = {
+    timeoutMs: 30000,
+    retries: 2,
+    retryDelayMs: 1000,
+    walkBudgetMs: 45000
+};
+
+// Longest Retry-After honoured before retrying
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Record/replay settings (see server/fixtures.js)
+const fixtureConfig = {
+    mode: 'live',
+    dir: null
+};
+
+/**
+ * Switch every upstream request between live, record and replay
+ */
+export function configureFixtures({ mode, fixturesDir }) {
+    fixtureConfig.mode = mode;
+    fixtureConfig.dir = fixturesDir;
+}
+
+/**
+ * Install the `upstream` section of the configuration
+ */
+export function configureUpstream({ urls = {}, timeoutMs, retries, retryDelayMs, walkBudgetMs }) {
+    Object.assign(UPSTREAM_URLS, urls);
+    Object.assign(requestPolicy, { timeoutMs, retries, retryDelayMs, walkBudgetMs });
+}
+
+/**
+ * Deadline (epoch ms) for one market-list request: every page, retry and
+ * status walked for it must fit in upstream.walkBudgetMs, which the config
+ * keeps below the browser's client.timeouts.markets
+ */
+export function walkDeadline() {
+    return Date.now() + requestPolicy.walkBudgetMs;
+}
+
+export function getFixtureMode() {
+    return fixtureConfig.mode;
+}
+
+/**
+ * GET a JSON document from an upstream API with a timeout, retrying
+ * network errors, timeouts, 429 and 5xx with exponential backoff, or after
+ * the upstream's Retry-After when it sends one. `retries` and `retryDelayMs`
+ * override the configured policy for one call (the backfill crawl waits longer).
+ * A `deadline` (epoch ms) shortens the timeout to the time left and drops
+ * retries that could not start before it.
+ * In replay mode the body comes from the fixtures directory instead;
+ * in record mode every successful body is also written there.
+ */
+export async function fetchJson(url, options = {}) {
+    if (fixtureConfig.mode === 'replay') {
+        return readFixture(fixtureConfig.dir, url);
+    }
+
+    const body = await fetchWithRetry(url, options);
+
+    if (fixtureConfig.mode === 'record') {
+        writeFixture(fixtureConfig.dir, url, body)
+            .catch(error => console.error(`[Fixtures] Failed to record ${url}:`, error.message));
+    }
+
+    return body;
+}
+
+async function fetchWithRetry(url, { retries = requestPolicy.retries, retryDelayMs = requestPolicy.retryDelayMs, deadline = null, ...options }) {
+    for (let attempt = 0; ; attempt++) {
+        const remaining = deadline === null ? Infinity : deadline - Date.now();
+        if (remaining <= 0) {
+            throw new Error(`Walk budget of ${requestPolicy.walkBudgetMs}ms spent before ${url}`);
+        }
+
+        try {
+            const timeout = Math.min(options.timeout ?? requestPolicy.timeoutMs, remaining);
+            return await fetchLive(url, { ...options, timeout });
+        } catch (error) {
+            const status = error.upstreamStatus;
+            const retryable = !status || status === 429 || status >= 500;
+            if (!retryable || attempt >= retries) throw error;
+
+            const delayMs = error.retryAfterMs ?? retryDelayMs * 2 ** attempt;
+            if (deadline !== null && Date.now() + delayMs >= deadline) throw error;
+            console.warn(`[Proxy] ${url} failed (${error.message}); retry ${attempt + 1}/${retries} in ${delayMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+async function fetchLive(url, { timeout = requestPolicy.timeoutMs, headers = {} } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.upstreamStatus = response.status;
+            error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            throw error;
+        }
+
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Retry-After is delay-seconds or an HTTP date; capped so a bogus value
+ * cannot stall a request for hours. Returns ms, or null when absent or invalid.
+ */
+function parseRetryAfter(value) {
+    if (value === null || value.trim() === '') return null;
+    const seconds = Number(value);
+    const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(delayMs) ? Math.min(Math.max(delayMs, 0), MAX_RETRY_AFTER_MS) : null;
+}
+
+/**
+ * Walk a cursor-paginated endpoint and collect every item.
+ *
+ * buildUrl(cursor)     -> URL for the page (cursor is null for the first page)
+ * extractItems(page)   -> array of items on the page
+ * extractCursor(page)  -> cursor of the next page, or a falsy value at the end
+ *
+ * Stops after maxPages, or once `deadline` (epoch ms, see walkDeadline())
+ * has passed; a failure on a later page keeps what was already collected
+ * rather than discarding the whole walk. A walk whose deadline passed before
+ * its first page (an earlier status used the budget up) returns nothing.
+ */
+export async function fetchAllPages({ buildUrl, extractItems, extractCursor, maxPages = 5, label = 'Upstream', deadline = null }) {
+    const items = [];
+    let cursor = null;
+    let pages = 0;
+    let complete = false;
+
+    while (pages < maxPages) {
+        if (deadline !== null && Date.now() >= deadline) {
+            console.warn(`[Proxy] ${label} walk budget spent, keeping ${items.length} items`);
+            break;
+        }
+
+        let page;
+        try {
+            page = await fetchJson(buildUrl(cursor), { deadline });
+        } catch (error) {
+            if (pages === 0) throw error;
+            console.warn(`[Proxy] ${label} page ${pages + 1} failed, keeping ${items.length} items: ${error.message}`);
+            break;
+        }
+
+        pages++;
+        const pageItems = extractItems(page) || [];
+        items.push(...pageItems);
+
+        const next = extractCursor(page);
+        if (!next || next === cursor || pageItems.length === 0) {
+            complete = true;
+            cursor = null;
+            break;
+        }
+        cursor = next;
+    }
+
+    console.log(`[Proxy] ${label}: ${items.length} items over ${pages} page(s)${complete ? '' : ' (incomplete)'}`);
+    return { items, pages, complete, cursor };
+}
+
+/**
+ * Parse a comma-separated query parameter against a list of allowed values.
+ * Throws an error with status 400 on unknown values.
+ */
+export function parseListParam(value, allowed, fallback) {
+    if (!value) return fallback;
+
+    const values = String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const invalid = values.filter(v => !allowed.includes(v));
+    if (invalid.length > 0) {
+        const error = new Error(`Unsupported value(s): ${invalid.join(', ')} (allowed: ${allowed.join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+    return values;
+}
+
+/**
+ * Parse a positive integer query parameter, clamped to [1, max]
+ */
+export function parseIntParam(value, fallback, max) {
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+    return Math.min(parsed, max);
+}
@@ -8,11 +8,20 @@ set -e
 echo "🚀 Starting Prediction Markets Atlas (Full Stack)..."
 echo ""
 
+# Backend port: proxy.port from config/app.json (or CONFIG_FILE), overridden by PORT.
+# Resolved by server/config.js itself so the script and the proxy cannot disagree;
+# an invalid config stops the script here with the same error the proxy would give.
+BACKEND_PORT=$(node --input-type=module -e "
+console.log = () => {};
+const { loadConfig } = await import('./server/config.js');
+process.stdout.write(String(loadConfig({ file: process.env.CONFIG_FILE || 'config/app.json' }).proxy.port));
+")
+
 # Check if backend server is already running
-if lsof -Pi :3001 -sTCP:LISTEN -t >/dev/null 2>&1; then
-    echo "⚠️  Backend server already running on port 3001"
+if lsof -Pi :$BACKEND_PORT -sTCP:LISTEN -t >/dev/null 2>&1; then
+    echo "⚠️  Backend server already running on port $BACKEND_PORT"
     echo "   Killing existing process..."
-    lsof -ti:3001 | xargs kill -9 2>/dev/null || true
+    lsof -ti:$BACKEND_PORT | xargs kill -9 2>/dev/null || true
     sleep 1
 fi
 
@@ -25,7 +34,7 @@ if lsof -Pi :5173 -sTCP:LISTEN -t >/dev/null 2>&1; then
 fi
 
 echo ""
-echo "Starting backend API proxy server (port 3001)..."
+echo "Starting backend API proxy server (port $BACKEND_PORT)..."
 node server.js &
 BACKEND_PID=$!
 echo "✅ Backend started (PID: $BACKEND_PID)"
@@ -42,7 +51,7 @@ echo ""
 echo "╔════════════════════════════════════════╗"
 echo "║        🎉 Both Servers Running!        ║"
 echo "╠════════════════════════════════════════╣"
-echo "║ Backend:  http://localhost:3001        ║"
+echo "║ Backend:  http://localhost:$BACKEND_PORT        ║"
 echo "║ Frontend: http://localhost:5173        ║"
 echo "║                                        ║"
 echo "║ Press Ctrl+C to stop both servers      ║"
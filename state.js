@@ -1,10 +1,15 @@
 // Global Application State
+import { filterMarkets } from './data/analytics.js';
+
 export const state = {
     // Data
     markets: [],
     resolvedMarkets: [],
     forecasters: [],
     trades: [],
+    quarantine: [],      // Records that failed schema validation: { id, platform, reasons, record }
+    matches: [],         // Cross-platform pairs describing the same event: { key, a, b, score, components, source }
+    matchOverrides: {},  // Manual match decisions: { [pairKey]: 'confirmed' | 'rejected' }
     
     // Filters
     filters: {
@@ -20,40 +25,26 @@ export const state = {
     useLiveData: true,
     strictRealData: true,  // ENFORCED: Real data only, no synthetic fallback
     
-    // API Status
-    apiStatus: {
-        polymarket: 'unknown',
-        kalshi: 'unknown',
-        metaculus: 'unknown'
-    },
+    // Browser cache: stale while showing the last session's dataset, until live data merges in
+    cacheStatus: { stale: false, savedAt: null, revalidating: false },
+    
+    // API Status: platform id -> 'online' | 'offline', one entry per registered adapter
+    apiStatus: {},
+    apiErrors: {},  // platform id -> why its last market load failed
+    
+    // Proxy-side upstream health: platform id -> { status, reason, lastSuccessAt, lastError, ... }
+    // (see /health/upstreams); null when the proxy could not be reached
+    upstreamHealth: {},
     
     // Cache
     cache: new Map(),
     lastUpdate: null
 };
 
-// Helper to get filtered markets
+// Helper to get filtered markets (the proxy's /api/analytics routes filter the same way)
 export function getFilteredMarkets() {
-    let filtered = state.markets;
-    
-    // Platform filter
-    if (state.filters.platform !== 'all') {
-        filtered = filtered.filter(m => m.platform === state.filters.platform);
-    }
-    
-    // Category filter
-    if (state.filters.category !== 'all') {
-        filtered = filtered.filter(m => m.category === state.filters.category);
-    }
-    
-    // Date range filter
-    filtered = filtered.filter(m => {
-        const marketDate = new Date(m.createdAt);
-        return marketDate >= state.filters.dateRange.start &&
-               marketDate <= state.filters.dateRange.end;
-    });
-    
-    return filtered;
+    const { platform, category, dateRange } = state.filters;
+    return filterMarkets(state.markets, { platform, category, start: dateRange.start, end: dateRange.end });
 }
 
 // Helper to get resolved markets only
@@ -4,9 +4,11 @@
 /**
  * Brier Score: Mean squared difference between predictions and outcomes
  * Lower is better, range [0, 1]
+ * Outcomes are in [0, 1]: a partial resolution scores at its payout. Void
+ * markets have no outcome and must be left out by the caller.
  */
 export function brierScore(predictions, outcomes) {
-    if (predictions.length !== outcomes.length || predictions.length === 0) {
+    if (predictions.length !== outcomes.length || predictions.length === 0 || !outcomes.every(isOutcome)) {
         throw new Error('Invalid input arrays');
     }
     
@@ -98,7 +100,7 @@ export function expectedCalibrationError(predictions, outcomes, numBins = 10) {
  * Lower is better (less negative)
  */
 export function logScore(predictions, outcomes) {
-    if (predictions.length !== outcomes.length || predictions.length === 0) {
+    if (predictions.length !== outcomes.length || predictions.length === 0 || !outcomes.every(isOutcome)) {
         throw new Error('Invalid input arrays');
     }
     
@@ -112,12 +114,122 @@ export function logScore(predictions, outcomes) {
     return sum / predictions.length;
 }
 
+/**
+ * Multi-class Brier Score: squared error summed over the outcomes of each
+ * forecast, averaged over forecasts. Lower is better, range [0, 2]
+ * (a binary forecast scores twice its binary Brier score)
+ * @param {number[][]} probabilityVectors - one probability per outcome
+ * @param {number[]} outcomeIndices - index of the outcome that happened
+ */
+export function multiclassBrierScore(probabilityVectors, outcomeIndices) {
+    if (probabilityVectors.length !== outcomeIndices.length || probabilityVectors.length === 0) {
+        throw new Error('Invalid input arrays');
+    }
+    
+    const sum = probabilityVectors.reduce((acc, probs, i) => {
+        return acc + probs.reduce((err, p, k) => err + Math.pow(p - (k === outcomeIndices[i] ? 1 : 0), 2), 0);
+    }, 0);
+    
+    return sum / probabilityVectors.length;
+}
+
+/**
+ * Multi-class Log Score: mean log of the probability given to the outcome that happened.
+ * Closer to zero is better; matches logScore for two outcomes
+ */
+export function multiclassLogScore(probabilityVectors, outcomeIndices) {
+    if (probabilityVectors.length !== outcomeIndices.length || probabilityVectors.length === 0) {
+        throw new Error('Invalid input arrays');
+    }
+    
+    const epsilon = 1e-15; // Prevent log(0)
+    const sum = probabilityVectors.reduce((acc, probs, i) => {
+        return acc + Math.log(Math.max(epsilon, Math.min(1 - epsilon, probs[outcomeIndices[i]])));
+    }, 0);
+    
+    return sum / probabilityVectors.length;
+}
+
+/**
+ * Continuous Ranked Probability Score of one forecast CDF against the observed value:
+ * the integral of (F(x) - 1{x >= observed})^2 over the grid, by the trapezoid rule.
+ * Lower is better, 0 for a point mass on the observed value; in the units of the grid.
+ * Mass outside the grid (cdf[0] > 0, cdf[n-1] < 1: open bounds) sits on the end it
+ * crossed, so beyond the grid F is 0 below and 1 above; the tails only add the
+ * stretch between the grid and an observed value outside it
+ * @param {number[]} grid - increasing points the CDF is given at
+ * @param {number[]} cdf - F at each grid point
+ * @param {number} observed
+ */
+export function crps(grid, cdf, observed) {
+    if (grid.length !== cdf.length || grid.length < 2) {
+        throw new Error('Invalid input arrays');
+    }
+    
+    // Trapezoids of (F - H)^2; the segment holding the observed value is split at the step
+    const trapezoid = (x0, f0, x1, f1, step) => (Math.pow(f0 - step, 2) + Math.pow(f1 - step, 2)) / 2 * (x1 - x0);
+    let sum = 0;
+    for (let i = 1; i < grid.length; i++) {
+        const [x0, x1, f0, f1] = [grid[i - 1], grid[i], cdf[i - 1], cdf[i]];
+        if (observed > x0 && observed < x1) {
+            const fObserved = f0 + (f1 - f0) * (observed - x0) / (x1 - x0);
+            sum += trapezoid(x0, f0, observed, fObserved, 0) + trapezoid(observed, fObserved, x1, f1, 1);
+        } else {
+            sum += trapezoid(x0, f0, x1, f1, x0 >= observed ? 1 : 0);
+        }
+    }
+    
+    // Tails: F = 0 against the step's 1 below the grid, F = 1 against 0 above it
+    const [first, last] = [grid[0], grid[grid.length - 1]];
+    if (observed < first) sum += first - observed;
+    if (observed > last) sum += observed - last;
+    return sum;
+}
+
+/**
+ * PIT histogram: how often the observed value landed at each level of its forecast CDF
+ * (the PIT value F(observed)). Calibrated forecasts give a flat histogram;
+ * a U shape means too narrow, a hump too wide
+ * @param {number[]} pitValues - F(observed) of each forecast, in [0, 1]
+ * @returns {Object[]} [{ lower, upper, count, density }], density 1 when flat
+ */
+export function pitHistogram(pitValues, numBins = 10) {
+    const counts = Array(numBins).fill(0);
+    pitValues.forEach(pit => {
+        counts[Math.min(numBins - 1, Math.floor(pit * numBins))]++;
+    });
+    
+    return counts.map((count, i) => ({
+        lower: i / numBins,
+        upper: (i + 1) / numBins,
+        count,
+        density: pitValues.length > 0 ? count * numBins / pitValues.length : 0
+    }));
+}
+
+/**
+ * Interval coverage: share of observed values inside each central prediction interval.
+ * The value lies inside the central interval of level L when (1 - L) / 2 <= PIT <= (1 + L) / 2,
+ * so calibrated forecasts cover a share L
+ * @param {number[]} pitValues - F(observed) of each forecast
+ * @param {number[]} levels - nominal coverage of each interval
+ * @returns {Object[]} [{ level, coverage }]
+ */
+export function intervalCoverage(pitValues, levels = [0.5, 0.8, 0.9]) {
+    return levels.map(level => {
+        const low = (1 - level) / 2;
+        const high = (1 + level) / 2;
+        const inside = pitValues.filter(pit => pit >= low && pit <= high).length;
+        return { level, coverage: pitValues.length > 0 ? inside / pitValues.length : 0 };
+    });
+}
+
 /**
  * Spherical Score
  * Higher is better, range [0, 1]
  */
 export function sphericalScore(predictions, outcomes) {
-    if (predictions.length !== outcomes.length || predictions.length === 0) {
+    if (predictions.length !== outcomes.length || predictions.length === 0 || !outcomes.every(isOutcome)) {
         throw new Error('Invalid input arrays');
     }
     
@@ -579,6 +691,13 @@ export function median(arr) {
         : sorted[mid];
 }
 
+/**
+ * A binary outcome, or the payout of a partial resolution
+ */
+function isOutcome(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
 export function quantile(arr, q) {
     const sorted = [...arr].sort((a, b) => a - b);
     const pos = (sorted.length - 1) * q;
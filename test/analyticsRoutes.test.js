@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from '../server/snapshotStore.js';
+import { resolutionFields, outcomeFields } from '../data/marketSchema.js';
+import { quoteFields } from '../data/orderBook.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// 20 markets per platform and category, created a day apart from 2024-03-01
+const PLATFORMS = ['kalshi', 'manifold'];
+const CATEGORIES = ['politics', 'economics'];
+const PER_GROUP = 20;
+
+let dir;
+let server;
+let baseUrl;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-test-'));
+    const store = new SnapshotStore(path.join(dir, 'snapshots'));
+    await store.load();
+    for (const platform of PLATFORMS) {
+        const markets = CATEGORIES.flatMap(category =>
+            Array.from({ length: PER_GROUP }, (_, i) => resolvedMarket(platform, category, i)));
+        await store.append(platform, markets, '2025-01-01T00:00:00.000Z');
+    }
+
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            SNAPSHOT_DIR: path.join(dir, 'snapshots'),
+            CONFIG_FILE: path.join(dir, 'app.json'),
+            TAXONOMY_FILE: path.join(dir, 'taxonomy.json'),
+            MATCH_OVERRIDES_FILE: path.join(dir, 'match-overrides.json')
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await waitForServer();
+});
+
+after(() => {
+    server?.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function resolvedMarket(platform, category, i) {
+    const probability = ((i * 37) % 90 + 5) / 100;
+    const yes = (i * 53) % 100 < probability * 100;
+    const createdAt = new Date(Date.UTC(2024, 2, 1 + i)).toISOString();
+    const resolvedAt = new Date(Date.UTC(2024, 2, 2 + i)).toISOString();
+    return {
+        id: `${platform}_${category}-${i}`,
+        title: `${category} question ${i}`,
+        category,
+        subcategory: null,
+        platform,
+        createdAt,
+        resolvedAt,
+        closesAt: resolvedAt,
+        resolved: true,
+        ...resolutionFields(yes ? 'yes' : 'no', `${platform}.result`, { raw: yes ? 'yes' : 'no' }),
+        ...outcomeFields(),
+        currentProbability: probability,
+        finalProbability: probability,
+        volume: 100 + i,
+        liquidity: 0,
+        traders: 0,
+        ...quoteFields(null, null),
+        priceHistory: [],
+        defaulted: []
+    };
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// The proxy prints its banner once it listens
+function waitForServer() {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Proxy did not start within 20s')), 20000);
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('RUNNING')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.on('exit', code => reject(new Error(`Proxy exited with ${code}`)));
+    });
+}
+
+async function analytics(report, query = '') {
+    const response = await fetch(`${baseUrl}/api/analytics/${report}${query}`);
+    return { status: response.status, body: await response.json() };
+}
+
+test('without filters a report covers every stored market', async () => {
+    const { status, body } = await analytics('calibration');
+    assert.equal(status, 200);
+    assert.equal(body.data.markets, PLATFORMS.length * CATEGORIES.length * PER_GROUP);
+    assert.equal(body.data.report.count, body.data.markets);
+});
+
+test('platform, category and date filters narrow the markets', async () => {
+    const platform = await analytics('calibration', '?platform=kalshi');
+    assert.equal(platform.body.data.markets, CATEGORIES.length * PER_GROUP);
+    assert.equal(platform.body.data.filters.platform, 'kalshi');
+
+    const category = await analytics('tail-bias', '?platform=manifold&category=politics');
+    assert.equal(category.body.data.markets, PER_GROUP);
+
+    // Created 2024-03-01 .. 2024-03-20: the first five days of each group
+    const dates = await analytics('brier-decomposition', '?start=2024-03-01&end=2024-03-05');
+    assert.equal(dates.body.data.markets, PLATFORMS.length * CATEGORIES.length * 5);
+});
+
+test('an unknown platform or a bad date is a 400', async () => {
+    const platform = await analytics('calibration', '?platform=predictit');
+    assert.equal(platform.status, 400);
+    assert.match(platform.body.error, /Unknown platform: predictit/);
+
+    const date = await analytics('calibration', '?start=yesterday-ish');
+    assert.equal(date.status, 400);
+});
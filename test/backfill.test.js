@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from '../server/snapshotStore.js';
+import { backfillPlatform } from '../server/backfill.js';
+import { getAdapter } from '../data/platforms.js';
+
+// The recorded resolved-market search stands in for one backfill page
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const RESOLVED = JSON.parse(fs.readFileSync(
+    path.join(FIXTURES_DIR, 'api.manifold.markets', 'v0-search-markets_0ad4697a0fb5.json'), 'utf8')).body;
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function crawl(t, options) {
+    const dir = tempDir(t);
+    const store = new SnapshotStore(path.join(dir, 'snapshots'));
+    await store.load();
+    return backfillPlatform(getAdapter('manifold'), {
+        store,
+        checkpointDir: path.join(dir, 'backfill'),
+        since: new Date('2000-01-01T00:00:00Z'),
+        delayMs: 0,
+        retryDelayMs: 0,
+        ...options
+    });
+}
+
+test('failed pages are retried with backoff and the crawl goes on', async t => {
+    const responses = [
+        new Response('', { status: 503, statusText: 'Service Unavailable' }),
+        new Response('', { status: 503, statusText: 'Service Unavailable' }),
+        Response.json(RESOLVED)
+    ];
+    const fetch = t.mock.method(globalThis, 'fetch', async () => responses.shift());
+
+    const checkpoint = await crawl(t, { retries: 2 });
+    assert.equal(fetch.mock.callCount(), 3);
+    assert.equal(checkpoint.complete, true);
+    assert.equal(checkpoint.fetched, RESOLVED.length);
+    assert.ok(checkpoint.stored > 0);
+});
+
+test('Retry-After replaces the backoff delay', { timeout: 2000 }, async t => {
+    const responses = [
+        new Response('', { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '0' } }),
+        Response.json(RESOLVED)
+    ];
+    const fetch = t.mock.method(globalThis, 'fetch', async () => responses.shift());
+
+    // Without the header the retry would wait ten seconds
+    const checkpoint = await crawl(t, { retries: 1, retryDelayMs: 10000 });
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.equal(checkpoint.complete, true);
+});
+
+test('a page that keeps failing stops the run once the retries are spent', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 502, statusText: 'Bad Gateway' }));
+
+    await assert.rejects(crawl(t, { retries: 1 }), /HTTP 502/);
+    assert.equal(fetch.mock.callCount(), 2);
+});
+
+test('a client error is not retried', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 404, statusText: 'Not Found' }));
+
+    await assert.rejects(crawl(t, { retries: 3 }), /HTTP 404/);
+    assert.equal(fetch.mock.callCount(), 1);
+});
@@ -0,0 +1,77 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDataset, saveDataset } from '../data/browserCache.js';
+import { initializeData } from '../data/dataManager.js';
+import { listAdapters } from '../data/platforms.js';
+import { MARKET_SCHEMA_VERSION } from '../data/marketSchema.js';
+import { state } from '../state.js';
+
+function market(id, fields = {}) {
+    return { id, platform: 'kalshi', outcomeType: 'binary', currentProbability: 0.4, priceHistory: [], ...fields };
+}
+
+// Read or write the stored dataset directly, as another build would
+function raw(operation) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open('prediction-markets-atlas', 1);
+        open.onsuccess = () => {
+            const tx = open.result.transaction('datasets', 'readwrite');
+            const req = operation(tx.objectStore('datasets'));
+            tx.oncomplete = () => { open.result.close(); resolve(req.result); };
+            tx.onerror = () => reject(tx.error);
+        };
+    });
+}
+
+test('a saved dataset loads back without its order books', async () => {
+    assert.equal(await saveDataset({ markets: [market('kalshi_A', { orderBook: { bids: [], asks: [] } })] }), true);
+
+    const dataset = await loadDataset();
+    assert.equal(dataset.schemaVersion, MARKET_SCHEMA_VERSION);
+    assert.ok(dataset.savedAt instanceof Date);
+    assert.deepEqual(dataset.markets, [market('kalshi_A')]);
+    assert.deepEqual(dataset.quarantine, []);
+});
+
+test('a dataset from another schema version is deleted unread', async () => {
+    const old = { schemaVersion: MARKET_SCHEMA_VERSION - 1, savedAt: new Date().toISOString(), markets: [market('kalshi_OLD')], quarantine: [] };
+    await raw(store => store.put(old, 'latest'));
+    assert.equal(await loadDataset(), null);
+    assert.equal(await raw(store => store.get('latest')), undefined);
+});
+
+test('a cached dataset renders at once and is revalidated in the background', { timeout: 10000 }, async t => {
+    globalThis.document = { getElementById: () => null };
+    t.after(() => delete globalThis.document);
+    t.mock.method(console, 'warn', () => {});
+    await saveDataset({
+        markets: [market('kalshi_CACHED', { currentProbability: 0.4 }), market('predictit_GONE', { platform: 'predictit' })],
+        quarantine: [{ id: 'kalshi_BAD', platform: 'kalshi', reasons: ['no title'] }]
+    });
+
+    let release;
+    const live = new Promise(resolve => { release = resolve; });
+    listAdapters().forEach(adapter => t.mock.method(adapter, 'fetchMarkets', async () => {
+        await live;
+        return { markets: adapter.id === 'kalshi' ? [market('kalshi_CACHED', { currentProbability: 0.6 })] : [], quarantined: [] };
+    }));
+    t.mock.method(globalThis, 'fetch', async url => String(url).includes('/api/snapshots?')
+        ? Response.json({ success: true, data: { markets: [] } })
+        : Response.json({ success: false, error: 'not in this test' }));
+
+    await initializeData();
+    // Markets of platforms that are no longer registered are dropped from the cached set
+    assert.deepEqual(state.markets.map(m => [m.id, m.currentProbability]), [['kalshi_CACHED', 0.4]]);
+    assert.deepEqual(state.quarantine.map(r => r.id), ['kalshi_BAD']);
+    assert.deepEqual([state.cacheStatus.stale, state.cacheStatus.revalidating], [true, true]);
+    const cached = state.markets[0];
+
+    release();
+    while (state.cacheStatus.revalidating) await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(state.cacheStatus.stale, false);
+    assert.equal(state.markets[0], cached);
+    assert.equal(cached.currentProbability, 0.6);
+    // The answering platform replaced its quarantine
+    assert.deepEqual(state.quarantine, []);
+});
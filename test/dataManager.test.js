@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter, listAdapters } from '../data/platforms.js';
+import { loadPriceHistory, loadTrades, refreshData, applyMarketDelta, onMarketChanges } from '../data/dataManager.js';
+import { MARKET_SCHEMA_VERSION } from '../data/marketSchema.js';
+import { state } from '../state.js';
+
+const HISTORY = [
+    { timestamp: '2025-01-01T00:00:00.000Z', price: 0.4, volume: 10 },
+    { timestamp: '2025-01-01T01:00:00.000Z', price: 0.45, volume: 5 }
+];
+
+const TRADES = [
+    { timestamp: '2025-01-01T00:00:00.000Z', price: 0.4, size: 10, side: 'buy' },
+    { timestamp: '2025-01-01T00:01:00.000Z', price: 0.41, size: 5, side: 'sell' }
+];
+
+function kalshiMarket(ticker) {
+    return { id: `kalshi_${ticker}`, platform: 'kalshi', outcomeType: 'binary', priceHistory: [] };
+}
+
+test('a failed history fetch is retried on the next load', async t => {
+    const responses = [[], HISTORY];
+    const fetchHistory = t.mock.method(getAdapter('kalshi'), 'fetchHistory', async () => responses.shift());
+    const market = kalshiMarket('RETRY-25');
+
+    assert.deepEqual(await loadPriceHistory(market), []);
+    assert.deepEqual(await loadPriceHistory(market), HISTORY);
+    assert.equal(fetchHistory.mock.callCount(), 2);
+});
+
+test('a loaded history is fetched once and shared by concurrent loads', async t => {
+    const fetchHistory = t.mock.method(getAdapter('kalshi'), 'fetchHistory', async () => HISTORY);
+    const market = kalshiMarket('ONCE-25');
+
+    await Promise.all([loadPriceHistory(market), loadPriceHistory(market)]);
+    assert.deepEqual(await loadPriceHistory(market), HISTORY);
+    assert.equal(fetchHistory.mock.callCount(), 1);
+});
+
+test('a failed trade fetch is retried on the next load', async t => {
+    const responses = [[], new Error('HTTP 503'), TRADES];
+    const fetchTrades = t.mock.method(getAdapter('kalshi'), 'fetchTrades', async () => {
+        const response = responses.shift();
+        if (response instanceof Error) throw response;
+        return response;
+    });
+    const market = kalshiMarket('TAPE-25');
+
+    assert.deepEqual(await loadTrades(market), []);
+    await assert.rejects(loadTrades(market), /HTTP 503/);
+    assert.deepEqual(await loadTrades(market), TRADES);
+    assert.deepEqual(await loadTrades(market), TRADES);
+    assert.equal(fetchTrades.mock.callCount(), 3);
+});
+
+test('a refresh keeps the stored resolved markets when the store is unreachable', async t => {
+    const live = { ...kalshiMarket('LIVE-25'), currentProbability: 0.4 };
+    const archived = { ...kalshiMarket('ARCHIVED-24'), resolved: true, schemaVersion: MARKET_SCHEMA_VERSION };
+    listAdapters().forEach(adapter => t.mock.method(adapter, 'fetchMarkets', async () => ({
+        markets: adapter.id === 'kalshi' ? [{ ...live }] : [],
+        quarantined: []
+    })));
+    const storeResponses = [Response.json({ success: true, data: { markets: [archived] } }), new Error('Failed to fetch')];
+    t.mock.method(globalThis, 'fetch', async url => {
+        const response = String(url).includes('/api/snapshots?') ? storeResponses.shift() : new Error('offline');
+        if (response instanceof Error) throw response;
+        return response;
+    });
+    // The markets-loaded counter is the only DOM a refresh touches
+    globalThis.document = { getElementById: () => null };
+    t.after(() => delete globalThis.document);
+    state.markets = [];
+
+    const first = await refreshData();
+    assert.deepEqual(first.map(c => [c.type, c.marketId]).sort(),
+        [['added', 'kalshi_ARCHIVED-24'], ['added', 'kalshi_LIVE-25']]);
+
+    const second = await refreshData();
+    assert.deepEqual(second, []);
+    assert.deepEqual(state.markets.map(m => m.id).sort(), ['kalshi_ARCHIVED-24', 'kalshi_LIVE-25']);
+});
+
+test('a pushed delta updates loaded markets in place and adds new ones', t => {
+    globalThis.document = { getElementById: () => null };
+    t.after(() => delete globalThis.document);
+    const loaded = { ...kalshiMarket('DELTA-25'), currentProbability: 0.4, priceHistory: [{ timestamp: '2025-01-01T00:00:00.000Z', price: 0.4, volume: 0 }] };
+    state.markets = [loaded];
+    const heard = [];
+    t.after(onMarketChanges(changes => heard.push(...changes)));
+
+    const changes = applyMarketDelta({
+        seq: 1,
+        at: '2025-01-01T00:05:00.000Z',
+        added: [{ ...kalshiMarket('NEW-25'), currentProbability: 0.2 }],
+        updated: [
+            { id: 'kalshi_DELTA-25', changes: { currentProbability: 0.45, volume: 30 } },
+            { id: 'kalshi_UNKNOWN-25', changes: { currentProbability: 0.9 } }
+        ]
+    });
+
+    assert.deepEqual(changes.map(c => [c.type, c.marketId]), [['added', 'kalshi_NEW-25'], ['price', 'kalshi_DELTA-25']]);
+    assert.deepEqual([changes[1].from, changes[1].to], [0.4, 0.45]);
+    assert.equal(heard.length, 2);
+    assert.equal(state.markets[0], loaded);
+    assert.deepEqual(loaded.priceHistory.at(-1), { timestamp: '2025-01-01T00:05:00.000Z', price: 0.45, volume: 30 });
+    assert.deepEqual(state.markets.map(m => m.id), ['kalshi_DELTA-25', 'kalshi_NEW-25']);
+});
+
+test('a refresh merges by id and publishes price, resolved, added and delisted events', { timeout: 15000 }, async t => {
+    globalThis.document = { getElementById: () => null };
+    t.after(() => delete globalThis.document);
+    t.mock.method(console, 'warn', () => {});
+    const history = [{ timestamp: '2025-01-01T00:00:00.000Z', price: 0.4, volume: 0 }];
+    state.markets = [
+        { ...kalshiMarket('MOVE-25'), currentProbability: 0.4, priceHistory: [...history] },
+        { ...kalshiMarket('SETTLE-25'), currentProbability: 0.9, resolved: false },
+        { ...kalshiMarket('GONE-25'), currentProbability: 0.1 },
+        { ...kalshiMarket('BOOK-25'), currentProbability: 0.5, bestBid: 0.48, bestAsk: 0.52, orderBook: { bids: [], asks: [] } },
+        { id: 'manifold_KEPT', platform: 'manifold', outcomeType: 'binary', currentProbability: 0.3, priceHistory: [] }
+    ];
+    const move = state.markets[0];
+
+    listAdapters().forEach(adapter => t.mock.method(adapter, 'fetchMarkets', async () => {
+        // Manifold fails every retry; its loaded markets stay
+        if (adapter.id === 'manifold') throw new Error('HTTP 503');
+        return {
+            markets: adapter.id !== 'kalshi' ? [] : [
+                { ...kalshiMarket('MOVE-25'), currentProbability: 0.5 },
+                { ...kalshiMarket('SETTLE-25'), currentProbability: 1, resolved: true, outcome: true },
+                // A listing without quotes keeps the quotes of a loaded book
+                { ...kalshiMarket('BOOK-25'), currentProbability: 0.5, bestBid: null, bestAsk: null },
+                { ...kalshiMarket('NEW-25'), currentProbability: 0.2 }
+            ],
+            quarantined: []
+        };
+    }));
+    t.mock.method(globalThis, 'fetch', async url => String(url).includes('/api/snapshots?')
+        ? Response.json({ success: true, data: { markets: [] } })
+        : Response.json({ success: false, error: 'not in this test' }));
+
+    const changes = await refreshData();
+    assert.deepEqual(changes.map(c => [c.type, c.marketId]), [
+        ['price', 'kalshi_MOVE-25'],
+        ['price', 'kalshi_SETTLE-25'],
+        ['resolved', 'kalshi_SETTLE-25'],
+        ['delisted', 'kalshi_GONE-25'],
+        ['added', 'kalshi_NEW-25']
+    ]);
+    assert.equal(changes.find(c => c.type === 'resolved').outcome, true);
+
+    const byId = Object.fromEntries(state.markets.map(m => [m.id, m]));
+    assert.equal(byId['kalshi_MOVE-25'], move);
+    assert.equal(move.priceHistory.length, 2);
+    assert.deepEqual([byId['kalshi_BOOK-25'].bestBid, byId['kalshi_BOOK-25'].bestAsk], [0.48, 0.52]);
+    assert.ok(byId.manifold_KEPT);
+    assert.equal(byId['kalshi_GONE-25'], undefined);
+    assert.equal(state.apiStatus.manifold, 'offline');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQualityReport, STALE_PRICE_MS } from '../data/dataQuality.js';
+
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+
+function market(id, platform, fields = {}) {
+    return {
+        id,
+        platform,
+        title: `Question ${id}`,
+        category: 'economics',
+        outcomeType: 'binary',
+        createdAt: '2025-01-15T00:00:00Z',
+        closesAt: '2025-12-31T00:00:00Z',
+        resolved: false,
+        volume: 100,
+        traders: 5,
+        priceHistory: [{ timestamp: '2025-05-31T00:00:00Z', price: 0.5 }],
+        defaulted: [],
+        ...fields
+    };
+}
+
+const MARKETS = [
+    market('kalshi_A', 'kalshi'),
+    market('kalshi_B', 'kalshi', { defaulted: ['currentProbability', 'createdAt'], createdAt: '2025-03-01T00:00:00Z' }),
+    market('kalshi_C', 'kalshi', { closesAt: '2025-05-01T00:00:00Z', volume: 0, category: 'other' }),
+    market('kalshi_D', 'kalshi', { title: 'question  KALSHI_A!', priceHistory: [{ timestamp: new Date(NOW - STALE_PRICE_MS - 1).toISOString(), price: 0.2 }] }),
+    market('manifold_E', 'manifold', { traders: 0, priceHistory: [] }),
+    // Categorical markets have no YES history to be missing; resolved ones cannot be stale
+    market('manifold_F', 'manifold', { outcomeType: 'categorical', priceHistory: [], resolved: true, closesAt: '2025-01-01T00:00:00Z' })
+];
+
+test('each check is counted per platform', () => {
+    const report = buildQualityReport(MARKETS, { quarantine: [{ platform: 'kalshi' }, { platform: 'polymarket' }], now: NOW });
+    const counts = Object.fromEntries(report.platforms.map(row => [row.platform, row]));
+
+    assert.equal(report.total, 6);
+    assert.deepEqual(report.platforms.map(row => [row.platform, row.total, row.quarantined]),
+        [['kalshi', 4, 1], ['manifold', 2, 0], ['polymarket', 0, 1]]);
+    assert.deepEqual(counts.kalshi.counts, {
+        currentProbability: 1, createdAt: 1, liquidity: 0, traders: 0, priceHistory: 0,
+        closesAt: 0, volume: 1, category: 1, pastClose: 1, stalePrice: 1, duplicates: 2
+    });
+    assert.deepEqual([counts.manifold.counts.traders, counts.manifold.counts.priceHistory, counts.manifold.counts.pastClose], [1, 1, 0]);
+});
+
+test('findings list the affected markets, largest first', () => {
+    const { findings, checks } = buildQualityReport(MARKETS, { now: NOW });
+
+    assert.equal(checks.length, 10);
+    assert.deepEqual(findings[0], {
+        id: 'duplicate:kalshi:kalshi_A',
+        check: 'duplicates',
+        kind: 'duplicate',
+        label: '"Question kalshi_A" listed 2 times',
+        platform: 'kalshi',
+        marketIds: ['kalshi_A', 'kalshi_D'],
+        share: 0.5
+    });
+    const stale = findings.find(f => f.id === 'stalePrice:kalshi');
+    assert.deepEqual([stale.kind, stale.marketIds, stale.share], ['stale', ['kalshi_D'], 0.25]);
+    assert.equal(findings.some(f => f.marketIds.length === 0), false);
+});
+
+test('creation dates are binned by month and platform', () => {
+    const { creationDates } = buildQualityReport(MARKETS, { now: NOW });
+    assert.deepEqual(creationDates.map(({ month, counts, total }) => [month, counts, total]), [
+        ['2025-01', { kalshi: 3, manifold: 2 }, 5],
+        ['2025-03', { kalshi: 1 }, 1]
+    ]);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatasetBuilder } from '../evaluation/datasetBuilder.js';
+import { evaluationRecords } from '../data/analytics.js';
+import { resolutionFields, outcomeFields } from '../data/marketSchema.js';
+
+function resolvedMarket(i, status) {
+    return {
+        id: `kalshi_LABEL-${i}`,
+        platform: 'kalshi',
+        category: 'economics',
+        createdAt: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+        resolved: true,
+        ...resolutionFields(status, 'kalshi.result', { raw: status }),
+        ...outcomeFields(),
+        currentProbability: 0.3,
+        finalProbability: 0.3,
+        volume: 100,
+        liquidity: 0
+    };
+}
+
+test('a resolved NO market is labelled false in the dataset', () => {
+    // Half YES, half NO: the default scenario needs 50 records
+    const markets = Array.from({ length: 60 }, (_, i) => resolvedMarket(i, i % 2 ? 'yes' : 'no'));
+    const builder = createDatasetBuilder('default');
+    const { success, datasetId } = builder.buildDataset(evaluationRecords(markets));
+    assert.equal(success, true);
+
+    const { records } = builder.datasets.get(datasetId);
+    const byId = Object.fromEntries(records.map(r => [r.eventId, r]));
+    assert.equal(byId['kalshi_LABEL-0'].resolved, true);
+    assert.equal(byId['kalshi_LABEL-0'].outcome, false);
+    assert.equal(byId['kalshi_LABEL-1'].outcome, true);
+
+    const { outcomes } = builder.extractFeatures(datasetId);
+    assert.equal(outcomes.filter(o => o === 0).length, 30);
+    assert.equal(outcomes.filter(o => o === 1).length, 30);
+});
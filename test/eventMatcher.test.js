@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractNumbers, findMatches, groupMatches, pairKey, scorePair, tokenize } from '../data/eventMatcher.js';
+
+function market(platform, id, title, fields = {}) {
+    return { id: `${platform}_${id}`, platform, title, category: 'crypto', closesAt: '2025-12-31T00:00:00Z', ...fields };
+}
+
+test('titles are reduced to informative words, thresholds and years', () => {
+    assert.deepEqual(tokenize("Will Bitcoin's price close above $100k?"), ['bitcoin', 'price', 'close', 'above']);
+    assert.deepEqual(extractNumbers('Will BTC close above $100k in 2025?'), { thresholds: [100000], years: [2025] });
+    assert.deepEqual(extractNumbers('Fed cuts 25 bps, unemployment over 4.5%'), { thresholds: [25, 4.5], years: [] });
+    assert.equal(pairKey('kalshi_B', 'polymarket_A'), pairKey('polymarket_A', 'kalshi_B'));
+});
+
+test('the same event on two platforms is matched; a different threshold is not', () => {
+    const kalshi = market('kalshi', 'BTC-100K', 'Will Bitcoin close above $100k by end of 2025?');
+    const polymarket = market('polymarket', '0xabc', 'Bitcoin above $100k at year end 2025?', { closesAt: '2025-12-30T00:00:00Z' });
+    const other = market('polymarket', '0xdef', 'Bitcoin above $150k at year end 2025?');
+
+    const { score, components } = scorePair(kalshi, polymarket);
+    assert.ok(score >= 0.6, `score ${score}`);
+    assert.equal(components.numbers, 1);
+    assert.equal(scorePair(kalshi, other).score, 0);
+
+    const matches = findMatches([kalshi, polymarket, other]);
+    assert.deepEqual(matches.map(m => [m.key, m.source]), [[pairKey(kalshi.id, polymarket.id), 'auto']]);
+});
+
+test('markets of one platform are never paired with each other', () => {
+    const a = market('kalshi', 'A', 'Will Bitcoin close above $100k in 2025?');
+    const b = market('kalshi', 'B', 'Will Bitcoin close above $100k in 2025?');
+    assert.deepEqual(findMatches([a, b]), []);
+});
+
+test('a rejection removes a pair and a confirmation adds one, one per platform', () => {
+    const kalshi = market('kalshi', 'BTC-100K', 'Will Bitcoin close above $100k by end of 2025?');
+    const polymarket = market('polymarket', '0xabc', 'Bitcoin above $100k at year end 2025?');
+    const unrelated = market('polymarket', '0x123', 'Ethereum ETF approved?');
+    const markets = [kalshi, polymarket, unrelated];
+
+    const rejected = findMatches(markets, { overrides: { [pairKey(kalshi.id, polymarket.id)]: 'rejected' } });
+    assert.deepEqual(rejected, []);
+
+    // A confirmed pair wins over the automatic match, which would give kalshi two polymarket partners
+    const confirmed = findMatches(markets, { overrides: { [pairKey(kalshi.id, unrelated.id)]: 'confirmed' } });
+    assert.equal(confirmed.length, 1);
+    assert.deepEqual([confirmed[0].key, confirmed[0].source, confirmed[0].score], [pairKey(kalshi.id, unrelated.id), 'manual', 1]);
+
+    // A confirmation naming a market that is not loaded is ignored
+    assert.equal(findMatches([kalshi], { overrides: { [pairKey(kalshi.id, 'manifold_gone')]: 'confirmed' } }).length, 0);
+});
+
+test('pairwise matches are grouped into events', () => {
+    const [a, b, c, d] = ['kalshi_A', 'polymarket_B', 'metaculus_C', 'manifold_D'].map(id => ({ id }));
+    const groups = groupMatches([{ a, b }, { a: b, b: c }, { a: d, b: { id: 'kalshi_E' } }]);
+    assert.deepEqual(groups.map(group => group.map(m => m.id).sort()).sort(),
+        [['kalshi_A', 'metaculus_C', 'polymarket_B'], ['kalshi_E', 'manifold_D']]);
+});
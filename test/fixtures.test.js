@@ -0,0 +1,56 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fixturePath, resolveProxyMode } from '../server/fixtures.js';
+import { configureFixtures, fetchJson } from '../server/upstream.js';
+
+afterEach(() => configureFixtures({ mode: 'live', fixturesDir: null }));
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Recording is written after the body is returned
+async function waitForFile(file) {
+    for (let i = 0; i < 100 && !fs.existsSync(file); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('query strings get their own fixture file', () => {
+    const first = fixturePath('/fx', 'https://api.example.com/v2/markets?cursor=a');
+    const second = fixturePath('/fx', 'https://api.example.com/v2/markets?cursor=b');
+    assert.notEqual(first, second);
+    assert.match(first, /^\/fx\/api\.example\.com\/v2-markets_[0-9a-f]{12}\.json$/);
+    assert.match(fixturePath('/fx', 'https://api.example.com/'), /\/root_[0-9a-f]{12}\.json$/);
+});
+
+test('a recorded response replays without touching the network', async t => {
+    const dir = tempDir(t);
+    const url = 'https://api.example.com/v2/markets?status=open';
+    const body = { markets: [{ ticker: 'A' }], cursor: 'next' };
+    const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json(body));
+
+    configureFixtures({ mode: 'record', fixturesDir: dir });
+    assert.deepEqual(await fetchJson(url), body);
+    await waitForFile(fixturePath(dir, url));
+    const saved = JSON.parse(fs.readFileSync(fixturePath(dir, url), 'utf8'));
+    assert.deepEqual([saved.url, saved.body], [url, body]);
+
+    configureFixtures({ mode: 'replay', fixturesDir: dir });
+    assert.deepEqual(await fetchJson(url), body);
+    assert.equal(fetch.mock.callCount(), 1);
+    await assert.rejects(fetchJson(`${url}&page=2`), /No fixture recorded for https:\/\/api\.example\.com/);
+});
+
+test('flags beat environment variables when choosing the mode', () => {
+    assert.deepEqual(resolveProxyMode([], {}, 'fixtures'), { mode: 'live', fixturesDir: path.resolve('fixtures') });
+    assert.deepEqual(resolveProxyMode(['--replay', '--fixtures=/tmp/fx'], { PROXY_MODE: 'record', FIXTURES_DIR: '/srv/fx' }, 'fixtures'),
+        { mode: 'replay', fixturesDir: '/tmp/fx' });
+    assert.equal(resolveProxyMode([], { PROXY_MODE: 'record' }, 'fixtures').mode, 'record');
+    assert.throws(() => resolveProxyMode([], { PROXY_MODE: 'mock' }, 'fixtures'), /Unknown proxy mode: mock/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter } from '../data/platforms.js';
+
+function kalshiMarket(ticker, fields) {
+    return {
+        ticker,
+        event_ticker: ticker.split('-')[0],
+        title: `Market ${ticker}`,
+        open_time: '2024-01-01T00:00:00Z',
+        close_time: '2024-06-01T00:00:00Z',
+        last_price: 40,
+        volume: 1200,
+        open_interest: 300,
+        ...fields
+    };
+}
+
+function transform(markets) {
+    return getAdapter('kalshi').transform({ markets, events: [] });
+}
+
+test('settled markets resolve from the settlement value, else the result', () => {
+    const { markets, quarantined } = transform([
+        kalshiMarket('YES-24', { status: 'settled', result: 'yes', last_price: 99 }),
+        kalshiMarket('SCALAR-24', { status: 'settled', result: 'yes', settlement_value: 35 }),
+        kalshiMarket('VOID-24', { status: 'settled', result: 'void' })
+    ]);
+    assert.equal(quarantined.length, 0);
+
+    const byId = Object.fromEntries(markets.map(m => [m.id, m]));
+    assert.equal(byId['kalshi_YES-24'].outcome, 1);
+    assert.equal(byId['kalshi_SCALAR-24'].resolution.status, 'partial');
+    assert.equal(byId['kalshi_SCALAR-24'].outcome, 0.35);
+    assert.equal(byId['kalshi_VOID-24'].resolution.status, 'void');
+});
+
+test('a closed market without a usable outcome stays unresolved instead of quarantined', () => {
+    const { markets, quarantined } = transform([
+        kalshiMarket('ALLNO-24', { status: 'finalized', result: 'all_no' }),
+        kalshiMarket('PENDING-24', { status: 'closed', result: '' })
+    ]);
+    assert.equal(quarantined.length, 0);
+    markets.forEach(m => {
+        assert.equal(m.resolved, false);
+        assert.equal(m.resolution, null);
+        assert.equal(m.resolvedAt, null);
+    });
+});
@@ -0,0 +1,68 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureFixtures } from '../server/upstream.js';
+import { PLATFORM_UPSTREAMS } from '../server/platforms.js';
+import { getAdapter } from '../data/platforms.js';
+
+// Recorded Manifold responses: the three market searches and the bets of rSv8Lt1
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const upstream = PLATFORM_UPSTREAMS.manifold;
+
+before(() => configureFixtures({ mode: 'replay', fixturesDir: FIXTURES_DIR }));
+
+async function replayMarkets() {
+    return getAdapter('manifold').transform(await upstream.fetchMarkets({}));
+}
+
+test('the market searches replay and transform without quarantine', async () => {
+    const raw = await upstream.fetchMarkets({});
+    assert.equal(raw.count, 7);
+    assert.equal(raw.complete, true);
+
+    const { markets, quarantined } = getAdapter('manifold').transform(raw);
+    assert.equal(quarantined.length, 0, JSON.stringify(quarantined.map(q => q.reasons)));
+    assert.equal(markets.length, 7);
+});
+
+test('open and closed markets are unresolved and priced', async () => {
+    const { markets } = await replayMarkets();
+    const byId = Object.fromEntries(markets.map(m => [m.id, m]));
+
+    assert.equal(byId.manifold_kYp3Qm2.resolved, false);
+    assert.equal(byId.manifold_kYp3Qm2.currentProbability, 0.57);
+    assert.equal(byId.manifold_kYp3Qm3.resolved, false);
+    assert.equal(byId.manifold_kYp3Qm3.finalProbability, null);
+});
+
+test('YES, NO, MKT and CANCEL resolutions map to the schema statuses', async () => {
+    const { markets } = await replayMarkets();
+    const byId = Object.fromEntries(markets.map(m => [m.id, m]));
+
+    assert.deepEqual(byId.manifold_rSv8Lt1.resolution, { status: 'yes', source: 'manifold.resolution', raw: 'YES' });
+    assert.equal(byId.manifold_rSv8Lt1.outcome, 1);
+    assert.equal(byId.manifold_rSv8Lt2.outcome, 0);
+    assert.equal(byId.manifold_rSv8Lt3.resolution.status, 'partial');
+    assert.equal(byId.manifold_rSv8Lt3.outcome, 0.34);
+    assert.equal(byId.manifold_rSv8Lt4.resolution.status, 'void');
+    assert.equal(byId.manifold_rSv8Lt4.outcome, null);
+});
+
+test('the bets replay as a trade tape without redemptions', async () => {
+    const trades = await upstream.fetchTrades('rSv8Lt1', {});
+    assert.equal(trades.length, 6);
+    assert.deepEqual(trades.map(t => t.timestamp), [...trades.map(t => t.timestamp)].sort());
+
+    // A NO bet is mirrored onto the YES side
+    const noBet = trades.find(t => t.account === 'u_ukpol');
+    assert.equal(noBet.side, 'sell');
+    assert.ok(Math.abs(noBet.price - (1 - 50 / 92.1)) < 1e-9);
+});
+
+test('the bets replay as an hourly probability history', async () => {
+    const history = await upstream.fetchHistory('rSv8Lt1', '1h', {});
+    assert.equal(history.length, 6);
+    assert.equal(history[0].price, 0.55);
+    assert.equal(history[history.length - 1].price, 0.97);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../data/platforms.js';
+import {
+    validateMarket,
+    validateMarkets,
+    resolutionFields,
+    outcomeFields,
+    MARKET_SCHEMA_VERSION
+} from '../data/marketSchema.js';
+import { quoteFields } from '../data/orderBook.js';
+
+const NOW = Date.parse('2025-01-01T00:00:00.000Z');
+
+function binaryMarket(overrides = {}) {
+    return {
+        id: 'kalshi_RAIN-24',
+        title: 'Will it rain in NYC on Feb 1?',
+        category: 'weather',
+        subcategory: null,
+        platform: 'kalshi',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        resolvedAt: '2024-02-01T00:00:00.000Z',
+        closesAt: '2024-02-01T00:00:00.000Z',
+        resolved: true,
+        ...resolutionFields('yes', 'kalshi.result', { raw: 'yes' }),
+        ...outcomeFields(),
+        currentProbability: 0.9,
+        finalProbability: 0.9,
+        volume: 100,
+        liquidity: 0,
+        traders: 0,
+        ...quoteFields(null, null),
+        priceHistory: [],
+        defaulted: [],
+        ...overrides
+    };
+}
+
+function reasonsOf(market) {
+    return validateMarket(market, NOW).reasons;
+}
+
+test('a well-formed resolved binary market is valid', () => {
+    assert.deepEqual(validateMarket(binaryMarket(), NOW), { valid: true, reasons: [] });
+});
+
+test('validateMarkets stamps valid markets and quarantines the rest with their reasons', () => {
+    const { markets, quarantined } = validateMarkets('kalshi', [
+        binaryMarket(),
+        binaryMarket({ id: 'kalshi_BAD', volume: -1 })
+    ], [{ record: { ticker: 'X' }, error: 'Market missing ticker' }]);
+
+    assert.equal(markets.length, 1);
+    assert.equal(markets[0].schemaVersion, MARKET_SCHEMA_VERSION);
+    assert.equal(quarantined.length, 2);
+    assert.deepEqual(quarantined[0].reasons, ['Invalid volume: -1']);
+});
+
+test('type checks reject unknown platforms and unknown defaulted fields', () => {
+    assert.deepEqual(reasonsOf(binaryMarket({ platform: 'predictit' })), ['Invalid platform: "predictit"']);
+    assert.deepEqual(reasonsOf(binaryMarket({ defaulted: ['openTime'] })), ['Invalid defaulted: ["openTime"]']);
+});
+
+test('resolution and resolved flag must agree', () => {
+    assert.ok(reasonsOf(binaryMarket({ resolution: null, outcome: null })).includes('Resolved market has no resolution'));
+    assert.ok(reasonsOf(binaryMarket({ resolved: false, resolvedAt: null })).includes('Unresolved market has a resolution'));
+});
+
+test('a binary outcome must match its resolution status', () => {
+    assert.ok(reasonsOf(binaryMarket({ outcome: 0 })).length > 0);
+    const partial = binaryMarket(resolutionFields('partial', 'manifold.resolution', { raw: 'MKT', payout: 0.4 }));
+    assert.deepEqual(reasonsOf(partial), []);
+});
+
+test('void markets carry no outcome', () => {
+    const voided = binaryMarket({ ...resolutionFields('void', 'kalshi.result', { raw: 'void' }), finalProbability: null });
+    assert.deepEqual(reasonsOf(voided), []);
+    assert.ok(reasonsOf({ ...voided, outcome: 1 }).includes('Market has an outcome without a scorable resolution'));
+});
+
+test('categorical markets need one price per outcome', () => {
+    const categorical = binaryMarket({
+        ...resolutionFields('final', 'polymarket.tokens.winner', { raw: 'Lakers' }),
+        ...outcomeFields(['Lakers', 'Celtics', 'Nuggets'], [0.5, 0.3, 0.2], 0)
+    });
+    assert.deepEqual(reasonsOf(categorical), []);
+    assert.ok(reasonsOf({ ...categorical, outcomePrices: [0.5, 0.5] }).includes('Categorical market needs one price per outcome'));
+});
+
+test('dates must be ordered and not in the future', () => {
+    assert.ok(reasonsOf(binaryMarket({ createdAt: '2025-06-01T00:00:00.000Z', resolvedAt: null }))
+        .includes('createdAt is in the future'));
+    assert.ok(reasonsOf(binaryMarket({ createdAt: '2024-03-01T00:00:00.000Z' }))
+        .includes('resolvedAt is before createdAt'));
+});
+
+test('a defaulted createdAt is not held against resolvedAt', () => {
+    // The Polymarket CLOB has no creation date: createdAt falls back to the load time
+    const loaded = binaryMarket({ createdAt: '2024-12-31T00:00:00.000Z', defaulted: ['createdAt'] });
+    assert.deepEqual(reasonsOf(loaded), []);
+});
+
+test('quotes and price history must be consistent probabilities', () => {
+    assert.ok(reasonsOf(binaryMarket(quoteFields(0.6, 0.5))).includes('Best bid is above best ask'));
+    assert.ok(reasonsOf(binaryMarket({ priceHistory: [{ timestamp: '2024-01-02T00:00:00.000Z', price: 1.2, volume: 0 }] }))
+        .includes('priceHistory contains a probability outside [0, 1]'));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchKalshiMarkets } from '../server/markets.js';
+import { loadConfig } from '../server/config.js';
+
+// Every Kalshi page answers after `delayMs` with a further cursor, or aborts with the request
+function slowPages(t, delayMs) {
+    let page = 0;
+    return t.mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            page++;
+            resolve(Response.json(url.includes('/events?')
+                ? { events: [], cursor: `e${page}` }
+                : { markets: [{ ticker: `M-${page}` }], cursor: `c${page}` }));
+        }, delayMs);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('aborted'));
+        });
+    }));
+}
+
+test('a Kalshi walk stops at its deadline across statuses and events', { timeout: 5000 }, async t => {
+    const fetch = slowPages(t, 40);
+    const started = Date.now();
+
+    const result = await fetchKalshiMarkets({ maxPages: 50, deadline: started + 200 });
+    assert.ok(Date.now() - started < 400, `walk took ${Date.now() - started}ms`);
+    assert.equal(result.complete, false);
+    assert.ok(result.pages >= 1 && result.pages <= 5);
+    assert.equal(result.markets.length, result.pages);
+    // The events walk starts after the budget is spent and finds nothing
+    assert.deepEqual(result.events, []);
+    assert.ok(fetch.mock.callCount() <= 6);
+});
+
+test('a page still in flight at the deadline is aborted', { timeout: 5000 }, async t => {
+    slowPages(t, 10000);
+    const started = Date.now();
+
+    // The first page cannot finish: the walk fails instead of waiting out the upstream timeout
+    await assert.rejects(fetchKalshiMarkets({ statuses: ['open'], deadline: started + 100 }), /aborted/);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('the walk budget must be below the browser timeout for market lists', () => {
+    const file = '/nonexistent/app.json';
+    assert.equal(loadConfig({ file, env: {} }).upstream.walkBudgetMs, 45000);
+    assert.throws(() => loadConfig({ file, env: { UPSTREAM_WALK_BUDGET_MS: '60000' } }),
+        /upstream\.walkBudgetMs: 60000 must be below client\.timeouts\.markets \(60000\)/);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MatchOverrideStore } from '../server/matchOverrides.js';
+import { pairKey } from '../data/eventMatcher.js';
+
+function tempStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new MatchOverrideStore(path.join(dir, 'matches', 'overrides.json'));
+}
+
+test('decisions are saved, reloaded and removed by unordered pair', async t => {
+    const store = tempStore(t);
+    assert.deepEqual(store.load(), {});
+
+    const key = await store.set('polymarket_0xabc', 'kalshi_BTC', 'confirmed');
+    assert.equal(key, pairKey('kalshi_BTC', 'polymarket_0xabc'));
+    await store.set('kalshi_BTC', 'manifold_x', 'rejected');
+    await store.set('kalshi_BTC', 'manifold_x', 'confirmed');
+
+    const reloaded = new MatchOverrideStore(store.file);
+    reloaded.load();
+    assert.deepEqual(reloaded.getDecisions(), {
+        [key]: 'confirmed',
+        [pairKey('kalshi_BTC', 'manifold_x')]: 'confirmed'
+    });
+    assert.ok(!fs.existsSync(`${store.file}.tmp`));
+
+    assert.equal(await reloaded.remove('kalshi_BTC', 'polymarket_0xabc'), true);
+    assert.equal(await reloaded.remove('kalshi_BTC', 'polymarket_0xabc'), false);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(store.file, 'utf8'))), [pairKey('kalshi_BTC', 'manifold_x')]);
+});
+
+test('invalid pairs and decisions are refused without writing', async t => {
+    const store = tempStore(t);
+    store.load();
+
+    await assert.rejects(store.set('kalshi_A', 'kalshi_A', 'confirmed'), /Two different market ids/);
+    await assert.rejects(store.set('kalshi_A', '', 'confirmed'), /Two different market ids/);
+    await assert.rejects(store.set('kalshi_A', 'manifold_B', 'maybe'), /Invalid decision: maybe/);
+    assert.ok(!fs.existsSync(store.file));
+});
+
+test('an unreadable overrides file starts empty', t => {
+    const store = tempStore(t);
+    fs.mkdirSync(path.dirname(store.file), { recursive: true });
+    fs.writeFileSync(store.file, '{ not json');
+    assert.deepEqual(store.load(), {});
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter } from '../data/platforms.js';
+import { cdfAt } from '../data/distribution.js';
+import { normalizeCommunityHistory } from '../data/metaculusAPI.js';
+import { fetchMetaculusHistory } from '../server/history.js';
+
+const RESOLVED = {
+    created_time: '2024-01-01T00:00:00Z',
+    actual_resolve_time: '2024-06-01T00:00:00Z',
+    number_of_predictions: 40
+};
+
+// api2: numeric and date questions are `continuous`, with a density over 201 locations
+function api2Question(id, possibilities, full, resolution) {
+    return {
+        id,
+        title: `Question ${id}`,
+        ...RESOLVED,
+        possibilities: { type: 'continuous', ...possibilities },
+        community_prediction: { full: { q1: 0.3, q2: 0.5, q3: 0.7, ...full } },
+        resolution
+    };
+}
+
+function transform(results) {
+    const { markets, quarantined } = getAdapter('metaculus').transform({ results });
+    assert.equal(quarantined.length, 0, JSON.stringify(quarantined.map(q => q.reasons ?? q.error)));
+    return Object.fromEntries(markets.map(m => [m.id, m]));
+}
+
+test('api2 numeric questions become numeric distributions with their tails', () => {
+    const byId = transform([api2Question(101,
+        { format: 'num', low: 'tail', high: 'max', scale: { min: 0, max: 100, deriv_ratio: 1 } },
+        { y: Array(201).fill(1), low: 0.1, high: 0 },
+        40
+    )]);
+    const market = byId.metaculus_101;
+
+    assert.equal(market.outcomeType, 'continuous');
+    assert.equal(market.resolution.status, 'final');
+    assert.equal(market.resolvedValue, 40);
+    const { distribution } = market;
+    assert.equal(distribution.kind, 'numeric');
+    assert.deepEqual([distribution.lower, distribution.upper, distribution.zeroPoint], [0, 100, null]);
+    assert.deepEqual([distribution.openLower, distribution.openUpper], [true, false]);
+    assert.equal(distribution.cdf.length, 201);
+    assert.ok(Math.abs(distribution.cdf[0] - 0.1) < 1e-12);
+    assert.ok(Math.abs(distribution.cdf[200] - 1) < 1e-12);
+    assert.ok(Math.abs(cdfAt(distribution, 50) - 0.55) < 1e-12);
+});
+
+test('api2 date questions take date bounds and a log scale from deriv_ratio', () => {
+    const byId = transform([
+        api2Question(102,
+            { format: 'date', low: 'min', high: 'tail', scale: { min: '2024-01-01', max: '2025-01-01', deriv_ratio: 1 } },
+            { y: [1, 1, 1], low: 0, high: 0.2 },
+            null
+        ),
+        api2Question(103,
+            { format: 'num', low: 'min', high: 'max', scale: { min: 1, max: 100, deriv_ratio: 100 } },
+            { y: [1, 1, 1] },
+            null
+        )
+    ]);
+
+    const date = byId.metaculus_102;
+    assert.equal(date.resolved, false);
+    assert.equal(date.distribution.kind, 'date');
+    assert.equal(date.distribution.lower, Date.parse('2024-01-01') / 1000);
+    assert.equal(date.distribution.upper, Date.parse('2025-01-01') / 1000);
+    assert.deepEqual(date.distribution.cdf.map(p => Math.round(p * 100) / 100), [0, 0.4, 0.8]);
+
+    // (upper - zero) / (lower - zero) = 100 puts the zero point at 0
+    assert.equal(byId.metaculus_103.distribution.zeroPoint, 0);
+});
+
+test('posts API questions read the CDF and scaling of their question', () => {
+    const byId = transform([{
+        id: 104,
+        title: 'Question 104',
+        ...RESOLVED,
+        question: {
+            type: 'numeric',
+            scaling: { range_min: 0, range_max: 10, zero_point: null },
+            open_lower_bound: false,
+            open_upper_bound: true,
+            aggregations: { recency_weighted: { latest: { forecast_values: [0, 0.5, 0.9] } } },
+            resolution: 'above_upper_bound'
+        }
+    }]);
+    const market = byId.metaculus_104;
+
+    assert.equal(market.distribution.kind, 'numeric');
+    assert.deepEqual(market.distribution.cdf, [0, 0.5, 0.9]);
+    assert.equal(market.distribution.openUpper, true);
+    // Resolutions past an open bound are placed on it
+    assert.equal(market.resolvedValue, 10);
+});
+
+test('api2 continuous questions without a known format are left out', () => {
+    const { markets, quarantined } = getAdapter('metaculus').transform({ results: [
+        api2Question(105, { format: 'other', scale: { min: 0, max: 1 } }, { y: [1, 1] }, null)
+    ] });
+    assert.equal(markets.length + quarantined.length, 0);
+});
+
+test('community history is read from each payload shape Metaculus has served', () => {
+    const expected = [
+        { timestamp: '2024-01-01T00:00:00.000Z', price: 0.3, volume: 10, forecasters: 8 },
+        { timestamp: '2024-01-02T00:00:00.000Z', price: 0.4, volume: 12, forecasters: 9 }
+    ];
+    const [t1, t2] = [Date.parse('2024-01-01') / 1000, Date.parse('2024-01-02') / 1000];
+
+    // api2, newest first, with an out-of-range point that is dropped
+    assert.deepEqual(normalizeCommunityHistory({ community_prediction: { history: [
+        { t: t2, x1: { q2: 0.4 }, np: 12, nu: 9 },
+        { t: t1, x1: { q2: 0.3 }, np: 10, nu: 8 },
+        { t: t1, x1: { q2: 1.5 }, np: 1, nu: 1 }
+    ] } }), expected);
+
+    assert.deepEqual(normalizeCommunityHistory({ prediction_timeseries: [
+        { t: t1, community_prediction: 0.3, num_predictions: 10, num_predictors: 8 },
+        { t: t2, community_prediction: { q2: 0.4 }, num_predictions: 12, num_predictors: 9 }
+    ] }), expected);
+
+    // Posts API: ISO start times, nested under the post's question
+    assert.deepEqual(normalizeCommunityHistory({ question: { aggregations: { recency_weighted: { history: [
+        { start_time: '2024-01-01T00:00:00Z', centers: [0.3], forecaster_count: 8 },
+        { start_time: '2024-01-02T00:00:00Z', centers: 0.4, forecaster_count: 9 }
+    ] } } } }), expected.map(p => ({ ...p, volume: p.forecasters })));
+
+    assert.deepEqual(normalizeCommunityHistory(null), []);
+    assert.deepEqual(normalizeCommunityHistory({ community_prediction: {} }), []);
+});
+
+test('the proxy falls back to the posts API when api2 has no history', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async url => String(url).includes('/api2/')
+        ? Response.json({ id: 7, community_prediction: { history: [] } })
+        : Response.json({ question: { aggregations: { recency_weighted: { history: [
+            { start_time: '2024-01-01T00:00:00Z', centers: [0.6], forecaster_count: 3 }
+        ] } } } }));
+
+    assert.deepEqual(await fetchMetaculusHistory('7'),
+        [{ timestamp: '2024-01-01T00:00:00.000Z', price: 0.6, volume: 3, forecasters: 3 }]);
+    assert.deepEqual(fetch.mock.calls.map(call => new URL(call.arguments[0]).pathname), ['/api2/questions/7/', '/api/posts/7/']);
+
+    fetch.mock.mockImplementation(async () => new Response('', { status: 404, statusText: 'Not Found' }));
+    await assert.rejects(fetchMetaculusHistory('8'), /HTTP 404/);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UpstreamMetrics } from '../server/metrics.js';
+
+// Prometheus sample lines of one metric, as { labels: value }
+function samples(text, name) {
+    return Object.fromEntries(text.split('\n')
+        .filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `))
+        .map(line => {
+            const at = line.lastIndexOf(' ');
+            return [line.slice(name.length, at), line.slice(at + 1)];
+        }));
+}
+
+test('platforms are reported as unknown before their first fetch', () => {
+    const metrics = new UpstreamMetrics(['kalshi', 'manifold']);
+    const health = metrics.health();
+    assert.deepEqual(Object.keys(health), ['kalshi', 'manifold']);
+    assert.equal(health.kalshi.status, 'unknown');
+    assert.deepEqual(health.kalshi.routes, {});
+});
+
+test('market list fetches set the status; per-market routes only count', async () => {
+    const metrics = new UpstreamMetrics(['kalshi']);
+
+    await metrics.track('kalshi', 'markets', async () => ({ markets: [] }));
+    assert.equal(metrics.health().kalshi.status, 'ok');
+
+    await metrics.track('kalshi', 'markets', async () => ({ markets: [], fallback: 'Events unavailable: HTTP 503' }));
+    let health = metrics.health().kalshi;
+    assert.deepEqual([health.status, health.reason], ['degraded', 'Events unavailable: HTTP 503']);
+    assert.deepEqual([health.sources.live, health.sources.fallback], [1, 1]);
+
+    await assert.rejects(metrics.track('kalshi', 'history', async () => { throw new Error('HTTP 404'); }), /HTTP 404/);
+    health = metrics.health().kalshi;
+    assert.equal(health.status, 'degraded');
+    assert.deepEqual([health.lastError.route, health.lastError.message], ['history', 'HTTP 404']);
+    assert.deepEqual([health.routes.history.requests, health.routes.history.errors], [1, 1]);
+
+    await assert.rejects(metrics.track('kalshi', 'stream', async () => { throw new Error('timeout'); }));
+    assert.deepEqual([metrics.health().kalshi.status, metrics.health().kalshi.reason], ['down', 'timeout']);
+});
+
+test('a stale cached list marks the platform degraded', async () => {
+    const metrics = new UpstreamMetrics(['manifold']);
+    await assert.rejects(metrics.track('manifold', 'markets', async () => { throw new Error('HTTP 502'); }));
+
+    metrics.recordCacheResponse('manifold', 'markets', 'HIT');
+    metrics.recordCacheResponse('manifold', 'markets', 'STALE');
+    const health = metrics.health().manifold;
+    assert.deepEqual([health.status, health.reason], ['degraded', 'Serving cached data: HTTP 502']);
+    assert.deepEqual([health.sources.cache, health.sources.stale], [1, 1]);
+});
+
+test('prometheus output has typed metrics with escaped labels', async () => {
+    const metrics = new UpstreamMetrics(['kalshi']);
+    await metrics.track('kalshi', 'markets', async () => ({ markets: [] }));
+    await assert.rejects(metrics.track('kalshi', 'markets', async () => { throw new Error('down'); }));
+    metrics.recordCount('kalshi', 'markets', 120, 3);
+    metrics.recordCount('we"ird', 'markets', 1);
+
+    const text = metrics.prometheus({ entries: 2, hit: 5, miss: 1, coalesced: 0, stale: 0 });
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /^# HELP upstream_status .+\n# TYPE upstream_status gauge$/m);
+    assert.match(text, /^# TYPE upstream_latency_seconds summary$/m);
+
+    assert.equal(samples(text, 'upstream_status')['{platform="kalshi",status="down"}'], '1');
+    assert.equal(samples(text, 'upstream_status')['{platform="kalshi",status="ok"}'], '0');
+    const requests = samples(text, 'upstream_requests_total');
+    assert.equal(requests['{platform="kalshi",route="markets",result="success"}'], '1');
+    assert.equal(requests['{platform="kalshi",route="markets",result="error"}'], '1');
+    assert.equal(samples(text, 'upstream_latency_seconds_count')['{platform="kalshi",route="markets"}'], '2');
+    assert.equal(samples(text, 'upstream_records')['{platform="kalshi",route="markets"}'], '120');
+    assert.equal(samples(text, 'upstream_records_quarantined')['{platform="kalshi",route="markets"}'], '3');
+    assert.equal(samples(text, 'upstream_records')['{platform="we\\"ird",route="markets"}'], '1');
+    assert.equal(samples(text, 'proxy_cache_entries')[''], '2');
+    assert.equal(samples(text, 'proxy_cache_responses_total')['{state="hit"}'], '5');
+});
+
+test('latency quantiles are nearest-rank over the recent samples', async t => {
+    const metrics = new UpstreamMetrics(['kalshi']);
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    for (let ms = 1; ms <= 10; ms++) {
+        await metrics.track('kalshi', 'history', async () => { now += ms; return []; });
+    }
+    assert.deepEqual(metrics.health().kalshi.routes.history.latencyMs, { p50: 5, p90: 9, p99: 10 });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBook, quoteFields, describeBook, executablePrice, bookLambda } from '../data/orderBook.js';
+import { fetchKalshiBook, fetchPolymarketBook } from '../server/orderbook.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} !== ${expected}`);
+
+const BOOK = normalizeBook({
+    bids: [{ price: '0.40', size: '100' }, { price: 0.44, size: 50 }, { price: 0.3, size: 500 }],
+    asks: [{ price: 0.5, size: 80 }, { price: 0.46, size: 20 }, { price: 1.2, size: 5 }, { price: 0.47, size: 0 }],
+    timestamp: '2025-01-01T00:00:00.000Z'
+});
+
+test('levels are cleaned and sorted best first', () => {
+    assert.deepEqual(BOOK.bids.map(l => l.price), [0.44, 0.4, 0.3]);
+    // Out-of-range prices and empty levels are dropped
+    assert.deepEqual(BOOK.asks, [{ price: 0.46, size: 20 }, { price: 0.5, size: 80 }]);
+});
+
+test('quote fields need both sides for a mid and spread', () => {
+    const quote = quoteFields(0.4, 0.46);
+    assert.deepEqual([quote.bestBid, quote.bestAsk, quote.depth], [0.4, 0.46, null]);
+    close(quote.mid, 0.43);
+    close(quote.spread, 0.06);
+    assert.deepEqual(quoteFields(0.4, undefined), { bestBid: 0.4, bestAsk: null, mid: null, spread: null, depth: null });
+    assert.equal(quoteFields(0.5, 0.45).spread, 0);
+});
+
+test('depth counts contracts within each band of the mid', () => {
+    const { bestBid, bestAsk, mid, depth } = describeBook(BOOK);
+    assert.deepEqual([bestBid, bestAsk], [0.44, 0.46]);
+    close(mid, 0.45);
+    assert.deepEqual(depth, { 1: 70, 5: 250, 10: 250 });
+
+    // A one-sided book measures from its only quote; an empty one has no depth
+    assert.deepEqual(describeBook(normalizeBook({ bids: [{ price: 0.2, size: 10 }] })).depth, { 1: 10, 5: 10, 10: 10 });
+    assert.equal(describeBook(normalizeBook({})).depth, null);
+});
+
+test('orders walk the book and thin books cannot fill', () => {
+    close(executablePrice(BOOK, 'buy', 20), 0.46);
+    close(executablePrice(BOOK, 'buy', 60), (20 * 0.46 + 40 * 0.5) / 60);
+    close(executablePrice(BOOK, 'sell', 100), 0.42);
+    assert.equal(executablePrice(BOOK, 'buy', 101), null);
+
+    assert.equal(bookLambda({ depth: { 5: 250 } }), 0.05 / 250);
+    assert.equal(bookLambda({ depth: null }), null);
+});
+
+test('Kalshi NO bids become YES asks', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json({
+        orderbook: { yes: [[40, 100], [44, 50]], no: [[54, 20], [50, 80]] }
+    }));
+
+    const book = await fetchKalshiBook('BTC-25');
+    assert.match(String(fetch.mock.calls[0].arguments[0]), /\/markets\/BTC-25\/orderbook$/);
+    assert.deepEqual(book.bids, [{ price: 0.44, size: 50 }, { price: 0.4, size: 100 }]);
+    assert.deepEqual(book.asks, [{ price: 0.46, size: 20 }, { price: 0.5, size: 80 }]);
+
+    // An empty side comes back as null
+    fetch.mock.mockImplementation(async () => Response.json({ orderbook: { yes: null, no: [[60, 5]] } }));
+    assert.deepEqual((await fetchKalshiBook('THIN-25')).bids, []);
+});
+
+test('Polymarket books are read for the YES token', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async url => String(url).includes('/book?')
+        ? Response.json({ timestamp: '1735689600000', bids: [{ price: '0.61', size: '10' }], asks: [{ price: '0.63', size: '4' }] })
+        : Response.json({ tokens: [{ outcome: 'No', token_id: 'no-1' }, { outcome: 'Yes', token_id: 'yes-1' }] }));
+
+    const book = await fetchPolymarketBook('0xabc');
+    assert.match(String(fetch.mock.calls[1].arguments[0]), /\/book\?token_id=yes-1$/);
+    assert.deepEqual(book, {
+        bids: [{ price: 0.61, size: 10 }],
+        asks: [{ price: 0.63, size: 4 }],
+        timestamp: '2025-01-01T00:00:00.000Z'
+    });
+});
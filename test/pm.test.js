@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from '../server/snapshotStore.js';
+import { resolutionFields, outcomeFields } from '../data/marketSchema.js';
+import { quoteFields } from '../data/orderBook.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PM = path.join(ROOT_DIR, 'scripts', 'pm.js');
+
+// Eighty resolved markets created six hours apart: enough for the default dataset,
+// too short a span (20 days) for a single 30-day backtest window
+const MARKET_COUNT = 80;
+const START = Date.parse('2024-09-01T00:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+let dir;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-test-'));
+    const store = new SnapshotStore(path.join(dir, 'snapshots'));
+    await store.load();
+    await store.append('kalshi', Array.from({ length: MARKET_COUNT }, (_, i) => resolvedMarket(i)), '2025-01-01T00:00:00.000Z');
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function resolvedMarket(i) {
+    const probability = ((i * 37) % 90 + 5) / 100;
+    const yes = (i * 53) % 100 < probability * 100;
+    const createdAt = new Date(START + i * 6 * HOUR_MS).toISOString();
+    const resolvedAt = new Date(START + (i * 6 + 24) * HOUR_MS).toISOString();
+    return {
+        id: `kalshi_TEST-${i}`,
+        title: `Test market ${i}`,
+        category: i % 2 ? 'economics' : 'politics',
+        subcategory: null,
+        platform: 'kalshi',
+        createdAt,
+        resolvedAt,
+        closesAt: resolvedAt,
+        resolved: true,
+        ...resolutionFields(yes ? 'yes' : 'no', 'kalshi.result', { raw: yes ? 'yes' : 'no' }),
+        ...outcomeFields(),
+        currentProbability: probability,
+        finalProbability: probability,
+        volume: 1000 + i,
+        liquidity: 0,
+        traders: 0,
+        ...quoteFields(null, null),
+        priceHistory: [],
+        defaulted: []
+    };
+}
+
+function pm(args) {
+    const env = {
+        ...process.env,
+        SNAPSHOT_DIR: path.join(dir, 'snapshots'),
+        CONFIG_FILE: path.join(dir, 'app.json'),
+        TAXONOMY_FILE: path.join(dir, 'taxonomy.json')
+    };
+    return new Promise(resolve => {
+        execFile(process.execPath, [PM, ...args], { env, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test('evaluate prints its tables on a dataset too short for backtest windows', async () => {
+    const { code, stdout, stderr } = await pm(['evaluate']);
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /Evaluation/);
+    assert.match(stdout, /Backtest \(0 windows\)/);
+    assert.match(stdout, /No backtest windows/);
+});
+
+test('calibration writes JSON and Markdown reports', async () => {
+    const json = await pm(['calibration', '--format', 'json', '--bins', '5']);
+    assert.equal(json.code, 0, json.stderr);
+    const { markets, report } = JSON.parse(json.stdout);
+    assert.equal(markets, MARKET_COUNT);
+    assert.equal(report.count, MARKET_COUNT);
+    assert.equal(report.bins.length, 5);
+
+    const markdown = await pm(['calibration', '--format', 'markdown']);
+    assert.equal(markdown.code, 0, markdown.stderr);
+    assert.match(markdown.stdout, /^## /m);
+});
+
+test('progress logs stay off stdout, which carries the report only', async () => {
+    const { code, stdout, stderr } = await pm(['evaluate', '--format', 'summary']);
+    assert.equal(code, 0, stderr);
+    assert.equal(JSON.parse(stdout).dataset.records, MARKET_COUNT);
+    assert.match(stderr, /Starting evaluation pipeline/);
+});
+
+test('the recorded Manifold fixtures feed the reports', async () => {
+    const { code, stdout, stderr } = await pm([
+        'calibration', '--source', 'fixtures', '--fixtures', path.join(ROOT_DIR, 'test', 'fixtures'),
+        '--platform', 'manifold', '--format', 'json'
+    ]);
+    assert.equal(code, 0, stderr);
+    assert.equal(JSON.parse(stdout).markets, 7);
+});
+
+test('an invalid option exits with status 1 and the usage', async () => {
+    const { code, stdout, stderr } = await pm(['calibration', '--bins', '0']);
+    assert.equal(code, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Invalid --bins: 0/);
+});
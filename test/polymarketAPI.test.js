@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureFixtures } from '../server/upstream.js';
+import { PLATFORM_UPSTREAMS } from '../server/platforms.js';
+import { getAdapter } from '../data/platforms.js';
+import { binaryForecasts } from '../data/analytics.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+async function replayMarkets() {
+    configureFixtures({ mode: 'replay', fixturesDir: FIXTURES_DIR });
+    const raw = await PLATFORM_UPSTREAMS.polymarket.fetchMarkets({});
+    return getAdapter('polymarket').transform(raw);
+}
+
+test('the recorded CLOB page transforms without quarantine', async () => {
+    const { markets, quarantined } = await replayMarkets();
+    assert.equal(quarantined.length, 0, JSON.stringify(quarantined.map(q => q.reasons)));
+    assert.equal(markets.length, 5);
+});
+
+test('binary markets are priced from the YES token', async () => {
+    const { markets } = await replayMarkets();
+    const byId = Object.fromEntries(markets.map(m => [m.id, m]));
+
+    const open = byId['polymarket_0x1a01'];
+    assert.equal(open.currentProbability, 0.62);
+    assert.equal(open.finalProbability, null);
+    assert.deepEqual(open.defaulted, ['createdAt']);
+
+    const settledYes = byId['polymarket_0x1a02'];
+    assert.equal(settledYes.resolution.status, 'yes');
+    assert.equal(settledYes.finalProbability, 1);
+
+    const settledNo = byId['polymarket_0x1a03'];
+    assert.equal(settledNo.resolution.status, 'no');
+    assert.equal(settledNo.finalProbability, 0);
+});
+
+test('a closed market without a winner stays unresolved', async () => {
+    const { markets } = await replayMarkets();
+    const awaiting = markets.find(m => m.id === 'polymarket_0x1a04');
+    assert.equal(awaiting.resolved, false);
+    assert.equal(awaiting.resolution, null);
+    assert.equal(awaiting.finalProbability, 0.03);
+});
+
+test('settled binary markets reach the calibration forecasts', async () => {
+    const { markets } = await replayMarkets();
+    assert.deepEqual(binaryForecasts(markets).map(m => m.id).sort(), ['polymarket_0x1a02', 'polymarket_0x1a03']);
+});
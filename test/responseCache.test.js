@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ResponseCache } from '../server/responseCache.js';
+
+// One in-process app; each route's handler answers from its own queue of { status, body, delayMs }
+const cache = new ResponseCache({ maxEntries: 3, staleIfErrorMs: 60000 });
+const queues = {};
+const calls = {};
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.get('/api/:route', cache.middleware(500), async (req, res) => {
+        const { route } = req.params;
+        calls[route] = (calls[route] || 0) + 1;
+        const { status = 200, body, delayMs = 0 } = queues[route].shift();
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        res.status(status).json(body);
+    });
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+function answer(route, ...responses) {
+    queues[route] = responses;
+    calls[route] = 0;
+}
+
+async function get(path, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    const text = await response.text();
+    return { status: response.status, cache: response.headers.get('x-cache'), etag: response.headers.get('etag'), body: text ? JSON.parse(text) : null };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a fresh entry is served without calling the handler', async () => {
+    answer('hit', { body: { success: true, data: 1 } });
+
+    const first = await get('/api/hit');
+    const second = await get('/api/hit');
+    assert.deepEqual([first.cache, second.cache], ['MISS', 'HIT']);
+    assert.deepEqual(second.body, { success: true, data: 1 });
+    assert.equal(calls.hit, 1);
+
+    // The query string is part of the key
+    answer('hit', { body: { success: true, data: 2 } });
+    assert.equal((await get('/api/hit?page=2')).body.data, 2);
+});
+
+test('concurrent identical requests are coalesced onto one handler call', async () => {
+    answer('coalesce', { body: { success: true, data: 'once' }, delayMs: 50 });
+
+    const responses = await Promise.all([get('/api/coalesce'), get('/api/coalesce'), get('/api/coalesce')]);
+    assert.equal(calls.coalesce, 1);
+    assert.deepEqual(responses.map(r => r.cache).sort(), ['COALESCED', 'COALESCED', 'MISS']);
+    responses.forEach(r => assert.equal(r.body.data, 'once'));
+});
+
+test('an upstream failure after expiry is answered with the stale body', async () => {
+    answer('stale',
+        { body: { success: true, data: 'good' } },
+        { status: 502, body: { success: false, error: 'upstream down' } },
+        { status: 404, body: { success: false, error: 'not found' } });
+
+    await get('/api/stale');
+    await wait(550);
+    const stale = await get('/api/stale');
+    assert.deepEqual([stale.status, stale.cache, stale.body.data], [200, 'STALE', 'good']);
+
+    // Only 5xx falls back; a client error is passed through and not cached
+    const missing = await get('/api/stale');
+    assert.deepEqual([missing.status, missing.cache], [404, 'MISS']);
+    assert.equal(calls.stale, 3);
+});
+
+test('a cached body carries an ETag and If-None-Match gets a 304', async () => {
+    answer('etag', { body: { success: true, data: [1, 2, 3] } });
+
+    const first = await get('/api/etag');
+    assert.match(first.etag, /^"[0-9a-f]{40}"$/);
+
+    // As a browser revalidates; fetch would otherwise add Cache-Control: no-cache, which forces a full body
+    const revalidated = await get('/api/etag', { 'If-None-Match': first.etag, 'Cache-Control': 'max-age=0' });
+    assert.deepEqual([revalidated.status, revalidated.cache, revalidated.body], [304, 'HIT', null]);
+    assert.equal((await get('/api/etag', { 'If-None-Match': '"other"', 'Cache-Control': 'max-age=0' })).status, 200);
+});
+
+test('the least recently stored entry is evicted past maxEntries', async () => {
+    cache.clear();
+    for (const route of ['a', 'b', 'c', 'd']) {
+        answer(route, { body: { success: true, data: route } });
+        await get(`/api/${route}`);
+    }
+    assert.deepEqual([...cache.entries.keys()], ['/api/b', '/api/c', '/api/d']);
+    assert.equal(cache.stats().entries, 3);
+});
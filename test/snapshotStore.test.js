@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SnapshotStore } from '../server/snapshotStore.js';
+
+function tempStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new SnapshotStore(dir);
+}
+
+function market(id, currentProbability, fields = {}) {
+    return { id, platform: 'kalshi', outcomeType: 'binary', currentProbability, volume: 10, priceHistory: [], ...fields };
+}
+
+function storedLines(store) {
+    const platformDir = path.join(store.dir, 'kalshi');
+    return fs.readdirSync(platformDir)
+        .flatMap(file => fs.readFileSync(path.join(platformDir, file), 'utf8').split('\n').filter(Boolean));
+}
+
+test('an unchanged refetch writes nothing', async t => {
+    const store = tempStore(t);
+    await store.load();
+    const markets = [market('kalshi_A', 0.4), market('kalshi_B', 0.7)];
+
+    assert.equal(await store.appendChanged('kalshi', markets, '2025-01-01T00:00:00.000Z'), 2);
+    assert.equal(await store.appendChanged('kalshi', markets, '2025-01-01T00:05:00.000Z'), 0);
+    assert.equal(storedLines(store).length, 2);
+
+    // Only the market whose price moved is written again
+    const moved = [market('kalshi_A', 0.45), market('kalshi_B', 0.7)];
+    assert.equal(await store.appendChanged('kalshi', moved, '2025-01-01T00:10:00.000Z'), 1);
+    assert.equal(storedLines(store).length, 3);
+});
+
+test('a defaulted field does not count as a change', async t => {
+    const store = tempStore(t);
+    await store.load();
+    const loadedAt = time => market('kalshi_A', 0.4, { createdAt: time, defaulted: ['createdAt'] });
+
+    await store.appendChanged('kalshi', [loadedAt('2025-01-01T00:00:00.000Z')], '2025-01-01T00:00:00.000Z');
+    assert.equal(await store.appendChanged('kalshi', [loadedAt('2025-01-01T00:05:00.000Z')], '2025-01-01T00:05:00.000Z'), 0);
+});
+
+test('a reload keeps the latest snapshot in memory and reads older ones from disk', async t => {
+    const store = tempStore(t);
+    await store.load();
+    await store.append('kalshi', [market('kalshi_A', 0.4), market('kalshi_B', 0.2)], '2025-01-01T00:00:00.000Z');
+    await store.append('kalshi', [market('kalshi_A', 0.5)], '2025-01-02T00:00:00.000Z');
+
+    const reloaded = new SnapshotStore(store.dir);
+    assert.equal(await reloaded.load(), 3);
+    assert.equal(reloaded.latest.size, 2);
+    assert.equal(reloaded.latest.get('kalshi_A').market.currentProbability, 0.5);
+    assert.deepEqual(reloaded.getLatestMarkets().map(m => m.id).sort(), ['kalshi_A', 'kalshi_B']);
+
+    const history = await reloaded.getHistory('kalshi_A');
+    assert.deepEqual(history.map(e => e.market.currentProbability), [0.4, 0.5]);
+    assert.equal(history[0].market.priceHistory, undefined);
+    assert.deepEqual((await reloaded.getHistory('kalshi_A', { until: '2025-01-01T12:00:00.000Z' })).length, 1);
+
+    const before = await reloaded.getSnapshotAt('kalshi_A', '2025-01-01T12:00:00.000Z');
+    assert.equal(before.market.currentProbability, 0.4);
+    assert.equal(await reloaded.getSnapshotAt('kalshi_A', '2024-12-31T00:00:00.000Z'), null);
+
+    const past = await reloaded.getMarketsAt('2025-01-01T12:00:00.000Z');
+    assert.deepEqual(past.map(m => [m.id, m.currentProbability]).sort(), [['kalshi_A', 0.4], ['kalshi_B', 0.2]]);
+});
+
+test('price histories come from every stored snapshot of the platform', async t => {
+    const store = tempStore(t);
+    await store.load();
+    await store.append('kalshi', [market('kalshi_A', 0.4), market('kalshi_C', null, { outcomeType: 'categorical' })], '2025-01-01T00:00:00.000Z');
+    await store.append('kalshi', [market('kalshi_A', 0.5)], '2025-01-02T00:00:00.000Z');
+
+    const histories = await store.getPriceHistories('kalshi');
+    assert.deepEqual(histories.kalshi_A.map(p => p.price), [0.4, 0.5]);
+    assert.deepEqual(histories.kalshi_C, []);
+    assert.deepEqual(await store.getPriceHistory('kalshi_A', { since: '2025-01-02T00:00:00.000Z' }),
+        [{ timestamp: '2025-01-02T00:00:00.000Z', price: 0.5, volume: 10 }]);
+});
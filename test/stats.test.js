@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crps, pitHistogram, intervalCoverage } from '../stats/index.js';
+
+// A CDF sampled at n + 1 evenly spaced points of [lower, upper]
+function sampled(n, lower, upper, F) {
+    const grid = Array.from({ length: n + 1 }, (_, i) => lower + (upper - lower) * i / n);
+    return { grid, cdf: grid.map(F) };
+}
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('crps of a uniform forecast on [0, 1] observed at 0.5 is 1/12', () => {
+    const { grid, cdf } = sampled(200, 0, 1, x => x);
+    assertClose(crps(grid, cdf, 0.5), 1 / 12);
+});
+
+test('crps splits the grid segment at an observed value between points', () => {
+    // (y^3 + (1 - y)^3) / 3 for the uniform CDF; 0.503 falls inside a segment of the 200-point grid
+    const { grid, cdf } = sampled(200, 0, 1, x => x);
+    const observed = 0.503;
+    assertClose(crps(grid, cdf, observed), (observed ** 3 + (1 - observed) ** 3) / 3, 1e-5);
+
+    // On a two-point grid the split trapezoids are exact for the linear pieces of F - H
+    assert.equal(crps([0, 1], [0, 0], 0.25), 0.75);
+    assert.equal(crps([0, 1], [1, 1], 0.25), 0.25);
+});
+
+test('crps is 0 for a step at the observed value and scales with the grid units', () => {
+    assert.equal(crps([0, 1, 1, 2], [0, 0, 1, 1], 1), 0);
+
+    const unit = sampled(200, 0, 1, x => x);
+    const wide = sampled(200, 0, 10, x => x / 10);
+    assertClose(crps(wide.grid, wide.cdf, 5), 10 * crps(unit.grid, unit.cdf, 0.5), 1e-9);
+});
+
+test('crps counts the mass on open bounds and observed values beyond the grid', () => {
+    // 0.2 below the range, 0.6 spread over it, 0.2 above; resolved on the upper bound:
+    // the integral of (0.2 + 0.6x)^2 over [0, 1] = 0.28
+    const { grid, cdf } = sampled(400, 0, 1, x => 0.2 + 0.6 * x);
+    assertClose(crps(grid, cdf, 1), 0.28);
+
+    // Beyond the grid the forecast is 0 below and 1 above: the gap adds its length
+    assertClose(crps(grid, cdf, 1.5), 0.28 + 0.5);
+    const uniform = sampled(200, 0, 1, x => x);
+    assertClose(crps(uniform.grid, uniform.cdf, -1), 1 / 3 + 1);
+});
+
+test('crps rejects mismatched arrays', () => {
+    assert.throws(() => crps([0, 1], [0], 0.5), /Invalid input arrays/);
+    assert.throws(() => crps([0], [0], 0.5), /Invalid input arrays/);
+});
+
+test('pitHistogram counts PIT values per bin, with 1 on the top bin', () => {
+    const bins = pitHistogram([0, 0.05, 0.3, 0.55, 0.99, 1], 4);
+    assert.deepEqual(bins.map(b => b.count), [2, 1, 1, 2]);
+    assert.deepEqual(bins.map(b => [b.lower, b.upper]), [[0, 0.25], [0.25, 0.5], [0.5, 0.75], [0.75, 1]]);
+    assert.deepEqual(bins.map(b => b.density), [4 / 3, 2 / 3, 2 / 3, 4 / 3]);
+    assert.deepEqual(pitHistogram([], 2).map(b => b.density), [0, 0]);
+});
+
+test('intervalCoverage is the share of PIT values inside each central interval', () => {
+    const pits = [0.05, 0.2, 0.25, 0.5, 0.75, 0.8, 0.95, 1];
+    assert.deepEqual(intervalCoverage(pits, [0.5, 0.9]), [
+        { level: 0.5, coverage: 3 / 8 },
+        { level: 0.9, coverage: 7 / 8 }
+    ]);
+    assert.deepEqual(intervalCoverage([], [0.5]), [{ level: 0.5, coverage: 0 }]);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { MarketStream, diffMarkets, createPollingSource } from '../server/stream.js';
+
+function market(id, fields = {}) {
+    return { id, platform: 'kalshi', title: `Market ${id}`, currentProbability: 0.5, volume: 100, resolved: false, ...fields };
+}
+
+// An SSE response that keeps what was written, as [{ event, data }]
+function sseClient() {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        writeHead(status, headers) { this.status = status; this.headers = headers; },
+        write(chunk) { this.chunks.push(chunk); },
+        events() {
+            return this.chunks.join('').split('\n\n')
+                .map(block => Object.fromEntries(block.split('\n').filter(line => /^(event|data): /.test(line))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+                .filter(block => block.event)
+                .map(({ event, data }) => ({ event, data: JSON.parse(data) }));
+        }
+    };
+    return { req, res };
+}
+
+test('only new markets and changed stream fields are sent', () => {
+    const previous = new Map([['a', market('a')], ['b', market('b', { outcomePrices: { X: 0.5 } })]]);
+    const delta = diffMarkets(previous, [
+        market('a', { title: 'Renamed', volume: 100 }),
+        market('b', { outcomePrices: { X: 0.6 }, volume: 150 }),
+        market('c')
+    ]);
+
+    assert.deepEqual(delta.added.map(m => m.id), ['c']);
+    // Titles are fixed at listing and not streamed
+    assert.deepEqual(delta.updated, [{ id: 'b', changes: { outcomePrices: { X: 0.6 }, volume: 150 } }]);
+});
+
+test('the first poll primes the baseline and later polls push numbered deltas', async () => {
+    const polls = [
+        [market('a'), market('b')],
+        [market('a'), market('b')],
+        [market('a', { currentProbability: 0.55 }), market('b'), market('c')],
+        [market('a', { currentProbability: 0.55, resolved: true })]
+    ];
+    const stream = new MarketStream({ name: 'test', fetch: async () => polls.shift() }, { intervalMs: 60000 });
+    const { req, res } = sseClient();
+
+    stream.addClient(req, res);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.ok(stream.pollTimer);
+    while (!stream.primed) await new Promise(resolve => setImmediate(resolve));
+
+    await stream.poll(); // unchanged: nothing is sent
+    await stream.poll();
+    await stream.poll();
+    req.emit('close');
+    assert.equal(stream.pollTimer, null);
+
+    const events = res.events();
+    assert.deepEqual(events.map(e => e.event), ['hello', 'delta', 'delta']);
+    assert.deepEqual(events[0].data, { source: 'test', intervalMs: 60000, seq: 0 });
+
+    const [, first, second] = events.map(e => e.data);
+    assert.equal(first.seq, 1);
+    assert.deepEqual(first.added.map(m => m.id), ['c']);
+    assert.deepEqual(first.updated, [{ id: 'a', changes: { currentProbability: 0.55 } }]);
+    // A market missing from a poll is not reported; it stays in the baseline
+    assert.deepEqual([second.seq, second.added, second.updated], [2, [], [{ id: 'a', changes: { resolved: true } }]]);
+    assert.equal(stream.markets.size, 3);
+});
+
+test('a failed platform poll leaves out only that platform', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const source = createPollingSource([
+        { platform: 'kalshi', load: async () => 'raw', normalize: () => ({ markets: [market('a', { priceHistory: [{ price: 0.5 }] })] }) },
+        { platform: 'manifold', load: async () => { throw new Error('HTTP 503'); }, normalize: () => ({ markets: [] }) }
+    ]);
+
+    const markets = await source.fetch();
+    assert.deepEqual(markets.map(m => m.id), ['a']);
+    assert.equal('priceHistory' in markets[0], false);
+});
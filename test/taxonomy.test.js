@@ -0,0 +1,62 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { classify, configureTaxonomy, categoryLabel, topLevelCategories } from '../data/taxonomy.js';
+
+// Overrides are module state; every test starts from none
+afterEach(() => configureTaxonomy({}));
+
+test('a platform-native category maps onto the taxonomy', () => {
+    assert.deepEqual(classify({ platform: 'kalshi', title: 'Anything', native: ['Climate and Weather'] }),
+        { category: 'science', subcategory: 'science/climate' });
+    // The first native name that maps wins; unknown ones are skipped
+    assert.deepEqual(classify({ platform: 'manifold', native: ['fun', 'nba', 'sports-default'] }),
+        { category: 'sports', subcategory: 'sports/nba' });
+    assert.deepEqual(classify({ platform: 'polymarket', native: 'Crypto' }), { category: 'crypto', subcategory: null });
+});
+
+test('titles fall back to whole-word keywords, the most specific on a tie', () => {
+    assert.deepEqual(classify({ platform: 'kalshi', title: 'Will the Fed cut rates in March?' }),
+        { category: 'economics', subcategory: 'economics/fed' });
+    // "fed" is not a word of "federal" or "Federer"
+    assert.deepEqual(classify({ title: 'Will Federer play again?' }), { category: 'other', subcategory: null });
+    assert.deepEqual(classify({ title: 'Recession and higher unemployment in 2025?' }),
+        { category: 'economics', subcategory: 'economics/macro' });
+    // Two crypto words beat one policy word
+    assert.equal(classify({ title: 'Will a bitcoin ETF law pass for ethereum?' }).category, 'crypto');
+});
+
+test('overrides take precedence in order: market, native, then keywords', () => {
+    configureTaxonomy({
+        markets: { 'kalshi_SPECIAL-25': 'culture' },
+        native: { kalshi: { 'Mentions': 'culture' } },
+        keywords: { 'science/space': ['blue origin'] }
+    });
+
+    assert.deepEqual(classify({ id: 'kalshi_SPECIAL-25', platform: 'kalshi', native: ['Politics'] }),
+        { category: 'culture', subcategory: null });
+    assert.equal(classify({ id: 'kalshi_OTHER-25', platform: 'kalshi', native: ['mentions'] }).category, 'culture');
+    assert.deepEqual(classify({ title: 'Will Blue Origin reach orbit?' }), { category: 'science', subcategory: 'science/space' });
+    // Extra keywords add to the built-in ones
+    assert.equal(classify({ title: 'Will Starship reach orbit?' }).subcategory, 'science/space');
+});
+
+test('unknown override paths are ignored with a warning', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    configureTaxonomy({
+        markets: { 'kalshi_A': 'politics/unknown', 'kalshi_B': 'sports/nfl' },
+        keywords: { 'nowhere': ['anything'] }
+    });
+
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /Ignoring unknown category "politics\/unknown" in markets\.kalshi_A/);
+    assert.deepEqual(classify({ id: 'kalshi_A', title: 'Untitled' }), { category: 'other', subcategory: null });
+    assert.equal(classify({ id: 'kalshi_B' }).subcategory, 'sports/nfl');
+});
+
+test('labels come from the taxonomy, unknown paths pass through', () => {
+    assert.equal(categoryLabel('economics/fed'), 'Central Banks');
+    assert.equal(categoryLabel('science'), 'Science & Tech');
+    assert.equal(categoryLabel('gardening'), 'gardening');
+    assert.equal(categoryLabel(null), 'Other');
+    assert.equal(topLevelCategories().at(-1).id, 'other');
+});
@@ -1,5 +1,7 @@
 // AI-Powered Analysis and Summary Generation
 // Provides automated insights, anomaly detection, and natural language summaries
+import { findMatches } from '../data/eventMatcher.js';
+import { isScorable } from '../data/marketSchema.js';
 
 export class AIAnalyzer {
     constructor() {
@@ -171,8 +173,8 @@ export class AIAnalyzer {
 
         // Identify mispriced markets
         const mispriced = markets.filter(m => {
-            if (!m.resolved || !m.finalProbability) return false;
-            const error = Math.abs(m.finalProbability - (m.outcome ? 1 : 0));
+            if (!isScorable(m) || typeof m.outcome !== 'number' || !m.finalProbability) return false;
+            const error = Math.abs(m.finalProbability - m.outcome);
             return error > 0.3;
         });
 
@@ -267,11 +269,12 @@ export class AIAnalyzer {
     }
 
     _calculateCalibrationError(markets) {
-        const resolved = markets.filter(m => m.resolved && m.finalProbability !== undefined);
+        // Void and disputed markets have no outcome; a partial one is compared with its payout
+        const resolved = markets.filter(m => isScorable(m) && typeof m.outcome === 'number' && typeof m.finalProbability === 'number');
         if (resolved.length === 0) return 0;
 
         const errors = resolved.map(m => 
-            Math.abs(m.finalProbability - (m.outcome ? 1 : 0))
+            Math.abs(m.finalProbability - m.outcome)
         );
         return errors.reduce((sum, e) => sum + e, 0) / errors.length;
     }
@@ -333,43 +336,15 @@ export class AIAnalyzer {
     }
 
     _detectArbitrageOpportunities(markets) {
-        const opportunities = [];
-        
-        // Look for complementary markets (A + notA should = 1)
-        for (let i = 0; i < markets.length; i++) {
-            for (let j = i + 1; j < markets.length; j++) {
-                const m1 = markets[i];
-                const m2 = markets[j];
-                
-                // Check if they're complementary based on title similarity
-                if (this._areComplementary(m1, m2)) {
-                    const sum = (m1.probability || 0.5) + (m2.probability || 0.5);
-                    if (Math.abs(sum - 1) > 0.05) { // More than 5% deviation
-                        opportunities.push({
-                            markets: [m1.title, m2.title],
-                            description: `Probability sum is ${sum.toFixed(3)} (should be 1.0)`,
-                            expectedProfit: Math.abs(sum - 1)
-                        });
-                    }
-                }
-            }
-        }
-        
-        return opportunities;
-    }
-
-    _areComplementary(m1, m2) {
-        // Simple heuristic: check if titles are very similar
-        const title1 = m1.title.toLowerCase();
-        const title2 = m2.title.toLowerCase();
-        
-        // Look for yes/no pairs
-        if ((title1.includes('yes') && title2.includes('no')) ||
-            (title1.includes('will') && title2.includes('will not'))) {
-            return true;
-        }
-        
-        return false;
+        // The same event listed on two platforms should trade at the same price
+        return findMatches(markets)
+            .map(({ a, b }) => ({ a, b, gap: Math.abs(a.currentProbability - b.currentProbability) }))
+            .filter(({ gap }) => gap > 0.05) // More than 5% apart
+            .map(({ a, b, gap }) => ({
+                markets: [a.title, b.title],
+                description: `${a.platform} at ${a.currentProbability.toFixed(3)} vs ${b.platform} at ${b.currentProbability.toFixed(3)}`,
+                expectedProfit: gap
+            }));
     }
 
     _calculateVolumeZScore(market, allMarkets) {
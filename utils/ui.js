@@ -1,5 +1,6 @@
 // UI Utility Functions
 import { state } from '../state.js';
+import { listAdapters } from '../data/platforms.js';
 
 /**
  * Update status bar with current timestamp and API status
@@ -13,30 +14,93 @@ export function updateStatusBar() {
         lastUpdatedEl.textContent = time;
     }
     
-    // Update API status indicators
-    updateStatusIndicator('polymarket', state.apiStatus.polymarket);
-    updateStatusIndicator('kalshi', state.apiStatus.kalshi);
-    updateStatusIndicator('metaculus', state.apiStatus.metaculus);
+    updateCacheStatus(state.cacheStatus);
+    
+    // Update API status indicators, one per enabled platform
+    listAdapters().forEach(({ id, label }) => updateStatusIndicator(id, label, platformStatus(id)));
+}
+
+/**
+ * Flag data restored from the browser cache until live data replaces it
+ */
+function updateCacheStatus({ stale, savedAt, revalidating }) {
+    const element = document.getElementById('data-freshness');
+    if (!element) return;
+    
+    element.classList.toggle('hidden', !stale);
+    if (!stale) return;
+    
+    const saved = savedAt ? savedAt.toLocaleTimeString() : 'an earlier session';
+    element.textContent = revalidating
+        ? `Cached data from ${saved} · revalidating…`
+        : `Cached data from ${saved} · live fetch failed`;
+}
+
+/**
+ * Combine the browser's last market load with the proxy's upstream health:
+ *   online   - markets loaded and the upstream answered
+ *   degraded - markets loaded, but the proxy used a fallback endpoint or its cache,
+ *              or the upstream has failed since
+ *   offline  - no markets from this platform
+ * @returns {{ status: string, reason: string }}
+ */
+function platformStatus(platform) {
+    const loaded = state.apiStatus[platform];
+    const health = state.upstreamHealth?.[platform];
+    
+    if (loaded === 'synthetic') {
+        return { status: 'synthetic', reason: 'Synthetic data' };
+    }
+    
+    if (loaded !== 'online') {
+        const reason = (health?.status !== 'ok' && health?.reason)
+            || state.apiErrors[platform]
+            || (state.upstreamHealth === null ? 'Proxy unreachable' : 'Not loaded yet');
+        return { status: 'offline', reason };
+    }
+    
+    if (health?.status === 'degraded') {
+        return { status: 'degraded', reason: health.reason };
+    }
+    if (health?.status === 'down') {
+        return { status: 'degraded', reason: `Upstream failing since ${new Date(health.since).toLocaleTimeString()}: ${health.reason}` };
+    }
+    
+    const latency = health?.routes?.markets?.latencyMs?.p50;
+    const details = [
+        health?.lastSuccessAt && `updated ${new Date(health.lastSuccessAt).toLocaleTimeString()}`,
+        Number.isFinite(latency) && `p50 ${latency}ms`
+    ].filter(Boolean);
+    return { status: 'online', reason: ['Live data', ...details].join(' · ') };
 }
 
 /**
- * Update individual status indicator
+ * Update individual status indicator, adding it to the status bar on first use.
+ * Degraded and offline platforms also show the word, with the reason on hover.
  */
-function updateStatusIndicator(platform, status) {
-    const indicator = document.getElementById(`status-${platform}`);
-    if (!indicator) return;
+function updateStatusIndicator(platform, label, { status, reason }) {
+    let indicator = document.getElementById(`status-${platform}`);
+    if (!indicator) {
+        const container = document.getElementById('platform-status');
+        if (!container) return;
+        
+        const item = document.createElement('div');
+        item.className = 'flex items-center gap-2';
+        item.innerHTML = `
+            <span class="text-slate-500">${label}:</span>
+            <div class="status-indicator" id="status-${platform}"></div>
+            <span class="status-detail text-xs text-slate-500" id="status-${platform}-detail"></span>
+        `;
+        container.appendChild(item);
+        indicator = item.querySelector('.status-indicator');
+    }
     
-    indicator.className = 'status-indicator';
+    indicator.className = `status-indicator ${status}`;
+    indicator.parentElement.title = `${label}: ${reason}`;
     
-    if (status === 'online') {
-        indicator.classList.add('online');
-        indicator.title = 'Live data';
-    } else if (status === 'synthetic') {
-        indicator.classList.add('synthetic');
-        indicator.title = 'Synthetic data';
-    } else {
-        indicator.classList.add('offline');
-        indicator.title = 'Offline';
+    const detail = document.getElementById(`status-${platform}-detail`);
+    if (detail) {
+        detail.textContent = status === 'degraded' || status === 'offline' ? status : '';
     }
 }
 
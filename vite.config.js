@@ -1,6 +1,14 @@
 import { defineConfig } from 'vite';
+import { loadConfig, clientConfig } from './server/config.js';
+
+// The browser's share of config/app.json (or CONFIG_FILE) plus environment
+// overrides, read by data/config.js as __APP_CONFIG__
+const appConfig = loadConfig({ file: process.env.CONFIG_FILE || 'config/app.json' });
 
 export default defineConfig({
+  define: {
+    __APP_CONFIG__: JSON.stringify(clientConfig(appConfig))
+  },
   server: {
     port: 5173,
     open: true